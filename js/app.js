@@ -8,17 +8,58 @@ class TakenoteApp {
         this.noteManager = new NoteManager();
         this.ui = new UI();
         this.editor = new Editor(this.ui.elements.textEditor);
+        this.noteFinder = new NoteFinder(this.editor);
+        this.textDiff = new TextDiff();
+        this.tabSync = new TabSync();
+        this.workspaceBackup = new WorkspaceBackup(content => this.noteManager.extractInlineTags(content));
+        this.templates = new TemplateLibrary();
+        this.noteExporter = new NoteExporter();
         
         this.currentNoteId = null;
+        this.openingNoteId = null; // Note waiting for its content to be read before it opens
         this.autoSaveTimeout = null;
+        this.sidebarView = 'notes';
+        this.selectedNotebookId = null;
+        this.selectedTags = [];
+        this.searchQuery = '';
+        this.sortOrder = localStorage.getItem('takenote-sort-order') || 'createdAt';
+        this.exportFormat = localStorage.getItem('takenote-export-format') || 'markdown';
+        this.conflict = null;
+        this.pendingRestore = null;
+        this.autoLockTimeout = null;
+        this.storageUsage = null;
+        this.saveFailed = false;
         
         this.initializeApp();
     }
 
-    initializeApp() {
+    async initializeApp() {
+        // Loading waits until other tabs running an older takenote let the note database upgrade
+        this.noteManager.onStorageBlocked = () => {
+            this.ui.showToast('takenote was updated. Close its other open tabs to finish loading your notes.', 'error', 30000);
+        };
+        await this.noteManager.init();
+        const recovered = await this.noteManager.recoverUnsavedNotes();
+        await this.noteManager.loadNoteContent(this.noteManager.activeNoteId);
         this.bindEvents();
+        this.ui.setSortOrder(this.sortOrder);
         this.loadInitialNote();
         this.updateUI();
+        this.loadNoteContents();
+        this.bindAutoLock();
+        this.refreshStorageUsage();
+        this.pruneImages();
+        
+        if (recovered > 0) {
+            this.ui.showToast(`Recovered ${recovered} note${recovered === 1 ? '' : 's'} with changes that hadn't been saved.`, 'info', 6000);
+        }
+        this.reportLoadProblems();
+        
+        // With every note encrypted there is nothing to show until the vault is unlocked
+        const vault = this.noteManager.vault;
+        if (vault.encryptsAll() && !vault.isUnlocked()) {
+            this.ui.showUnlockScreen(false);
+        }
     }
 
     bindEvents() {
@@ -28,6 +69,48 @@ class TakenoteApp {
         this.ui.onNoteDelete = (noteId, title) => this.deleteNote(noteId, title);
         this.ui.onNoteTitleEdit = (noteId, newTitle) => this.editNoteTitle(noteId, newTitle);
         
+        // Template callbacks
+        this.ui.onTemplateMenuOpen = () => this.showTemplateMenu();
+        this.ui.onTemplateSelect = (templateId) => this.createNoteFromTemplate(templateId);
+        this.ui.onTemplateSave = () => this.saveNoteAsTemplate();
+        this.ui.onTemplateDelete = (templateId) => this.deleteTemplate(templateId);
+        
+        // Notebook callbacks
+        this.ui.onNewNotebook = () => this.createNotebook();
+        this.ui.onNotebookSelect = (notebookId) => this.selectNotebook(notebookId);
+        this.ui.onNotebookToggle = (notebookId) => this.toggleNotebook(notebookId);
+        this.ui.onNotebookRename = (notebookId, newName) => this.renameNotebook(notebookId, newName);
+        this.ui.onNotebookDelete = (notebookId) => this.deleteNotebook(notebookId);
+        this.ui.onNotebookMove = (notebookId, parentId) => this.moveNotebook(notebookId, parentId);
+        this.ui.onNoteMove = (noteId, notebookId) => this.moveNote(noteId, notebookId);
+        
+        // Search callbacks
+        this.ui.onSearch = (query) => this.search(query);
+        this.ui.onSearchResultSelect = (result) => this.openSearchResult(result);
+        
+        // Ordering callbacks
+        this.ui.onSortChange = (sortOrder) => this.changeSortOrder(sortOrder);
+        this.ui.onNotePinToggle = (noteId) => this.togglePin(noteId);
+        this.ui.onNoteDrop = (noteId, targetNoteId) => this.dropNoteOnNote(noteId, targetNoteId);
+        
+        // Tag callbacks
+        this.ui.onTagAdd = (tag) => this.addTag(tag);
+        this.ui.onTagRemove = (tag) => this.removeTag(tag);
+        this.ui.onTagFilterToggle = (tag) => this.toggleTagFilter(tag);
+        this.ui.onTagFilterClear = () => this.clearTagFilter();
+        
+        // Trash callbacks
+        this.ui.onShowTrash = () => this.showSidebarView(this.sidebarView === 'trash' ? 'notes' : 'trash');
+        this.ui.onHideTrash = () => this.showSidebarView('notes');
+        this.ui.onNoteRestore = (noteId) => this.restoreNote(noteId);
+        this.ui.onNotePermanentDelete = (noteId) => this.deleteNotePermanently(noteId);
+        this.ui.onEmptyTrash = () => this.emptyTrash();
+        this.ui.onTrashRetentionChange = (days) => this.changeTrashRetention(days);
+        
+        // Tasks callbacks
+        this.ui.onShowTasks = () => this.showSidebarView(this.sidebarView === 'tasks' ? 'notes' : 'tasks');
+        this.ui.onTaskToggle = (noteId, index, text, checked) => this.setTaskChecked(noteId, index, text, checked);
+        
         // Toolbar event callbacks
         this.ui.onHeadingChange = (tag) => this.editor.setHeading(tag);
         this.ui.onBoldToggle = () => this.editor.toggleBold();
@@ -35,23 +118,136 @@ class TakenoteApp {
         this.ui.onTextAlign = (alignment) => this.editor.setTextAlign(alignment);
         this.ui.onBulletList = () => this.editor.insertBulletList();
         this.ui.onNumberList = () => this.editor.insertNumberList();
+        this.ui.onChecklist = () => this.editor.insertChecklist();
+        this.ui.onLinkInsert = () => this.editor.editLink();
+        this.editor.onLinkEdit = (link) => this.ui.showLinkEditor(link.rect, link.text, link.href);
+        this.ui.onLinkSave = (text, href) => this.saveLink(text, href);
+        this.ui.onLinkCancel = (restoreSelection) => this.editor.cancelLinkEdit(restoreSelection);
+        this.editor.onLinkCardChange = (link) => {
+            if (link) {
+                this.ui.showLinkCard(link.rect, link.href);
+            } else {
+                this.ui.hideLinkCard();
+            }
+        };
+        this.ui.onLinkCardHover = (hovered) => this.editor.setLinkCardHovered(hovered);
+        this.ui.onLinkCardOpen = () => this.openLink(this.editor.cardLink && this.editor.cardLink.getAttribute('href'));
+        this.ui.onLinkCardEdit = () => this.editor.editLink(this.editor.cardLink);
+        this.ui.onLinkCardRemove = () => this.editor.removeLink();
+        this.editor.onLinkOpen = (href) => this.openLink(href);
+        this.ui.onTableInsert = (rows, columns) => this.editor.insertTable(rows, columns);
+        this.ui.onTableAction = (action) => this.editor.applyTableAction(action);
+        this.editor.onTableMenu = (x, y) => this.ui.showTableMenu(x, y);
+        this.ui.setCodeLanguages(this.editor.highlighter.getLanguages());
+        this.ui.onCodeLanguageChange = (language) => this.editor.setCodeLanguage(language);
+        this.ui.onCodeCopy = () => this.copyCodeBlock();
+        this.editor.onCodeBlockChange = (block) => {
+            if (block) {
+                this.ui.showCodeTools(block.rect, block.language);
+            } else {
+                this.ui.hideCodeTools();
+            }
+        };
+        this.editor.onImageFiles = (files) => this.insertImageFiles(files);
+        this.editor.storeInlineImages = (html) => this.storePastedImages(html);
+        this.editor.resolveImage = (imageId) => this.noteManager.getImageUrl(imageId);
+        this.editor.onImageChange = (image) => {
+            if (image) {
+                this.ui.showImageTools(image.rect, image.alt);
+            } else {
+                this.ui.hideImageTools();
+            }
+        };
+        this.ui.onImageAltChange = (alt) => this.editor.setImageAlt(alt);
+        this.ui.onImageAltDone = () => this.editor.selectImage();
+        this.ui.onImageResize = (width, done) => this.editor.resizeImage(width, done);
         this.ui.onUndo = () => this.editor.undo();
         this.ui.onRedo = () => this.editor.redo();
         
+        // Find and replace callbacks
+        this.ui.onFindOpen = (replaceMode) => this.openFind(replaceMode);
+        this.ui.onFindChange = (options) => this.updateFindStatus(this.noteFinder.search(options));
+        this.ui.onFindNext = () => this.updateFindStatus(this.noteFinder.next());
+        this.ui.onFindPrevious = () => this.updateFindStatus(this.noteFinder.previous());
+        this.ui.onReplace = (replacement) => this.updateFindStatus(this.noteFinder.replace(replacement));
+        this.ui.onReplaceAll = (replacement) => this.replaceAll(replacement);
+        this.ui.onFindClose = () => this.noteFinder.close();
+        
         // File handling callbacks
         this.ui.onFileUpload = (file) => this.handleFileUpload(file);
-        this.ui.onFileDownload = () => this.handleFileDownload();
+        this.ui.onExportOpen = () => this.showExport();
+        this.ui.onExportConfirm = (format, noteIds) => this.exportNotes(format, noteIds);
+        
+        // Backup callbacks
+        this.ui.onBackup = () => this.backupAllNotes();
+        this.ui.onRestoreFile = (file) => this.previewRestore(file);
+        this.ui.onRestoreConfirm = (mode, conflictStrategy) => this.restoreBackup(mode, conflictStrategy);
+        this.ui.onRestoreCancel = () => {
+            this.pendingRestore = null;
+        };
+        
+        // Encryption callbacks
+        this.ui.onVaultOpen = () => this.showVaultSettings();
+        this.ui.onVaultCreate = (passphrase, settings) => this.createVault(passphrase, settings);
+        this.ui.onVaultSettingsSave = (settings) => this.saveVaultSettings(settings);
+        this.ui.onVaultPassphraseChange = (current, next) => this.changeVaultPassphrase(current, next);
+        this.ui.onVaultDisable = (passphrase) => this.disableVault(passphrase);
+        this.ui.onVaultLock = () => this.lockVault();
+        this.ui.onVaultUnlock = (passphrase) => this.unlockVault(passphrase);
+        this.ui.onNoteLockToggle = () => this.toggleNoteLock();
+        
+        // Storage callbacks
+        this.ui.onStorageOpen = () => this.showStorage();
+        this.ui.onStorageExportRemove = (noteIds) => this.exportAndRemoveNotes(noteIds);
+        this.ui.onSaveRetry = () => this.retrySaving();
+        this.ui.onQuarantineDownload = () => this.downloadQuarantine();
+        this.ui.onQuarantineClear = () => this.clearQuarantine();
+        
+        // Note link callbacks
+        this.ui.onLinkSuggestionPick = (item) => this.pickLinkSuggestion(item);
+        this.ui.onBacklinkSelect = (noteId) => this.switchToNote(noteId);
+        this.editor.onLinkQuery = (query, caretRect) => this.showLinkSuggestions(query, caretRect);
+        this.editor.onLinkKeyDown = (e) => this.ui.handleLinkSuggestionKey(e);
+        this.editor.onNoteLinkTyped = (title) => this.completeNoteLink(title);
+        this.editor.onNoteLinkClick = (noteId, title) => this.openNoteLink(noteId, title);
+        this.editor.resolveNoteTitle = (noteId) => {
+            const note = this.noteManager.getNoteById(noteId);
+            if (!note) return null;
+            return note.sealed ? undefined : note.title;
+        };
+        
+        // Revision history callbacks
+        this.ui.onShowHistory = () => this.showHistory();
+        this.ui.onRevisionSelect = (revisionId) => this.showRevisionDiff(revisionId);
+        this.ui.onRevisionRestore = (revisionId) => this.restoreRevision(revisionId);
+        
+        // Cross-tab sync
+        this.noteManager.onChange = (change) => this.tabSync.post(change);
+        this.noteManager.onSaveStatusChange = (status) => this.handleSaveStatusChange(status);
+        this.tabSync.onMessage = (message) => this.handleRemoteChange(message);
+        this.ui.onConflictResolve = (choice) => this.resolveConflict(choice);
         
         // Editor event callbacks
         this.editor.onContentChange = (content) => this.handleContentChange(content);
         this.editor.onToolbarStateChange = (state) => this.ui.updateToolbarState(state);
     }
 
+    // Notes are listed before their content is read; search, backlinks and tasks fill in once it has been
+    loadNoteContents() {
+        this.noteManager.loadContents()
+            .then(() => this.updateUI())
+            .catch(error => {
+                console.error('Failed to load notes:', error);
+                this.ui.showErrorMessage('Some notes couldn\'t be loaded. Reload the page to try again.');
+            });
+    }
+
     loadInitialNote() {
         const activeNote = this.noteManager.getActiveNote();
         if (activeNote) {
             this.currentNoteId = activeNote.id;
-            this.editor.setContent(activeNote.content);
+            this.selectedNotebookId = activeNote.notebookId || null;
+            this.editor.loadNote(activeNote.id, activeNote.content);
         } else {
             // Create a default note if none exists
             this.createNewNote();
@@ -59,32 +255,165 @@ class TakenoteApp {
     }
 
     updateUI() {
-        const notes = this.noteManager.getAllNotes();
+        const allTags = this.noteManager.getAllTags();
         const activeNoteId = this.noteManager.activeNoteId;
+        const trash = this.noteManager.getTrashedNotes();
+        
+        // Drop filters for tags that are no longer on any note
+        this.selectedTags = this.selectedTags.filter(tag => allTags.some(t => t.tag === tag));
+        const notes = this.noteManager.getSortedNotes(
+            this.noteManager.filterNotesByTags(this.noteManager.getAllNotes(), this.selectedTags),
+            this.sortOrder
+        );
         
-        this.ui.renderNotesList(notes, activeNoteId);
+        const taskGroups = this.noteManager.getOpenTasks(this.noteManager.getSortedNotes(this.noteManager.getAllNotes(), this.sortOrder));
+        if (this.sidebarView === 'trash') {
+            this.ui.renderTrashList(trash, this.noteManager.trashRetentionDays);
+        } else if (this.sidebarView === 'tasks') {
+            this.ui.renderTaskList(taskGroups);
+        } else if (this.searchQuery.trim()) {
+            this.ui.renderSearchResults(this.noteManager.search(this.searchQuery), notes, activeNoteId);
+        } else {
+            this.ui.renderNotesList(notes, activeNoteId, this.getVisibleNotebooks(notes), this.selectedNotebookId);
+        }
+        this.ui.updateTrashCount(trash.length);
+        this.ui.updateTaskCount(taskGroups.reduce((count, group) => count + group.tasks.length, 0));
+        this.ui.renderTagList(allTags, this.selectedTags);
+        
+        const currentNote = this.noteManager.getNoteById(this.currentNoteId);
+        this.ui.renderNoteTags(currentNote ? currentNote.tags || [] : [], allTags);
+        this.ui.renderBacklinks(currentNote ? this.noteManager.getBacklinks(currentNote.id) : []);
+        
+        // Encrypted notes stay read-only until the vault is unlocked
+        this.editor.setReadOnly(!!(currentNote && currentNote.sealed));
+        this.ui.updateNoteLockState(currentNote);
+        this.ui.updateVaultButton(this.getVaultState());
         
         // Update status counters
         const content = this.editor.getContent();
         const stats = this.noteManager.getNoteStats(content);
         this.ui.updateStatusCounters(stats);
+        this.refreshFind();
+    }
+
+    // While filtering, only show notebooks that lead to a matching note
+    getVisibleNotebooks(notes) {
+        const notebooks = this.noteManager.getAllNotebooks();
+        if (this.selectedTags.length === 0) return notebooks;
+        
+        const visibleIds = new Set();
+        notes.forEach(note => {
+            let notebook = this.noteManager.getNotebookById(note.notebookId);
+            while (notebook && !visibleIds.has(notebook.id)) {
+                visibleIds.add(notebook.id);
+                notebook = this.noteManager.getNotebookById(notebook.parentId);
+            }
+        });
+        return notebooks.filter(notebook => visibleIds.has(notebook.id));
     }
 
     createNewNote() {
-        const newNote = this.noteManager.createNote();
+        const newNote = this.noteManager.createNote(undefined, '', this.selectedNotebookId);
         this.currentNoteId = newNote.id;
+        this.selectedTags = []; // Otherwise the untagged note would be filtered out of view
+        this.expandNotebookPath(newNote.notebookId);
         
-        this.editor.setContent('<p><br></p>');
+        this.editor.loadNote(newNote.id, '<p><br></p>');
         this.updateUI();
         this.editor.focus();
         
         this.ui.showToast('New note created!', 'success');
     }
 
+    showTemplateMenu() {
+        const note = this.noteManager.getNoteById(this.currentNoteId);
+        this.ui.showTemplateMenu(this.templates.getAll(), !!note && !note.sealed);
+    }
+    
+    // Start a note from a template, with its placeholders filled in and the caret at {{cursor}}
+    createNoteFromTemplate(templateId) {
+        const template = this.templates.getById(templateId);
+        if (!template) return;
+        
+        const filled = this.templates.fill(template);
+        const newNote = this.noteManager.createNote(filled.title, this.templates.removeCursorMarker(filled.content), this.selectedNotebookId);
+        filled.tags.forEach(tag => this.noteManager.addTag(newNote.id, tag));
+        this.currentNoteId = newNote.id;
+        this.selectedTags = [];
+        this.expandNotebookPath(newNote.notebookId);
+        
+        this.editor.loadNote(newNote.id, filled.content);
+        this.updateUI();
+        this.editor.focusMarker();
+        
+        this.ui.showToast(`New note from "${template.name}"`, 'success');
+    }
+    
+    saveNoteAsTemplate() {
+        const note = this.noteManager.getNoteById(this.currentNoteId);
+        if (!note || note.sealed) {
+            this.ui.showErrorMessage('Unlock this note before saving it as a template.');
+            return;
+        }
+        
+        // Templates are kept unencrypted, so notes the vault covers would leave a readable copy behind
+        if (this.noteManager.shouldEncrypt(note)) {
+            this.ui.showErrorMessage('Notes the vault encrypts can\'t be saved as templates, which aren\'t encrypted.');
+            return;
+        }
+        
+        // Include edits that haven't been auto-saved yet
+        clearTimeout(this.autoSaveTimeout);
+        this.saveCurrentNote();
+        
+        try {
+            const { template, replaced } = this.templates.saveFromNote(this.noteManager.getNoteById(note.id));
+            this.tabSync.post({ kind: 'templates' });
+            this.ui.showToast(`${replaced ? 'Updated' : 'Saved'} template "${template.name}"`, 'success');
+        } catch (error) {
+            console.error('Failed to save template:', error);
+            this.ui.showErrorMessage('The template couldn\'t be saved. Browser storage may be full.');
+        }
+    }
+    
+    deleteTemplate(templateId) {
+        try {
+            const template = this.templates.deleteTemplate(templateId);
+            if (!template) return;
+            
+            this.tabSync.post({ kind: 'templates' });
+            this.showTemplateMenu();
+            this.ui.showToast(`Deleted template "${template.name}"`, 'info', 5000, {
+                label: 'Undo',
+                callback: () => {
+                    this.templates.restoreTemplate(template);
+                    this.tabSync.post({ kind: 'templates' });
+                }
+            });
+        } catch (error) {
+            console.error('Failed to delete template:', error);
+            this.ui.showErrorMessage('Failed to delete template.');
+        }
+    }
+
     switchToNote(noteId) {
         const note = this.noteManager.getNoteById(noteId);
         if (!note) return;
         
+        // A note whose content hasn't been read yet opens once it has, unless another note was opened meanwhile
+        this.openingNoteId = note.content === undefined ? noteId : null;
+        if (this.openingNoteId) {
+            this.noteManager.loadNoteContent(noteId)
+                .then(() => {
+                    if (this.openingNoteId === noteId) this.switchToNote(noteId);
+                })
+                .catch(error => {
+                    console.error('Failed to open note:', error);
+                    this.ui.showErrorMessage('Failed to open the note. Please try again.');
+                });
+            return;
+        }
+        
         // Save current note before switching
         if (this.currentNoteId && this.currentNoteId !== noteId) {
             this.saveCurrentNote();
@@ -92,174 +421,1239 @@ class TakenoteApp {
         
         this.noteManager.setActiveNote(noteId);
         this.currentNoteId = noteId;
+        this.selectedNotebookId = note.notebookId || null;
         
-        this.editor.setContent(note.content);
+        this.editor.loadNote(noteId, note.content);
         this.updateUI();
         this.editor.focus();
     }
 
     deleteNote(noteId, title) {
+        // Make sure the trashed copy has the latest edits
+        if (noteId === this.currentNoteId) {
+            this.saveCurrentNote();
+        }
+        
         const wasDeleted = this.noteManager.deleteNote(noteId);
         
         if (wasDeleted) {
             // If we deleted the current note, switch to the new active note
             if (noteId === this.currentNoteId) {
-                const newActiveNote = this.noteManager.getActiveNote();
-                if (newActiveNote) {
-                    this.currentNoteId = newActiveNote.id;
-                    this.editor.setContent(newActiveNote.content);
-                } else {
-                    // No notes left, create a new one
-                    this.createNewNote();
-                    return;
-                }
+                this.showActiveNoteAfterRemoval();
             }
             
             this.updateUI();
-            this.ui.showToast('Note deleted successfully!', 'success');
+            this.ui.showToast('Note moved to Trash.', 'success', 6000, {
+                label: 'Undo',
+                callback: () => this.restoreNote(noteId)
+            });
         } else {
             this.ui.showErrorMessage('Failed to delete note.');
         }
     }
 
-    editNoteTitle(noteId, newTitle) {
-        const updatedNote = this.noteManager.updateNoteTitle(noteId, newTitle);
-        if (updatedNote) {
-            this.updateUI();
-            this.ui.showToast('Note title updated!', 'success', 2000);
+    // Show whichever note became active after the current one left the list
+    showActiveNoteAfterRemoval() {
+        const newActiveNote = this.noteManager.getActiveNote();
+        if (newActiveNote && newActiveNote.content === undefined) {
+            // Nothing is saved from the editor until the note's content has been read
+            this.currentNoteId = null;
+            this.switchToNote(newActiveNote.id);
+        } else if (newActiveNote) {
+            this.currentNoteId = newActiveNote.id;
+            this.editor.loadNote(newActiveNote.id, newActiveNote.content);
         } else {
-            this.ui.showErrorMessage('Failed to update note title.');
+            // No notes left, create a new one
+            this.createNewNote();
         }
     }
 
-    handleContentChange(content) {
-        // Update live counters
-        const stats = this.noteManager.getNoteStats(content);
-        this.ui.updateStatusCounters(stats);
+    createNotebook() {
+        const notebook = this.noteManager.createNotebook('New Notebook', this.selectedNotebookId);
+        this.expandNotebookPath(notebook.parentId);
+        this.selectedNotebookId = notebook.id;
         
-        // Auto-save with debouncing
-        clearTimeout(this.autoSaveTimeout);
-        this.autoSaveTimeout = setTimeout(() => {
-            this.saveCurrentNote();
-        }, 1000);
+        this.showSidebarView('notes');
+        this.ui.startNotebookRename(notebook.id);
     }
 
-    saveCurrentNote() {
-        if (!this.currentNoteId) return;
+    // Clicking the selected notebook again goes back to the top level
+    selectNotebook(notebookId) {
+        this.selectedNotebookId = this.selectedNotebookId === notebookId ? null : notebookId;
+        this.updateUI();
+    }
+
+    toggleNotebook(notebookId) {
+        this.noteManager.toggleNotebookCollapsed(notebookId);
+        this.updateUI();
+    }
+
+    // Expand a notebook and all its parents so its contents are visible
+    expandNotebookPath(notebookId) {
+        let notebook = this.noteManager.getNotebookById(notebookId);
+        while (notebook) {
+            if (notebook.collapsed) {
+                this.noteManager.updateNotebook(notebook.id, { collapsed: false });
+            }
+            notebook = this.noteManager.getNotebookById(notebook.parentId);
+        }
+    }
+
+    renameNotebook(notebookId, newName) {
+        if (this.noteManager.renameNotebook(notebookId, newName)) {
+            this.updateUI();
+        } else {
+            this.ui.showErrorMessage('Failed to rename notebook.');
+        }
+    }
+
+    deleteNotebook(notebookId) {
+        const removedIds = this.noteManager.getNotebookDescendantIds(notebookId);
+        const currentNote = this.noteManager.getNoteById(this.currentNoteId);
+        const currentNoteRemoved = currentNote && removedIds.includes(currentNote.notebookId);
         
-        const content = this.editor.getContent();
-        this.noteManager.updateNoteTitleFromContent(this.currentNoteId, content);
+        // Make sure the trashed copy has the latest edits
+        if (currentNoteRemoved) {
+            this.saveCurrentNote();
+        }
+        
+        if (!this.noteManager.deleteNotebook(notebookId)) {
+            this.ui.showErrorMessage('Failed to delete notebook.');
+            return;
+        }
+        
+        if (removedIds.includes(this.selectedNotebookId)) {
+            this.selectedNotebookId = null;
+        }
+        if (currentNoteRemoved) {
+            this.showActiveNoteAfterRemoval();
+        }
         
-        // Update UI to reflect title changes
         this.updateUI();
+        this.ui.showToast('Notebook deleted. Its notes were moved to Trash.', 'success');
     }
 
-    handleFileUpload(file) {
-        if (!file) return;
+    moveNotebook(notebookId, parentId) {
+        if (notebookId === parentId) return;
         
-        // Check file type
-        const allowedTypes = ['text/plain', 'text/markdown'];
-        const allowedExtensions = ['.txt', '.md'];
+        if (this.noteManager.moveNotebook(notebookId, parentId)) {
+            this.expandNotebookPath(parentId);
+            this.updateUI();
+        } else {
+            this.ui.showErrorMessage('A notebook cannot be moved inside itself.');
+        }
+    }
+
+    moveNote(noteId, notebookId) {
+        const note = this.noteManager.moveNoteToNotebook(noteId, notebookId);
+        if (!note) return;
         
-        const hasValidType = allowedTypes.includes(file.type);
-        const hasValidExtension = allowedExtensions.some(ext => 
-            file.name.toLowerCase().endsWith(ext)
-        );
+        if (noteId === this.currentNoteId) {
+            this.selectedNotebookId = notebookId;
+        }
+        this.expandNotebookPath(notebookId);
+        this.updateUI();
+    }
+
+    search(query) {
+        this.searchQuery = query;
+        this.showSidebarView('notes');
+    }
+
+    openSearchResult(result) {
+        this.switchToNote(result.noteId);
+        const note = this.noteManager.getNoteById(result.noteId);
+        if (note && this.currentNoteId === note.id) {
+            this.editor.revealPlainTextMatch(this.noteManager.getPlainText(note.content), result.matchOffset, result.matchText.length);
+        }
+    }
+
+    changeSortOrder(sortOrder) {
+        this.sortOrder = sortOrder;
+        localStorage.setItem('takenote-sort-order', sortOrder);
+        this.updateUI();
+    }
+
+    togglePin(noteId) {
+        const note = this.noteManager.togglePin(noteId);
+        if (note) {
+            this.updateUI();
+            this.ui.showToast(note.pinned ? 'Note pinned to top.' : 'Note unpinned.', 'success', 2000);
+        }
+    }
+
+    // Dropping a note on another reorders it in manual mode; otherwise it just joins that note's notebook
+    dropNoteOnNote(noteId, targetNoteId) {
+        const target = this.noteManager.getNoteById(targetNoteId);
+        if (!target) return;
         
-        if (!hasValidType && !hasValidExtension) {
-            this.ui.showErrorMessage('Please select a text file (.txt) or markdown file (.md).');
+        if (this.sortOrder !== 'manual') {
+            this.moveNote(noteId, target.notebookId || null);
             return;
         }
         
-        const reader = new FileReader();
-        
-        reader.onload = (e) => {
-            try {
-                const content = e.target.result;
-                const newNote = this.noteManager.importTextContent(content, file.name);
-                
-                this.switchToNote(newNote.id);
-                this.ui.showFileUploadFeedback(file.name);
-            } catch (error) {
-                console.error('File upload error:', error);
-                this.ui.showErrorMessage('Failed to upload file. Please try again.');
+        if (this.noteManager.moveNoteBefore(noteId, targetNoteId)) {
+            if (noteId === this.currentNoteId) {
+                this.selectedNotebookId = target.notebookId || null;
             }
-        };
+            this.updateUI();
+        }
+    }
+
+    addTag(tag) {
+        if (!this.currentNoteId) return;
         
-        reader.onerror = () => {
-            this.ui.showErrorMessage('Failed to read file. Please try again.');
-        };
+        if (this.noteManager.addTag(this.currentNoteId, tag)) {
+            this.updateUI();
+        } else {
+            this.ui.showErrorMessage('Tags can only contain letters, numbers, "-" and "_".');
+        }
+    }
+
+    removeTag(tag) {
+        if (!this.currentNoteId) return;
         
-        reader.readAsText(file);
+        this.noteManager.removeTag(this.currentNoteId, tag);
+        this.updateUI();
+    }
+
+    toggleTagFilter(tag) {
+        if (this.selectedTags.includes(tag)) {
+            this.selectedTags = this.selectedTags.filter(t => t !== tag);
+        } else {
+            this.selectedTags = [...this.selectedTags, tag];
+        }
+        this.showSidebarView('notes');
+    }
+
+    clearTagFilter() {
+        this.selectedTags = [];
+        this.updateUI();
+    }
+
+    showSidebarView(view) {
+        this.sidebarView = view;
+        if (view === 'trash') {
+            this.noteManager.purgeExpiredTrash();
+        }
+        
+        this.ui.setSidebarView(view);
+        this.updateUI();
     }
 
-    handleFileDownload() {
-        if (!this.currentNoteId) {
-            this.ui.showErrorMessage('No note to download.');
+    // Tick or untick a checklist item from the Tasks view, writing it back to its note
+    setTaskChecked(noteId, index, text, checked) {
+        if (noteId === this.currentNoteId) {
+            this.saveCurrentNote();
+        }
+        
+        const note = this.noteManager.setTaskChecked(noteId, index, text, checked);
+        if (!note) {
+            this.ui.showErrorMessage('That task has changed. Open its note to see it.');
+            this.updateUI();
             return;
         }
         
-        // Save current content first
-        this.saveCurrentNote();
+        if (noteId === this.currentNoteId) {
+            this.editor.setContent(note.content);
+        }
+        this.updateUI();
         
-        const exportData = this.noteManager.exportNoteAsText(this.currentNoteId);
-        if (!exportData) {
-            this.ui.showErrorMessage('Failed to export note.');
+        if (checked) {
+            this.ui.showToast('Task done!', 'success', 4000, {
+                label: 'Undo',
+                callback: () => this.setTaskChecked(noteId, index, text, false)
+            });
+        }
+    }
+
+    restoreNote(noteId) {
+        const restoredNote = this.noteManager.restoreNote(noteId);
+        if (!restoredNote) {
+            this.ui.showErrorMessage('Failed to restore note.');
             return;
         }
         
-        try {
-            const blob = new Blob([exportData.content], { type: 'text/plain;charset=utf-8' });
-            const url = URL.createObjectURL(blob);
-            
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = exportData.filename;
-            link.style.display = 'none';
-            
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            URL.revokeObjectURL(url);
-            
-            this.ui.showFileDownloadFeedback(exportData.filename);
-        } catch (error) {
-            console.error('Download error:', error);
-            this.ui.showErrorMessage('Failed to download file. Please try again.');
+        this.switchToNote(restoredNote.id);
+        this.ui.showToast('Note restored!', 'success');
+    }
+
+    deleteNotePermanently(noteId) {
+        if (this.noteManager.deleteNotePermanently(noteId)) {
+            this.updateUI();
+            this.ui.showToast('Note deleted forever.', 'success');
+        } else {
+            this.ui.showErrorMessage('Failed to delete note.');
         }
     }
 
-    // Public methods for external access (if needed)
-    getCurrentNote() {
-        return this.noteManager.getActiveNote();
+    emptyTrash() {
+        const count = this.noteManager.emptyTrash();
+        this.updateUI();
+        this.ui.showToast(`${count} note${count === 1 ? '' : 's'} deleted forever.`, 'success');
     }
 
-    getAllNotes() {
-        return this.noteManager.getAllNotes();
+    changeTrashRetention(days) {
+        const purged = this.noteManager.setTrashRetentionDays(days);
+        this.updateUI();
+        if (purged > 0) {
+            this.ui.showToast(`${purged} old note${purged === 1 ? '' : 's'} removed from Trash.`, 'info');
+        }
     }
 
-    exportAllNotes() {
-        const notes = this.noteManager.getAllNotes();
-        const exportData = notes.map(note => ({
-            title: note.title,
-            content: note.content,
-            createdAt: note.createdAt,
-            updatedAt: note.updatedAt
-        }));
+    editNoteTitle(noteId, newTitle) {
+        const updatedNote = this.noteManager.updateNoteTitle(noteId, newTitle);
+        if (updatedNote) {
+            // The open note may link to the renamed one
+            this.editor.refreshNoteLinks();
+            this.updateUI();
+            this.ui.showToast('Note title updated!', 'success', 2000);
+        } else {
+            this.ui.showErrorMessage('Failed to update note title.');
+        }
+    }
+
+    handleContentChange(content) {
+        // Update live counters
+        const stats = this.noteManager.getNoteStats(content);
+        this.ui.updateStatusCounters(stats);
+        this.refreshFind();
         
-        return JSON.stringify(exportData, null, 2);
+        // Auto-save with debouncing
+        clearTimeout(this.autoSaveTimeout);
+        this.autoSaveTimeout = setTimeout(() => {
+            this.saveCurrentNote();
+        }, 1000);
     }
-}
 
-// Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.takenoteApp = new TakenoteApp();
-    
-    // Handle beforeunload to save current note
-    window.addEventListener('beforeunload', () => {
-        if (window.takenoteApp) {
-            window.takenoteApp.saveCurrentNote();
+    saveCurrentNote() {
+        if (!this.currentNoteId) return;
+        
+        // Hold local edits back until the user settles a conflict with another tab
+        if (this.conflict && this.conflict.noteId === this.currentNoteId) return;
+        
+        const content = this.editor.getContent();
+        this.noteManager.updateNoteTitleFromContent(this.currentNoteId, content);
+        
+        // Update UI to reflect title changes
+        this.updateUI();
+    }
+
+    // Open the find bar, looking for the selected text if there is some (an open bar keeps its query)
+    openFind(replaceMode) {
+        const selected = this.ui.isFindBarOpen() ? '' : this.editor.getSelectedText();
+        this.ui.showFindBar(replaceMode, selected && !selected.includes('\n') ? selected : null);
+        this.updateFindStatus(this.noteFinder.search(this.ui.getFindOptions()));
+    }
+    
+    updateFindStatus(status) {
+        this.ui.updateFindStatus(status, !this.editor.isReadOnly());
+    }
+    
+    // Keep the matches up to date while the note is edited or another note is opened
+    refreshFind() {
+        if (this.ui.isFindBarOpen()) {
+            this.updateFindStatus(this.noteFinder.refresh());
+        }
+    }
+    
+    replaceAll(replacement) {
+        const count = this.noteFinder.replaceAll(replacement);
+        this.updateFindStatus(this.noteFinder.getStatus());
+        if (count > 0) {
+            this.ui.showToast(`Replaced ${count} match${count === 1 ? '' : 'es'}.`, 'success', 4000, {
+                label: 'Undo',
+                callback: () => this.editor.undo()
+            });
+        }
+    }
+    
+    // Copy the code block with the caret to the clipboard
+    async copyCodeBlock() {
+        const pre = this.editor.activeCodeBlock;
+        if (!pre) return;
+        
+        try {
+            await navigator.clipboard.writeText(this.editor.getCodeText(pre));
+            this.ui.showToast('Code copied to the clipboard', 'success', 2000);
+        } catch (error) {
+            this.ui.showErrorMessage('Couldn\'t copy the code. Select it and press Ctrl+C instead.');
+        }
+    }
+    
+    // Save the link editor's text and address into the note, unless the address can't be linked to
+    saveLink(text, href) {
+        if (!href.trim()) {
+            this.ui.showLinkEditorError('Enter the address to link to.');
+        } else if (this.editor.applyLink(text, href)) {
+            this.ui.hideLinkEditor();
+        } else {
+            this.ui.showLinkEditorError('Links can only go to web pages (https://...), email addresses or phone numbers (tel:...).');
+        }
+    }
+    
+    // Open a web link in a new tab. Its address is checked again, as notes can be imported from anywhere
+    openLink(href) {
+        const url = href ? this.editor.sanitizer.sanitizeUrl(href) : null;
+        if (!url) {
+            this.ui.showErrorMessage('This link can\'t be opened, as it doesn\'t go to a web page, email address or phone number.');
+            return;
+        }
+        window.open(url, '_blank', 'noopener,noreferrer');
+    }
+    
+    // Suggest notes for the [[link]] being typed (query is null once the link is finished or abandoned)
+    showLinkSuggestions(query, caretRect) {
+        if (query === null) {
+            this.ui.hideLinkSuggestions();
+            return;
+        }
+        
+        const items = this.noteManager.suggestNoteTitles(query, this.currentNoteId)
+            .map(note => ({ id: note.id, title: note.title }));
+        const title = query.trim();
+        if (title && !this.noteManager.findNoteByTitle(title)) {
+            items.push({ create: true, title });
+        }
+        
+        if (items.length > 0) {
+            this.ui.showLinkSuggestions(items, caretRect);
+        } else {
+            this.ui.hideLinkSuggestions();
+        }
+    }
+    
+    pickLinkSuggestion(item) {
+        if (!item.create) {
+            this.editor.insertNoteLink(item.id, item.title);
+            return;
+        }
+        
+        const note = this.createLinkedNote(item.title);
+        this.editor.insertNoteLink(note.id, note.title);
+        this.ui.showToast(`Created note "${note.title}"`, 'success', 4000, {
+            label: 'Open',
+            callback: () => this.switchToNote(note.id)
+        });
+    }
+    
+    // A [[title]] typed out in full links to the note with that title, or to a note that doesn't exist yet
+    completeNoteLink(title) {
+        const note = this.noteManager.findNoteByTitle(title);
+        this.editor.insertNoteLink(note ? note.id : null, note ? note.title : title);
+    }
+    
+    // Create the target of a link without leaving the open note
+    createLinkedNote(title) {
+        const note = this.noteManager.createNote(title, '', this.selectedNotebookId);
+        this.noteManager.setActiveNote(this.currentNoteId);
+        this.updateUI();
+        return note;
+    }
+    
+    openNoteLink(noteId, title) {
+        const note = this.noteManager.getNoteById(noteId) || this.noteManager.findNoteByTitle(title);
+        if (note) {
+            // Links typed before their note existed are pointed at it now
+            if (note.id !== noteId) {
+                this.editor.relinkNoteLinks(title, note.id, noteId);
+            }
+            this.switchToNote(note.id);
+            return;
+        }
+        
+        const trashedNote = noteId && this.noteManager.getTrashedNoteById(noteId);
+        if (trashedNote) {
+            this.ui.showToast(`"${trashedNote.title}" is in the Trash.`, 'info', 6000, {
+                label: 'Restore',
+                callback: () => this.restoreNote(noteId)
+            });
+            return;
+        }
+        
+        this.ui.showToast(`There's no note called "${title}" yet.`, 'info', 6000, {
+            label: 'Create it',
+            callback: () => {
+                const created = this.createLinkedNote(title);
+                this.editor.relinkNoteLinks(title, created.id, noteId);
+                this.switchToNote(created.id);
+            }
+        });
+    }
+
+    async showHistory() {
+        if (!this.currentNoteId) return;
+        
+        this.saveCurrentNote();
+        
+        try {
+            this.historyRevisions = await this.noteManager.getRevisions(this.currentNoteId);
+            this.ui.showHistoryModal(this.historyRevisions);
+        } catch (error) {
+            console.error('History load error:', error);
+            this.ui.showErrorMessage('Failed to load revision history.');
+        }
+    }
+
+    showRevisionDiff(revisionId) {
+        const revision = (this.historyRevisions || []).find(rev => rev.id === revisionId);
+        if (!revision) return;
+        
+        const revisionText = this.noteManager.getPlainText(revision.content);
+        const currentText = this.noteManager.getPlainText(this.editor.getContent());
+        this.ui.renderRevisionDiff(this.textDiff.diffWords(revisionText, currentText));
+    }
+
+    async restoreRevision(revisionId) {
+        if (!this.currentNoteId) return;
+        
+        this.saveCurrentNote();
+        
+        try {
+            const restoredNote = await this.noteManager.restoreRevision(this.currentNoteId, revisionId);
+            if (!restoredNote) {
+                this.ui.showErrorMessage('Failed to restore this version.');
+                return;
+            }
+            
+            this.editor.setContent(restoredNote.content);
+            this.updateUI();
+            this.ui.hideHistoryModal();
+            this.ui.showToast('Version restored!', 'success');
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.ui.showErrorMessage('Failed to restore this version.');
+        }
+    }
+
+    // Another tab wrote notes or notebooks; refresh them from storage
+    async handleRemoteChange(message) {
+        try {
+            if (message.kind === 'notebook') {
+                for (const id of message.ids) {
+                    await this.noteManager.reloadNotebook(id);
+                }
+            } else if (message.kind === 'note') {
+                for (const id of message.ids) {
+                    await this.applyRemoteNote(id);
+                }
+            } else if (message.kind === 'vault') {
+                await this.handleRemoteVaultChange();
+            } else if (message.kind === 'templates') {
+                this.templates.reload();
+            }
+            this.updateUI();
+        } catch (error) {
+            console.warn('Failed to apply changes from another tab:', error);
+        }
+    }
+
+    async applyRemoteNote(noteId) {
+        const isCurrent = noteId === this.currentNoteId;
+        const localNote = this.noteManager.getNoteById(noteId);
+        const localContent = this.editor.getContent();
+        const hasUnsavedEdits = isCurrent && localNote && !localNote.sealed && localContent !== localNote.content;
+        
+        const note = await this.noteManager.reloadNote(noteId);
+        if (!isCurrent) return;
+        
+        if (!note || note.deletedAt) {
+            clearTimeout(this.autoSaveTimeout);
+            this.showActiveNoteAfterRemoval();
+            this.ui.showToast('The open note was deleted in another tab.', 'info');
+        } else if (note.content !== localContent) {
+            if (hasUnsavedEdits) {
+                clearTimeout(this.autoSaveTimeout);
+                this.conflict = { noteId, localContent };
+                this.ui.showConflictModal(note.title);
+            } else {
+                this.editor.setContent(note.content);
+            }
+        }
+    }
+
+    resolveConflict(choice) {
+        const conflict = this.conflict;
+        this.conflict = null;
+        if (!conflict) return;
+        
+        const note = this.noteManager.getNoteById(conflict.noteId);
+        if (!note) return;
+        
+        // Include anything typed while the prompt was open
+        const localContent = this.currentNoteId === note.id ? this.editor.getContent() : conflict.localContent;
+        
+        if (choice === 'mine') {
+            this.noteManager.updateNoteTitleFromContent(note.id, localContent);
+        } else {
+            if (choice === 'both') {
+                const copy = this.noteManager.createNote(`${note.title} (conflicted copy)`, localContent, note.notebookId);
+                this.noteManager.setActiveNote(note.id);
+                this.ui.showToast(`Your version was saved as "${copy.title}".`, 'success');
+            }
+            if (this.currentNoteId === note.id) {
+                this.editor.setContent(note.content);
+            }
+        }
+        this.updateUI();
+    }
+
+    handleFileUpload(file) {
+        if (!file) return;
+        
+        // Images go into the open note rather than becoming notes of their own
+        if (file.type.startsWith('image/')) {
+            this.insertImageFiles([file]);
+            return;
+        }
+        
+        // Check file type
+        const allowedTypes = ['text/plain', 'text/markdown'];
+        const allowedExtensions = ['.txt', '.md', '.markdown'];
+        const isMarkdown = file.type === 'text/markdown' || /\.(md|markdown)$/i.test(file.name);
+        
+        const hasValidType = allowedTypes.includes(file.type);
+        const hasValidExtension = allowedExtensions.some(ext => 
+            file.name.toLowerCase().endsWith(ext)
+        );
+        
+        if (!hasValidType && !hasValidExtension) {
+            this.ui.showErrorMessage('Please select a text file (.txt), a markdown file (.md) or an image.');
+            return;
+        }
+        
+        const reader = new FileReader();
+        
+        reader.onload = async (e) => {
+            try {
+                const content = e.target.result;
+                const newNote = isMarkdown
+                    ? await this.noteManager.importMarkdownContent(content, file.name, this.selectedNotebookId)
+                    : this.noteManager.importTextContent(content, file.name, this.selectedNotebookId);
+                
+                this.switchToNote(newNote.id);
+                this.ui.showFileUploadFeedback(file.name);
+            } catch (error) {
+                console.error('File upload error:', error);
+                this.ui.showErrorMessage('Failed to upload file. Please try again.');
+            }
+        };
+        
+        reader.onerror = () => {
+            this.ui.showErrorMessage('Failed to read file. Please try again.');
+        };
+        
+        reader.readAsText(file);
+    }
+
+    // Remove stored images that nothing shows any more, templates included
+    pruneImages() {
+        this.noteManager.pruneImages(this.templates.getAll())
+            .catch(error => console.warn('Failed to remove unused images:', error));
+    }
+    
+    // Store image files and insert them into the open note at the caret
+    async insertImageFiles(files) {
+        const noteId = this.currentNoteId;
+        if (!noteId || this.editor.isReadOnly()) return;
+        
+        let ids;
+        try {
+            const note = this.noteManager.getNoteById(noteId);
+            ids = await Promise.all(files.map(file => this.noteManager.addImage(file, note)));
+        } catch (error) {
+            console.error('Image error:', error);
+            this.ui.showErrorMessage(this.noteManager.isQuotaError(error)
+                ? 'There isn\'t enough storage space left for this image.'
+                : error.message || 'Failed to add the image. Please try again.');
+            return;
+        }
+        
+        // Images stored after switching notes are left unused, and removed later
+        if (this.currentNoteId === noteId) {
+            this.editor.insertImages(ids);
+        }
+    }
+
+    // Store the images embedded in pasted HTML for the open note; null if another note was opened meanwhile
+    async storePastedImages(html) {
+        const noteId = this.currentNoteId;
+        const stored = await this.noteManager.storeInlineImages(html, this.noteManager.getNoteById(noteId));
+        return this.currentNoteId === noteId ? stored : null;
+    }
+
+    showExport() {
+        // Include edits that haven't been auto-saved yet
+        clearTimeout(this.autoSaveTimeout);
+        this.saveCurrentNote();
+        
+        const notes = this.noteManager.getSortedNotes(this.noteManager.getAllNotes(), this.sortOrder);
+        this.ui.showExportModal(notes, this.currentNoteId ? [this.currentNoteId] : [], this.exportFormat);
+    }
+    
+    // Export notes as Markdown, an HTML page or plain text, or open them in the print view (for PDF)
+    async exportNotes(format, noteIds) {
+        const notes = noteIds
+            .map(id => this.noteManager.getNoteById(id))
+            .filter(note => note && !note.sealed);
+        if (notes.length === 0) {
+            this.ui.showErrorMessage('No note to export.');
+            return;
+        }
+        
+        this.exportFormat = format;
+        localStorage.setItem('takenote-export-format', format);
+        
+        try {
+            await this.noteManager.loadContents();
+            const images = format === 'text' ? [] : await this.noteManager.getImages(this.noteManager.getImageIds(notes));
+            if (format === 'print') {
+                this.printNotes(notes, await this.noteExporter.getImageSources(images));
+                return;
+            }
+            
+            const { blob, filename } = await this.buildExport(notes, format, images);
+            this.downloadBlob(blob, filename);
+            this.ui.showFileDownloadFeedback(filename);
+        } catch (error) {
+            console.error('Export error:', error);
+            this.ui.showErrorMessage('Failed to export. Please try again.');
+        }
+    }
+    
+    // One file for a single note or an HTML page; a ZIP of files for several Markdown or text notes.
+    // HTML pages embed the notes' images; Markdown with images comes in a ZIP with an images folder
+    async buildExport(notes, format, images = []) {
+        const date = new Date().toISOString().slice(0, 10);
+        const name = notes.length === 1 ? this.noteManager.sanitizeFilename(notes[0].title) : `takenote-notes-${date}`;
+        if (format === 'html') {
+            const html = this.noteExporter.toHtmlDocument(notes, await this.noteExporter.getImageSources(images));
+            return { blob: new Blob([html], { type: 'text/html;charset=utf-8' }), filename: `${name}.html` };
+        }
+        
+        const imagePaths = this.noteExporter.getImagePaths(images);
+        const files = notes.map(note => {
+            if (format === 'markdown') {
+                return { name: `${this.noteManager.sanitizeFilename(note.title)}.md`, content: this.noteExporter.toMarkdown(note, imagePaths) };
+            }
+            const exportData = this.noteManager.exportNoteAsText(note.id);
+            return { name: exportData.filename, content: exportData.content };
+        });
+        
+        if (files.length === 1 && images.length === 0) {
+            const type = format === 'markdown' ? 'text/markdown;charset=utf-8' : 'text/plain;charset=utf-8';
+            return { blob: new Blob([files[0].content], { type }), filename: files[0].name };
+        }
+        files.push(...await this.noteExporter.getImageFiles(images));
+        return { blob: this.noteExporter.createArchive(files), filename: `${name}.zip` };
+    }
+    
+    // Lay the notes out with the print stylesheet in a hidden frame and open the print dialog
+    printNotes(notes, imageSources) {
+        document.querySelectorAll('.print-frame').forEach(frame => frame.remove());
+        
+        const frame = document.createElement('iframe');
+        frame.className = 'print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.addEventListener('load', () => {
+            frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+        }, { once: true });
+        frame.srcdoc = this.noteExporter.toHtmlDocument(notes, imageSources);
+        document.body.appendChild(frame);
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        URL.revokeObjectURL(url);
+    }
+
+    async buildBackup() {
+        this.saveCurrentNote();
+        await this.noteManager.loadContents();
+        const notes = this.noteManager.getAllNotes();
+        const trash = this.noteManager.getTrashedNotes();
+        const images = await this.noteManager.getImages(this.noteManager.getImageIds([...notes, ...trash]));
+        return this.workspaceBackup.build(notes, trash, this.noteManager.getAllNotebooks(), images);
+    }
+
+    // Download every note, trashed note, notebook and image as one ZIP archive
+    async backupAllNotes() {
+        if (this.noteManager.hasSealedNotes()) {
+            this.ui.showErrorMessage('Unlock your encrypted notes before backing up.');
+            return;
+        }
+        
+        try {
+            const backup = await this.buildBackup();
+            const filename = `takenote-backup-${backup.createdAt.slice(0, 10)}.zip`;
+            this.downloadBlob(await this.workspaceBackup.toZip(backup), filename);
+            
+            this.ui.showToast(`Backed up ${backup.counts.notes} note${backup.counts.notes === 1 ? '' : 's'} to ${filename}`, 'success');
+        } catch (error) {
+            console.error('Backup error:', error);
+            this.ui.showErrorMessage('Failed to create the backup. Please try again.');
+        }
+    }
+
+    // Read and validate a backup file, then let the user choose how to restore it
+    async previewRestore(file) {
+        if (!file) return;
+        
+        if (this.noteManager.hasSealedNotes()) {
+            this.ui.showErrorMessage('Unlock your encrypted notes before restoring a backup.');
+            return;
+        }
+        
+        let backup;
+        try {
+            backup = await this.workspaceBackup.readFile(file);
+            await this.noteManager.loadContents();
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.ui.showErrorMessage(error.message || 'Failed to read the backup file.');
+            return;
+        }
+        
+        if (backup.notes.length === 0 && backup.trash.length === 0) {
+            this.ui.showErrorMessage('This backup doesn\'t contain any notes.');
+            return;
+        }
+        
+        this.pendingRestore = backup;
+        this.ui.showRestoreModal({
+            filename: file.name,
+            createdAt: backup.createdAt,
+            noteCount: backup.notes.length,
+            trashCount: backup.trash.length,
+            notebookCount: backup.notebooks.length,
+            imageCount: backup.images.length,
+            conflictCount: this.noteManager.findBackupConflicts(backup).length,
+            skipped: backup.skipped,
+            titles: backup.notes.slice(0, 5).map(note => note.title)
+        });
+    }
+
+    async restoreBackup(mode, conflictStrategy) {
+        const backup = this.pendingRestore;
+        this.pendingRestore = null;
+        if (!backup) return;
+        
+        // Images go first, so the restored notes can show them straight away
+        let imagesRestored = true;
+        try {
+            await this.noteManager.restoreImages(backup.images);
+        } catch (error) {
+            console.error('Image restore error:', error);
+            imagesRestored = false;
+        }
+        
+        // Keep the open note's latest edits from being overwritten by the backup after the fact
+        clearTimeout(this.autoSaveTimeout);
+        this.saveCurrentNote();
+        
+        const summary = this.noteManager.restoreBackup(backup, mode, conflictStrategy);
+        
+        const currentNote = this.noteManager.getNoteById(this.currentNoteId);
+        if (!currentNote) {
+            this.showActiveNoteAfterRemoval();
+        } else if (currentNote.content !== this.editor.getContent()) {
+            this.editor.setContent(currentNote.content);
+        }
+        if (this.selectedNotebookId && !this.noteManager.getNotebookById(this.selectedNotebookId)) {
+            this.selectedNotebookId = null;
+        }
+        this.updateUI();
+        
+        const parts = [`${summary.added} added`];
+        if (summary.updated > 0) parts.push(`${summary.updated} updated`);
+        if (summary.copied > 0) parts.push(`${summary.copied} restored as copies`);
+        if (summary.unchanged + summary.kept > 0) parts.push(`${summary.unchanged + summary.kept} unchanged`);
+        if (summary.trashed > 0) parts.push(`${summary.trashed} moved to Trash`);
+        this.editor.loadImages();
+        if (imagesRestored) {
+            this.ui.showToast(`Backup restored: ${parts.join(', ')}.`, 'success', 6000);
+        } else {
+            this.ui.showToast(`Backup restored: ${parts.join(', ')}. Its images couldn't be stored, so they won't show.`, 'error', 8000);
+        }
+    }
+
+    // Show or clear the save-failure banner; space is re-measured when saving starts failing or recovers
+    handleSaveStatusChange(status) {
+        this.ui.updateStorageBanner(status, this.storageUsage);
+        if (status.failed === this.saveFailed) return;
+        
+        this.saveFailed = status.failed;
+        this.refreshStorageUsage();
+        if (!status.failed) {
+            this.ui.showToast('All changes saved.', 'success');
+        }
+    }
+    
+    // Measure storage use and update the meter, banner and storage dialog
+    async refreshStorageUsage() {
+        try {
+            this.storageUsage = await this.noteManager.getStorageUsage();
+        } catch (error) {
+            console.warn('Failed to measure storage usage:', error);
+            return null;
+        }
+        this.ui.updateStorageUsage(this.storageUsage);
+        this.ui.updateStorageBanner(this.noteManager.getSaveStatus(), this.storageUsage);
+        return this.storageUsage;
+    }
+    
+    async showStorage() {
+        if (await this.refreshStorageUsage()) {
+            this.ui.showStorageModal();
+        } else {
+            this.ui.showErrorMessage('Failed to measure storage usage.');
+        }
+    }
+    
+    async retrySaving() {
+        if (!(await this.noteManager.flushUnsavedNotes())) {
+            this.ui.showErrorMessage('Still unable to save. Free up some space and try again.');
+        }
+    }
+    
+    // Download notes as a backup file, then delete them (and their history) to free up space
+    async exportAndRemoveNotes(noteIds) {
+        clearTimeout(this.autoSaveTimeout);
+        this.saveCurrentNote();
+        
+        const notes = this.noteManager.getAllNotes().filter(note => noteIds.includes(note.id));
+        const trash = this.noteManager.getTrashedNotes().filter(note => noteIds.includes(note.id));
+        if (notes.length + trash.length === 0) return;
+        if ([...notes, ...trash].some(note => note.sealed)) {
+            this.ui.showErrorMessage('Unlock your encrypted notes before exporting them.');
+            return;
+        }
+        
+        let filename;
+        try {
+            await this.noteManager.loadContents();
+            const images = await this.noteManager.getImages(this.noteManager.getImageIds([...notes, ...trash]));
+            const backup = this.workspaceBackup.build(notes, trash, this.noteManager.getAllNotebooks(), images);
+            filename = `takenote-export-${backup.createdAt.slice(0, 10)}.zip`;
+            this.downloadBlob(await this.workspaceBackup.toZip(backup), filename);
+        } catch (error) {
+            console.error('Export error:', error);
+            this.ui.showErrorMessage('Failed to export the notes, so nothing was removed.');
+            return;
+        }
+        
+        const removed = await this.noteManager.removeNotesPermanently(noteIds);
+        if (!this.noteManager.getNoteById(this.currentNoteId)) {
+            this.showActiveNoteAfterRemoval();
+        }
+        this.updateUI();
+        this.ui.showToast(`Saved ${removed} note${removed === 1 ? '' : 's'} to ${filename} and removed ${removed === 1 ? 'it' : 'them'} from this device.`, 'success', 6000);
+        
+        // The freed space may be enough for changes that couldn't be saved before
+        if (this.noteManager.getUnsavedCount() > 0) {
+            await this.noteManager.flushUnsavedNotes();
+        }
+        this.refreshStorageUsage();
+    }
+
+    // Tell the user about anything that went wrong while loading, including notes set aside earlier
+    async reportLoadProblems() {
+        const errors = this.noteManager.loadErrors;
+        const quarantine = await this.noteManager.getQuarantine();
+        if (errors.length === 0 && quarantine.length === 0) return;
+        
+        const message = quarantine.length > 0
+            ? `${quarantine.length} saved item${quarantine.length === 1 ? '' : 's'} couldn't be loaded and ${quarantine.length === 1 ? 'was' : 'were'} set aside.`
+            : errors[0];
+        this.ui.showToast(message, 'error', 10000, {
+            label: 'Details',
+            callback: () => this.showLoadProblems()
+        });
+    }
+    
+    async showLoadProblems() {
+        this.ui.showLoadProblemsModal(this.noteManager.loadErrors, await this.noteManager.getQuarantine());
+    }
+    
+    // Download the quarantined records as they were found, so their text can be recovered by hand
+    async downloadQuarantine() {
+        const quarantine = await this.noteManager.getQuarantine();
+        if (quarantine.length === 0) return;
+        
+        const filename = `takenote-set-aside-${new Date().toISOString().slice(0, 10)}.json`;
+        this.downloadBlob(new Blob([JSON.stringify(quarantine, null, 2)], { type: 'application/json' }), filename);
+        this.ui.showToast(`Downloaded ${filename}`, 'success');
+    }
+    
+    async clearQuarantine() {
+        try {
+            await this.noteManager.clearQuarantine();
+        } catch (error) {
+            console.error('Failed to clear quarantine:', error);
+            this.ui.showErrorMessage('Failed to delete the set-aside notes.');
+            return;
+        }
+        this.ui.showToast('Set-aside notes deleted.', 'success');
+        this.refreshStorageUsage();
+    }
+    
+    getVaultState() {
+        const vault = this.noteManager.vault;
+        if (!vault.isEnabled()) return 'off';
+        return vault.isUnlocked() ? 'unlocked' : 'locked';
+    }
+
+    showVaultSettings() {
+        const vault = this.noteManager.vault;
+        if (!vault.isEnabled()) {
+            this.ui.showVaultModal('setup');
+        } else if (!vault.isUnlocked()) {
+            this.ui.showUnlockScreen(true);
+        } else {
+            this.ui.showVaultModal('manage', {
+                encryptAll: vault.encryptsAll(),
+                autoLockMinutes: vault.getAutoLockMinutes()
+            });
+        }
+    }
+
+    // Run a vault operation that derives keys or re-encrypts notes; resolves to null if it threw
+    async runVaultTask(task, failureMessage) {
+        this.ui.setVaultBusy(true);
+        this.saveCurrentNote();
+        try {
+            return await task();
+        } catch (error) {
+            console.error('Vault error:', error);
+            this.ui.showVaultError(failureMessage);
+            return null;
+        } finally {
+            this.ui.setVaultBusy(false);
+            this.updateUI();
+        }
+    }
+
+    async createVault(passphrase, settings) {
+        const created = await this.runVaultTask(async () => {
+            await this.noteManager.createVault(passphrase, settings);
+            return true;
+        }, 'Failed to turn on encryption.');
+        
+        if (created) {
+            this.ui.hideVaultModal();
+            this.resetAutoLock();
+            this.ui.showToast(settings.encryptAll ? 'All notes are now encrypted.' : 'Encryption is on. Lock notes to encrypt them.', 'success');
+        }
+    }
+
+    async saveVaultSettings(settings) {
+        const saved = await this.runVaultTask(async () => {
+            await this.noteManager.updateVaultSettings(settings);
+            return true;
+        }, 'Failed to save encryption settings.');
+        
+        if (saved) {
+            this.ui.hideVaultModal();
+            this.resetAutoLock();
+            this.ui.showToast('Encryption settings saved.', 'success');
+        }
+    }
+
+    async changeVaultPassphrase(currentPassphrase, newPassphrase) {
+        const changed = await this.runVaultTask(
+            () => this.noteManager.changeVaultPassphrase(currentPassphrase, newPassphrase),
+            'Failed to re-encrypt your notes. Your new passphrase unlocks everything saved so far.'
+        );
+        
+        if (changed) {
+            this.ui.hideVaultModal();
+            this.ui.showToast('Passphrase changed and notes re-encrypted.', 'success');
+        } else if (changed === false) {
+            this.ui.showVaultError('The current passphrase is wrong.');
+        }
+    }
+
+    async disableVault(passphrase) {
+        const disabled = await this.runVaultTask(
+            () => this.noteManager.disableVault(passphrase),
+            'Failed to decrypt your notes. Encryption is still on.'
+        );
+        
+        if (disabled) {
+            clearTimeout(this.autoLockTimeout);
+            this.ui.hideVaultModal();
+            this.ui.showToast('Encryption turned off.', 'success');
+        } else if (disabled === false) {
+            this.ui.showVaultError('The current passphrase is wrong.');
+        }
+    }
+
+    async unlockVault(passphrase) {
+        this.ui.setUnlockBusy(true);
+        try {
+            if (!(await this.noteManager.unlockVault(passphrase))) {
+                this.ui.setUnlockBusy(false);
+                this.ui.showUnlockError('Wrong passphrase. Please try again.');
+                return;
+            }
+        } catch (error) {
+            console.error('Unlock error:', error);
+            this.ui.setUnlockBusy(false);
+            this.ui.showUnlockError('Failed to unlock. Please try again.');
+            return;
+        }
+        
+        this.ui.hideUnlockScreen();
+        const currentNote = this.noteManager.getNoteById(this.currentNoteId);
+        if (currentNote) {
+            // Undo shouldn't go back to the locked placeholder
+            this.editor.loadNote(currentNote.id, currentNote.content);
+        }
+        this.updateUI();
+        this.resetAutoLock();
+        
+        // Images only encrypted notes show can be told apart from unused ones now
+        this.pruneImages();
+    }
+
+    // Forget the vault keys and hide every encrypted note again
+    async lockVault() {
+        const vault = this.noteManager.vault;
+        if (!vault.isEnabled() || !vault.isUnlocked()) return;
+        
+        clearTimeout(this.autoSaveTimeout);
+        clearTimeout(this.autoLockTimeout);
+        this.saveCurrentNote();
+        this.ui.hideHistoryModal();
+        this.ui.hideVaultModal();
+        
+        await this.noteManager.lockVault();
+        
+        const currentNote = this.noteManager.getNoteById(this.currentNoteId);
+        if (currentNote) {
+            this.editor.setContent(currentNote.content);
+        }
+        this.editor.clearHistory();
+        this.updateUI();
+        
+        if (vault.encryptsAll()) {
+            this.ui.showUnlockScreen(false);
+        }
+    }
+
+    async toggleNoteLock() {
+        const note = this.noteManager.getNoteById(this.currentNoteId);
+        const vault = this.noteManager.vault;
+        if (!note) return;
+        
+        if (!vault.isEnabled()) {
+            this.ui.showToast('Set a passphrase first to lock notes.', 'info');
+            this.ui.showVaultModal('setup');
+            return;
+        }
+        if (!vault.isUnlocked()) {
+            this.ui.showUnlockScreen(true);
+            return;
+        }
+        
+        this.saveCurrentNote();
+        try {
+            const updated = await this.noteManager.setNoteLocked(note.id, !note.locked);
+            this.updateUI();
+            if (vault.encryptsAll()) {
+                this.ui.showToast(updated.locked ? 'Note locked.' : 'Note unlocked. It stays encrypted because all notes are.', 'success');
+            } else {
+                this.ui.showToast(updated.locked ? 'Note locked and encrypted.' : 'Note unlocked and stored as plain text.', 'success');
+            }
+        } catch (error) {
+            console.error('Lock error:', error);
+            this.ui.showErrorMessage('Failed to change the note\'s lock.');
+        }
+    }
+
+    // Another tab changed the vault settings or passphrase: reload everything with the new keys
+    async handleRemoteVaultChange() {
+        clearTimeout(this.autoSaveTimeout);
+        clearTimeout(this.autoLockTimeout);
+        this.ui.hideHistoryModal();
+        this.ui.hideVaultModal();
+        
+        await this.noteManager.reloadAllNotes();
+        
+        const currentNote = this.noteManager.getNoteById(this.currentNoteId);
+        if (currentNote) {
+            this.editor.setContent(currentNote.content);
+        } else {
+            this.showActiveNoteAfterRemoval();
+        }
+        this.editor.clearHistory();
+        
+        if (this.noteManager.vault.encryptsAll()) {
+            this.ui.showUnlockScreen(false);
+        } else {
+            this.ui.hideUnlockScreen();
+            this.ui.showToast('Encryption settings were changed in another tab.', 'info');
+        }
+    }
+
+    // Lock the vault after a period without keyboard, mouse or touch activity
+    bindAutoLock() {
+        ['mousedown', 'keydown', 'touchstart', 'wheel'].forEach(eventName => {
+            document.addEventListener(eventName, () => this.resetAutoLock(), { passive: true });
+        });
+        this.resetAutoLock();
+    }
+
+    resetAutoLock() {
+        clearTimeout(this.autoLockTimeout);
+        
+        const vault = this.noteManager.vault;
+        const minutes = vault.getAutoLockMinutes();
+        if (!vault.isEnabled() || !vault.isUnlocked() || !minutes) return;
+        
+        this.autoLockTimeout = setTimeout(() => this.lockVault(), minutes * 60 * 1000);
+    }
+
+    // Public methods for external access (if needed)
+    getCurrentNote() {
+        return this.noteManager.getActiveNote();
+    }
+
+    getAllNotes() {
+        return this.noteManager.getAllNotes();
+    }
+
+    async exportAllNotes() {
+        return this.workspaceBackup.toJSON(await this.buildBackup());
+    }
+}
+
+// Initialize the application when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.takenoteApp = new TakenoteApp();
+    
+    // Handle beforeunload to save current note
+    window.addEventListener('beforeunload', (e) => {
+        if (window.takenoteApp) {
+            window.takenoteApp.saveCurrentNote();
+            
+            // Changes that couldn't be saved only survive a reload, so ask before the tab closes
+            if (window.takenoteApp.noteManager.getUnsavedCount() > 0) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
         }
     });
     
@@ -0,0 +1,34 @@
+/**
+ * base64.js
+ * Converts bytes to and from Base64 text, for backups, encrypted notes and images embedded as data: URLs
+ */
+
+class Base64 {
+    static encode(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static decode(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // The file a data: URL holds, or null if it isn't one
+    static toBlob(dataUrl) {
+        const match = String(dataUrl).trim().match(/^data:([^;,]*)[^,]*?(;base64)?,(.*)$/is);
+        if (!match) return null;
+
+        const bytes = match[2]
+            ? Base64.decode(match[3].replace(/\s+/g, ''))
+            : new TextEncoder().encode(decodeURIComponent(match[3]));
+        return new Blob([bytes], { type: match[1].toLowerCase() });
+    }
+}
\ No newline at end of file
@@ -10,6 +10,31 @@ class Editor {
         this.redoStack = [];
         this.maxUndoLevels = 50;
         this.lastSavedState = '';
+        this.lastSavedSelection = null; // Where the selection was before the changes not yet in undoStack
+        this.hasPendingChanges = false;
+        this.lastChange = null; // { kind, time, endsWord } of the latest edit, for grouping typing into undo steps
+        this.typingGroupDelay = 1000;
+        this.noteId = null;
+        this.histories = new Map(); // Undo history of each note shown, by note ID (most recently used last)
+        this.maxHistories = 30;
+        this.pendingLink = null; // The [[ being typed: { node, start, end } within a text node
+        this.sanitizer = new HtmlSanitizer();
+        this.pasteAsPlainText = false; // Set by Ctrl+Shift+V for the paste that follows
+        this.tableMenuCell = null; // The cell the table menu was opened on
+        this.highlighter = new SyntaxHighlighter();
+        this.activeCodeBlock = null; // The <pre> with the caret, whose language and copy button are shown
+        this.codeIndent = '    ';
+        this.activeImage = null; // The selected <img>, whose alt text and resize handle are shown
+        this.resizingImage = false;
+        this.minImageWidth = 32;
+        this.linkEdit = null; // { link, selection } the link editor was opened for; link is null for a new link
+        this.hoveredLink = null; // The web link under the mouse
+        this.cardLink = null; // The web link whose card (open, edit, remove) is shown
+        this.linkCardHovered = false;
+        this.linkCardDelay = 300;
+        
+        // Code is coloured with the CSS Custom Highlight API, which leaves the note's markup alone
+        this.canHighlight = typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight !== 'undefined';
         
         this.initializeEditor();
         this.bindEvents();
@@ -23,8 +48,21 @@ class Editor {
 
     bindEvents() {
         // Input events
-        this.editor.addEventListener('input', () => {
+        this.editor.addEventListener('beforeinput', (e) => {
+            this.handleBeforeInput(e);
+        });
+
+        this.editor.addEventListener('input', (e) => {
             this.handleInput();
+            if (e.inputType !== 'insertText' || !e.data) return;
+            
+            // Markdown typed at the start of a line or around a word becomes formatting once it's finished
+            this.applyMarkdownShortcut(e.data);
+            
+            // A web address becomes a link once a space is typed after it
+            if (/^\s$/.test(e.data)) {
+                this.autolinkBeforeCaret(1);
+            }
         });
 
         this.editor.addEventListener('keydown', (e) => {
@@ -34,28 +72,154 @@ class Editor {
         // Selection change events
         document.addEventListener('selectionchange', () => {
             this.updateToolbarState();
+            
+            // Undo puts the selection back where it was before the change being undone
+            if (!this.hasPendingChanges) {
+                this.lastSavedSelection = this.getSelectionState() || this.lastSavedSelection;
+            }
+            
+            // Moving the caret away from a [[ closes the link suggestions
+            if (this.pendingLink) {
+                this.checkNoteLinkTrigger();
+            }
+            
+            this.updateActiveCodeBlock();
+            this.updateActiveImage();
+            this.updateLinkCard();
+        });
+        
+        // Keep the code block and image tools over their block or image
+        this.editor.addEventListener('scroll', () => {
+            if (this.activeCodeBlock) this.updateActiveCodeBlock();
+            if (this.activeImage) this.updateActiveImage(true);
+            if (this.cardLink) this.updateLinkCard(true);
+        });
+        window.addEventListener('resize', () => {
+            if (this.activeCodeBlock) this.updateActiveCodeBlock();
+            if (this.activeImage) this.updateActiveImage(true);
+            if (this.cardLink) this.updateLinkCard(true);
+        });
+        
+        // Pointing at a web link shows its card
+        this.editor.addEventListener('mouseover', (e) => {
+            this.setHoveredLink(this.getWebLink(e.target));
+        });
+        this.editor.addEventListener('mouseleave', () => {
+            this.setHoveredLink(null);
+        });
+        
+        // Note links
+        this.editor.addEventListener('click', (e) => {
+            if (this.handleChecklistClick(e) || this.handleImageClick(e) || this.handleWebLinkClick(e)) return;
+            
+            const link = e.target.closest ? e.target.closest('a.note-link') : null;
+            if (!link) return;
+            
+            e.preventDefault();
+            if (this.onNoteLinkClick) {
+                this.onNoteLinkClick(link.dataset.noteId || null, link.dataset.noteTitle || link.textContent);
+            }
         });
 
         // Paste event
         this.editor.addEventListener('paste', (e) => {
             this.handlePaste(e);
         });
+        
+        // Image files dropped on the note are stored and shown where they were dropped
+        this.editor.addEventListener('dragover', (e) => {
+            if (this.hasImageFiles(e.dataTransfer) && !this.isReadOnly()) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+            }
+        });
+        this.editor.addEventListener('drop', (e) => {
+            this.handleDrop(e);
+        });
+        
+        // Right-clicking a table cell opens the table menu (Shift+right-click keeps the browser's)
+        this.editor.addEventListener('contextmenu', (e) => {
+            this.handleTableContextMenu(e);
+        });
+    }
+
+    // Decide whether the edit about to happen continues the current undo step or starts a new one
+    handleBeforeInput(e) {
+        const type = e.inputType || '';
+        if (type === 'historyUndo' || type === 'historyRedo') {
+            e.preventDefault();
+            if (type === 'historyUndo') {
+                this.undo();
+            } else {
+                this.redo();
+            }
+            return;
+        }
+        
+        // A web address at the end of a line becomes a link when Enter is pressed
+        if (type === 'insertParagraph' || type === 'insertLineBreak') {
+            this.autolinkBeforeCaret();
+        }
+        
+        const kind = type === 'insertText' ? 'typing' : type.startsWith('delete') ? 'deleting' : 'other';
+        const data = e.data || '';
+        const last = this.lastChange;
+        const now = Date.now();
+        
+        // Typing runs word by word; a pause, switching between typing and deleting, or any
+        // other edit (Enter, formatting, dropping text) starts a new step
+        const startsWord = kind === 'typing' && last && last.endsWord && !/^\s/.test(data);
+        if (!last || kind === 'other' || last.kind !== kind || now - last.time > this.typingGroupDelay || startsWord) {
+            this.saveState();
+        }
+        this.lastChange = { kind, time: now, endsWord: kind === 'typing' && /\s$/.test(data) };
     }
 
     handleInput() {
+        this.hasPendingChanges = true;
+        this.checkNoteLinkTrigger();
+        
+        // Browsers copy the ticked state into the item started by Enter
+        const item = this.getChecklistItem();
+        if (item && item.classList.contains('checked') && !item.textContent.trim()) {
+            item.classList.remove('checked');
+        }
+        
+        this.highlightCode();
+        this.updateActiveCodeBlock();
+        
         // Trigger content change callback
         if (this.onContentChange) {
             this.onContentChange(this.getContent());
         }
         
-        // Save state for undo functionality (debounced)
+        // Close the undo step once typing pauses
         clearTimeout(this.saveStateTimeout);
         this.saveStateTimeout = setTimeout(() => {
             this.saveState();
-        }, 500);
+        }, this.typingGroupDelay);
     }
 
     handleKeyDown(e) {
+        // Let the link suggestions take arrow keys, Enter and Escape while they're open
+        if (this.pendingLink && this.onLinkKeyDown && this.onLinkKeyDown(e)) {
+            e.preventDefault();
+            return;
+        }
+        
+        // In code blocks Tab indents and Enter keeps the line's indentation
+        if (this.getSelectedCodeBlock() && this.handleCodeKeyDown(e)) {
+            e.preventDefault();
+            return;
+        }
+        
+        // Tab and Shift+Tab move between table cells
+        if (e.key === 'Tab' && !e.ctrlKey && !e.metaKey && !e.altKey && this.getSelectedCell()) {
+            e.preventDefault();
+            this.moveToCell(this.getSelectedCell(), e.shiftKey ? -1 : 1);
+            return;
+        }
+        
         // Handle keyboard shortcuts
         if (e.ctrlKey || e.metaKey) {
             switch (e.key.toLowerCase()) {
@@ -67,6 +231,10 @@ class Editor {
                     e.preventDefault();
                     this.toggleItalic();
                     break;
+                case 'k':
+                    e.preventDefault();
+                    this.editLink();
+                    break;
                 case 'z':
                     if (e.shiftKey) {
                         e.preventDefault();
@@ -80,6 +248,22 @@ class Editor {
                     e.preventDefault();
                     this.redo();
                     break;
+                case 'enter':
+                    // Tick or untick the checklist item with the caret
+                    if (this.getChecklistItem()) {
+                        e.preventDefault();
+                        this.toggleChecklistItem(this.getChecklistItem());
+                    }
+                    break;
+                case 'v':
+                    // The browser still fires the paste event; this only changes how it's handled
+                    if (e.shiftKey) {
+                        this.pasteAsPlainText = true;
+                        setTimeout(() => {
+                            this.pasteAsPlainText = false;
+                        }, 0);
+                    }
+                    break;
             }
         }
     }
@@ -87,26 +271,167 @@ class Editor {
     handlePaste(e) {
         e.preventDefault();
         
-        // Get plain text from clipboard
-        const paste = (e.clipboardData || window.clipboardData).getData('text');
+        const clipboard = e.clipboardData || window.clipboardData;
+        const plainText = this.pasteAsPlainText;
+        this.pasteAsPlainText = false;
+        
+        // Code keeps its text exactly, whatever else is on the clipboard
+        if (this.getSelectedCodeBlock()) {
+            this.applyEdit(() => this.insertCodeText(clipboard.getData('text').replace(/\r\n?/g, '\n')));
+            return;
+        }
+        
+        // Screenshots and copied images (which come with no text) are stored as files
+        const images = this.getImageFiles(clipboard);
+        if (images.length > 0 && !clipboard.getData('text/plain').trim()) {
+            if (this.onImageFiles) this.onImageFiles(images);
+            return;
+        }
+        
+        // A web address pasted over selected text links the text to it
+        const pastedUrl = /^(https?:\/\/|www\.)\S+$/i.test(clipboard.getData('text/plain').trim())
+            ? this.sanitizer.normalizeLinkUrl(clipboard.getData('text/plain'))
+            : null;
+        if (pastedUrl && !window.getSelection().isCollapsed && this.getSelectionState() && !this.getSelectedLink()) {
+            this.applyEdit(() => this.linkSelection(pastedUrl));
+            return;
+        }
+        
+        // Keep formatting from other pages and documents, cleaned down to what the editor supports
+        const html = !plainText && clipboard.types && Array.from(clipboard.types).includes('text/html')
+            ? this.sanitizer.sanitize(clipboard.getData('text/html'))
+            : '';
+        
+        // Images the page embeds as data: URLs are stored as files first, then the paste goes in where it was made
+        if (this.storeInlineImages && /<img [^>]*src="data:/i.test(html)) {
+            const selection = this.getSelectionState();
+            Promise.resolve(this.storeInlineImages(html)).then(stored => {
+                if (stored === null || this.isReadOnly()) return;
+                this.restoreSelection(selection);
+                this.applyEdit(() => this.insertPastedHTML(stored));
+                this.loadImages();
+            });
+            return;
+        }
+        
+        // A paste is an undo step of its own
+        this.saveState();
+        if (html) {
+            this.insertPastedHTML(html);
+        } else {
+            // Get plain text from clipboard
+            const paste = clipboard.getData('text');
+            
+            // Insert as plain text, preserving line breaks, with web addresses as links
+            const linkify = !this.getSelectedLink();
+            const lines = paste.split('\n');
+            const htmlLines = lines.map(line => 
+                line.trim() ? `<p>${linkify ? this.linkifyText(line) : this.escapeHtml(line)}</p>` : '<p><br></p>'
+            ).join('');
+            
+            this.insertHTML(this.fitToCell(htmlLines));
+        }
+        this.saveState();
+    }
+
+    insertPastedHTML(html) {
+        // A single paragraph joins the line being typed rather than starting a new one
+        const container = document.createElement('div');
+        container.innerHTML = html;
+        const only = container.children.length === 1 && container.childNodes.length === 1 ? container.firstElementChild : null;
+        if (only && only.tagName === 'P' && !only.hasAttribute('style')) {
+            html = only.innerHTML;
+        }
+        
+        this.insertHTML(this.fitToCell(html));
         
-        // Insert as plain text, preserving line breaks
-        const lines = paste.split('\n');
-        const htmlLines = lines.map(line => 
-            line.trim() ? `<p>${this.escapeHtml(line)}</p>` : '<p><br></p>'
-        ).join('');
+        // Show copied note links with their notes' current titles
+        this.refreshNoteLinks();
+    }
+
+    // A table cell holds a single run of text, so lines pasted into one become line breaks
+    fitToCell(html) {
+        if (!this.getSelectedCell()) return html;
         
-        this.insertHTML(htmlLines);
+        const cell = document.createElement('td');
+        cell.innerHTML = html;
+        this.sanitizer.flattenCell(cell);
+        return cell.innerHTML;
     }
 
     // Content manipulation methods
+    // Stored images are saved by ID alone, as the address they're shown from only lasts while the page is open
     getContent() {
-        return this.editor.innerHTML;
+        if (!this.editor.querySelector('img[data-image-id][src]')) {
+            return this.editor.innerHTML;
+        }
+        
+        const container = this.editor.cloneNode(true);
+        container.querySelectorAll('img[data-image-id]').forEach(image => image.removeAttribute('src'));
+        return container.innerHTML;
     }
 
+    // Replace the open note's content (e.g. with a restored version) as a step that can be undone
     setContent(html) {
-        this.editor.innerHTML = html || '<p><br></p>';
         this.saveState();
+        this.renderContent(html);
+        this.saveState();
+    }
+
+    // Show a note with its own undo history, so switching away and back keeps what can be undone
+    loadNote(noteId, html) {
+        if (this.noteId !== null) {
+            this.saveState();
+            this.storeHistory();
+        }
+        
+        this.noteId = noteId;
+        this.renderContent(html);
+        const content = this.getContent();
+        const history = this.histories.get(noteId);
+        
+        // A note changed elsewhere since its history was recorded can't be undone step by step
+        if (history && history.lastSavedState === content) {
+            this.undoStack = history.undoStack;
+            this.redoStack = history.redoStack;
+        } else {
+            this.undoStack = [];
+            this.redoStack = [];
+        }
+        this.lastSavedState = content;
+        this.lastSavedSelection = null;
+        this.lastChange = null;
+    }
+
+    storeHistory() {
+        this.histories.delete(this.noteId);
+        this.histories.set(this.noteId, {
+            undoStack: this.undoStack,
+            redoStack: this.redoStack,
+            lastSavedState: this.lastSavedState
+        });
+        
+        // Forget the notes that were shown longest ago
+        if (this.histories.size > this.maxHistories) {
+            this.histories.delete(this.histories.keys().next().value);
+        }
+    }
+
+    renderContent(html) {
+        clearTimeout(this.saveStateTimeout);
+        this.hasPendingChanges = false;
+        this.endNoteLinkQuery();
+        this.editor.innerHTML = html || '<p><br></p>';
+        if (this.activeImage) {
+            this.activeImage = null;
+            if (this.onImageChange) this.onImageChange(null);
+        }
+        this.linkEdit = null;
+        this.hoveredLink = null;
+        this.updateLinkCard();
+        this.refreshNoteLinks();
+        this.highlightCode();
+        this.loadImages();
     }
 
     insertHTML(html) {
@@ -130,22 +455,42 @@ class Editor {
         }
     }
 
+    // Change the content from code (e.g. replacing found text) as one undo step
+    applyEdit(change) {
+        this.saveState();
+        change();
+        this.handleInput();
+        this.saveState();
+    }
+
     // Formatting methods
+    // Run a formatting command as an undo step of its own
+    runCommand(command, value = null) {
+        this.saveState();
+        document.execCommand(command, false, value);
+        this.saveState();
+    }
+
     toggleBold() {
-        document.execCommand('bold', false, null);
+        this.runCommand('bold');
         this.updateToolbarState();
     }
 
     toggleItalic() {
-        document.execCommand('italic', false, null);
+        this.runCommand('italic');
         this.updateToolbarState();
     }
 
     setHeading(tag) {
-        if (tag === 'div') {
-            document.execCommand('formatBlock', false, 'div');
+        const codeBlock = this.getSelectedCodeBlock();
+        if (tag === 'pre') {
+            if (!codeBlock) this.insertCodeBlock();
+        } else if (codeBlock) {
+            this.convertCodeBlock(codeBlock, tag === 'div' ? 'p' : tag);
+        } else if (tag === 'div') {
+            this.runCommand('formatBlock', 'div');
         } else {
-            document.execCommand('formatBlock', false, tag);
+            this.runCommand('formatBlock', tag);
         }
         this.updateToolbarState();
     }
@@ -158,157 +503,1487 @@ class Editor {
         };
         
         if (commands[alignment]) {
-            document.execCommand(commands[alignment], false, null);
+            this.runCommand(commands[alignment]);
         }
         this.updateToolbarState();
     }
 
     insertBulletList() {
-        document.execCommand('insertUnorderedList', false, null);
+        // A checklist becomes a plain bullet list rather than being removed
+        const checklist = this.getChecklistItem() && this.getChecklistItem().parentNode;
+        if (checklist) {
+            this.applyEdit(() => {
+                checklist.classList.remove('checklist');
+                checklist.querySelectorAll(':scope > li.checked').forEach(item => item.classList.remove('checked'));
+            });
+        } else {
+            this.runCommand('insertUnorderedList');
+        }
         this.updateToolbarState();
     }
 
     insertNumberList() {
-        document.execCommand('insertOrderedList', false, null);
+        this.runCommand('insertOrderedList');
         this.updateToolbarState();
     }
 
-    // Undo/Redo functionality
-    saveState() {
-        const currentState = this.getContent();
-        
-        // Don't save if content hasn't changed
-        if (currentState === this.lastSavedState) {
-            return;
+    // Turn the selected lines into a checklist (<ul class="checklist">, ticked items have class "checked"),
+    // or a checklist back into plain lines
+    insertChecklist() {
+        const list = this.getSelectedList();
+        if (this.getChecklistItem()) {
+            this.runCommand('insertUnorderedList');
+        } else if (list) {
+            this.applyEdit(() => {
+                if (list.tagName === 'UL') {
+                    list.classList.add('checklist');
+                    return;
+                }
+                const selection = this.getSelectionState();
+                const checklist = document.createElement('ul');
+                checklist.className = 'checklist';
+                checklist.append(...list.childNodes);
+                list.replaceWith(checklist);
+                this.restoreSelection(selection);
+            });
+        } else {
+            const lines = this.getSelectedBlocks();
+            if (lines.length === 0) return;
+            this.applyEdit(() => this.makeList(lines, 'ul', true));
         }
+        this.updateToolbarState();
+    }
+
+    // Top-level blocks (and runs of text) the selection touches
+    getSelectedBlocks() {
+        if (!this.getSelectionState()) return [];
         
-        this.undoStack.push(this.lastSavedState);
+        const range = window.getSelection().getRangeAt(0);
+        return Array.from(this.editor.childNodes).filter(node => range.intersectsNode(node)
+            && (node.nodeType === Node.ELEMENT_NODE || (node.nodeType === Node.TEXT_NODE && node.nodeValue.trim())));
+    }
+
+    // Turn lines into the items of a list (a checklist is a <ul class="checklist">), joined to a list of the
+    // same kind just before or after them, and keep the selection on the same text. Browsers' list commands
+    // join whatever list is next to the lines, which would turn a neighbouring bullet list into a checklist
+    makeList(lines, tag, checklist = false) {
+        const isSameKind = node => !!node && node.nodeType === Node.ELEMENT_NODE && node.tagName === tag.toUpperCase()
+            && node.classList.contains('checklist') === checklist;
+        const selection = window.getSelection();
+        const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+        const ends = range ? [range.startContainer, range.startOffset, range.endContainer, range.endOffset] : null;
         
-        // Limit undo stack size
-        if (this.undoStack.length > this.maxUndoLevels) {
-            this.undoStack.shift();
+        let list = document.createElement(tag);
+        if (checklist) list.className = 'checklist';
+        lines[0].before(list);
+        
+        const items = new Map(); // Line element -> the item holding its contents
+        lines.filter(line => line.nodeType === Node.TEXT_NODE || /^(P|DIV|H[1-6])$/.test(line.tagName)).forEach(line => {
+            const item = document.createElement('li');
+            if (line.nodeType === Node.TEXT_NODE) {
+                item.appendChild(line);
+            } else {
+                item.append(...line.childNodes);
+                line.remove();
+                items.set(line, item);
+            }
+            if (!item.firstChild) item.appendChild(document.createElement('br'));
+            list.appendChild(item);
+        });
+        
+        if (isSameKind(list.previousSibling)) {
+            list.previousSibling.append(...list.childNodes);
+            const previous = list.previousSibling;
+            list.remove();
+            list = previous;
+        }
+        if (isSameKind(list.nextSibling)) {
+            list.append(...list.nextSibling.childNodes);
+            list.nextSibling.remove();
         }
         
-        // Clear redo stack when new action is performed
-        this.redoStack = [];
+        if (ends) {
+            const restored = document.createRange();
+            try {
+                restored.setStart(items.get(ends[0]) || ends[0], ends[1]);
+                restored.setEnd(items.get(ends[2]) || ends[2], ends[3]);
+            } catch (error) {
+                restored.selectNodeContents(list.lastChild);
+                restored.collapse(false);
+            }
+            this.selectRange(restored);
+        }
+        return list;
+    }
+
+    // The list around the caret
+    getSelectedList() {
+        const selection = window.getSelection();
+        if (!selection.rangeCount) return null;
         
-        this.lastSavedState = currentState;
+        const node = selection.getRangeAt(0).startContainer;
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        const list = element && element.closest('ul, ol');
+        return list && this.editor.contains(list) ? list : null;
     }
 
-    undo() {
-        if (this.undoStack.length > 0) {
-            const currentState = this.getContent();
-            const previousState = this.undoStack.pop();
-            
-            this.redoStack.push(currentState);
-            this.setContent(previousState);
-            this.lastSavedState = previousState;
-            
-            // Update toolbar and trigger content change
-            this.updateToolbarState();
-            if (this.onContentChange) {
-                this.onContentChange(previousState);
-            }
-        }
+    // The checklist item with the caret (the innermost list decides)
+    getChecklistItem() {
+        const list = this.getSelectedList();
+        if (!list || !list.classList.contains('checklist')) return null;
+        
+        const node = window.getSelection().getRangeAt(0).startContainer;
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        const item = element.closest('li');
+        return item && item.parentNode === list ? item : null;
     }
 
-    redo() {
-        if (this.redoStack.length > 0) {
-            const nextState = this.redoStack.pop();
-            
-            this.undoStack.push(this.getContent());
-            this.setContent(nextState);
-            this.lastSavedState = nextState;
-            
-            // Update toolbar and trigger content change
-            this.updateToolbarState();
-            if (this.onContentChange) {
-                this.onContentChange(nextState);
-            }
-        }
+    toggleChecklistItem(item) {
+        this.applyEdit(() => item.classList.toggle('checked'));
     }
 
-    // Toolbar state management
-    updateToolbarState() {
-        if (!this.onToolbarStateChange) return;
+    // Clicks on a checklist item's box (drawn in its left padding) tick it
+    handleChecklistClick(e) {
+        const item = e.target.closest ? e.target.closest('ul.checklist > li') : null;
+        if (!item || this.isReadOnly() || !this.editor.contains(item)) return false;
         
-        const state = {
-            bold: document.queryCommandState('bold'),
-            italic: document.queryCommandState('italic'),
-            heading: this.getCurrentHeading(),
-            alignment: this.getCurrentAlignment(),
-            bulletList: document.queryCommandState('insertUnorderedList'),
-            numberList: document.queryCommandState('insertOrderedList')
-        };
+        const paddingLeft = parseFloat(window.getComputedStyle(item).paddingLeft) || 0;
+        if (e.clientX - item.getBoundingClientRect().left > paddingLeft) return false;
         
-        this.onToolbarStateChange(state);
+        e.preventDefault();
+        this.toggleChecklistItem(item);
+        return true;
     }
 
-    getCurrentHeading() {
-        const selection = window.getSelection();
-        if (selection.rangeCount > 0) {
-            let node = selection.getRangeAt(0).startContainer;
-            
-            // Find the parent block element
-            while (node && node !== this.editor) {
-                if (node.nodeType === Node.ELEMENT_NODE) {
-                    const tagName = node.tagName.toLowerCase();
-                    if (['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tagName)) {
-                        return tagName;
-                    }
-                }
-                node = node.parentNode;
-            }
+    // Tables
+    // Insert an empty table at the caret, with the first row as its header
+    insertTable(rows, columns) {
+        if (this.isReadOnly()) return;
+        
+        const row = tag => `<tr>${`<${tag}><br></${tag}>`.repeat(columns)}</tr>`;
+        const html = `<table data-new-table><tbody>${row('th')}${row('td').repeat(rows - 1)}</tbody></table><p><br></p>`;
+        
+        this.restoreSelection(this.getSelectionState());
+        this.saveState();
+        
+        // Tables don't go inside tables, so one asked for in a cell goes after that cell's table
+        const cell = this.getSelectedCell();
+        if (cell) {
+            const range = document.createRange();
+            range.setStartAfter(cell.closest('table'));
+            range.collapse(true);
+            this.selectRange(range);
         }
-        return 'div'; // Default to normal text
+        
+        this.insertHTML(html);
+        const table = this.editor.querySelector('table[data-new-table]');
+        if (table) {
+            table.removeAttribute('data-new-table');
+            this.selectCell(table.rows[0].cells[0]);
+        }
+        this.handleInput();
+        this.saveState();
     }
 
-    getCurrentAlignment() {
+    // The table cell around the caret
+    getSelectedCell() {
         const selection = window.getSelection();
-        if (selection.rangeCount > 0) {
-            let node = selection.getRangeAt(0).startContainer;
-            
-            // Find the parent block element
-            while (node && node !== this.editor) {
-                if (node.nodeType === Node.ELEMENT_NODE && node.style) {
-                    const textAlign = window.getComputedStyle(node).textAlign;
-                    if (textAlign === 'center') return 'center';
-                    if (textAlign === 'right') return 'right';
-                    if (textAlign === 'left') return 'left';
-                }
-                node = node.parentNode;
-            }
+        if (!selection.rangeCount || this.isReadOnly()) return null;
+        
+        const node = selection.getRangeAt(0).startContainer;
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        const cell = element && element.closest('td, th');
+        return cell && this.editor.contains(cell) ? cell : null;
+    }
+
+    // Select a cell's text, so typing replaces it (an empty cell just gets the caret)
+    selectCell(cell) {
+        const range = document.createRange();
+        range.selectNodeContents(cell);
+        if (!cell.textContent) {
+            range.collapse(true);
         }
-        return 'left'; // Default alignment
+        this.selectRange(range);
     }
 
-    // Utility methods
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    // Go to the next (step 1) or previous (step -1) cell; Tab in the last cell adds a row
+    moveToCell(cell, step) {
+        const table = cell.closest('table');
+        const cells = Array.from(table.rows).flatMap(row => Array.from(row.cells));
+        const index = cells.indexOf(cell) + step;
+        
+        if (index >= cells.length) {
+            this.applyEdit(() => this.selectCell(this.insertTableRow(cell.parentNode, false).cells[0]));
+        } else if (index >= 0) {
+            this.selectCell(cells[index]);
+        }
     }
 
-    focus() {
-        this.editor.focus();
+    handleTableContextMenu(e) {
+        if (e.shiftKey || this.isReadOnly()) return;
         
-        // Place cursor at end if empty
-        if (!this.editor.textContent.trim()) {
+        // The context menu key targets the editor itself, so fall back to the cell with the caret
+        const target = e.target.closest ? e.target.closest('td, th') : null;
+        const cell = target && this.editor.contains(target) ? target : this.getSelectedCell();
+        if (!cell || !this.onTableMenu) return;
+        
+        e.preventDefault();
+        if (this.getSelectedCell() !== cell) {
             const range = document.createRange();
-            const selection = window.getSelection();
-            range.selectNodeContents(this.editor);
-            range.collapse(false);
-            selection.removeAllRanges();
-            selection.addRange(range);
+            range.selectNodeContents(cell);
+            range.collapse(true);
+            this.selectRange(range);
         }
+        
+        this.tableMenuCell = cell;
+        const rect = cell.getBoundingClientRect();
+        const fromKeyboard = e.clientX === 0 && e.clientY === 0;
+        this.onTableMenu(fromKeyboard ? rect.left : e.clientX, fromKeyboard ? rect.bottom : e.clientY);
     }
 
-    clear() {
-        this.setContent('<p><br></p>');
-        this.focus();
+    // Run an action from the table menu on the cell it was opened on, as one undo step:
+    // rowAbove, rowBelow, columnLeft, columnRight, deleteRow, deleteColumn or deleteTable
+    applyTableAction(action) {
+        const cell = this.tableMenuCell;
+        this.tableMenuCell = null;
+        if (!cell || !this.editor.contains(cell) || this.isReadOnly()) return;
+        
+        const table = cell.closest('table');
+        const rows = Array.from(table.rows);
+        let rowIndex = rows.indexOf(cell.parentNode);
+        let columnIndex = cell.cellIndex;
+        
+        this.applyEdit(() => {
+            switch (action) {
+                case 'rowAbove':
+                    this.insertTableRow(cell.parentNode, true);
+                    break;
+                case 'rowBelow':
+                    this.insertTableRow(cell.parentNode, false);
+                    rowIndex++;
+                    break;
+                case 'columnLeft':
+                case 'columnRight':
+                    if (action === 'columnRight') columnIndex++;
+                    rows.forEach(row => {
+                        row.insertBefore(this.createTableCell('td'), row.cells[columnIndex] || null);
+                    });
+                    break;
+                case 'deleteRow':
+                    if (rows.length === 1) {
+                        this.removeTable(table);
+                        return;
+                    }
+                    cell.parentNode.remove();
+                    rowIndex = Math.min(rowIndex, rows.length - 2);
+                    break;
+                case 'deleteColumn':
+                    if (cell.parentNode.cells.length === 1) {
+                        this.removeTable(table);
+                        return;
+                    }
+                    rows.forEach(row => {
+                        if (row.cells[columnIndex]) row.cells[columnIndex].remove();
+                    });
+                    break;
+                case 'deleteTable':
+                    this.removeTable(table);
+                    return;
+                default:
+                    return;
+            }
+            
+            this.updateTableHeader(table);
+            const row = table.rows[rowIndex];
+            this.selectCell(row.cells[Math.min(columnIndex, row.cells.length - 1)]);
+        });
+    }
+
+    // Add an empty row as wide as the given one, above or below it; returns the new row
+    insertTableRow(row, above) {
+        const newRow = document.createElement('tr');
+        Array.from(row.cells).forEach(() => newRow.appendChild(this.createTableCell('td')));
+        row.parentNode.insertBefore(newRow, above ? row : row.nextSibling);
+        this.updateTableHeader(row.closest('table'));
+        return newRow;
+    }
+
+    createTableCell(tag) {
+        const cell = document.createElement(tag);
+        cell.appendChild(document.createElement('br'));
+        return cell;
+    }
+
+    // The first row of a table is its header, so rows moving in or out of that place change cell type
+    updateTableHeader(table) {
+        Array.from(table.rows).forEach((row, index) => {
+            const tag = index === 0 ? 'TH' : 'TD';
+            Array.from(row.cells).forEach(cell => {
+                if (cell.tagName === tag) return;
+                const replacement = document.createElement(tag);
+                replacement.append(...cell.childNodes);
+                cell.replaceWith(replacement);
+            });
+        });
+    }
+
+    // Remove a table, putting the caret on the line after it
+    removeTable(table) {
+        const next = table.nextElementSibling;
+        const range = document.createRange();
+        if (next) {
+            table.remove();
+            range.setStart(next, 0);
+        } else {
+            const paragraph = document.createElement('p');
+            paragraph.appendChild(document.createElement('br'));
+            table.replaceWith(paragraph);
+            range.setStart(paragraph, 0);
+        }
+        range.collapse(true);
+        this.selectRange(range);
+    }
+
+    // Code blocks
+    // Code blocks are <pre><code class="language-x">. While editing, code that ends with an empty
+    // line has an extra newline after it, as browsers don't show a last line with nothing on it
+    getSelectedCodeBlock() {
+        const selection = window.getSelection();
+        if (!selection.rangeCount) return null;
+        
+        const node = selection.getRangeAt(0).startContainer;
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        const pre = element && element.closest('pre');
+        return pre && this.editor.contains(pre) ? pre : null;
+    }
+
+    getCodeElement(pre) {
+        return pre.querySelector('code') || pre;
+    }
+
+    getCodeLanguage(pre) {
+        const match = this.getCodeElement(pre).className.match(/language-(\S+)/);
+        return this.highlighter.resolveLanguage(pre.dataset.language || (match ? match[1] : ''));
+    }
+
+    // The code in a block, without the newline kept for an empty last line
+    getCodeText(pre) {
+        return this.getCodeElement(pre).textContent.replace(/\n$/, '');
+    }
+
+    // Turn the selected lines into a code block, keeping their text
+    insertCodeBlock() {
+        if (!this.getSelectionState() || this.isReadOnly()) return;
+        
+        const blocks = this.getSelectedBlocks();
+        const lines = blocks.map(block => (block.innerText !== undefined ? block.innerText : block.textContent).replace(/\n$/, ''));
+        
+        this.applyEdit(() => {
+            const pre = document.createElement('pre');
+            const code = document.createElement('code');
+            pre.appendChild(code);
+            if (blocks.length > 0) {
+                blocks[0].before(pre);
+                blocks.forEach(block => block.remove());
+            } else {
+                this.editor.appendChild(pre);
+            }
+            
+            const text = lines.join('\n');
+            this.setCodeText(code, text, text.length);
+        });
+    }
+
+    // Turn a code block back into lines of the given tag, with the caret on the same line
+    convertCodeBlock(pre, tag) {
+        const selection = this.getCodeSelection(pre);
+        const lines = this.getCodeText(pre).split('\n');
+        const caretLine = selection ? this.getCodeText(pre).slice(0, selection.start).split('\n').length - 1 : 0;
+        
+        this.applyEdit(() => {
+            const blocks = lines.map(line => {
+                const block = document.createElement(tag);
+                if (line) {
+                    block.textContent = line;
+                } else {
+                    block.appendChild(document.createElement('br'));
+                }
+                return block;
+            });
+            pre.replaceWith(...blocks);
+            
+            const range = document.createRange();
+            range.selectNodeContents(blocks[Math.min(caretLine, blocks.length - 1)]);
+            range.collapse(false);
+            this.selectRange(range);
+        });
+    }
+
+    // The selection as offsets into the code's text, or null when it isn't in the block
+    getCodeSelection(pre) {
+        const selection = window.getSelection();
+        if (!selection.rangeCount) return null;
+        
+        const range = selection.getRangeAt(0);
+        const code = this.getCodeElement(pre);
+        if (!code.contains(range.startContainer) || !code.contains(range.endContainer)) return null;
+        
+        const before = document.createRange();
+        before.selectNodeContents(code);
+        before.setEnd(range.startContainer, range.startOffset);
+        const start = before.toString().length;
+        before.setEnd(range.endContainer, range.endOffset);
+        return { start, end: before.toString().length };
+    }
+
+    // Replace the code's text and select from start to end
+    setCodeText(code, text, start, end = start) {
+        if (!text || (end === text.length && text.endsWith('\n'))) {
+            text += '\n';
+        }
+        code.textContent = text;
+        
+        const range = document.createRange();
+        range.setStart(code.firstChild, start);
+        range.setEnd(code.firstChild, end);
+        this.selectRange(range);
+    }
+
+    // Put text in place of the selection in the code block with the caret
+    insertCodeText(text) {
+        const pre = this.getSelectedCodeBlock();
+        const selection = pre && this.getCodeSelection(pre);
+        if (!selection) return;
+        
+        const code = this.getCodeElement(pre);
+        const current = code.textContent;
+        const updated = current.slice(0, selection.start) + text + current.slice(selection.end);
+        this.setCodeText(code, updated, selection.start + text.length);
+    }
+
+    // Tab and Shift+Tab indent and outdent, Enter starts a line with the same indentation and
+    // Enter on an empty last line leaves the block. Returns true if the key was handled
+    handleCodeKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || e.isComposing || this.isReadOnly()) return false;
+        if (e.key !== 'Tab' && e.key !== 'Enter') return false;
+        
+        const pre = this.getSelectedCodeBlock();
+        const selection = this.getCodeSelection(pre);
+        if (!selection) return false;
+        
+        const code = this.getCodeElement(pre);
+        const text = code.textContent;
+        const { start, end } = selection;
+        const before = text.slice(0, start);
+        
+        if (e.key === 'Enter') {
+            const onEmptyLastLine = start === end && !text.slice(end).replace(/\n$/, '') && (!before || before.endsWith('\n'));
+            if (onEmptyLastLine && !e.shiftKey) {
+                this.applyEdit(() => this.leaveCodeBlock(pre, before.slice(0, -1)));
+            } else {
+                const indent = before.slice(before.lastIndexOf('\n') + 1).match(/^[ \t]*/)[0];
+                this.applyEdit(() => this.insertCodeText(`\n${indent}`));
+            }
+            return true;
+        }
+        
+        if (start === end && !e.shiftKey) {
+            this.applyEdit(() => this.insertCodeText(this.codeIndent));
+            return true;
+        }
+        
+        // Indent or outdent every line the selection touches
+        const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+        const lastLineEnd = text.indexOf('\n', end > start && text[end - 1] === '\n' ? end - 1 : end);
+        const lineEnd = lastLineEnd === -1 ? text.length : lastLineEnd;
+        const lines = text.slice(lineStart, lineEnd).split('\n');
+        const changed = lines.map(line => (e.shiftKey ? line.replace(/^(\t| {1,4})/, '') : this.codeIndent + line));
+        const block = changed.join('\n');
+        
+        this.applyEdit(() => {
+            const updated = text.slice(0, lineStart) + block + text.slice(lineEnd);
+            if (start === end) {
+                const caret = Math.max(lineStart, start - (lines[0].length - changed[0].length));
+                this.setCodeText(code, updated, caret);
+            } else {
+                this.setCodeText(code, updated, lineStart, lineStart + block.length);
+            }
+        });
+        return true;
+    }
+
+    // Leave a code block for a new line after it; code is what stays in the block
+    leaveCodeBlock(pre, code) {
+        const paragraph = document.createElement('p');
+        paragraph.appendChild(document.createElement('br'));
+        if (code) {
+            this.getCodeElement(pre).textContent = code;
+            pre.after(paragraph);
+        } else {
+            pre.replaceWith(paragraph);
+        }
+        
+        const range = document.createRange();
+        range.setStart(paragraph, 0);
+        range.collapse(true);
+        this.selectRange(range);
+    }
+
+    // Set the language of the block the code tools are shown for ('' for plain text)
+    setCodeLanguage(language) {
+        const pre = this.activeCodeBlock;
+        if (!pre || !this.editor.contains(pre) || this.isReadOnly()) return;
+        
+        this.applyEdit(() => {
+            let code = pre.querySelector('code');
+            if (!code) {
+                code = document.createElement('code');
+                code.append(...pre.childNodes);
+                pre.appendChild(code);
+            }
+            pre.removeAttribute('data-language');
+            code.className = language ? `language-${language}` : '';
+            if (!language) code.removeAttribute('class');
+        });
+    }
+
+    // Colour the code in every code block; the colours are given to ::highlight(code-<type>) in CSS
+    highlightCode() {
+        if (!this.canHighlight) return;
+        
+        const ranges = {};
+        this.editor.querySelectorAll('pre').forEach(pre => {
+            const code = this.getCodeElement(pre);
+            const textNodes = this.getTextNodes(code);
+            this.highlighter.tokenize(code.textContent, this.getCodeLanguage(pre)).forEach(token => {
+                const range = this.createRangeFromOffsets(textNodes, token.start, token.end);
+                if (range) (ranges[token.type] = ranges[token.type] || []).push(range);
+            });
+        });
+        
+        this.highlighter.tokenTypes.forEach(type => {
+            if (ranges[type]) {
+                CSS.highlights.set(`code-${type}`, new Highlight(...ranges[type]));
+            } else {
+                CSS.highlights.delete(`code-${type}`);
+            }
+        });
+    }
+
+    // Tell the UI which code block has the caret and where it is, so its tools can be shown over it
+    updateActiveCodeBlock() {
+        const pre = this.getSelectedCodeBlock();
+        if (!pre && !this.activeCodeBlock) return;
+        
+        this.activeCodeBlock = pre;
+        if (this.onCodeBlockChange) {
+            this.onCodeBlockChange(pre ? { rect: pre.getBoundingClientRect(), language: this.getCodeLanguage(pre) } : null);
+        }
+    }
+
+    // Images
+    // Stored images are <img data-image-id="..."> in notes; loadImages() gives them an address to show them from
+    hasImageFiles(dataTransfer) {
+        return !!dataTransfer && Array.from(dataTransfer.items || []).some(item => item.kind === 'file' && item.type.startsWith('image/'));
+    }
+
+    getImageFiles(dataTransfer) {
+        return Array.from((dataTransfer && dataTransfer.files) || []).filter(file => file.type.startsWith('image/'));
+    }
+
+    handleDrop(e) {
+        const images = this.getImageFiles(e.dataTransfer);
+        if (images.length === 0 || this.isReadOnly()) return;
+        
+        e.preventDefault();
+        
+        // Put the caret where the files were dropped
+        let range = null;
+        if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(e.clientX, e.clientY);
+            if (position) {
+                range = document.createRange();
+                range.setStart(position.offsetNode, position.offset);
+            }
+        } else if (document.caretRangeFromPoint) {
+            range = document.caretRangeFromPoint(e.clientX, e.clientY);
+        }
+        if (range && this.editor.contains(range.startContainer)) {
+            range.collapse(true);
+            this.selectRange(range);
+        }
+        
+        if (this.onImageFiles) this.onImageFiles(images);
+    }
+
+    // Insert stored images by ID at the caret, or at the end of the note if it's elsewhere
+    insertImages(imageIds) {
+        if (this.isReadOnly() || imageIds.length === 0) return;
+        this.restoreSelection(this.getSelectionState());
+        
+        const html = imageIds.map(id => `<img data-image-id="${this.escapeHtml(id)}" alt="">`).join('');
+        this.applyEdit(() => this.insertHTML(this.fitToCell(html)));
+        this.loadImages();
+    }
+
+    // Give stored images their address, looked up by the main app
+    loadImages() {
+        if (!this.resolveImage) return;
+        
+        this.editor.querySelectorAll('img[data-image-id]:not([src])').forEach(image => {
+            Promise.resolve(this.resolveImage(image.dataset.imageId)).then(url => {
+                if (url && !image.hasAttribute('src')) {
+                    image.src = url;
+                    if (image === this.activeImage) this.updateActiveImage(true);
+                }
+            }).catch(error => console.warn('Failed to load image:', error));
+        });
+    }
+
+    // Clicking an image selects it, so its tools show and typing replaces it
+    handleImageClick(e) {
+        if (e.target.tagName !== 'IMG' || !this.editor.contains(e.target) || this.isReadOnly()) return false;
+        
+        this.selectImage(e.target);
+        return true;
+    }
+
+    // Select an image (by default the one whose tools are shown, e.g. after editing its alt text)
+    selectImage(image = this.activeImage) {
+        if (!image || !image.isConnected) return;
+        
+        const range = document.createRange();
+        range.selectNode(image);
+        this.selectRange(range);
+        this.updateActiveImage();
+    }
+
+    // The image the selection is exactly around, if any
+    getSelectedImage() {
+        const selection = window.getSelection();
+        if (!selection.rangeCount) return null;
+        
+        const range = selection.getRangeAt(0);
+        const node = range.startContainer.childNodes[range.startOffset];
+        const isImage = node && node.nodeName === 'IMG' && range.endContainer === range.startContainer
+            && range.endOffset === range.startOffset + 1;
+        return isImage && this.editor.contains(node) ? node : null;
+    }
+
+    // Tell the UI which image is selected and where it is, so its tools can be shown over it.
+    // Focus in the tools themselves (e.g. typing alt text) keeps the image selected
+    updateActiveImage(moved = false) {
+        if (!moved && document.activeElement !== this.editor && !this.resizingImage && this.activeImage) return;
+        
+        const image = moved ? this.activeImage : this.getSelectedImage();
+        if (!image && !this.activeImage) return;
+        
+        this.activeImage = image && image.isConnected ? image : null;
+        if (this.onImageChange) {
+            this.onImageChange(this.activeImage ? { rect: this.activeImage.getBoundingClientRect(), alt: this.activeImage.getAttribute('alt') || '' } : null);
+        }
+    }
+
+    // Set the selected image's alt text, which is read out and shown if the image can't be
+    setImageAlt(alt) {
+        const image = this.activeImage;
+        if (!image || !image.isConnected || this.isReadOnly() || alt === (image.getAttribute('alt') || '')) return;
+        
+        this.applyEdit(() => image.setAttribute('alt', alt));
+    }
+
+    // Resize the selected image while its handle is dragged; the whole drag is one undo step, ended with done
+    resizeImage(width, done = false) {
+        const image = this.activeImage;
+        if (!image || !image.isConnected || this.isReadOnly()) return;
+        
+        if (!this.resizingImage) {
+            this.saveState();
+            this.resizingImage = true;
+        }
+        image.setAttribute('width', Math.round(Math.max(this.minImageWidth, Math.min(width, this.editor.clientWidth || width))));
+        image.removeAttribute('height');
+        
+        if (done) {
+            this.resizingImage = false;
+            this.handleInput();
+            this.saveState();
+        }
+        this.updateActiveImage(true);
+    }
+
+    // Undo/Redo functionality
+    // Close the current undo step; steps hold the content and selection from before a change
+    saveState() {
+        clearTimeout(this.saveStateTimeout);
+        this.hasPendingChanges = false;
+        const currentState = this.getContent();
+        
+        // Don't save if content hasn't changed
+        if (currentState === this.lastSavedState) {
+            return;
+        }
+        
+        this.undoStack.push({ content: this.lastSavedState, selection: this.lastSavedSelection });
+        
+        // Limit undo stack size
+        if (this.undoStack.length > this.maxUndoLevels) {
+            this.undoStack.shift();
+        }
+        
+        // Clear redo stack when new action is performed
+        this.redoStack = [];
+        
+        this.lastSavedState = currentState;
+        this.lastSavedSelection = this.getSelectionState();
+    }
+
+    undo() {
+        // Include what's still being typed
+        this.saveState();
+        
+        if (this.undoStack.length > 0) {
+            this.redoStack.push({ content: this.getContent(), selection: this.getSelectionState() });
+            this.restoreState(this.undoStack.pop());
+        }
+    }
+
+    redo() {
+        this.saveState();
+        
+        if (this.redoStack.length > 0) {
+            this.undoStack.push({ content: this.getContent(), selection: this.getSelectionState() });
+            this.restoreState(this.redoStack.pop());
+        }
+    }
+
+    restoreState(state) {
+        this.renderContent(state.content);
+        this.restoreSelection(state.selection);
+        this.lastSavedState = this.getContent();
+        this.lastSavedSelection = state.selection;
+        this.lastChange = null;
+        
+        // Update toolbar and trigger content change
+        this.updateToolbarState();
+        if (this.onContentChange) {
+            this.onContentChange(this.lastSavedState);
+        }
+    }
+
+    // The selection as child-index paths from the editor, or null when it's outside the editor
+    getSelectionState() {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0) return null;
+        
+        const range = selection.getRangeAt(0);
+        if (!this.editor.contains(range.startContainer) || !this.editor.contains(range.endContainer)) return null;
+        
+        return {
+            start: this.getNodePath(range.startContainer, range.startOffset),
+            end: this.getNodePath(range.endContainer, range.endOffset)
+        };
+    }
+
+    getNodePath(node, offset) {
+        const path = [];
+        while (node !== this.editor) {
+            path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node));
+            node = node.parentNode;
+        }
+        return { path, offset };
+    }
+
+    resolveNodePath({ path, offset }) {
+        let node = this.editor;
+        for (const index of path) {
+            node = node.childNodes[index];
+            if (!node) return null;
+        }
+        const length = node.nodeType === Node.TEXT_NODE ? node.nodeValue.length : node.childNodes.length;
+        return { node, offset: Math.min(offset, length) };
+    }
+
+    // Put back a selection from getSelectionState(), or place the caret at the end without one
+    restoreSelection(state) {
+        const start = state && this.resolveNodePath(state.start);
+        const end = state && this.resolveNodePath(state.end);
+        const range = document.createRange();
+        if (start && end) {
+            range.setStart(start.node, start.offset);
+            range.setEnd(end.node, end.offset);
+        } else {
+            range.selectNodeContents(this.editor);
+            range.collapse(false);
+        }
+        
+        this.editor.focus();
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    // Toolbar state management
+    updateToolbarState() {
+        if (!this.onToolbarStateChange) return;
+        
+        const state = {
+            bold: document.queryCommandState('bold'),
+            italic: document.queryCommandState('italic'),
+            heading: this.getCurrentHeading(),
+            alignment: this.getCurrentAlignment(),
+            bulletList: document.queryCommandState('insertUnorderedList'),
+            numberList: document.queryCommandState('insertOrderedList'),
+            link: !!this.getSelectedLink()
+        };
+        
+        this.onToolbarStateChange(state);
+    }
+
+    getCurrentHeading() {
+        const selection = window.getSelection();
+        if (selection.rangeCount > 0) {
+            let node = selection.getRangeAt(0).startContainer;
+            
+            // Find the parent block element
+            while (node && node !== this.editor) {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    const tagName = node.tagName.toLowerCase();
+                    if (['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre'].includes(tagName)) {
+                        return tagName;
+                    }
+                }
+                node = node.parentNode;
+            }
+        }
+        return 'div'; // Default to normal text
+    }
+
+    getCurrentAlignment() {
+        const selection = window.getSelection();
+        if (selection.rangeCount > 0) {
+            let node = selection.getRangeAt(0).startContainer;
+            
+            // Find the parent block element
+            while (node && node !== this.editor) {
+                if (node.nodeType === Node.ELEMENT_NODE && node.style) {
+                    const textAlign = window.getComputedStyle(node).textAlign;
+                    if (textAlign === 'center') return 'center';
+                    if (textAlign === 'right') return 'right';
+                    if (textAlign === 'left') return 'left';
+                }
+                node = node.parentNode;
+            }
+        }
+        return 'left'; // Default alignment
+    }
+
+    // Text nodes of the editor (or an element in it) in document order
+    getTextNodes(root = this.editor) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null);
+        const nodes = [];
+        while (walker.nextNode()) {
+            nodes.push(walker.currentNode);
+        }
+        return nodes;
+    }
+
+    // Build a range from character offsets into the concatenated text of textNodes
+    createRangeFromOffsets(textNodes, start, end) {
+        const range = document.createRange();
+        let position = 0;
+        let startSet = false;
+        
+        for (const node of textNodes) {
+            const length = node.nodeValue.length;
+            if (!startSet && start <= position + length) {
+                range.setStart(node, start - position);
+                startSet = true;
+            }
+            if (startSet && end <= position + length) {
+                range.setEnd(node, end - position);
+                return range;
+            }
+            position += length;
+        }
+        return null;
+    }
+
+    // Select and scroll to text found by the notes search, at offset in the note's plain text
+    // (NoteManager.getPlainText). That text only adds line breaks and tabs between blocks to the
+    // note's own, so the match is placed by counting the other characters before it
+    revealPlainTextMatch(plainText, offset, length) {
+        if (offset < 0 || !length) return false;
+        
+        const textNodes = this.getTextNodes();
+        const fullText = textNodes.map(node => node.nodeValue).join('');
+        const before = this.countNonSpace(plainText.slice(0, offset));
+        const start = this.findNonSpace(fullText, before);
+        const end = this.findNonSpace(fullText, before + this.countNonSpace(plainText.substr(offset, length)), true);
+        if (start >= end) return false;
+        
+        const range = this.createRangeFromOffsets(textNodes, start, end);
+        if (!range) return false;
+        
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        
+        const element = range.startContainer.parentElement;
+        if (element && element.scrollIntoView) {
+            element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        }
+        return true;
+    }
+
+    countNonSpace(text) {
+        return text.replace(/\s+/g, '').length;
+    }
+
+    // The offset in text of the character after the first count that aren't whitespace; an end
+    // offset stops right after them instead of at the next one
+    findNonSpace(text, count, isEnd = false) {
+        let position = 0;
+        while (position < text.length && (count > 0 || (!isEnd && /\s/.test(text[position])))) {
+            if (!/\s/.test(text[position])) count--;
+            position++;
+        }
+        return position;
+    }
+
+    // Note links
+    // Look at the text before the caret: a closed [[title]] becomes a link, an open [[query asks for suggestions
+    checkNoteLinkTrigger() {
+        const selection = window.getSelection();
+        const node = selection.rangeCount > 0 ? selection.anchorNode : null;
+        if (!selection.isCollapsed || !node || node.nodeType !== Node.TEXT_NODE || !this.editor.contains(node)) {
+            this.endNoteLinkQuery();
+            return;
+        }
+        
+        const textBefore = node.nodeValue.slice(0, selection.anchorOffset);
+        const closed = textBefore.match(/\[\[([^\[\]]{1,100})\]\]$/);
+        const open = textBefore.match(/\[\[([^\[\]]{0,100})$/);
+        const match = closed || open;
+        if (!match || (closed && !closed[1].trim())) {
+            this.endNoteLinkQuery();
+            return;
+        }
+        
+        this.pendingLink = { node, start: match.index, end: selection.anchorOffset };
+        if (closed) {
+            if (this.onNoteLinkTyped) this.onNoteLinkTyped(closed[1].trim());
+        } else if (this.onLinkQuery) {
+            this.onLinkQuery(open[1], this.getCaretRect());
+        }
+    }
+    
+    endNoteLinkQuery() {
+        if (!this.pendingLink) return;
+        
+        this.pendingLink = null;
+        if (this.onLinkQuery) this.onLinkQuery(null);
+    }
+    
+    getCaretRect() {
+        const selection = window.getSelection();
+        const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+        const rect = range && range.getBoundingClientRect ? range.getBoundingClientRect() : null;
+        return rect && (rect.width || rect.height) ? rect : this.editor.getBoundingClientRect();
+    }
+    
+    // Replace the [[ being typed with a link (noteId null for a note that doesn't exist yet)
+    insertNoteLink(noteId, title) {
+        const pending = this.pendingLink;
+        this.endNoteLinkQuery();
+        if (!pending || !this.editor.contains(pending.node)) return;
+        
+        this.saveState();
+        const range = document.createRange();
+        range.setStart(pending.node, pending.start);
+        range.setEnd(pending.node, Math.min(pending.end, pending.node.nodeValue.length));
+        range.deleteContents();
+        
+        const link = this.createNoteLink(noteId, title);
+        const space = document.createTextNode('\u00A0');
+        range.insertNode(space);
+        range.insertNode(link);
+        
+        // Carry on typing after the link
+        range.setStartAfter(space);
+        range.collapse(true);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        
+        this.handleInput();
+        this.saveState();
+    }
+    
+    createNoteLink(noteId, title) {
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'note-link';
+        link.contentEditable = 'false';
+        link.textContent = title;
+        if (noteId) {
+            link.dataset.noteId = noteId;
+        } else {
+            link.classList.add('missing');
+            link.dataset.noteTitle = title;
+        }
+        return link;
+    }
+    
+    // Show each link with its note's current title. resolveNoteTitle returns null for notes that
+    // no longer exist, and undefined when the title can't be known (e.g. an encrypted note)
+    refreshNoteLinks() {
+        if (!this.resolveNoteTitle) return;
+        
+        this.editor.querySelectorAll('a.note-link[data-note-id]').forEach(link => {
+            const title = this.resolveNoteTitle(link.dataset.noteId);
+            if (title === undefined) return;
+            
+            if (title !== null && link.textContent !== title) {
+                link.textContent = title;
+            }
+            link.classList.toggle('missing', title === null);
+        });
+    }
+    
+    // Point links at a note: missing links with its title, or links to a note that was deleted (oldNoteId)
+    relinkNoteLinks(title, noteId, oldNoteId = null) {
+        let changed = false;
+        this.editor.querySelectorAll('a.note-link').forEach(link => {
+            const matches = oldNoteId
+                ? link.dataset.noteId === oldNoteId
+                : !link.dataset.noteId && (link.dataset.noteTitle || '').toLowerCase() === title.toLowerCase();
+            if (!matches) return;
+            
+            link.dataset.noteId = noteId;
+            delete link.dataset.noteTitle;
+            link.classList.remove('missing');
+            changed = true;
+        });
+        
+        if (changed) {
+            this.handleInput();
+        }
+    }
+
+    // Web links
+    // Links to web pages, email addresses and phone numbers are <a href="..."> (note links are handled above)
+    getWebLink(node) {
+        const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+        const link = element && element.closest ? element.closest('a[href]') : null;
+        return link && !link.classList.contains('note-link') && this.editor.contains(link) ? link : null;
+    }
+
+    // The web link the selection is in, if any
+    getSelectedLink() {
+        const selection = window.getSelection();
+        return selection.rangeCount > 0 ? this.getWebLink(selection.getRangeAt(0).commonAncestorContainer) : null;
+    }
+
+    createWebLink(url, text = '') {
+        const link = document.createElement('a');
+        link.setAttribute('href', url);
+        link.textContent = text;
+        return link;
+    }
+
+    // Open the link editor for a link (by default the one with the caret), or to link the selected text
+    editLink(link = null) {
+        if (this.isReadOnly()) return;
+        if (link && link.isConnected) {
+            const range = document.createRange();
+            range.selectNodeContents(link);
+            this.selectRange(range);
+        }
+        
+        const selection = this.getSelectionState();
+        const range = selection ? window.getSelection().getRangeAt(0) : null;
+        if (!range || this.getSelectedCodeBlock()) return;
+        const startElement = range.startContainer.nodeType === Node.ELEMENT_NODE ? range.startContainer : range.startContainer.parentElement;
+        if (startElement && startElement.closest('a.note-link')) return;
+        
+        link = this.getSelectedLink();
+        this.linkEdit = { link, selection };
+        if (this.onLinkEdit) {
+            this.onLinkEdit({
+                rect: link ? link.getBoundingClientRect() : this.getCaretRect(),
+                text: link ? link.textContent : window.getSelection().toString(),
+                href: link ? link.getAttribute('href') : ''
+            });
+        }
+    }
+
+    // Save the link editor's text and address as one undo step: the link it was opened for is changed,
+    // selected text is linked, or a new link is inserted. Returns false, changing nothing, for an address that isn't safe
+    applyLink(text, href) {
+        const url = this.sanitizer.normalizeLinkUrl(href);
+        if (!url) return false;
+        if (!this.linkEdit) return true;
+        
+        const { link, selection } = this.linkEdit;
+        this.linkEdit = null;
+        this.restoreSelection(selection);
+        const selected = window.getSelection().toString().replace(/\s+/g, ' ').trim();
+        const label = text.trim() ? text : url;
+        
+        this.applyEdit(() => {
+            if (link && link.isConnected) {
+                link.setAttribute('href', url);
+                if (link.textContent !== label) link.textContent = label;
+                const range = document.createRange();
+                range.selectNodeContents(link);
+                range.collapse(false);
+                this.selectRange(range);
+            } else if (selected && selected === label.replace(/\s+/g, ' ').trim()) {
+                this.linkSelection(url);
+            } else {
+                this.insertHTML(this.createWebLink(url, label).outerHTML);
+            }
+        });
+        this.updateLinkCard();
+        return true;
+    }
+
+    // Close the link editor without changes, going back to the selection it was opened on unless
+    // it was closed by clicking elsewhere
+    cancelLinkEdit(restoreSelection = true) {
+        if (!this.linkEdit) return;
+        
+        const { selection } = this.linkEdit;
+        this.linkEdit = null;
+        if (restoreSelection) this.restoreSelection(selection);
+    }
+
+    // Make the selected text a link
+    linkSelection(url) {
+        if (document.queryCommandSupported('createLink')) {
+            document.execCommand('createLink', false, url);
+            return;
+        }
+        
+        // Fallback for browsers that don't support createLink
+        const range = window.getSelection().getRangeAt(0);
+        const link = this.createWebLink(url);
+        link.appendChild(range.extractContents());
+        range.insertNode(link);
+        range.selectNodeContents(link);
+        range.collapse(false);
+        this.selectRange(range);
+    }
+
+    // Turn a link (by default the one whose card is shown) back into plain text
+    removeLink(link = this.cardLink) {
+        if (!link || !link.isConnected || this.isReadOnly()) return;
+        
+        this.applyEdit(() => {
+            const last = link.lastChild;
+            link.replaceWith(...link.childNodes);
+            if (last) {
+                const range = document.createRange();
+                range.setStartAfter(last);
+                range.collapse(true);
+                this.selectRange(range);
+            }
+        });
+        this.hoveredLink = null;
+        this.updateLinkCard();
+    }
+
+    // The web link under the mouse. Moving off a link leaves its card a moment, so the pointer can get to it
+    setHoveredLink(link) {
+        clearTimeout(this.hoveredLinkTimeout);
+        if (link) {
+            if (link !== this.hoveredLink) {
+                this.hoveredLink = link;
+                this.updateLinkCard();
+            }
+            return;
+        }
+        
+        this.hoveredLinkTimeout = setTimeout(() => {
+            if (this.linkCardHovered) return;
+            this.hoveredLink = null;
+            this.updateLinkCard();
+        }, this.linkCardDelay);
+    }
+
+    // The card stays open for its link while the pointer is on it
+    setLinkCardHovered(hovered) {
+        this.linkCardHovered = hovered;
+        if (!hovered) this.setHoveredLink(null);
+    }
+
+    // Ctrl+click (or any click while the note can't be edited) opens a web link, as clicking into one edits it
+    handleWebLinkClick(e) {
+        const link = this.getWebLink(e.target);
+        if (!link || (!e.ctrlKey && !e.metaKey && !this.isReadOnly())) return false;
+        
+        e.preventDefault();
+        if (this.onLinkOpen) this.onLinkOpen(link.getAttribute('href'));
+        return true;
+    }
+
+    // Tell the UI which web link to show the card for, and where it is: the one under the mouse, or else
+    // the one with the caret
+    updateLinkCard(moved = false) {
+        const hovered = this.hoveredLink && this.hoveredLink.isConnected ? this.hoveredLink : null;
+        const link = hovered || (document.activeElement === this.editor && window.getSelection().isCollapsed ? this.getSelectedLink() : null);
+        if (link === this.cardLink && !moved) return;
+        
+        this.cardLink = link;
+        if (this.onLinkCardChange) {
+            this.onLinkCardChange(link ? { rect: link.getBoundingClientRect(), href: link.getAttribute('href') } : null);
+        }
+    }
+
+    // Web addresses in plain text as { start, end, url }. Punctuation after an address, as at the end
+    // of a sentence, is left out of it
+    findWebAddresses(text) {
+        return Array.from(text.matchAll(/(^|[\s(<\[])((?:https?:\/\/|www\.)\w[^\s<>"]*)/gi), match => {
+            const start = match.index + match[1].length;
+            const address = match[2].replace(/[.,;:!?'")\]]+$/, '');
+            return { start, end: start + address.length, url: this.sanitizer.normalizeLinkUrl(address) };
+        }).filter(found => found.url);
+    }
+
+    // Escape plain text for insertion, with the web addresses in it as links
+    linkifyText(text) {
+        let html = '';
+        let position = 0;
+        this.findWebAddresses(text).forEach(({ start, end, url }) => {
+            html += this.escapeHtml(text.slice(position, start)) + this.createWebLink(url, text.slice(start, end)).outerHTML;
+            position = end;
+        });
+        return html + this.escapeHtml(text.slice(position));
+    }
+
+    // Link the web address that ends skip characters (e.g. the space just typed) before the caret. This is an
+    // undo step of its own, so undo turns the link back into the text as typed
+    autolinkBeforeCaret(skip = 0) {
+        const selection = window.getSelection();
+        const node = selection.rangeCount > 0 ? selection.anchorNode : null;
+        if (!selection.isCollapsed || !node || node.nodeType !== Node.TEXT_NODE || !this.editor.contains(node)) return;
+        if (node.parentElement.closest('a, code, pre')) return;
+        
+        const offset = selection.anchorOffset;
+        const textBefore = node.nodeValue.slice(0, offset - skip);
+        const found = this.findWebAddresses(textBefore).pop();
+        if (!found || /\s/.test(textBefore.slice(found.end))) return;
+        
+        this.applyEdit(() => {
+            const range = document.createRange();
+            range.setStart(node, found.start);
+            range.setEnd(node, found.end);
+            const link = this.createWebLink(found.url);
+            range.surroundContents(link);
+            
+            // The caret stays where it was, after the link and anything typed since
+            const after = offset - found.end;
+            if (after > 0) {
+                range.setStart(link.nextSibling, after);
+            } else {
+                range.setStartAfter(link);
+            }
+            range.collapse(true);
+            selection.removeAllRanges();
+            selection.addRange(range);
+        });
+    }
+
+    // Markdown shortcuts
+    // Each shortcut is an undo step of its own, so undo gives back the characters as they were typed
+    applyMarkdownShortcut(data) {
+        const selection = window.getSelection();
+        const node = selection.rangeCount > 0 ? selection.anchorNode : null;
+        if (!selection.isCollapsed || !node || !this.editor.contains(node) || this.isReadOnly()) return;
+        
+        if (/^\s$/.test(data) || data === '`') {
+            this.applyLineShortcut(node, selection.anchorOffset);
+        } else if ((data === '*' || data === '_') && node.nodeType === Node.TEXT_NODE) {
+            this.applyInlineShortcut(node, selection.anchorOffset, data);
+        }
+    }
+
+    // At the start of a line, "# " to "### " make a heading, "- " or "* " a bullet list, "1. " a numbered
+    // list, "[] " a checklist, "> " a quote and ``` a code block
+    applyLineShortcut(node, offset) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        const line = element.closest('p, div');
+        if (!line || line.parentNode !== this.editor) return;
+        
+        const marker = document.createRange();
+        marker.setStart(line, 0);
+        marker.setEnd(node, offset);
+        const match = marker.toString().match(/^(?:(#{1,3})|([-*])|(\d+)\.|(\[\])|(>))\s$|^(```)$/);
+        if (!match) return;
+        const [, heading, bullet, number, checklist, quote] = match;
+        
+        this.applyEdit(() => {
+            marker.deleteContents();
+            if (!line.textContent && !line.querySelector('br, img')) {
+                line.appendChild(document.createElement('br'));
+            }
+            const caret = document.createRange();
+            caret.setStart(line, 0);
+            this.selectRange(caret);
+            
+            if (heading) {
+                document.execCommand('formatBlock', false, `h${heading.length}`);
+            } else if (bullet || checklist) {
+                this.makeList([line], 'ul', !!checklist);
+            } else if (number) {
+                const list = this.makeList([line], 'ol');
+                if (list.children.length === 1 && Number(number) !== 1) list.setAttribute('start', Number(number));
+            } else if (quote) {
+                document.execCommand('formatBlock', false, 'blockquote');
+            } else {
+                const pre = document.createElement('pre');
+                const code = document.createElement('code');
+                pre.appendChild(code);
+                const text = line.textContent;
+                line.replaceWith(pre);
+                this.setCodeText(code, text, 0);
+            }
+        });
+        this.updateToolbarState();
+    }
+
+    // **bold** and _italic_ are formatted once they're closed. An underscore inside a word (as in snake_case) isn't a marker
+    applyInlineShortcut(node, offset, data) {
+        if (node.parentElement.closest('a, code, pre')) return;
+        
+        const pattern = data === '*'
+            ? /(^|[^*\w])\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/
+            : /(^|[^\w])_([^_\s](?:[^_]*[^_\s])?)_$/;
+        const match = node.nodeValue.slice(0, offset).match(pattern);
+        if (!match) return;
+        
+        this.applyEdit(() => {
+            const range = document.createRange();
+            range.setStart(node, match.index + match[1].length);
+            range.setEnd(node, offset);
+            range.deleteContents();
+            
+            const formatted = document.createElement(data === '*' ? 'b' : 'i');
+            formatted.textContent = match[2];
+            range.insertNode(formatted);
+            
+            // Carry on typing after the formatted text
+            const next = formatted.nextSibling;
+            if (next && next.nodeType === Node.TEXT_NODE) {
+                range.setStart(next, 0);
+            } else {
+                range.setStartAfter(formatted);
+            }
+            range.collapse(true);
+            this.selectRange(range);
+        });
+        this.updateToolbarState();
+    }
+
+    // Utility methods
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    focus() {
+        this.editor.focus();
+        
+        // Place cursor at end if empty
+        if (!this.editor.textContent.trim()) {
+            const range = document.createRange();
+            const selection = window.getSelection();
+            range.selectNodeContents(this.editor);
+            range.collapse(false);
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+    }
+
+    // Focus where a template's {{cursor}} placeholder was, removing its marker (or focus normally without one)
+    focusMarker(selector = '[data-template-cursor]') {
+        const marker = this.editor.querySelector(selector);
+        if (!marker) {
+            this.focus();
+            return;
+        }
+
+        this.editor.focus();
+        const parent = marker.parentNode;
+        const range = document.createRange();
+        range.setStartBefore(marker);
+        range.collapse(true);
+        marker.remove();
+
+        // An emptied line needs a <br> to keep its height and hold the caret
+        if (parent !== this.editor && !parent.textContent && !parent.querySelector('br')) {
+            parent.appendChild(document.createElement('br'));
+        }
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        // Undo shouldn't bring the marker back
+        this.lastSavedState = this.getContent();
+    }
+
+    clear() {
+        this.setContent('<p><br></p>');
+        this.focus();
+    }
+
+    // Stop or allow editing (e.g. while a locked note is shown)
+    setReadOnly(readOnly) {
+        this.editor.contentEditable = readOnly ? 'false' : 'true';
+    }
+
+    isReadOnly() {
+        return this.editor.contentEditable === 'false';
+    }
+
+    getSelectedText() {
+        return this.getSelectionState() ? window.getSelection().toString() : '';
+    }
+
+    selectRange(range) {
+        this.editor.focus();
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    // Forget the undo/redo states of every note, e.g. so decrypted text doesn't linger after the vault locks
+    clearHistory() {
+        this.saveState();
+        this.histories.clear();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastSavedState = this.getContent();
     }
 
     // Event callbacks (to be set by external code)
     onContentChange = null;
     onToolbarStateChange = null;
+    onLinkQuery = null; // (query, caretRect) while typing [[query; (null) when that ends
+    onLinkKeyDown = null; // Return true if the key was used by the link suggestions
+    onNoteLinkTyped = null;
+    onNoteLinkClick = null;
+    onTableMenu = null; // (x, y) to show the table menu for a right-clicked cell
+    onCodeBlockChange = null; // ({ rect, language }) when the caret is in a code block, (null) when it leaves
+    onImageFiles = null; // (files) when image files are pasted or dropped, to be stored and inserted
+    storeInlineImages = null; // (html) => promise of the HTML with its data: images stored, or null if it's no longer wanted
+    onImageChange = null; // ({ rect, alt }) when an image is selected or moves, (null) when it's deselected
+    resolveImage = null; // (imageId) => promise of an address to show a stored image from
+    onLinkEdit = null; // ({ rect, text, href }) to open the link editor (href is '' for a new link)
+    onLinkCardChange = null; // ({ rect, href }) when a web link is pointed at or has the caret, (null) when neither
+    onLinkOpen = null; // (href) to open a web link in a new tab
+    resolveNoteTitle = null;
 }
\ No newline at end of file
@@ -0,0 +1,418 @@
+/**
+ * htmlSanitizer.js
+ * Cleans HTML pasted from other pages and documents down to the markup the editor supports
+ */
+
+class HtmlSanitizer {
+    constructor() {
+        // Kept with only the attributes listed; anything else is unwrapped to its contents or dropped
+        this.allowedTags = {
+            P: [], H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+            UL: ['class'], OL: ['start'], LI: ['class'], BLOCKQUOTE: [], PRE: [], HR: [], BR: [],
+            B: [], STRONG: [], I: [], EM: [], S: [], CODE: ['class'],
+            A: ['href', 'title'], IMG: ['src', 'alt', 'title', 'width', 'data-image-id'],
+            TABLE: [], TR: [], TH: [], TD: []
+        };
+        this.allowedClasses = { UL: /^checklist$/, LI: /^checked$/, CODE: /^language-[\w+#-]+$/ };
+        this.blockTags = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'BLOCKQUOTE', 'PRE', 'HR', 'TABLE'];
+        this.formatTags = { B: ['B', 'STRONG', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'], I: ['I', 'EM'], S: ['S'] };
+        this.alignableTags = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+
+        // Removed along with everything inside them
+        this.droppedTags = ['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH',
+            'CANVAS', 'VIDEO', 'AUDIO', 'HEAD', 'TITLE', 'META', 'LINK', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'];
+
+        // Containers from other apps that become a line of their own
+        this.lineTags = ['DIV', 'DT', 'DD', 'FIGCAPTION', 'CAPTION', 'ADDRESS', 'SUMMARY'];
+        this.tagAliases = { STRIKE: 'S', DEL: 'S' };
+
+        // Pasted pages can't be trusted, so only absolute web, mail and phone links are kept. Markdown
+        // files may also link within themselves or to paths relative to them
+        this.safeUrlPattern = /^(https?:|mailto:|tel:)/i;
+        this.safeImageUrlPattern = /^(https?:|data:image\/(png|gif|jpe?g|webp);)/i;
+        this.relativeUrlPattern = /^(#|\/|\.\.?\/|[^:]*$)/;
+    }
+
+    // Clean HTML ready to insert into the editor; lines are block elements and inline runs are wrapped in <p>
+    sanitize(html) {
+        const source = new DOMParser().parseFromString(html || '', 'text/html');
+        const container = document.createElement('div');
+        this.appendChildren(container, source.body);
+        this.normalizeBlocks(container);
+        return container.innerHTML;
+    }
+
+    appendChildren(target, source) {
+        Array.from(source.childNodes).forEach(node => {
+            this.appendNode(target, node);
+        });
+    }
+
+    appendNode(target, node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            const text = node.nodeValue.replace(/\s+/g, ' ');
+            if (text) target.appendChild(document.createTextNode(text));
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = node.tagName.toUpperCase();
+        if (this.droppedTags.includes(tag)) return;
+        if (tag === 'PRE' || this.isCodeEditorBlock(node, tag)) {
+            target.appendChild(this.createCodeBlock(node));
+            return;
+        }
+
+        let element = this.createElement(node, tag);
+        if (element && (element.nodeType === Node.TEXT_NODE || element.classList.contains('note-link'))) {
+            target.appendChild(element);
+            return;
+        }
+
+        if (!element && this.lineTags.includes(tag)) {
+            element = document.createElement('p');
+            this.copyAlignment(node, element);
+        }
+
+        // Formatting set with styles (as in Google Docs) is turned into the matching tags
+        const style = this.getInlineFormatting(node);
+        let parent = element || target;
+        let inner = element;
+        Object.keys(this.formatTags).forEach(formatTag => {
+            if (!style[formatTag] || this.formatTags[formatTag].includes(tag) || !this.canHoldInline(tag)) return;
+            const wrapper = document.createElement(formatTag.toLowerCase());
+            (inner || parent).appendChild(wrapper);
+            inner = wrapper;
+            if (!element) parent = wrapper;
+        });
+
+        this.appendChildren(inner || target, node);
+
+        if (element) {
+            target.appendChild(element);
+        } else if (parent !== target) {
+            target.appendChild(parent);
+        }
+    }
+
+    // A cleaned copy of an allowed element (without children), or null to unwrap it
+    createElement(node, tag) {
+        tag = this.tagAliases[tag] || tag;
+
+        // Google Docs wraps whole pastes in <b style="font-weight:normal">
+        if ((tag === 'B' || tag === 'STRONG') && /font-weight\s*:\s*(normal|[1-5]00)\b/i.test(node.getAttribute('style') || '')) {
+            return null;
+        }
+        if (!this.allowedTags[tag]) return null;
+
+        // Links between notes copied from another note keep working
+        if (tag === 'A' && node.classList.contains('note-link')) {
+            return this.createNoteLink(node);
+        }
+
+        // Images stored by takenote are found by their ID; the blob: address they were shown with dies with the page
+        const imageId = tag === 'IMG' && /^image_\w+$/.test(node.getAttribute('data-image-id') || '');
+
+        const element = document.createElement(tag.toLowerCase());
+        for (const name of this.allowedTags[tag]) {
+            const value = node.getAttribute(name);
+            if (value === null || (name === 'src' && imageId) || (name === 'data-image-id' && !imageId)) continue;
+
+            if (name === 'href' || name === 'src') {
+                const url = this.sanitizeUrl(value, tag === 'IMG');
+                if (!url) return tag === 'IMG' ? document.createTextNode(node.getAttribute('alt') || '') : null;
+                element.setAttribute(name, url);
+            } else if (name === 'class') {
+                const classes = value.split(/\s+/).filter(className => this.allowedClasses[tag].test(className));
+                if (classes.length > 0) element.setAttribute('class', classes.join(' '));
+            } else if (name === 'start') {
+                if (/^\d+$/.test(value) && value !== '1') element.setAttribute('start', value);
+            } else if (name === 'width') {
+                if (/^\d+$/.test(value)) element.setAttribute('width', value);
+            } else {
+                element.setAttribute(name, value);
+            }
+        }
+        if ((tag === 'A' && !element.hasAttribute('href')) || (tag === 'IMG' && !element.hasAttribute('src') && !imageId)) {
+            return null;
+        }
+
+        // Task lists from other sites (e.g. GitHub) mark items with checkboxes
+        const checkbox = 'input[type="checkbox"]';
+        if (tag === 'UL' && node.querySelector(`:scope > li > ${checkbox}, :scope > li > p > ${checkbox}`)) {
+            element.classList.add('checklist');
+        }
+        if (tag === 'LI') {
+            const box = node.querySelector(`:scope > ${checkbox}, :scope > p > ${checkbox}`);
+            if (box && box.hasAttribute('checked')) element.classList.add('checked');
+        }
+
+        this.copyAlignment(node, element);
+        return element;
+    }
+
+    // Code editors (e.g. VS Code) copy code as a <div style="white-space: pre"> with a <div> per line
+    isCodeEditorBlock(node, tag) {
+        return tag === 'DIV' && !!node.style && node.style.whiteSpace === 'pre' && !!node.querySelector(':scope > div');
+    }
+
+    // Code blocks keep their text and language only, as <pre><code class="language-x">
+    createCodeBlock(node) {
+        const copy = node.cloneNode(true);
+
+        // Lines copied as <div>s or <p>s (an empty one holds just a <br>) each end with a newline
+        copy.querySelectorAll('div, p').forEach(line => {
+            if (!line.querySelector('div, p')) {
+                if (!line.textContent) line.replaceChildren();
+                line.append('\n');
+            }
+        });
+        copy.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+        const code = node.querySelector('code');
+        const language = `${node.className} ${code ? code.className : ''}`.match(/(?:language|lang)-([\w+#-]+)/);
+
+        const pre = document.createElement('pre');
+        const codeElement = document.createElement('code');
+        if (language) codeElement.className = `language-${language[1]}`;
+        codeElement.textContent = copy.textContent.replace(/\n$/, '');
+        pre.appendChild(codeElement);
+        return pre;
+    }
+
+    createNoteLink(node) {
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'note-link';
+        link.contentEditable = 'false';
+        if (node.dataset.noteId) {
+            link.dataset.noteId = node.dataset.noteId;
+        } else {
+            link.classList.add('missing');
+            link.dataset.noteTitle = node.dataset.noteTitle || node.textContent.trim();
+        }
+        link.textContent = node.textContent.trim();
+        return link;
+    }
+
+    getInlineFormatting(node) {
+        const style = node.style;
+        if (!style) return {};
+        const weight = style.fontWeight;
+        return {
+            B: weight === 'bold' || weight === 'bolder' || parseInt(weight, 10) >= 600,
+            I: style.fontStyle === 'italic' || style.fontStyle === 'oblique',
+            S: /line-through/.test(style.textDecoration || style.textDecorationLine || '')
+        };
+    }
+
+    // Only the alignments the toolbar offers survive, as the editor writes them
+    copyAlignment(node, element) {
+        const align = ((node.style && node.style.textAlign) || node.getAttribute('align') || '').toLowerCase();
+        if ((align === 'center' || align === 'right') && this.alignableTags.includes(element.tagName)) {
+            element.setAttribute('style', `text-align: ${align};`);
+        }
+    }
+
+    canHoldInline(tag) {
+        return !['UL', 'OL', 'TABLE', 'TBODY', 'THEAD', 'TFOOT', 'TR', 'HR', 'BR', 'IMG'].includes(tag);
+    }
+
+    // Give the cleaned HTML the editor's structure: blocks at the top level, no empty or nested paragraphs
+    normalizeBlocks(container) {
+        Array.from(container.children).forEach(child => this.hoistBlocks(child));
+        this.wrapInlineRuns(container, 'p');
+
+        container.querySelectorAll('ul, ol').forEach(list => {
+            // Stray content in a list becomes an item; a list directly inside a list joins the item before it
+            Array.from(list.childNodes).forEach(child => {
+                if (child.nodeType === Node.ELEMENT_NODE && child.tagName === 'LI') return;
+                if (child.nodeType === Node.TEXT_NODE && !child.nodeValue.trim()) {
+                    child.remove();
+                    return;
+                }
+                const previous = child.previousElementSibling;
+                if ((child.tagName === 'UL' || child.tagName === 'OL') && previous && previous.tagName === 'LI') {
+                    previous.appendChild(child);
+                } else {
+                    const item = document.createElement('li');
+                    list.insertBefore(item, child);
+                    item.appendChild(child);
+                }
+            });
+        });
+
+        // Items in a tight list hold their text directly
+        container.querySelectorAll('li').forEach(item => {
+            if (!['UL', 'OL'].includes(item.parentNode.tagName)) {
+                const previous = item.previousElementSibling;
+                const list = previous && previous.tagName === 'UL' && previous.nextSibling === item
+                    ? previous
+                    : item.parentNode.insertBefore(document.createElement('ul'), item);
+                list.appendChild(item);
+            }
+            const paragraphs = Array.from(item.children).filter(child => child.tagName === 'P');
+            if (paragraphs.length === 1 && item.firstElementChild === paragraphs[0]) {
+                paragraphs[0].replaceWith(...paragraphs[0].childNodes);
+            }
+        });
+
+        container.querySelectorAll('table').forEach(table => this.normalizeTable(table));
+
+        container.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, blockquote, th, td').forEach(block => this.trimBlock(block));
+
+        // Drop blocks left empty by removed content
+        Array.from(container.querySelectorAll('p, h1, h2, h3, h4, h5, h6, blockquote, ul, ol, pre, table')).reverse().forEach(block => {
+            if (!block.textContent.trim() && !block.querySelector('img, hr')) {
+                block.remove();
+            }
+        });
+        Array.from(container.querySelectorAll('b, strong, i, em, s, code')).reverse().forEach(element => {
+            if (!element.textContent && !element.querySelector('img, br')) element.remove();
+        });
+
+        // Empty cells keep a <br> to hold the caret
+        container.querySelectorAll('th, td').forEach(cell => {
+            if (!cell.textContent.trim() && !cell.querySelector('img')) cell.replaceChildren(document.createElement('br'));
+        });
+    }
+
+    // Blocks can't sit inside paragraphs, headings or inline formatting, so split those around them
+    hoistBlocks(element) {
+        Array.from(element.children).forEach(child => this.hoistBlocks(child));
+
+        if (element.tagName === 'PRE' || element.tagName === 'TABLE' || element.tagName === 'TR') return;
+        if (element.tagName === 'TD' || element.tagName === 'TH') {
+            this.flattenCell(element);
+            return;
+        }
+        if (['UL', 'OL', 'LI', 'BLOCKQUOTE'].includes(element.tagName)) {
+            if (element.tagName === 'LI' || element.tagName === 'BLOCKQUOTE') this.wrapInlineRuns(element, 'p', true);
+            return;
+        }
+
+        const blocks = Array.from(element.children).filter(child => this.blockTags.includes(child.tagName) || child.tagName === 'LI');
+        if (blocks.length === 0) return;
+
+        const parent = element.parentNode;
+        let segment = element.cloneNode(false);
+        const flush = () => {
+            if (segment.childNodes.length > 0) parent.insertBefore(segment, element);
+            segment = element.cloneNode(false);
+        };
+        Array.from(element.childNodes).forEach(child => {
+            if (blocks.includes(child)) {
+                flush();
+                parent.insertBefore(child, element);
+            } else {
+                segment.appendChild(child);
+            }
+        });
+        flush();
+        element.remove();
+    }
+
+    // Table cells hold a single run of inline content, so each block inside one becomes a line of it
+    flattenCell(cell) {
+        const isBlock = node => node.nodeType === Node.ELEMENT_NODE
+            && (this.blockTags.includes(node.tagName) || ['LI', 'TBODY', 'THEAD', 'TFOOT', 'TR', 'TD', 'TH'].includes(node.tagName));
+
+        let block;
+        while ((block = Array.from(cell.childNodes).find(isBlock))) {
+            const previous = block.previousSibling;
+            const next = block.nextSibling;
+            if (previous && previous.nodeName !== 'BR') block.before(document.createElement('br'));
+            if (next && next.nodeName !== 'BR' && !isBlock(next)) block.after(document.createElement('br'));
+            block.replaceWith(...block.childNodes);
+        }
+    }
+
+    // Give a table the editor's layout: its rows in one body, the first row as the header
+    // and every row as wide as the widest. Anything outside the cells is dropped
+    normalizeTable(table) {
+        const rows = Array.from(table.querySelectorAll('tr')).map(row =>
+            Array.from(row.children).filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH'));
+        const columns = Math.max(0, ...rows.map(cells => cells.length));
+
+        const body = document.createElement('tbody');
+        rows.filter(cells => cells.length > 0).forEach((cells, index) => {
+            const row = document.createElement('tr');
+            for (let column = 0; column < columns; column++) {
+                const cell = document.createElement(index === 0 ? 'th' : 'td');
+                if (cells[column]) cell.append(...cells[column].childNodes);
+                row.appendChild(cell);
+            }
+            body.appendChild(row);
+        });
+        table.replaceChildren(body);
+    }
+
+    // Wrap runs of inline content between blocks in the given tag. Inside list items and quotes
+    // (onlyIfMixed) a lone run is left as it is
+    wrapInlineRuns(element, tag, onlyIfMixed = false) {
+        const hasBlocks = Array.from(element.children).some(child => this.blockTags.includes(child.tagName) || child.tagName === 'LI');
+        if (onlyIfMixed && !hasBlocks) return;
+
+        let run = [];
+        const flush = () => {
+            if (run.some(node => node.nodeType === Node.ELEMENT_NODE || node.nodeValue.trim())) {
+                const wrapper = document.createElement(tag);
+                element.insertBefore(wrapper, run[0]);
+                run.forEach(node => wrapper.appendChild(node));
+            } else {
+                run.forEach(node => node.remove());
+            }
+            run = [];
+        };
+        Array.from(element.childNodes).forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && (this.blockTags.includes(node.tagName) || node.tagName === 'LI')) {
+                flush();
+            } else {
+                run.push(node);
+            }
+        });
+        flush();
+
+        // A <br> at the end of a paragraph is only there to end the line
+        element.querySelectorAll(':scope > p').forEach(paragraph => {
+            const last = paragraph.lastChild;
+            if (last && last.nodeName === 'BR' && paragraph.childNodes.length > 1) last.remove();
+        });
+    }
+
+    // Remove the spaces left at the start and end of a block by the source's indentation
+    trimBlock(block) {
+        const edges = [['firstChild', /^\s+/], ['lastChild', /\s+$/]];
+        edges.forEach(([side, pattern]) => {
+            let node = block[side];
+            while (node && node.nodeType === Node.ELEMENT_NODE && !this.blockTags.includes(node.tagName) && node.tagName !== 'BR') {
+                node = node[side];
+            }
+            if (node && node.nodeType === Node.TEXT_NODE) {
+                node.nodeValue = node.nodeValue.replace(pattern, '');
+            }
+        });
+    }
+
+    // Drop addresses that could run script (javascript:, vbscript:, most data: URLs); the Markdown parser checks its links here too
+    sanitizeUrl(url, isImage = false, allowRelative = false) {
+        const trimmed = url.trim();
+        const normalized = trimmed.replace(/[\u0000-\u001F\u007F\s]+/g, '');
+        const pattern = isImage ? this.safeImageUrlPattern : this.safeUrlPattern;
+        return pattern.test(normalized) || (allowRelative && this.relativeUrlPattern.test(normalized)) ? trimmed : null;
+    }
+
+    // The address for a link typed or pasted by the user, or null if it isn't safe to open. A bare
+    // domain (www.example.com) is a web address and name@example.com an email address
+    normalizeLinkUrl(text) {
+        const address = (text || '').trim();
+        if (!address || /[\u0000-\u001F\u007F\s]/.test(address)) return null;
+        
+        if (/^[\w-]+(\.[\w-]+)+(?:[:/?#]|$)/.test(address)) {
+            return this.sanitizeUrl(`https://${address}`);
+        }
+        if (/^[\w.+-]+@[\w-]+(\.[\w-]+)+$/.test(address)) {
+            return this.sanitizeUrl(`mailto:${address}`);
+        }
+        return this.sanitizeUrl(address);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,599 @@
+/**
+ * markdownParser.js
+ * Converts Markdown (CommonMark, plus ~~strikethrough~~) into editor HTML, reading YAML-style front-matter
+ */
+
+class MarkdownParser {
+    constructor() {
+        this.tabSize = 4;
+
+        // Raw HTML (other than alignment wrappers) is shown as text rather than passed through,
+        // and link targets are checked like pasted ones
+        this.sanitizer = new HtmlSanitizer();
+    }
+
+    // Returns { html, frontMatter }; frontMatter holds the fields found (empty when there is none)
+    parse(markdown) {
+        const text = String(markdown || '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '\uFFFD');
+        const { data, body } = this.parseFrontMatter(text);
+
+        this.references = {};
+        const blocks = this.parseBlocks(body.split('\n').map(line => this.expandTabs(line)));
+        return { html: this.renderBlocks(blocks), frontMatter: data };
+    }
+
+    // Front-matter is a block of "key: value" lines between --- lines at the very start
+    parseFrontMatter(text) {
+        const match = text.match(/^---[ \t]*\n([\s\S]*?)\n(?:---|\.\.\.)[ \t]*(?:\n|$)/);
+        if (!match) return { data: {}, body: text };
+
+        const data = {};
+        let listKey = null;
+        match[1].split('\n').forEach(line => {
+            const item = line.match(/^\s*-\s+(.*)$/);
+            if (item && listKey) {
+                data[listKey].push(this.parseYamlValue(item[1]));
+                return;
+            }
+
+            const field = line.match(/^([A-Za-z0-9_-]+)\s*:\s*(.*)$/);
+            listKey = null;
+            if (!field) return;
+
+            const key = field[1].toLowerCase();
+            if (field[2].trim()) {
+                data[key] = this.parseYamlValue(field[2]);
+            } else {
+                data[key] = [];
+                listKey = key;
+            }
+        });
+
+        // A document that merely opens with a horizontal rule has no fields
+        if (Object.keys(data).length === 0) return { data: {}, body: text };
+        return { data, body: text.slice(match[0].length) };
+    }
+
+    parseYamlValue(value) {
+        const trimmed = value.trim();
+        if (/^\[.*\]$/.test(trimmed)) {
+            return trimmed.slice(1, -1).split(',').map(item => this.parseYamlValue(item)).filter(item => item !== '');
+        }
+
+        const quoted = trimmed.match(/^"(.*)"$|^'(.*)'$/);
+        if (quoted) {
+            return quoted[1] !== undefined ? quoted[1].replace(/\\"/g, '"') : quoted[2].replace(/''/g, '\'');
+        }
+        return trimmed.replace(/\s+#.*$/, '');
+    }
+
+    parseBlocks(lines) {
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            let match;
+
+            if (this.isBlank(line)) {
+                i++;
+                continue;
+            }
+
+            // Alignment wrapper, as written by MarkdownSerializer and understood by GitHub
+            if ((match = line.match(/^ {0,3}<(div|p) align="(left|center|right)">[ \t]*$/i))) {
+                const end = new RegExp(`^ {0,3}</${match[1]}>[ \\t]*$`, 'i');
+                const inner = [];
+                i++;
+                while (i < lines.length && !end.test(lines[i])) {
+                    inner.push(lines[i]);
+                    i++;
+                }
+                i++;
+                this.parseBlocks(inner).forEach(block => blocks.push({ ...block, align: match[2].toLowerCase() }));
+                continue;
+            }
+
+            // Fenced code
+            if ((match = line.match(/^( {0,3})(`{3,}|~{3,})(.*)$/)) && !(match[2][0] === '`' && match[3].includes('`'))) {
+                const indent = new RegExp(`^ {0,${match[1].length}}`);
+                const fence = match[2];
+                const code = [];
+                i++;
+                while (i < lines.length) {
+                    const close = lines[i].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+                    if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+                        i++;
+                        break;
+                    }
+                    code.push(lines[i].replace(indent, ''));
+                    i++;
+                }
+                blocks.push({ type: 'code', lang: match[3].trim().split(/\s+/)[0], text: code.join('\n') });
+                continue;
+            }
+
+            // ATX heading
+            if ((match = line.match(/^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/))) {
+                let text = match[2].trim();
+                text = /^#+$/.test(text) ? '' : text.replace(/[ \t]+#+$/, '');
+                blocks.push({ type: 'heading', level: match[1].length, text });
+                i++;
+                continue;
+            }
+
+            if (this.isThematicBreak(line)) {
+                blocks.push({ type: 'hr' });
+                i++;
+                continue;
+            }
+
+            // Block quote, including lazy continuation lines of its paragraph
+            if (/^ {0,3}>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length) {
+                    const quoteLine = lines[i].match(/^ {0,3}> ?(.*)$/);
+                    if (quoteLine) {
+                        quoted.push(quoteLine[1]);
+                    } else if (!this.isBlank(lines[i]) && quoted.length && !this.isBlank(quoted[quoted.length - 1]) && !this.startsBlock(lines[i])) {
+                        quoted.push(lines[i]);
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                blocks.push({ type: 'quote', children: this.parseBlocks(quoted) });
+                continue;
+            }
+
+            const item = this.matchListItem(line);
+            if (item) {
+                i = this.parseList(lines, i, item, blocks);
+                continue;
+            }
+
+            // Indented code
+            if (/^ {4}/.test(line)) {
+                const code = [];
+                while (i < lines.length && (/^ {4}/.test(lines[i]) || this.isBlank(lines[i]))) {
+                    code.push(lines[i].slice(4));
+                    i++;
+                }
+                while (code.length && this.isBlank(code[code.length - 1])) {
+                    code.pop();
+                }
+                blocks.push({ type: 'code', lang: '', text: code.join('\n') });
+                continue;
+            }
+
+            // Pipe table: a header row and a row of dashes, then body rows up to a blank line or another block
+            if (line.includes('|') && i + 1 < lines.length && this.isTableDelimiter(lines[i + 1])) {
+                const header = this.splitTableRow(line);
+                if (header.length === this.splitTableRow(lines[i + 1]).length) {
+                    const rows = [header];
+                    i += 2;
+                    while (i < lines.length && !this.isBlank(lines[i]) && !this.startsBlock(lines[i])) {
+                        rows.push(this.splitTableRow(lines[i]));
+                        i++;
+                    }
+                    blocks.push({ type: 'table', columns: header.length, rows });
+                    continue;
+                }
+            }
+
+            // Paragraph, possibly turned into a heading by a setext underline
+            const paragraph = [line.replace(/^ +/, '')];
+            let setextLevel = 0;
+            i++;
+            while (i < lines.length && !this.isBlank(lines[i])) {
+                const underline = lines[i].match(/^ {0,3}(=+|-+)[ \t]*$/);
+                if (underline) {
+                    setextLevel = underline[1][0] === '=' ? 1 : 2;
+                    i++;
+                    break;
+                }
+                if (this.startsBlock(lines[i])) break;
+
+                paragraph.push(lines[i].replace(/^ +/, ''));
+                i++;
+            }
+
+            const text = this.extractReferences(paragraph.join('\n')).trim();
+            if (setextLevel && text) {
+                blocks.push({ type: 'heading', level: setextLevel, text });
+            } else if (text) {
+                blocks.push({ type: 'paragraph', text });
+            } else if (setextLevel === 2) {
+                blocks.push({ type: 'hr' });
+            }
+        }
+
+        return blocks;
+    }
+
+    // Collect the items of a list starting at lines[start]; returns the index after it
+    parseList(lines, start, firstItem, blocks) {
+        const list = { type: 'list', ordered: firstItem.ordered, start: firstItem.start, tight: true, items: [], checked: [] };
+        let item = firstItem;
+        let i = start;
+
+        while (item) {
+            // GitHub-style task items ("- [ ] todo", "- [x] done") make the list a checklist
+            const task = item.ordered ? null : item.text.match(/^\[([ xX])\](?:[ \t]+|$)/);
+            if (item === firstItem) {
+                list.checklist = !!task;
+            }
+            list.checked.push(!!task && task[1] !== ' ');
+
+            const itemLines = [task && list.checklist ? item.text.slice(task[0].length) : item.text];
+            i++;
+            while (i < lines.length) {
+                const next = lines[i];
+                if (this.isBlank(next)) {
+                    itemLines.push('');
+                } else if (this.leadingSpaces(next) >= item.contentIndent) {
+                    itemLines.push(next.slice(item.contentIndent));
+                } else if (!this.isBlank(itemLines[itemLines.length - 1]) && !this.startsBlock(next) && !this.matchListItem(next)) {
+                    itemLines.push(next); // Lazy continuation of the item's paragraph
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            let trailingBlank = false;
+            while (itemLines.length > 1 && this.isBlank(itemLines[itemLines.length - 1])) {
+                itemLines.pop();
+                trailingBlank = true;
+            }
+
+            const children = this.parseBlocks(itemLines);
+            if (children.length > 1 && itemLines.some(line => this.isBlank(line))) {
+                list.tight = false;
+            }
+            list.items.push(children);
+
+            const nextItem = i < lines.length ? this.matchListItem(lines[i]) : null;
+            if (!nextItem || nextItem.ordered !== list.ordered || nextItem.marker !== item.marker || this.isThematicBreak(lines[i])) {
+                break;
+            }
+            if (trailingBlank) {
+                list.tight = false;
+            }
+            item = nextItem;
+        }
+
+        blocks.push(list);
+        return i;
+    }
+
+    // { ordered, marker, start, contentIndent, text } for a line that opens a list item, otherwise null
+    matchListItem(line) {
+        if (this.isThematicBreak(line)) return null;
+
+        const match = line.match(/^( {0,3})([-+*]|\d{1,9}[.)])(?:( +)(.*))?$/);
+        if (!match) return null;
+
+        const ordered = /^\d/.test(match[2]);
+        let spaces = match[3] ? match[3].length : 1;
+        let text = match[4] || '';
+        if (!text) {
+            spaces = 1;
+        } else if (spaces > 4) {
+            // Content indented this far is an indented code block inside the item
+            text = ' '.repeat(spaces - 1) + text;
+            spaces = 1;
+        }
+
+        return {
+            ordered,
+            marker: ordered ? match[2].slice(-1) : match[2],
+            start: ordered ? parseInt(match[2], 10) : null,
+            contentIndent: match[1].length + match[2].length + spaces,
+            text
+        };
+    }
+
+    // Whether a line can interrupt a paragraph
+    startsBlock(line) {
+        if (/^ {0,3}(#{1,6}([ \t]|$)|>|`{3,}|~{3,})/.test(line) || this.isThematicBreak(line)) {
+            return true;
+        }
+
+        const item = this.matchListItem(line);
+        return !!item && !!item.text.trim() && (!item.ordered || item.start === 1);
+    }
+
+    isTableDelimiter(line) {
+        const cells = this.splitTableRow(line);
+        return line.includes('|') && cells.length > 0 && cells.every(cell => /^:?-+:?$/.test(cell));
+    }
+
+    // The cells of a table row. \| is a pipe inside a cell, even in a code span (as on GitHub)
+    splitTableRow(line) {
+        const text = line.trim().replace(/^\|/, '');
+        const cells = [];
+        let cell = '';
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+                cell += text[i + 1] === '|' ? '|' : text[i] + text[i + 1];
+                i++;
+            } else if (text[i] === '|') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += text[i];
+            }
+        }
+        if (cell.trim() || !text.endsWith('|')) {
+            cells.push(cell.trim());
+        }
+        return cells;
+    }
+
+    isThematicBreak(line) {
+        return /^ {0,3}([-*_])([ \t]*\1){2,}[ \t]*$/.test(line);
+    }
+
+    isBlank(line) {
+        return !line.trim();
+    }
+
+    leadingSpaces(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    expandTabs(line) {
+        if (!line.includes('\t')) return line;
+
+        let expanded = '';
+        for (const char of line) {
+            expanded += char === '\t' ? ' '.repeat(this.tabSize - (expanded.length % this.tabSize)) : char;
+        }
+        return expanded;
+    }
+
+    // Remove [label]: url "title" definitions from the start of a paragraph, remembering them for links
+    extractReferences(text) {
+        const definition = /^ {0,3}\[([^\[\]]+)\]:[ \t]*\n?[ \t]*(<[^<>\n]*>|\S+)(?:[ \t]*\n?[ \t]*("[^"]*"|'[^']*'|\([^()]*\)))?[ \t]*(?:\n|$)/;
+        let rest = text;
+        let match;
+        while ((match = rest.match(definition))) {
+            const label = this.normalizeLabel(match[1]);
+            if (!this.references[label]) {
+                this.references[label] = {
+                    url: match[2].replace(/^<|>$/g, ''),
+                    title: match[3] ? match[3].slice(1, -1) : ''
+                };
+            }
+            rest = rest.slice(match[0].length);
+        }
+        return rest;
+    }
+
+    normalizeLabel(label) {
+        return label.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    renderBlocks(blocks, tight = false) {
+        return blocks.map(block => {
+            const align = block.align ? ` style="text-align: ${block.align};"` : '';
+            switch (block.type) {
+                case 'heading':
+                    return `<h${block.level}${align}>${this.renderInline(block.text)}</h${block.level}>`;
+                case 'paragraph':
+                    return tight && !align ? this.renderInline(block.text) : `<p${align}>${this.renderInline(block.text)}</p>`;
+                case 'code': {
+                    const language = block.lang ? ` class="language-${this.escapeHtml(block.lang)}"` : '';
+                    return `<pre><code${language}>${this.escapeHtml(block.text)}</code></pre>`;
+                }
+                case 'hr':
+                    return '<hr>';
+                case 'quote':
+                    return `<blockquote${align}>${this.renderBlocks(block.children)}</blockquote>`;
+                case 'list': {
+                    const tag = block.ordered ? 'ol' : 'ul';
+                    const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                    const checklist = block.checklist ? ' class="checklist"' : '';
+                    const items = block.items.map((children, index) => {
+                        const checked = block.checklist && block.checked[index] ? ' class="checked"' : '';
+                        return `<li${checked}>${this.renderBlocks(children, block.tight) || '<br>'}</li>`;
+                    });
+                    return `<${tag}${checklist}${start}${align}>${items.join('')}</${tag}>`;
+                }
+                case 'table': {
+                    // The first row is the header; rows are cut or padded to its width
+                    const rows = block.rows.map((cells, index) => {
+                        const tag = index === 0 ? 'th' : 'td';
+                        const row = Array.from({ length: block.columns }, (_, column) =>
+                            `<${tag}>${this.renderInline(cells[column] || '') || '<br>'}</${tag}>`);
+                        return `<tr>${row.join('')}</tr>`;
+                    });
+                    return `<table><tbody>${rows.join('')}</tbody></table>`;
+                }
+                default:
+                    return '';
+            }
+        }).join('\n');
+    }
+
+    // Inline content. Code spans, escapes and links are set aside as tokens first,
+    // so emphasis markers inside them are left alone
+    renderInline(text, allowLinks = true) {
+        const tokens = [];
+        const hold = (html, plain = '') => `\u0000${tokens.push({ html, plain }) - 1}\u0000`;
+        const restore = (value, key) => {
+            let restored = value;
+            while (/\u0000\d+\u0000/.test(restored)) {
+                restored = restored.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index][key]);
+            }
+            return restored;
+        };
+
+        let result = this.holdCodeSpans(text, hold);
+
+        // Autolinks
+        result = result.replace(/<([a-z][a-z0-9+.-]{1,31}:[^\s<>]*)>/gi, (match, url) => {
+            const safeUrl = this.sanitizeUrl(url);
+            return safeUrl ? hold(`<a href="${this.escapeHtml(safeUrl)}">${this.escapeHtml(url)}</a>`, url) : match;
+        });
+        result = result.replace(/<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/g,
+            (match, email) => hold(`<a href="mailto:${this.escapeHtml(email)}">${this.escapeHtml(email)}</a>`, email));
+
+        // Backslash escapes and hard breaks written as a backslash
+        result = result.replace(/\\\n/g, () => hold('<br>', '\n'));
+        result = result.replace(/\\([!-/:-@[-`{-~])/g, (match, char) => hold(this.escapeHtml(char), char));
+
+        if (allowLinks) {
+            result = this.holdLinks(result, hold, restore);
+        }
+
+        result = this.renderEmphasis(this.escapeText(result));
+        result = result.replace(/ {2,}\n/g, '<br>').replace(/ +\n/g, '\n');
+        return restore(result, 'html');
+    }
+
+    // Set aside `code` spans; a run of backticks only closes on a run of the same length
+    holdCodeSpans(text, hold) {
+        let result = '';
+        let i = 0;
+        while (i < text.length) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+                result += text.slice(i, i + 2);
+                i += 2;
+                continue;
+            }
+            if (text[i] !== '`') {
+                result += text[i++];
+                continue;
+            }
+
+            let run = 1;
+            while (text[i + run] === '`') run++;
+
+            const fence = '`'.repeat(run);
+            let close = text.indexOf(fence, i + run);
+            while (close !== -1) {
+                let closeRun = 0;
+                while (text[close + closeRun] === '`') closeRun++;
+                if (closeRun === run) break;
+                close = text.indexOf(fence, close + closeRun);
+            }
+
+            if (close === -1) {
+                result += hold(fence, fence);
+                i += run;
+                continue;
+            }
+
+            let code = text.slice(i + run, close).replace(/\n/g, ' ');
+            if (/^ [\s\S]* $/.test(code) && code.trim()) {
+                code = code.slice(1, -1);
+            }
+            result += hold(`<code>${this.escapeHtml(code)}</code>`, code);
+            i = close + run;
+        }
+        return result;
+    }
+
+    // Set aside [links](url "title"), ![images](src) and [reference][links]
+    holdLinks(text, hold, restore) {
+        let result = '';
+        let i = 0;
+        while (i < text.length) {
+            const open = text.indexOf('[', i);
+            if (open === -1) break;
+
+            let depth = 0;
+            let close = -1;
+            for (let j = open; j < text.length; j++) {
+                if (text[j] === '[') depth++;
+                if (text[j] === ']' && --depth === 0) {
+                    close = j;
+                    break;
+                }
+            }
+
+            const label = close === -1 ? '' : text.slice(open + 1, close);
+            const target = close === -1 ? null : this.matchLinkTarget(text.slice(close + 1), label, restore);
+            if (!target) {
+                result += text.slice(i, open + 1);
+                i = open + 1;
+                continue;
+            }
+
+            const isImage = text[open - 1] === '!';
+            result += text.slice(i, isImage ? open - 1 : open);
+
+            const title = target.title ? ` title="${this.escapeHtml(target.title)}"` : '';
+            const url = this.sanitizeUrl(target.url, isImage);
+            if (isImage) {
+                const alt = restore(label, 'plain').replace(/[*_~]/g, '');
+                result += url
+                    ? hold(`<img src="${this.escapeHtml(url)}" alt="${this.escapeHtml(alt)}"${title}>`, alt)
+                    : hold(this.escapeHtml(alt), alt);
+            } else {
+                // Links can't contain other links
+                const content = restore(this.renderInline(label, false), 'html');
+                result += url
+                    ? hold(`<a href="${this.escapeHtml(url)}"${title}>${content}</a>`, restore(label, 'plain'))
+                    : hold(content, restore(label, 'plain'));
+            }
+            i = close + 1 + target.length;
+        }
+        return result + text.slice(i);
+    }
+
+    // { url, title, length } for what follows a link's ] (an inline target or a reference), or null
+    matchLinkTarget(rest, label, restore) {
+        const inline = rest.match(/^\(\s*(<[^<>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+("[^"]*"|'[^']*'|\([^()]*\)))?\s*\)/);
+        if (inline) {
+            return {
+                url: restore(inline[1].replace(/^<|>$/g, ''), 'plain'),
+                title: inline[2] ? restore(inline[2].slice(1, -1), 'plain') : '',
+                length: inline[0].length
+            };
+        }
+
+        const full = rest.match(/^\[([^\[\]]*)\]/);
+        const name = full && full[1].trim() ? full[1] : label;
+        const reference = this.references[this.normalizeLabel(restore(name, 'plain'))];
+        if (!reference) return null;
+
+        return { url: reference.url, title: reference.title, length: full ? full[0].length : 0 };
+    }
+
+    renderEmphasis(html) {
+        return html
+            .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<em><strong>$1</strong></em>')
+            .replace(/(^|[^\p{L}\p{N}])___(?=\S)([\s\S]*?\S)___(?![\p{L}\p{N}])/gu, '$1<em><strong>$2</strong></em>')
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\p{L}\p{N}])__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}])/gu, '$1<strong>$2</strong>')
+            .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+            .replace(/(^|[^\p{L}\p{N}])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\p{L}\p{N}])/gu, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>');
+    }
+
+    // Drop link targets that could run script; relative paths are kept
+    sanitizeUrl(url, isImage = false) {
+        const safeUrl = this.sanitizer.sanitizeUrl(url, isImage, true);
+        return safeUrl ? safeUrl.replace(/ /g, '%20') : null;
+    }
+
+    // Escape text while keeping entity references such as &copy; intact
+    escapeText(text) {
+        return text
+            .replace(/&(?!#\d{1,7};|#x[0-9a-f]{1,6};|[a-z][a-z0-9]{1,31};)/gi, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
\ No newline at end of file
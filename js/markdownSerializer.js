@@ -0,0 +1,212 @@
+/**
+ * markdownSerializer.js
+ * Converts editor HTML back into Markdown (the reverse of MarkdownParser)
+ */
+
+class MarkdownSerializer {
+    constructor() {
+        this.blockTags = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'HR', 'TABLE', 'FIGURE'];
+    }
+
+    serialize(html) {
+        const container = document.createElement('div');
+        container.innerHTML = html || '';
+        const markdown = this.serializeBlocks(container).join('\n\n');
+        return markdown ? markdown + '\n' : '';
+    }
+
+    // Markdown for each block inside an element; runs of inline content between blocks become paragraphs
+    serializeBlocks(element) {
+        const blocks = [];
+        let inlineNodes = [];
+        const flushInline = () => {
+            const text = this.serializeParagraph(inlineNodes);
+            if (text) blocks.push(text);
+            inlineNodes = [];
+        };
+
+        element.childNodes.forEach(node => {
+            if (!this.isBlock(node)) {
+                inlineNodes.push(node);
+                return;
+            }
+            flushInline();
+            const block = this.serializeBlock(node);
+            if (block) blocks.push(block);
+        });
+        flushInline();
+        return blocks;
+    }
+
+    serializeBlock(node) {
+        const tag = node.tagName;
+        let markdown;
+
+        if (/^H[1-6]$/.test(tag)) {
+            const text = this.serializeInline(node).replace(/\s*\n\s*/g, ' ').trim();
+            markdown = text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+        } else if (tag === 'UL' || tag === 'OL') {
+            const items = Array.from(node.children).filter(item => item.tagName === 'LI');
+            const checklist = tag === 'UL' && node.classList.contains('checklist');
+            markdown = this.serializeListItems(items, tag === 'OL', parseInt(node.getAttribute('start'), 10) || 1, checklist);
+        } else if (tag === 'LI') {
+            markdown = this.serializeListItems([node], false, 1, false);
+        } else if (tag === 'BLOCKQUOTE') {
+            markdown = this.serializeBlocks(node).join('\n\n')
+                .split('\n')
+                .map(line => line ? `> ${line}` : '>')
+                .join('\n');
+        } else if (tag === 'PRE') {
+            markdown = this.serializeCodeBlock(node);
+        } else if (tag === 'HR') {
+            markdown = '---';
+        } else if (tag === 'TABLE') {
+            markdown = this.serializeTable(node);
+        } else if (Array.from(node.childNodes).some(child => this.isBlock(child))) {
+            markdown = this.serializeBlocks(node).join('\n\n');
+        } else {
+            markdown = this.serializeParagraph(Array.from(node.childNodes));
+        }
+
+        // Markdown has no alignment, so aligned blocks use the HTML wrapper GitHub and MarkdownParser understand
+        const align = node.style && node.style.textAlign;
+        if (markdown && (align === 'center' || align === 'right')) {
+            markdown = `<div align="${align}">\n\n${markdown}\n\n</div>`;
+        }
+        return markdown;
+    }
+
+    // Checklist items are written as GitHub-style task items: "- [ ] open" and "- [x] done"
+    serializeListItems(items, ordered, start, checklist) {
+        let number = start;
+        return items
+            .map(item => {
+                const bullet = ordered ? `${number++}. ` : '- ';
+                const marker = checklist ? `${bullet}[${item.classList.contains('checked') ? 'x' : ' '}] ` : bullet;
+                const indent = ' '.repeat(bullet.length);
+                const blocks = this.serializeBlocks(item);
+
+                // Nested lists follow their item's text directly; other blocks make a loose item
+                const body = blocks.reduce((text, block, index) => {
+                    if (index === 0) return block;
+                    return text + (/^(\s*)([-*+]|\d+\.) /.test(block) ? '\n' : '\n\n') + block;
+                }, '');
+                return marker + body.split('\n').map((line, index) => index === 0 || !line ? line : indent + line).join('\n');
+            })
+            .join('\n');
+    }
+
+    // GitHub-style pipe table with the first row as its header. Cells can't hold line breaks, so those
+    // become spaces, and a | left unescaped (as in code spans) would end the cell
+    serializeTable(table) {
+        const rows = Array.from(table.rows).map(row => Array.from(row.cells).map(cell =>
+            this.serializeBlocks(cell).join(' ')
+                .replace(/\\?\n/g, ' ')
+                .replace(/ {2,}/g, ' ')
+                .replace(/(\\*)\|/g, (pipe, slashes) => slashes.length % 2 ? pipe : `${slashes}\\|`)
+                .trim()));
+        const columns = Math.max(0, ...rows.map(cells => cells.length));
+        if (columns === 0) return '';
+
+        const formatRow = cells => `| ${Array.from({ length: columns }, (_, index) => cells[index] || '').join(' | ')} |`;
+        return [formatRow(rows[0]), formatRow(Array(columns).fill('---')), ...rows.slice(1).map(formatRow)].join('\n');
+    }
+
+    serializeCodeBlock(pre) {
+        const code = pre.querySelector('code');
+        const text = (code || pre).textContent.replace(/\n$/, '');
+        const languageClass = (code ? code.className : '').match(/language-(\S+)/);
+        const language = pre.dataset.language || (languageClass ? languageClass[1] : '');
+
+        // The fence must be longer than any run of backticks in the code
+        const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        return `${fence}${language}\n${text}\n${fence}`;
+    }
+
+    serializeParagraph(nodes) {
+        const text = nodes.map(node => this.serializeNode(node)).join('')
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\\\n$/, '')
+            .trim();
+
+        // Keep a paragraph that starts like a heading, list or quote from being read as one
+        return text.replace(/^(#{1,6}(?=\s)|[-+*](?=\s)|>)/, '\\$1').replace(/^(\d+)([.)])(?=\s)/, '$1\\$2');
+    }
+
+    serializeInline(element) {
+        return Array.from(element.childNodes).map(node => this.serializeNode(node)).join('');
+    }
+
+    serializeNode(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return this.escapeText(node.nodeValue.replace(/\u00A0/g, ' ').replace(/\s+/g, ' '));
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        switch (node.tagName) {
+            case 'BR':
+                return '\\\n';
+            case 'STRONG':
+            case 'B':
+                return this.wrap(this.serializeInline(node), '**');
+            case 'EM':
+            case 'I':
+                return this.wrap(this.serializeInline(node), '*');
+            case 'S':
+            case 'STRIKE':
+            case 'DEL':
+                return this.wrap(this.serializeInline(node), '~~');
+            case 'CODE':
+                return this.serializeCodeSpan(node.textContent);
+            case 'IMG':
+                return node.getAttribute('src')
+                    ? `![${this.escapeText(node.getAttribute('alt') || '')}](${this.formatUrl(node.getAttribute('src'))})`
+                    : '';
+            case 'A':
+                return this.serializeLink(node);
+            default:
+                return this.isBlock(node) ? this.serializeBlock(node) : this.serializeInline(node);
+        }
+    }
+
+    // Links between notes keep their [[wiki link]] form
+    serializeLink(link) {
+        const text = this.serializeInline(link);
+        if (link.classList.contains('note-link')) {
+            return `[[${link.textContent.trim()}]]`;
+        }
+
+        const href = link.getAttribute('href');
+        if (!href || href === '#' || !text.trim()) return text;
+
+        const title = link.getAttribute('title');
+        return `[${text}](${this.formatUrl(href)}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+    }
+
+    // Put emphasis markers around the text, leaving surrounding spaces outside them
+    wrap(text, marker) {
+        const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+    }
+
+    serializeCodeSpan(code) {
+        const text = code.replace(/\n/g, ' ');
+        const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+        return `${fence}${padding}${text}${padding}${fence}`;
+    }
+
+    formatUrl(url) {
+        return /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+    }
+
+    escapeText(text) {
+        return text.replace(/([\\`*_[\]<>~|])/g, '\\$1');
+    }
+
+    isBlock(node) {
+        return node.nodeType === Node.ELEMENT_NODE && this.blockTags.includes(node.tagName);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,205 @@
+/**
+ * noteExporter.js
+ * Builds Markdown files, standalone HTML pages and print views from notes
+ */
+
+class NoteExporter {
+    constructor() {
+        this.markdown = new MarkdownSerializer();
+        this.highlighter = new SyntaxHighlighter();
+
+        // Embedded in exported pages; the print rules also lay out the print view
+        this.documentStyles = `
+body {
+    max-width: 760px;
+    margin: 40px auto;
+    padding: 0 24px;
+    font-family: 'Roboto', Arial, sans-serif;
+    font-size: 16px;
+    line-height: 1.5;
+    color: #222222;
+}
+h1 { font-size: 32px; line-height: 1.3; margin: 16px 0; }
+h2 { font-size: 24px; line-height: 1.4; margin: 12px 0; }
+h3, h4, h5, h6 { font-size: 18px; margin: 10px 0; }
+p { margin: 8px 0; }
+ul, ol { margin: 8px 0; padding-left: 24px; }
+li { margin: 4px 0; }
+ul.checklist { list-style: none; padding-left: 4px; }
+ul.checklist > li::before { content: "\\2610\\00a0"; }
+ul.checklist > li.checked::before { content: "\\2611\\00a0"; }
+ul.checklist > li.checked { color: #888888; text-decoration: line-through; }
+a { color: #3A7BC8; }
+blockquote { margin: 8px 0; padding: 4px 16px; border-left: 4px solid #E5DDB3; color: #555555; }
+code { font-family: 'Courier New', Courier, monospace; font-size: 14px; padding: 1px 4px; border-radius: 3px; background-color: #F6F2DC; }
+pre { margin: 8px 0; padding: 12px 16px; border-radius: 4px; background-color: #F6F2DC; overflow-x: auto; }
+pre code { padding: 0; background: none; }
+.token-comment { color: #8A8470; }
+.token-string { color: #2E7D32; }
+.token-keyword, .token-tag { color: #3A7BC8; }
+.token-literal, .token-number, .token-variable { color: #B5522B; }
+.token-function { color: #7B4FB3; }
+.token-attribute { color: #9A6B00; }
+hr { margin: 16px 0; border: none; border-top: 1px solid #E5DDB3; }
+img { max-width: 100%; }
+table { border-collapse: collapse; margin: 8px 0; }
+th, td { border: 1px solid #CCCCCC; padding: 6px 10px; text-align: left; vertical-align: top; }
+.note + .note { margin-top: 48px; padding-top: 24px; border-top: 2px solid #E5DDB3; }
+.note-meta { font-size: 13px; color: #888888; margin-bottom: 8px; }
+.note-meta .tag { margin-right: 6px; }
+.contents { margin-bottom: 32px; padding: 12px 24px; background-color: #FFF8DC; border-radius: 4px; }
+.contents h2 { font-size: 18px; }
+@media print {
+    @page { margin: 2cm; }
+    body { max-width: none; margin: 0; padding: 0; font-size: 12pt; }
+    .contents { display: none; }
+    .note + .note { margin-top: 0; padding-top: 0; border-top: none; break-before: page; page-break-before: always; }
+    h1, h2, h3, h4, h5, h6 { break-after: avoid; page-break-after: avoid; }
+    pre, blockquote, img, table, tr { break-inside: avoid; page-break-inside: avoid; }
+    a { color: inherit; text-decoration: none; }
+    a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 0.85em; color: #555555; }
+    code, pre { background: none; border: 1px solid #DDDDDD; }
+}`;
+    }
+
+    // Markdown with the title, tags and dates as front-matter (read back when the file is imported).
+    // Stored images point at the paths given for them (image ID -> path)
+    toMarkdown(note, imagePaths = new Map()) {
+        const frontMatter = ['---', `title: ${JSON.stringify(note.title)}`];
+        if (note.tags && note.tags.length > 0) {
+            frontMatter.push(`tags: [${note.tags.join(', ')}]`);
+        }
+        frontMatter.push(`created: ${note.createdAt}`, `updated: ${note.updatedAt}`, '---', '');
+        return frontMatter.join('\n') + this.markdown.serialize(this.resolveImages(note.content, imagePaths));
+    }
+
+    // One self-contained page for any number of notes; several notes get a table of contents.
+    // Stored images are shown from the sources given for them (image ID -> data URL)
+    toHtmlDocument(notes, imageSources = new Map()) {
+        const anchors = new Map(notes.map((note, index) => [note.id, `note-${index + 1}`]));
+        const title = notes.length === 1 ? notes[0].title : `${notes.length} notes from takenote`;
+
+        const contents = notes.length > 1
+            ? `<nav class="contents">\n<h2>Contents</h2>\n<ol>\n${notes.map(note =>
+                `<li><a href="#${anchors.get(note.id)}">${this.escapeHtml(note.title)}</a></li>`).join('\n')}\n</ol>\n</nav>`
+            : '';
+
+        const articles = notes.map(note => [
+            `<article id="${anchors.get(note.id)}" class="note">`,
+            this.renderMeta(note),
+            this.prepareContent(note.content, anchors, imageSources),
+            '</article>'
+        ].join('\n'));
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            '<meta name="viewport" content="width=device-width, initial-scale=1">',
+            `<title>${this.escapeHtml(title)}</title>`,
+            `<style>${this.documentStyles}\n</style>`,
+            '</head>',
+            '<body>',
+            contents,
+            ...articles,
+            '</body>',
+            '</html>'
+        ].filter(Boolean).join('\n');
+    }
+
+    renderMeta(note) {
+        const tags = (note.tags || []).map(tag => `<span class="tag">#${this.escapeHtml(tag)}</span>`).join('');
+        const edited = new Date(note.updatedAt).toLocaleString();
+        return `<div class="note-meta">${tags}<span class="date">Last edited ${this.escapeHtml(edited)}</span></div>`;
+    }
+
+    // Editor-only markup is removed and code is coloured. Links to notes in the same export jump to them;
+    // other note links become plain text
+    prepareContent(content, anchors, imageSources) {
+        const container = document.createElement('div');
+        container.innerHTML = this.resolveImages(content, imageSources);
+
+        container.querySelectorAll('pre').forEach(pre => {
+            const code = pre.querySelector('code') || pre;
+            const languageClass = code.className.match(/language-(\S+)/);
+            const language = pre.dataset.language || (languageClass ? languageClass[1] : '');
+            code.innerHTML = this.highlighter.toHtml(code.textContent.replace(/\n$/, ''), language);
+        });
+
+        container.querySelectorAll('[contenteditable]').forEach(element => element.removeAttribute('contenteditable'));
+        container.querySelectorAll('a.note-link').forEach(link => {
+            const anchor = anchors.get(link.dataset.noteId);
+            if (anchor) {
+                link.setAttribute('href', `#${anchor}`);
+                link.removeAttribute('data-note-id');
+            } else {
+                link.replaceWith(document.createTextNode(link.textContent));
+            }
+        });
+        return container.innerHTML;
+    }
+
+    // Point stored images at their sources (image ID -> URL); images without one are replaced by their alt text
+    resolveImages(content, sources) {
+        const container = document.createElement('div');
+        container.innerHTML = content;
+        container.querySelectorAll('img[data-image-id]').forEach(image => {
+            const source = sources.get(image.dataset.imageId);
+            if (source) {
+                image.setAttribute('src', source);
+                image.removeAttribute('data-image-id');
+            } else {
+                image.replaceWith(document.createTextNode(image.getAttribute('alt') || ''));
+            }
+        });
+        return container.innerHTML;
+    }
+
+    // Stored images ({ id, type, blob }) as data URLs, for pages that show them without takenote
+    async getImageSources(images) {
+        const sources = await Promise.all(images.map(image => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read an image.'));
+            reader.readAsDataURL(image.blob);
+        })));
+        return new Map(images.map((image, index) => [image.id, sources[index]]));
+    }
+
+    // Where stored images go in an exported archive, by image ID
+    getImagePaths(images) {
+        return new Map(images.map(image => {
+            const extension = (image.type.split('/')[1] || 'bin').replace('jpeg', 'jpg').replace(/\W.*$/, '');
+            return [image.id, `images/${image.id}.${extension}`];
+        }));
+    }
+
+    // The image files to add to an exported archive, at the paths from getImagePaths()
+    async getImageFiles(images) {
+        const paths = this.getImagePaths(images);
+        return Promise.all(images.map(async image => ({ name: paths.get(image.id), content: await image.blob.arrayBuffer() })));
+    }
+
+    // Bundle several exported files into one ZIP, numbering any that would share a name
+    createArchive(files) {
+        const archive = new ZipArchive();
+        const usedNames = new Set();
+        files.forEach(file => {
+            let name = file.name;
+            const dot = name.lastIndexOf('.');
+            for (let copy = 2; usedNames.has(name.toLowerCase()); copy++) {
+                name = `${file.name.slice(0, dot)}-${copy}${file.name.slice(dot)}`;
+            }
+            usedNames.add(name.toLowerCase());
+            archive.addFile(name, file.content);
+        });
+        return archive.toBlob();
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,287 @@
+/**
+ * noteFinder.js
+ * Finds and replaces text in the open note, highlighting every match
+ */
+
+class NoteFinder {
+    constructor(editor) {
+        this.editor = editor;
+        this.options = { query: '', caseSensitive: false, wholeWord: false, regex: false };
+        this.matches = []; // { start, end, groups } as offsets into the text from getTextMap()
+        this.currentIndex = -1;
+        this.error = null;
+
+        // Matches are drawn with the CSS Custom Highlight API, which leaves the note's markup alone
+        this.canHighlight = typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight !== 'undefined';
+    }
+
+    // Look for options.query; returns the status shown in the find bar
+    search(options) {
+        this.options = { ...this.options, ...options };
+        this.currentIndex = -1;
+        this.findMatches();
+
+        // Start from the caret, as browsers do
+        const caret = this.getCaretOffset();
+        if (this.matches.length > 0) {
+            const next = this.matches.findIndex(match => match.start >= caret);
+            this.currentIndex = next === -1 ? 0 : next;
+        }
+        this.showMatches(true);
+        return this.getStatus();
+    }
+
+    // Search again after the note changed, staying near the current match
+    refresh() {
+        const previous = this.matches[this.currentIndex];
+        this.findMatches();
+        if (this.matches.length === 0) {
+            this.currentIndex = -1;
+        } else {
+            const next = previous ? this.matches.findIndex(match => match.start >= previous.start) : 0;
+            this.currentIndex = next === -1 ? this.matches.length - 1 : next;
+        }
+        this.showMatches(false);
+        return this.getStatus();
+    }
+
+    next() {
+        return this.move(1);
+    }
+
+    previous() {
+        return this.move(-1);
+    }
+
+    move(step) {
+        if (this.matches.length === 0) return this.getStatus();
+        this.currentIndex = (this.currentIndex + step + this.matches.length) % this.matches.length;
+        this.showMatches(true);
+        return this.getStatus();
+    }
+
+    // Replace the current match and go on to the next one
+    replace(replacement) {
+        const match = this.matches[this.currentIndex];
+        if (!match || this.editor.isReadOnly()) return this.getStatus();
+
+        const text = this.getReplacementText(match, replacement);
+        this.editor.applyEdit(() => this.replaceRange(this.getTextMap(), match, text));
+
+        this.findMatches();
+        const next = this.matches.findIndex(item => item.start >= match.start + text.length);
+        this.currentIndex = this.matches.length === 0 ? -1 : next === -1 ? 0 : next;
+        this.showMatches(true);
+        return this.getStatus();
+    }
+
+    // Replace every match as a single undo step; returns the number replaced
+    replaceAll(replacement) {
+        if (this.matches.length === 0 || this.editor.isReadOnly()) return 0;
+
+        const matches = this.matches;
+        this.editor.applyEdit(() => {
+            // Work backwards so earlier offsets stay valid
+            const map = this.getTextMap();
+            [...matches].reverse().forEach(match => {
+                this.replaceRange(map, match, this.getReplacementText(match, replacement));
+            });
+        });
+
+        this.findMatches();
+        this.currentIndex = this.matches.length > 0 ? 0 : -1;
+        this.showMatches(false);
+        return matches.length;
+    }
+
+    // Remove the highlights; the current match is left selected so typing carries on from there
+    close() {
+        const match = this.matches[this.currentIndex];
+        const range = match ? this.createRange(this.getTextMap(), match) : null;
+        this.clearHighlights();
+        this.matches = [];
+        this.currentIndex = -1;
+
+        if (range) {
+            this.editor.selectRange(range);
+        } else {
+            this.editor.focus();
+        }
+    }
+
+    getStatus() {
+        return { count: this.matches.length, index: this.currentIndex, error: this.error };
+    }
+
+    findMatches() {
+        this.matches = [];
+        this.error = null;
+
+        const pattern = this.buildPattern();
+        if (!pattern) return;
+
+        const { text } = this.getTextMap();
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                // Empty matches (e.g. /x*/) can't be highlighted or replaced
+                pattern.lastIndex += 1;
+                continue;
+            }
+            this.matches.push({ start: match.index, end: match.index + match[0].length, groups: match });
+        }
+    }
+
+    buildPattern() {
+        const { query, caseSensitive, wholeWord, regex } = this.options;
+        if (!query) return null;
+
+        let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (wholeWord) {
+            source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+        }
+        try {
+            return new RegExp(source, caseSensitive ? 'gu' : 'giu');
+        } catch (error) {
+            this.error = 'Invalid regular expression';
+            return null;
+        }
+    }
+
+    // In regex mode the replacement can use $& and $1, $2... or $<name> for groups
+    getReplacementText(match, replacement) {
+        if (!this.options.regex) return replacement;
+
+        const groups = match.groups;
+        return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, key, name) => {
+            if (key === '$') return '$';
+            if (key === '&') return groups[0];
+            if (name !== undefined) {
+                return groups.groups && name in groups.groups ? groups.groups[name] || '' : token;
+            }
+            const index = Number(key);
+            return index > 0 && index < groups.length ? groups[index] || '' : token;
+        });
+    }
+
+    // The note's text with its text nodes' positions. Blocks are separated by a newline so
+    // matches don't run from one line into the next, and note links aren't searched
+    getTextMap() {
+        const segments = [];
+        let text = '';
+        let previousBlock = null;
+
+        this.editor.getTextNodes().forEach(node => {
+            const parent = node.parentElement;
+            const block = parent && parent.closest('p, div, li, h1, h2, h3, h4, h5, h6, blockquote, pre, td, th');
+            if (previousBlock && block !== previousBlock) text += '\n';
+            previousBlock = block;
+
+            if (parent && parent.closest('.note-link')) {
+                text += '\n';
+                return;
+            }
+            segments.push({ node, start: text.length, length: node.nodeValue.length });
+            text += node.nodeValue;
+        });
+        return { text, segments };
+    }
+
+    createRange(map, match) {
+        const start = this.findPosition(map, match.start, false);
+        const end = this.findPosition(map, match.end, true);
+        if (!start || !end) return null;
+
+        const range = document.createRange();
+        range.setStart(start.node, start.offset);
+        range.setEnd(end.node, end.offset);
+        return range;
+    }
+
+    // The text node and offset for a position in the mapped text. A position between two
+    // nodes belongs to the following one for a start, and the preceding one for an end
+    findPosition(map, position, isEnd) {
+        const segments = map.segments;
+        for (let i = 0; i < segments.length; i++) {
+            const { node, start, length } = segments[i];
+            const end = start + length;
+            if (position < start) return null;
+            if (position < end || (position === end && (isEnd || i === segments.length - 1))) {
+                return { node, offset: position - start };
+            }
+        }
+        return null;
+    }
+
+    // Put the replacement in the first text node of the match, so it keeps that text's formatting.
+    // Matches after this one may already have been replaced, but only further along in the text
+    replaceRange(map, match, replacement) {
+        let first = true;
+        map.segments.forEach(({ node, start, length }) => {
+            const end = start + length;
+            if (end <= match.start || start >= match.end) return;
+
+            const from = Math.max(match.start, start) - start;
+            const to = Math.min(match.end, end) - start;
+            node.nodeValue = node.nodeValue.slice(0, from) + (first ? replacement : '') + node.nodeValue.slice(to);
+            first = false;
+
+            if (!node.nodeValue) this.removeEmptyNode(node);
+        });
+    }
+
+    // Remove a text node emptied by a replacement, with any formatting left around nothing
+    removeEmptyNode(node) {
+        let parent = node.parentNode;
+        node.remove();
+        while (parent && parent !== this.editor.editor && !parent.firstChild && ['B', 'STRONG', 'I', 'EM', 'S', 'CODE', 'SPAN', 'A'].includes(parent.tagName)) {
+            const next = parent.parentNode;
+            parent.remove();
+            parent = next;
+        }
+    }
+
+    getCaretOffset() {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0) return 0;
+
+        const range = selection.getRangeAt(0);
+        const map = this.getTextMap();
+        const segment = map.segments.find(({ node }) => node === range.startContainer);
+        return segment ? segment.start + range.startOffset : 0;
+    }
+
+    // Highlight every match, the current one more strongly; reveal scrolls the current one into view
+    showMatches(reveal) {
+        const map = this.getTextMap();
+        const ranges = this.matches.map(match => this.createRange(map, match));
+        const current = ranges[this.currentIndex] || null;
+
+        if (this.canHighlight) {
+            CSS.highlights.set('find-matches', new Highlight(...ranges.filter(Boolean)));
+            if (current) {
+                CSS.highlights.set('find-current', new Highlight(current));
+            } else {
+                CSS.highlights.delete('find-current');
+            }
+        } else if (current && reveal) {
+            // Without highlights, selecting the match is the only way to show it
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(current);
+        }
+
+        if (current && reveal) {
+            const element = current.startContainer.parentElement;
+            if (element && element.scrollIntoView) {
+                element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+            }
+        }
+    }
+
+    clearHighlights() {
+        if (!this.canHighlight) return;
+        CSS.highlights.delete('find-matches');
+        CSS.highlights.delete('find-current');
+    }
+}
\ No newline at end of file
@@ -4,30 +4,295 @@
  */
 
 class NoteManager {
-    constructor() {
+    constructor(store = new NoteStore()) {
         this.notes = [];
+        this.trash = [];
+        this.notebooks = [];
         this.activeNoteId = null;
-        this.loadNotesFromStorage();
+        this.store = store;
+        this.searchIndex = new SearchIndex();
+        this.schema = new NoteSchema(content => this.extractInlineTags(content));
+        this.markdownParser = new MarkdownParser();
+        this.sanitizer = new HtmlSanitizer();
+        this.vault = new Vault();
+        this.sealQueue = Promise.resolve();
+
+        // Notes are listed before their content is read; a note's content is undefined until loadContents() fills it in
+        this.contentsLoading = null;
+        this.contentsLoaded = false;
+
+        // Called with { kind: 'note' | 'notebook', ids } after changes are written (set by the main app)
+        this.onChange = null;
+
+        // Called with getSaveStatus() when saving starts failing, keeps failing or recovers (set by the main app)
+        this.onSaveStatusChange = null;
+
+        // Called when the note database can't be opened until other takenote tabs are closed (set by the main app)
+        this.onStorageBlocked = null;
+        if (this.store) {
+            this.store.onBlocked = () => {
+                if (this.onStorageBlocked) this.onStorageBlocked();
+            };
+        }
+        this.saveFailure = null;
+
+        // Records whose latest changes couldn't be written; retried until a save goes through.
+        // Unsaved notes are also mirrored to sessionStorage so reloading the tab doesn't lose them.
+        this.unsavedIds = { note: new Set(), notebook: new Set() };
+        this.unsavedStorageKey = 'takenote-unsaved';
+        this.saveRetryDelay = 30 * 1000;
+        this.saveRetryTimeout = null;
+        this.flushingUnsaved = null;
+        this.lowSpaceRatio = 0.9; // Warn once this share of the storage quota is used
+
+        // Images are stored apart from the notes that show them, which refer to them by ID
+        this.imageUrls = new Map(); // Image ID -> promise of an object URL, while the page is open
+        this.imageGraceDays = 1; // Unused images this new are kept; another tab may not have saved its note yet
+
+        // Shown in place of encrypted images while the vault is locked
+        this.lockedImageUrl = 'data:image/svg+xml,' + encodeURIComponent(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="160" height="120" viewBox="0 0 160 120">' +
+            '<rect width="160" height="120" rx="6" fill="#F0EAC0"/>' +
+            '<path d="M70 56v-8a10 10 0 0 1 20 0v8" fill="none" stroke="#8A8470" stroke-width="4"/>' +
+            '<rect x="64" y="56" width="32" height="24" rx="3" fill="#8A8470"/></svg>'
+        );
+
+        // Trashed notes older than this are purged automatically (0 keeps them forever)
+        this.trashRetentionDays = parseInt(localStorage.getItem('takenote-trash-retention-days'), 10);
+        if (isNaN(this.trashRetentionDays)) {
+            this.trashRetentionDays = 30;
+        }
+
+        // Revision history settings
+        this.revisionInterval = 5 * 60 * 1000; // At most one snapshot per note every 5 minutes
+        this.maxRevisionsPerNote = 50;
+        this.maxRevisionAgeDays = 30;
+        this.lastRevisionAt = {};
+
+        // Problems met while loading, shown to the user once the app is up
+        this.loadErrors = [];
+        this.quarantineStorageKey = 'takenote-quarantine';
+    }
+
+    // Load the notes list from IndexedDB, migrating the old localStorage data on first run
+    async init() {
+        try {
+            await this.store.migrateFromLocalStorage();
+            const checked = await this.checkStoredNotes(await this.readNoteList(), [], true);
+            this.setLoadedNotes(await this.openNotes(checked.notes));
+            this.notebooks = await this.store.getAllNotebooks();
+            await this.saveCheckedNotes(checked);
+
+            const savedActiveId = await this.store.getMeta('activeId');
+            if (savedActiveId && this.getNoteById(savedActiveId)) {
+                this.activeNoteId = savedActiveId;
+            } else if (this.notes.length > 0) {
+                this.activeNoteId = this.notes[0].id;
+            }
+        } catch (error) {
+            console.warn('Failed to open IndexedDB, falling back to localStorage:', error);
+            this.loadErrors.push('The note database couldn\'t be opened, so notes are kept in this browser\'s smaller local storage for now.');
+            this.store = null;
+            await this.loadNotesFromStorage();
+            return;
+        }
+
+        this.purgeExpiredTrash();
+
+        // If no notes exist, create a default one
+        if (this.notes.length === 0) {
+            this.createNote('Welcome to takenote', '<p>Welcome to takenote! This is your first note.</p><p>You can:</p><ul><li>Format text with the toolbar</li><li>Create new notes</li><li>Upload and download files</li><li>And much more!</li></ul>');
+        }
+    }
+
+    // Upgrade stored records to the current schema. Records that can't be used are quarantined rather than
+    // dropped, and quarantined records that load now (e.g. after updating takenote) are put back.
+    async checkStoredNotes(records, rejected = [], contentStoredApart = false) {
+        const notes = [];
+        const migrated = [];
+        const released = [];
+        const seenIds = new Set();
+
+        records.forEach(record => {
+            const result = this.schema.upgrade(record, contentStoredApart);
+            if (!result.error && seenIds.has(result.note.id)) {
+                result.error = 'Another note has the same ID.';
+            }
+            if (result.error) {
+                rejected.push(this.createQuarantineEntry(result.error, { record }));
+                return;
+            }
+            seenIds.add(result.note.id);
+            notes.push(result.note);
+            if (result.migrated) migrated.push(result.note);
+        });
+
+        (await this.getQuarantine()).forEach(entry => {
+            const result = entry.record ? this.schema.upgrade(entry.record) : { error: entry.reason };
+            if (!result.error && !seenIds.has(result.note.id)) {
+                seenIds.add(result.note.id);
+                notes.push(result.note);
+                released.push({ entryId: entry.id, note: result.note });
+            }
+        });
+
+        rejected.forEach(entry => console.warn('Quarantined a note that couldn\'t be loaded:', entry.reason, entry.record || entry.raw));
+        return { notes, migrated, rejected, released };
+    }
+
+    createQuarantineEntry(reason, { record = null, raw = null } = {}) {
+        const entry = {
+            id: this.generateId('quarantine'),
+            reason,
+            quarantinedAt: new Date().toISOString()
+        };
+        if (record && typeof record === 'object' && typeof record.id === 'string' && record.id) {
+            entry.noteId = record.id;
+            entry.title = typeof record.title === 'string' ? record.title : '';
+        }
+        if (record !== null) entry.record = record;
+        if (raw !== null) entry.raw = raw;
+        return entry;
+    }
+
+    // Write back the outcome of checkStoredNotes(); runs after the notes are loaded into memory
+    async saveCheckedNotes({ migrated, rejected, released }) {
+        if (migrated.length + rejected.length + released.length === 0) return;
+
+        try {
+            if (this.store) {
+                if (migrated.length > 0) await this.store.putNotes(migrated);
+                if (rejected.length > 0) await this.store.quarantineNotes(rejected);
+                if (released.length > 0) {
+                    await this.store.releaseQuarantined(released.map(item => item.entryId), released.map(item => item.note));
+                }
+            } else {
+                // Set the records aside before the notes blob is rewritten without them
+                const releasedIds = released.map(item => item.entryId);
+                const quarantine = this.readLocalQuarantine().filter(entry => !releasedIds.includes(entry.id));
+                localStorage.setItem(this.quarantineStorageKey, JSON.stringify([...quarantine, ...rejected]));
+                await this.writeNotesToStorage();
+            }
+        } catch (error) {
+            console.warn('Failed to save checked notes:', error);
+            if (rejected.length > 0) {
+                this.loadErrors.push('Notes that couldn\'t be loaded could not be set aside either. Free up some storage space and reload.');
+            }
+        }
+    }
+
+    // Records set aside because they couldn't be loaded, oldest first
+    async getQuarantine() {
+        const entries = this.store ? await this.store.getQuarantine() : this.readLocalQuarantine();
+        return entries.sort((a, b) => new Date(a.quarantinedAt) - new Date(b.quarantinedAt));
+    }
+
+    readLocalQuarantine() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.quarantineStorageKey) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable quarantine:', error);
+            return [];
+        }
+    }
+
+    // Delete every quarantined record for good
+    async clearQuarantine() {
+        if (this.store) {
+            await this.store.clearQuarantine();
+        } else {
+            localStorage.removeItem(this.quarantineStorageKey);
+        }
+    }
+
+    // Stored notes without their content. Records to upgrade or quarantine are read whole, so their content goes with them
+    async readNoteList() {
+        const records = await this.store.getNoteList();
+        return Promise.all(records.map(record => {
+            const result = this.schema.upgrade(record, true);
+            return result.error || result.migrated ? this.store.getNote(record.id) : record;
+        }));
+    }
+
+    // Read the content of a note listed without it; resolves with the note, or null if there's no such note
+    async loadNoteContent(id) {
+        const note = this.getNoteById(id) || this.getTrashedNoteById(id);
+        if (!note || note.content !== undefined) return note || null;
+
+        const content = await this.store.getNoteContent(id);
+
+        // The note may have been replaced (e.g. reloaded for another tab's change) in the meantime
+        const current = this.getNoteById(id) || this.getTrashedNoteById(id);
+        if (current && current.content === undefined) {
+            current.content = typeof content === 'string' ? content : '';
+            this.indexNote(current);
+        }
+        return current || null;
+    }
+
+    // Read the content of every note listed without it, indexing each for search; runs once
+    loadContents() {
+        if (!this.contentsLoading) {
+            this.contentsLoading = this.readContents().then(() => {
+                this.contentsLoaded = true;
+            }, error => {
+                this.contentsLoading = null;
+                throw error;
+            });
+        }
+        return this.contentsLoading;
+    }
+
+    async readContents() {
+        if (![...this.notes, ...this.trash].some(note => note.content === undefined)) return;
+
+        const contents = new Map((await this.store.getAllNoteContents()).map(record => [record.id, record.content]));
+        [...this.notes, ...this.trash]
+            .filter(note => note.content === undefined)
+            .forEach(note => {
+                const content = contents.get(note.id);
+                note.content = typeof content === 'string' ? content : '';
+                this.indexNote(note);
+            });
+    }
+
+    // Split loaded notes into live notes and trash
+    setLoadedNotes(allNotes) {
+        this.notes = allNotes.filter(note => !note.deletedAt);
+        this.trash = allNotes.filter(note => note.deletedAt);
+        this.sortNotes();
+        this.trash.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+        this.notes.forEach(note => this.indexNote(note));
     }
 
-    // Generate unique ID for notes
-    generateId() {
-        return 'note_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    // Newest notes first, matching the order they were created in
+    sortNotes() {
+        this.notes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    // Generate unique ID for notes (and other records, given a prefix)
+    generateId(prefix = 'note') {
+        return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
     // Create a new note
-    createNote(title = 'Untitled Note', content = '') {
+    createNote(title = 'Untitled Note', content = '', notebookId = null) {
         const note = {
             id: this.generateId(),
             title: title,
             content: content,
+            notebookId: this.getNotebookById(notebookId) ? notebookId : null,
+            tags: this.extractInlineTags(content),
             createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
+            updatedAt: new Date().toISOString(),
+            schemaVersion: this.schema.version
         };
         
         this.notes.unshift(note); // Add to beginning
         this.activeNoteId = note.id;
-        this.saveNotesToStorage();
+        this.saveNote(note);
+        this.saveActiveNoteId();
         return note;
     }
 
@@ -47,29 +312,54 @@ class NoteManager {
     // Update note content
     updateNote(id, updates) {
         const noteIndex = this.notes.findIndex(note => note.id === id);
-        if (noteIndex !== -1) {
+        if (noteIndex !== -1 && !this.notes[noteIndex].sealed) {
+            const previous = this.notes[noteIndex];
+
+            // Saving unchanged content must not count as an edit (it would reorder "last edited")
+            const changed = Object.keys(updates).some(key => !this.isSameValue(previous[key], updates[key]));
+            if (!changed) {
+                return previous;
+            }
+
+            if (updates.content !== undefined && updates.content !== previous.content) {
+                this.maybeRecordRevision(previous);
+
+                if (updates.tags === undefined) {
+                    updates = { ...updates, tags: this.mergeInlineTags(previous, updates.content) };
+                }
+            }
+
             this.notes[noteIndex] = {
-                ...this.notes[noteIndex],
+                ...previous,
                 ...updates,
                 updatedAt: new Date().toISOString()
             };
-            this.saveNotesToStorage();
+            this.saveNote(this.notes[noteIndex]);
             return this.notes[noteIndex];
         }
         return null;
     }
 
-    // Update note title only
+    // Compare note field values, treating arrays (e.g. tags) by their items
+    isSameValue(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((item, index) => item === b[index]);
+        }
+        return a === b;
+    }
+
+    // Update note title only; links to the note in other notes take the new title
     updateNoteTitle(id, newTitle) {
         const noteIndex = this.notes.findIndex(note => note.id === id);
-        if (noteIndex !== -1) {
+        if (noteIndex !== -1 && !this.notes[noteIndex].sealed) {
             this.notes[noteIndex] = {
                 ...this.notes[noteIndex],
                 title: newTitle.trim() || 'Untitled Note',
                 updatedAt: new Date().toISOString()
             };
-            this.saveNotesToStorage();
-            return this.notes[noteIndex];
+            this.saveNote(this.notes[noteIndex]);
+            this.updateLinkLabels(id, this.notes[noteIndex].title);
+            return this.getNoteById(id);
         }
         return null;
     }
@@ -87,6 +377,110 @@ class NoteManager {
         }
     }
 
+    // Find a note by its exact title, ignoring case (encrypted notes can't be matched)
+    findNoteByTitle(title) {
+        const wanted = title.trim().toLowerCase();
+        return this.notes.find(note => !note.sealed && note.title.trim().toLowerCase() === wanted) || null;
+    }
+
+    // Notes whose title contains the query, for [[link]] suggestions: title prefixes first, then recently edited
+    suggestNoteTitles(query, excludeId = null, limit = 8) {
+        const wanted = query.trim().toLowerCase();
+        return this.notes
+            .filter(note => note.id !== excludeId && !note.sealed && note.title.toLowerCase().includes(wanted))
+            .sort((a, b) => {
+                const prefixA = a.title.toLowerCase().startsWith(wanted);
+                const prefixB = b.title.toLowerCase().startsWith(wanted);
+                if (prefixA !== prefixB) return prefixA ? -1 : 1;
+                return new Date(b.updatedAt) - new Date(a.updatedAt);
+            })
+            .slice(0, limit);
+    }
+
+    // Notes that link to a note with [[title]], most recently edited first
+    getBacklinks(id) {
+        const marker = `data-note-id="${id}"`;
+        return this.notes
+            .filter(note => note.id !== id && !note.sealed && note.content !== undefined && note.content.includes(marker))
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    // Rewrite the text of links to a note after it's renamed (the links point at its ID, so they keep working anyway)
+    updateLinkLabels(id, title) {
+        // Notes listed without their content are relabelled once it has been read
+        if (!this.contentsLoaded) {
+            this.loadContents()
+                .then(() => this.updateLinkLabels(id, title))
+                .catch(error => console.warn('Failed to update links to a renamed note:', error));
+            return;
+        }
+
+        const marker = `data-note-id="${id}"`;
+        this.notes
+            .filter(note => !note.sealed && note.content.includes(marker))
+            .forEach(note => {
+                const tempDiv = document.createElement('div');
+                tempDiv.innerHTML = note.content;
+
+                let changed = false;
+                tempDiv.querySelectorAll('a.note-link').forEach(link => {
+                    if (link.dataset.noteId === id && link.textContent !== title) {
+                        link.textContent = title;
+                        changed = true;
+                    }
+                });
+                if (changed) {
+                    this.updateNote(note.id, { content: tempDiv.innerHTML });
+                }
+            });
+    }
+
+    // Open checklist items of the given notes, as [{ note, tasks: [{ index, text }] }] for notes that have any.
+    // index counts every item of every checklist in the note, ticked or not
+    getOpenTasks(notes) {
+        return notes
+            .filter(note => !note.sealed && note.content !== undefined && note.content.includes('checklist'))
+            .map(note => ({
+                note,
+                tasks: this.getChecklistItems(note.content)
+                    .map((item, index) => ({ index, text: this.getChecklistItemText(item), checked: item.classList.contains('checked') }))
+                    .filter(task => !task.checked)
+                    .map(({ index, text }) => ({ index, text }))
+            }))
+            .filter(group => group.tasks.length > 0);
+    }
+
+    getChecklistItems(content) {
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = content;
+        return Array.from(tempDiv.querySelectorAll('ul.checklist > li'));
+    }
+
+    // An item's own text, without any list nested under it
+    getChecklistItemText(item) {
+        const copy = item.cloneNode(true);
+        copy.querySelectorAll('ul, ol').forEach(list => list.remove());
+        return copy.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    // Tick or untick a checklist item found by getOpenTasks(). If the note changed since, the item is
+    // looked up by its text; returns the updated note, or null when the item is gone
+    setTaskChecked(noteId, index, text, checked) {
+        const note = this.getNoteById(noteId);
+        if (!note || note.sealed) return null;
+
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = note.content;
+        const items = Array.from(tempDiv.querySelectorAll('ul.checklist > li'));
+        const item = items[index] && this.getChecklistItemText(items[index]) === text
+            ? items[index]
+            : items.find(candidate => this.getChecklistItemText(candidate) === text && candidate.classList.contains('checked') !== checked);
+        if (!item) return null;
+
+        item.classList.toggle('checked', checked);
+        return this.updateNote(noteId, { content: tempDiv.innerHTML });
+    }
+
     // Extract first line as title
     extractFirstLineAsTitle(content) {
         if (!content || typeof content !== 'string') return '';
@@ -100,11 +494,17 @@ class NoteManager {
         return firstLine || 'Untitled Note';
     }
 
-    // Delete a note
+    // Delete a note by moving it to the trash
     deleteNote(id) {
         const noteIndex = this.notes.findIndex(note => note.id === id);
         if (noteIndex !== -1) {
-            this.notes.splice(noteIndex, 1);
+            const [note] = this.notes.splice(noteIndex, 1);
+            const trashedNote = {
+                ...note,
+                deletedAt: new Date().toISOString(),
+                deletedFromIndex: noteIndex
+            };
+            this.trash.unshift(trashedNote);
             
             // If the deleted note was active, set a new active note
             if (this.activeNoteId === id) {
@@ -115,17 +515,101 @@ class NoteManager {
                 }
             }
             
-            this.saveNotesToStorage();
+            this.saveNote(trashedNote);
+            this.saveActiveNoteId();
             return true;
         }
         return false;
     }
 
+    // Get all notes in the trash, most recently deleted first
+    getTrashedNotes() {
+        return this.trash;
+    }
+
+    // Get a trashed note by ID
+    getTrashedNoteById(id) {
+        return this.trash.find(note => note.id === id);
+    }
+
+    // Move a note out of the trash, back to where it was deleted from
+    restoreNote(id) {
+        const trashIndex = this.trash.findIndex(note => note.id === id);
+        if (trashIndex === -1) return null;
+
+        const [trashedNote] = this.trash.splice(trashIndex, 1);
+        const { deletedAt, deletedFromIndex, ...note } = trashedNote;
+
+        // The note's notebook may have been deleted in the meantime
+        if (note.notebookId && !this.getNotebookById(note.notebookId)) {
+            note.notebookId = null;
+        }
+
+        const index = Math.min(deletedFromIndex || 0, this.notes.length);
+        this.notes.splice(index, 0, note);
+        this.saveNote(note);
+        return note;
+    }
+
+    // Remove a trashed note and its history for good
+    deleteNotePermanently(id) {
+        const trashIndex = this.trash.findIndex(note => note.id === id);
+        if (trashIndex === -1) return false;
+
+        this.trash.splice(trashIndex, 1);
+        this.removeNoteFromStorage(id);
+        this.deleteRevisions(id);
+        return true;
+    }
+
+    // Permanently delete everything in the trash
+    emptyTrash() {
+        const ids = this.trash.map(note => note.id);
+        ids.forEach(id => this.deleteNotePermanently(id));
+        return ids.length;
+    }
+
+    // Delete notes and their history for good, whether or not they are in the trash (e.g. to free up space)
+    async removeNotesPermanently(ids) {
+        const removed = ids.filter(id => this.getNoteById(id) || this.getTrashedNoteById(id));
+        this.notes = this.notes.filter(note => !removed.includes(note.id));
+        this.trash = this.trash.filter(note => !removed.includes(note.id));
+
+        if (removed.includes(this.activeNoteId)) {
+            this.activeNoteId = this.notes.length > 0 ? this.notes[0].id : null;
+            this.saveActiveNoteId();
+        }
+
+        await Promise.all(removed.map(id => {
+            this.searchIndex.removeNote(id);
+            return Promise.all([this.removeNoteFromStorage(id), this.deleteRevisions(id)]);
+        }));
+        return removed.length;
+    }
+
+    // Permanently delete notes that have been in the trash longer than the retention period
+    purgeExpiredTrash() {
+        if (!this.trashRetentionDays) return 0;
+
+        const cutoff = Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const expired = this.trash.filter(note => new Date(note.deletedAt).getTime() < cutoff);
+        expired.forEach(note => this.deleteNotePermanently(note.id));
+        return expired.length;
+    }
+
+    // Change how long trashed notes are kept
+    setTrashRetentionDays(days) {
+        this.trashRetentionDays = Math.max(0, parseInt(days, 10) || 0);
+        localStorage.setItem('takenote-trash-retention-days', String(this.trashRetentionDays));
+        return this.purgeExpiredTrash();
+    }
+
     // Set active note
     setActiveNote(id) {
         const note = this.getNoteById(id);
         if (note) {
             this.activeNoteId = id;
+            this.saveActiveNoteId();
             return note;
         }
         return null;
@@ -136,85 +620,1377 @@ class NoteManager {
         return this.notes;
     }
 
-    // Save notes to localStorage
-    saveNotesToStorage() {
-        try {
-            localStorage.setItem('takenote-notes', JSON.stringify(this.notes));
-            localStorage.setItem('takenote-active-id', this.activeNoteId || '');
-        } catch (error) {
-            console.warn('Failed to save notes to localStorage:', error);
-        }
+    // Manual position of a note; notes never reordered by hand sit above the others, newest first
+    getManualOrder(note) {
+        return typeof note.order === 'number' ? note.order : -new Date(note.createdAt).getTime();
     }
 
-    // Load notes from localStorage
-    loadNotesFromStorage() {
-        try {
-            const savedNotes = localStorage.getItem('takenote-notes');
-            const savedActiveId = localStorage.getItem('takenote-active-id');
-            
-            if (savedNotes) {
-                this.notes = JSON.parse(savedNotes);
-            }
-            
-            if (savedActiveId && this.getNoteById(savedActiveId)) {
-                this.activeNoteId = savedActiveId;
-            } else if (this.notes.length > 0) {
-                this.activeNoteId = this.notes[0].id;
-            }
+    // Sort notes for display; pinned notes always come first
+    getSortedNotes(notes, sortOrder = 'createdAt') {
+        const comparators = {
+            updatedAt: (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt),
+            createdAt: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+            title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true }),
+            manual: (a, b) => this.getManualOrder(a) - this.getManualOrder(b)
+        };
+        const compare = comparators[sortOrder] || comparators.createdAt;
+        return [...notes].sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || compare(a, b));
+    }
 
-            // If no notes exist, create a default one
-            if (this.notes.length === 0) {
-                this.createNote('Welcome to takenote', '<p>Welcome to takenote! This is your first note.</p><p>You can:</p><ul><li>Format text with the toolbar</li><li>Create new notes</li><li>Upload and download files</li><li>And much more!</li></ul>');
+    // Pin a note to the top of the list, or unpin it
+    togglePin(id) {
+        const note = this.getNoteById(id);
+        if (!note) return null;
+
+        note.pinned = !note.pinned;
+        this.saveNote(note);
+        return note;
+    }
+
+    // Move a note to just before another in the manual order (joining that note's notebook)
+    moveNoteBefore(noteId, targetId) {
+        const note = this.getNoteById(noteId);
+        const target = this.getNoteById(targetId);
+        if (!note || !target || note === target) return false;
+
+        const ordered = [...this.notes]
+            .sort((a, b) => this.getManualOrder(a) - this.getManualOrder(b))
+            .filter(n => n !== note);
+        ordered.splice(ordered.indexOf(target), 0, note);
+
+        const changed = [];
+        ordered.forEach((n, index) => {
+            if (n.order !== index) {
+                n.order = index;
+                changed.push(n);
             }
-        } catch (error) {
-            console.warn('Failed to load notes from localStorage:', error);
-            // Create default note on error
-            this.createNote('Welcome to takenote', '<p>Welcome to takenote! Start taking notes.</p>');
+        });
+        if (note.notebookId !== target.notebookId) {
+            note.notebookId = target.notebookId;
+            if (!changed.includes(note)) changed.push(note);
         }
+
+        this.saveNotes(changed);
+        return true;
     }
 
-    // Export note as text
-    exportNoteAsText(id) {
-        const note = this.getNoteById(id);
+    // Lowercase a tag, strip a leading '#' and keep only letters, digits, '_' and '-'
+    normalizeTag(tag) {
+        return String(tag || '')
+            .trim()
+            .replace(/^#+/, '')
+            .replace(/\s+/g, '-')
+            .replace(/[^\p{L}\p{N}_-]/gu, '')
+            .toLowerCase();
+    }
+
+    // Find #tags written in note content
+    extractInlineTags(content) {
+        const plainText = this.getPlainText(content);
+        const tags = new Set();
+        const tagPattern = /(^|\s)#([\p{L}][\p{L}\p{N}_-]*)/gu;
+        let match;
+        while ((match = tagPattern.exec(plainText)) !== null) {
+            tags.add(this.normalizeTag(match[2]));
+        }
+        return Array.from(tags);
+    }
+
+    // Apply inline tags added to or removed from the content, keeping tags added through the tag editor
+    mergeInlineTags(note, newContent) {
+        const previousInline = this.extractInlineTags(note.content);
+        const nextInline = this.extractInlineTags(newContent);
+        const removed = previousInline.filter(tag => !nextInline.includes(tag));
+        const added = nextInline.filter(tag => !previousInline.includes(tag));
+
+        const tags = (note.tags || []).filter(tag => !removed.includes(tag));
+        added.forEach(tag => {
+            if (!tags.includes(tag)) tags.push(tag);
+        });
+        return tags;
+    }
+
+    // Add a tag to a note
+    addTag(noteId, tag) {
+        const note = this.getNoteById(noteId);
+        const normalized = this.normalizeTag(tag);
+        if (!note || !normalized) return null;
+
+        const tags = note.tags || [];
+        if (tags.includes(normalized)) return note;
+        return this.updateNote(noteId, { tags: [...tags, normalized] });
+    }
+
+    // Remove a tag from a note
+    removeTag(noteId, tag) {
+        const note = this.getNoteById(noteId);
         if (!note) return null;
-        
-        // Convert HTML to plain text
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = note.content;
-        const plainText = tempDiv.textContent || tempDiv.innerText || '';
-        
-        return {
-            title: note.title,
-            content: plainText,
-            filename: this.sanitizeFilename(note.title) + '.txt'
+
+        const normalized = this.normalizeTag(tag);
+        return this.updateNote(noteId, { tags: (note.tags || []).filter(t => t !== normalized) });
+    }
+
+    // Get every tag in use with the number of notes carrying it, sorted by name
+    getAllTags() {
+        const counts = {};
+        this.notes.forEach(note => {
+            (note.tags || []).forEach(tag => {
+                counts[tag] = (counts[tag] || 0) + 1;
+            });
+        });
+        return Object.keys(counts)
+            .sort((a, b) => a.localeCompare(b))
+            .map(tag => ({ tag, count: counts[tag] }));
+    }
+
+    // Keep only notes that carry every one of the given tags
+    filterNotesByTags(notes, tags) {
+        if (!tags || tags.length === 0) return notes;
+        return notes.filter(note => tags.every(tag => (note.tags || []).includes(tag)));
+    }
+
+    // Get all notebooks
+    getAllNotebooks() {
+        return this.notebooks;
+    }
+
+    // Get a notebook by ID
+    getNotebookById(id) {
+        return this.notebooks.find(notebook => notebook.id === id);
+    }
+
+    // Get the child notebooks of a notebook (null for top level), sorted by name
+    getChildNotebooks(parentId = null) {
+        return this.notebooks
+            .filter(notebook => (notebook.parentId || null) === parentId)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Get a notebook and all notebooks nested inside it
+    getNotebookDescendantIds(id) {
+        const ids = [id];
+        this.getChildNotebooks(id).forEach(child => {
+            ids.push(...this.getNotebookDescendantIds(child.id));
+        });
+        return ids;
+    }
+
+    // Create a notebook, optionally nested inside another
+    createNotebook(name = 'New Notebook', parentId = null) {
+        const notebook = {
+            id: this.generateId('notebook'),
+            name: name.trim() || 'New Notebook',
+            parentId: this.getNotebookById(parentId) ? parentId : null,
+            collapsed: false,
+            createdAt: new Date().toISOString()
         };
+
+        this.notebooks.push(notebook);
+        this.saveNotebook(notebook);
+        return notebook;
     }
 
-    // Sanitize filename
-    sanitizeFilename(filename) {
-        return filename.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    // Update notebook fields
+    updateNotebook(id, updates) {
+        const notebook = this.getNotebookById(id);
+        if (!notebook) return null;
+
+        Object.assign(notebook, updates);
+        this.saveNotebook(notebook);
+        return notebook;
     }
 
-    // Import text content
-    importTextContent(content, filename = '') {
-        const title = filename ? filename.replace(/\.[^/.]+$/, '') : 'Imported Note';
-        
-        // Convert plain text to HTML paragraphs
-        const htmlContent = content
-            .split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0)
-            .map(line => `<p>${this.escapeHtml(line)}</p>`)
-            .join('');
-        
-        return this.createNote(title, htmlContent || '<p></p>');
+    // Rename a notebook
+    renameNotebook(id, newName) {
+        return this.updateNotebook(id, { name: newName.trim() || 'New Notebook' });
     }
 
-    // Escape HTML
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    // Collapse or expand a notebook in the sidebar
+    toggleNotebookCollapsed(id) {
+        const notebook = this.getNotebookById(id);
+        if (!notebook) return null;
+        return this.updateNotebook(id, { collapsed: !notebook.collapsed });
+    }
+
+    // Move a notebook under another (null for top level); refuses to nest it inside itself
+    moveNotebook(id, newParentId = null) {
+        if (!this.getNotebookById(id)) return null;
+        if (newParentId && (!this.getNotebookById(newParentId) || this.getNotebookDescendantIds(id).includes(newParentId))) {
+            return null;
+        }
+        return this.updateNotebook(id, { parentId: newParentId });
+    }
+
+    // Move a note into a notebook (null for no notebook)
+    moveNoteToNotebook(noteId, notebookId = null) {
+        const note = this.getNoteById(noteId);
+        if (!note || (notebookId && !this.getNotebookById(notebookId))) return null;
+
+        note.notebookId = notebookId;
+        this.saveNote(note);
+        return note;
+    }
+
+    // Delete a notebook and its sub-notebooks; their notes go to the trash
+    deleteNotebook(id) {
+        if (!this.getNotebookById(id)) return false;
+
+        const ids = this.getNotebookDescendantIds(id);
+        this.notes
+            .filter(note => ids.includes(note.notebookId))
+            .forEach(note => this.deleteNote(note.id));
+
+        this.notebooks = this.notebooks.filter(notebook => !ids.includes(notebook.id));
+        ids.forEach(notebookId => this.removeNotebookFromStorage(notebookId));
+        return true;
+    }
+
+    // Persist a single notebook
+    saveNotebook(notebook) {
+        return this.persist(
+            store => store.putNotebook(notebook),
+            'Failed to save notebook to IndexedDB:',
+            { kind: 'notebook', ids: [notebook.id] }
+        );
+    }
+
+    // Remove a single notebook from storage
+    removeNotebookFromStorage(id) {
+        return this.persist(
+            store => store.deleteNotebook(id),
+            'Failed to delete notebook from IndexedDB:',
+            { kind: 'notebook', ids: [id] }
+        );
+    }
+
+    // Notes in a backup that exist here under the same ID but differ
+    findBackupConflicts(backup) {
+        return [...backup.notes, ...backup.trash].filter(note => {
+            const existing = note.id && (this.getNoteById(note.id) || this.getTrashedNoteById(note.id));
+            return existing && !this.isSameBackupNote(existing, note);
+        });
+    }
+
+    // Backup content has been through the sanitizer (see WorkspaceBackup.normalizeNote), so a note here is compared cleaned too
+    isSameBackupNote(a, b) {
+        return a.title === b.title && !a.deletedAt === !b.deletedAt
+            && (a.content === b.content || (!a.sealed && this.sanitizer.sanitize(a.content) === b.content));
+    }
+
+    // Bring in the notes and notebooks of a validated backup.
+    // 'merge' keeps everything here; 'replace' moves notes missing from the backup to the trash.
+    // conflictStrategy decides notes whose ID already exists: 'copy' (keep both), 'backup' or 'local'.
+    restoreBackup(backup, mode = 'merge', conflictStrategy = 'copy') {
+        const overwrite = mode === 'replace' || conflictStrategy === 'backup';
+        const summary = { added: 0, updated: 0, copied: 0, unchanged: 0, kept: 0, trashed: 0 };
+        const changedNotes = [];
+
+        // Notebooks
+        const removedNotebooks = mode === 'replace'
+            ? this.notebooks.filter(notebook => !backup.notebooks.some(restored => restored.id === notebook.id))
+            : [];
+        this.notebooks = this.notebooks.filter(notebook => !removedNotebooks.includes(notebook));
+
+        const changedNotebooks = [];
+        backup.notebooks.forEach(restored => {
+            const index = this.notebooks.findIndex(notebook => notebook.id === restored.id);
+            if (index === -1) {
+                this.notebooks.push({ ...restored });
+            } else if (overwrite) {
+                this.notebooks[index] = { ...restored };
+            } else {
+                return;
+            }
+            changedNotebooks.push(restored.id);
+        });
+        changedNotebooks.push(...this.repairNotebookTree());
+
+        // Notes missing from the backup go to the trash, so a mistaken restore can still be undone
+        if (mode === 'replace') {
+            const backupIds = new Set([...backup.notes, ...backup.trash].map(note => note.id));
+            const deletedAt = new Date().toISOString();
+            this.notes = this.notes.filter((note, index) => {
+                if (backupIds.has(note.id)) return true;
+
+                const trashedNote = { ...note, deletedAt, deletedFromIndex: index };
+                this.trash.push(trashedNote);
+                changedNotes.push(trashedNote);
+                summary.trashed++;
+                return false;
+            });
+        }
+
+        const restoreNote = (note) => {
+            const incoming = {
+                ...note,
+                tags: [...new Set(note.tags.map(tag => this.normalizeTag(tag)).filter(Boolean))]
+            };
+            const existing = incoming.id && (this.getNoteById(incoming.id) || this.getTrashedNoteById(incoming.id));
+
+            if (!incoming.id) {
+                incoming.id = this.generateId();
+                summary.added++;
+            } else if (!existing) {
+                summary.added++;
+            } else if (this.isSameBackupNote(existing, incoming)) {
+                summary.unchanged++;
+                return;
+            } else if (overwrite) {
+                // Keep the replaced version in the note's history
+                this.recordRevision(existing);
+                this.notes = this.notes.filter(other => other.id !== existing.id);
+                this.trash = this.trash.filter(other => other.id !== existing.id);
+                summary.updated++;
+            } else if (conflictStrategy === 'copy') {
+                incoming.id = this.generateId();
+                incoming.title = `${incoming.title} (from backup)`;
+                summary.copied++;
+            } else {
+                summary.kept++;
+                return;
+            }
+
+            if (incoming.notebookId && !this.getNotebookById(incoming.notebookId)) {
+                incoming.notebookId = null;
+            }
+            (incoming.deletedAt ? this.trash : this.notes).push(incoming);
+            changedNotes.push(incoming);
+        };
+        backup.notes.forEach(restoreNote);
+        backup.trash.forEach(restoreNote);
+
+        this.sortNotes();
+        this.trash.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+        if (!this.getNoteById(this.activeNoteId)) {
+            this.activeNoteId = this.notes.length > 0 ? this.notes[0].id : null;
+            this.saveActiveNoteId();
+        }
+
+        removedNotebooks.forEach(notebook => this.removeNotebookFromStorage(notebook.id));
+        [...new Set(changedNotebooks)].forEach(id => this.saveNotebook(this.getNotebookById(id)));
+        this.saveNotes(changedNotes);
+        return summary;
+    }
+
+    // Move notebooks whose parent is missing, or that would end up inside themselves, to the top level
+    repairNotebookTree() {
+        const repaired = [];
+        this.notebooks.forEach(notebook => {
+            const visited = new Set([notebook.id]);
+            let parent = this.getNotebookById(notebook.parentId);
+            while (parent && !visited.has(parent.id)) {
+                visited.add(parent.id);
+                parent = this.getNotebookById(parent.parentId);
+            }
+
+            if (notebook.parentId && (!this.getNotebookById(notebook.parentId) || (parent && parent.id === notebook.id))) {
+                notebook.parentId = null;
+                repaired.push(notebook.id);
+            }
+        });
+        return repaired;
+    }
+
+    // Snapshot a note's stored state before it changes, throttled per note
+    maybeRecordRevision(note) {
+        const lastAt = this.lastRevisionAt[note.id] || 0;
+        if (Date.now() - lastAt < this.revisionInterval) {
+            return;
+        }
+        this.recordRevision(note);
+    }
+
+    // Save a snapshot of a note, skipping it if identical to the latest one
+    async recordRevision(note, extra = {}) {
+        if (!this.store || note.sealed) return null;
+
+        this.lastRevisionAt[note.id] = Date.now();
+        const revision = {
+            id: this.generateId('rev'),
+            noteId: note.id,
+            title: note.title,
+            content: note.content,
+            createdAt: new Date().toISOString(),
+            ...extra
+        };
+
+        try {
+            const revisions = await this.getRevisions(note.id);
+            if (!extra.restoredFrom && revisions.length > 0 && revisions[0].content === note.content) {
+                return null;
+            }
+            await this.store.putRevision(await this.sealRevision(revision, note));
+            await this.pruneRevisions([revision, ...revisions]);
+            return revision;
+        } catch (error) {
+            console.warn('Failed to save note revision:', error);
+            return null;
+        }
+    }
+
+    // Drop revisions beyond the per-note limit or older than the retention age
+    pruneRevisions(revisions) {
+        const cutoff = Date.now() - this.maxRevisionAgeDays * 24 * 60 * 60 * 1000;
+        const expired = revisions.filter((revision, index) =>
+            index >= this.maxRevisionsPerNote || new Date(revision.createdAt).getTime() < cutoff
+        );
+        if (expired.length === 0) {
+            return Promise.resolve();
+        }
+        return this.store.deleteRevisions(expired.map(revision => revision.id));
+    }
+
+    // Get a note's revisions, newest first
+    async getRevisions(noteId) {
+        if (!this.store) return [];
+
+        const records = await this.store.getRevisions(noteId);
+        const revisions = await Promise.all(records.map(record => this.openRevision(record)));
+        return revisions
+            .filter(Boolean)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    // Replace a note's content with an earlier revision; the restore is itself recorded
+    async restoreRevision(noteId, revisionId) {
+        const note = this.getNoteById(noteId);
+        const revisions = await this.getRevisions(noteId);
+        const revision = revisions.find(rev => rev.id === revisionId);
+        if (!note || !revision) return null;
+
+        // Keep the current content so the restore can be undone from history
+        await this.recordRevision(note);
+
+        const restored = this.updateNote(noteId, {
+            title: revision.title,
+            content: revision.content
+        });
+        await this.recordRevision(restored, { restoredFrom: revision.createdAt });
+        return restored;
+    }
+
+    // Remove all revisions of a note
+    deleteRevisions(noteId) {
+        if (!this.store) return Promise.resolve();
+
+        return this.store.deleteRevisionsForNote(noteId).catch(error => {
+            console.warn('Failed to delete note revisions:', error);
+        });
+    }
+
+    // Notes are stored encrypted when the vault covers every note or the note is locked
+    shouldEncrypt(note) {
+        return this.vault.isEnabled() && (this.vault.encryptsAll() || !!note.locked);
+    }
+
+    // Notes that are still encrypted because the vault was locked when they were loaded
+    hasSealedNotes() {
+        return [...this.notes, ...this.trash].some(note => note.sealed);
+    }
+
+    // Turn an in-memory note into the record written to storage, stamped with the current schema version
+    async sealNote(note) {
+        const { sealed, title, content, tags, encrypted, ...meta } = note;
+        meta.schemaVersion = this.schema.version;
+        if (sealed) {
+            // Never decrypted in this session: keep the stored ciphertext
+            return { ...meta, encrypted };
+        }
+        if (!this.shouldEncrypt(note)) {
+            return { ...meta, title, content, tags };
+        }
+        if (content === undefined) {
+            throw new Error('A note can\'t be encrypted before its content is loaded.');
+        }
+        return { ...meta, encrypted: await this.vault.encrypt({ title, content, tags }) };
+    }
+
+    // Encrypt notes in call order, so an earlier save can never be written after a later one
+    sealNotes(notes) {
+        const records = this.sealQueue.then(() => Promise.all(notes.map(note => this.sealNote(note))));
+        this.sealQueue = records.catch(() => {});
+        return records;
+    }
+
+    // Turn a stored record into an in-memory note; encrypted notes stay sealed while the vault is locked
+    async openNote(record) {
+        if (!record || !record.encrypted) return record;
+
+        if (this.vault.isUnlocked()) {
+            const { encrypted, sealed, ...meta } = record;
+            try {
+                return { ...meta, ...(await this.vault.decrypt(encrypted)) };
+            } catch (error) {
+                console.warn('Failed to decrypt note:', error);
+            }
+        }
+        return { ...record, sealed: true, title: 'Locked note', content: '', tags: [] };
+    }
+
+    openNotes(records) {
+        return Promise.all(records.map(record => this.openNote(record)));
+    }
+
+    async sealRevision(revision, note) {
+        if (!this.shouldEncrypt(note)) return revision;
+
+        const { title, content, ...meta } = revision;
+        return { ...meta, encrypted: await this.vault.encrypt({ title, content }) };
+    }
+
+    // Revisions that can't be decrypted (vault locked) are left out
+    async openRevision(record) {
+        if (!record.encrypted) return record;
+
+        const { encrypted, ...meta } = record;
+        try {
+            return { ...meta, ...(await this.vault.decrypt(encrypted)) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Rewrite a note's stored revisions to match its current encryption setting
+    async resealRevisions(note) {
+        if (!this.store) return;
+
+        const revisions = await this.getRevisions(note.id);
+        for (const revision of revisions) {
+            await this.store.putRevision(await this.sealRevision(revision, note));
+        }
+    }
+
+    // Write every note and revision again under the current vault settings; throws if a write fails
+    async resealAll() {
+        await this.loadContents();
+        const notes = [...this.notes, ...this.trash];
+        if (this.store) {
+            await this.store.putNotes(await this.sealNotes(notes));
+            for (const note of notes) {
+                await this.resealRevisions(note);
+            }
+            await this.resealImages();
+        } else {
+            await this.writeNotesToStorage();
+        }
+        this.notifyChange({ kind: 'note', ids: notes.map(note => note.id) });
+    }
+
+    // Turn on the vault and encrypt what it covers
+    async createVault(passphrase, settings) {
+        await this.vault.create(passphrase, settings);
+        await this.resealAll();
+        this.notifyChange({ kind: 'vault' });
+    }
+
+    // Unlock the vault and decrypt sealed notes in place; returns false for a wrong passphrase
+    async unlockVault(passphrase) {
+        if (!(await this.vault.unlock(passphrase))) return false;
+
+        for (const note of [...this.notes, ...this.trash].filter(other => other.sealed)) {
+            const opened = await this.openNote(note);
+            [this.notes, this.trash].forEach(list => {
+                const index = list.indexOf(note);
+                if (index !== -1) list[index] = opened;
+            });
+            this.indexNote(opened);
+        }
+        return true;
+    }
+
+    // Forget the keys and replace encrypted notes in memory with sealed placeholders
+    async lockVault() {
+        // Let queued saves finish while the key is still available
+        await this.sealQueue;
+
+        const covered = [...this.notes, ...this.trash].filter(note => !note.sealed && this.shouldEncrypt(note));
+        const records = await this.sealNotes(covered);
+        this.vault.lock();
+        this.releaseImageUrls();
+
+        records.forEach((record, i) => {
+            const placeholder = { ...record, sealed: true, title: 'Locked note', content: '', tags: [] };
+            [this.notes, this.trash].forEach(list => {
+                const index = list.indexOf(covered[i]);
+                if (index !== -1) list[index] = placeholder;
+            });
+            this.searchIndex.removeNote(record.id);
+        });
+    }
+
+    // Lock or unlock a single note; locked notes are stored encrypted
+    async setNoteLocked(id, locked) {
+        const note = this.getNoteById(id) ? await this.loadNoteContent(id) : null;
+        if (!note || note.sealed || !this.vault.isUnlocked()) return null;
+
+        if (locked) {
+            note.locked = true;
+        } else {
+            delete note.locked;
+        }
+        await this.saveNote(note);
+        await this.resealRevisions(note);
+        await this.resealImages(this.getImageIds([note]));
+        return note;
+    }
+
+    // Change vault settings, re-encrypting everything when the set of covered notes changes
+    async updateVaultSettings({ encryptAll, autoLockMinutes }) {
+        const reseal = encryptAll !== this.vault.encryptsAll();
+        this.vault.updateSettings({ encryptAll, autoLockMinutes });
+        if (reseal) {
+            await this.resealAll();
+        }
+        this.notifyChange({ kind: 'vault' });
+    }
+
+    // Switch to a new passphrase and re-encrypt every note with a fresh key
+    async changeVaultPassphrase(currentPassphrase, newPassphrase) {
+        if (!(await this.vault.changePassphrase(currentPassphrase, newPassphrase))) return false;
+
+        await this.resealAll();
+        if (!this.hasSealedNotes()) {
+            this.vault.forgetOldKeys();
+        }
+        this.notifyChange({ kind: 'vault' });
+        return true;
+    }
+
+    // Decrypt everything back to plain text and remove the vault
+    async disableVault(passphrase) {
+        if (!this.vault.isUnlocked() || !(await this.vault.verify(passphrase))) return false;
+
+        [...this.notes, ...this.trash].forEach(note => delete note.locked);
+        this.vault.updateSettings({ encryptAll: false });
+        await this.resealAll();
+        this.vault.disable();
+        this.notifyChange({ kind: 'vault' });
+        return true;
+    }
+
+    // Re-read all notes after another tab changed the vault
+    async reloadAllNotes() {
+        this.vault.reloadConfig();
+        this.releaseImageUrls();
+        this.searchIndex = new SearchIndex();
+
+        if (this.store) {
+            this.setLoadedNotes(await this.openNotes(await this.store.getAllNotes()));
+        } else {
+            const savedNotes = JSON.parse(localStorage.getItem('takenote-notes') || '[]');
+            this.setLoadedNotes(await this.openNotes(savedNotes));
+        }
+
+        if (!this.getNoteById(this.activeNoteId)) {
+            this.activeNoteId = this.notes.length > 0 ? this.notes[0].id : null;
+        }
+    }
+
+    // Keep the search index in step with a note (trashed and still-encrypted notes are left out)
+    indexNote(note) {
+        if (note.deletedAt || note.sealed) {
+            this.searchIndex.removeNote(note.id);
+            return;
+        }
+        if (note.content === undefined) return; // Indexed once its content is loaded
+        this.searchIndex.updateNote(note.id, {
+            title: note.title,
+            text: this.getPlainText(note.content),
+            updatedAt: note.updatedAt
+        });
+    }
+
+    // Full-text search over all notes, best matches first
+    search(query) {
+        return this.searchIndex.search(query);
+    }
+
+    // Run a write against IndexedDB (or the localStorage fallback), then report the change to listeners.
+    // A failed write is reported through onSaveStatusChange and retried later; the promise never rejects.
+    persist(write, errorMessage, change = null) {
+        const written = this.store ? write(this.store) : this.writeNotesToStorage();
+        return written
+            .then(() => {
+                this.notifyChange(change);
+                this.handleSaveSuccess(change);
+            })
+            .catch(error => {
+                console.warn(this.store ? errorMessage : 'Failed to save notes to localStorage:', error);
+                this.handleSaveFailure(error, change);
+            });
+    }
+
+    // Tell listeners (other tabs) which records changed
+    notifyChange(change) {
+        if (change && this.onChange) {
+            this.onChange(change);
+        }
+    }
+
+    // Whether the browser refused a write because the site ran out of storage space
+    isQuotaError(error) {
+        if (!error) return false;
+        return error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014;
+    }
+
+    getUnsavedCount() {
+        return this.unsavedIds.note.size + this.unsavedIds.notebook.size;
+    }
+
+    getSaveStatus() {
+        return {
+            failed: !!this.saveFailure,
+            quota: !!(this.saveFailure && this.saveFailure.quota),
+            unsaved: this.getUnsavedCount()
+        };
+    }
+
+    setSaveFailure(failure) {
+        if (!failure && !this.saveFailure) return;
+
+        this.saveFailure = failure;
+        if (this.onSaveStatusChange) {
+            this.onSaveStatusChange(this.getSaveStatus());
+        }
+    }
+
+    // Keep the records a failed write covered, so their changes survive until a later save works
+    handleSaveFailure(error, change) {
+        if (change && this.unsavedIds[change.kind]) {
+            change.ids.forEach(id => this.unsavedIds[change.kind].add(id));
+            this.bufferUnsavedNotes();
+        }
+        this.setSaveFailure({ quota: this.isQuotaError(error) });
+        this.scheduleSaveRetry();
+    }
+
+    handleSaveSuccess(change) {
+        if (!this.store) {
+            // The localStorage fallback rewrites everything at once
+            this.unsavedIds.note.clear();
+            this.unsavedIds.notebook.clear();
+        } else if (change && this.unsavedIds[change.kind]) {
+            change.ids.forEach(id => this.unsavedIds[change.kind].delete(id));
+        }
+
+        if (this.getUnsavedCount() > 0) {
+            // Storage is accepting writes again, so try the backlog straight away
+            this.flushUnsavedNotes();
+        } else if (this.saveFailure) {
+            this.clearUnsavedBuffer();
+            this.setSaveFailure(null);
+        }
+    }
+
+    scheduleSaveRetry() {
+        clearTimeout(this.saveRetryTimeout);
+        this.saveRetryTimeout = setTimeout(() => this.flushUnsavedNotes(), this.saveRetryDelay);
+    }
+
+    // Copy unsaved notes (encrypted as they would be stored) to sessionStorage
+    bufferUnsavedNotes() {
+        const notes = [...this.unsavedIds.note]
+            .map(id => this.getNoteById(id) || this.getTrashedNoteById(id))
+            .filter(Boolean);
+
+        return this.sealNotes(notes)
+            .then(records => sessionStorage.setItem(this.unsavedStorageKey, JSON.stringify(records)))
+            .catch(error => {
+                console.warn('Failed to keep unsaved notes in session storage:', error);
+            });
+    }
+
+    clearUnsavedBuffer() {
+        try {
+            sessionStorage.removeItem(this.unsavedStorageKey);
+        } catch (error) {
+            console.warn('Failed to clear unsaved notes from session storage:', error);
+        }
+    }
+
+    // Write every record in the unsaved buffer again; resolves true once nothing is left unsaved
+    flushUnsavedNotes() {
+        if (!this.flushingUnsaved) {
+            this.flushingUnsaved = this.writeUnsaved().finally(() => {
+                this.flushingUnsaved = null;
+            });
+        }
+        return this.flushingUnsaved;
+    }
+
+    async writeUnsaved() {
+        clearTimeout(this.saveRetryTimeout);
+        const noteIds = [...this.unsavedIds.note];
+        const notebookIds = [...this.unsavedIds.notebook];
+
+        try {
+            if (this.store) {
+                // Records that no longer exist were deleted while saving failed
+                const notes = noteIds.map(id => this.getNoteById(id) || this.getTrashedNoteById(id));
+                await this.store.putNotes(await this.sealNotes(notes.filter(Boolean)));
+                for (const id of noteIds.filter((id, index) => !notes[index])) {
+                    await this.store.deleteNote(id);
+                }
+                for (const id of notebookIds) {
+                    const notebook = this.getNotebookById(id);
+                    await (notebook ? this.store.putNotebook(notebook) : this.store.deleteNotebook(id));
+                }
+            } else {
+                await this.writeNotesToStorage();
+            }
+        } catch (error) {
+            console.warn('Failed to save unsaved changes:', error);
+            this.setSaveFailure({ quota: this.isQuotaError(error) });
+            this.scheduleSaveRetry();
+            return false;
+        }
+
+        // Changes made while this write ran stay in the buffer for their own save to settle
+        noteIds.forEach(id => this.unsavedIds.note.delete(id));
+        notebookIds.forEach(id => this.unsavedIds.notebook.delete(id));
+        if (noteIds.length > 0) this.notifyChange({ kind: 'note', ids: noteIds });
+        if (notebookIds.length > 0) this.notifyChange({ kind: 'notebook', ids: notebookIds });
+
+        if (this.getUnsavedCount() > 0) {
+            this.bufferUnsavedNotes();
+            return false;
+        }
+        this.clearUnsavedBuffer();
+        this.setSaveFailure(null);
+        return true;
+    }
+
+    // Bring back notes that couldn't be saved before this tab was reloaded; returns how many were recovered
+    async recoverUnsavedNotes() {
+        let records;
+        try {
+            records = JSON.parse(sessionStorage.getItem(this.unsavedStorageKey) || '[]');
+        } catch (error) {
+            console.warn('Ignoring unreadable unsaved notes:', error);
+            records = [];
+        }
+
+        // Only records that pass the schema check are recovered
+        const newer = (Array.isArray(records) ? records : [])
+            .map(record => this.schema.upgrade(record, !!this.store).note)
+            .filter(record => {
+                if (!record) return false;
+                const existing = this.getNoteById(record.id) || this.getTrashedNoteById(record.id);
+                return !existing || new Date(record.updatedAt) > new Date(existing.updatedAt);
+            });
+        if (newer.length === 0) {
+            this.clearUnsavedBuffer();
+            return 0;
+        }
+
+        const notes = await this.openNotes(newer);
+        notes.forEach(note => {
+            this.notes = this.notes.filter(existing => existing.id !== note.id);
+            this.trash = this.trash.filter(existing => existing.id !== note.id);
+            (note.deletedAt ? this.trash : this.notes).unshift(note);
+            this.indexNote(note);
+            this.unsavedIds.note.add(note.id);
+        });
+        this.sortNotes();
+
+        if (!this.getNoteById(this.activeNoteId) && this.notes.length > 0) {
+            this.activeNoteId = this.notes[0].id;
+        }
+        await this.flushUnsavedNotes();
+        return notes.length;
+    }
+
+    // Store an image file for a note and return the ID notes refer to it by. Images in notes
+    // the vault covers are encrypted like the notes themselves
+    async addImage(file, note = null) {
+        if (!this.store) {
+            throw new Error('Images can only be kept in the note database, which couldn\'t be opened.');
+        }
+
+        const image = {
+            id: this.generateId('image'),
+            blob: file,
+            type: file.type,
+            name: file.name || '',
+            createdAt: new Date().toISOString()
+        };
+        await this.store.putImages([await this.sealImage(image, !!note && this.shouldEncrypt(note))]);
+        return image.id;
+    }
+
+    // Store the images pasted or imported HTML embeds as data: URLs, and refer to them by ID instead
+    // so notes don't carry the files in their text. Ones that can't be stored are left out
+    async storeInlineImages(html, note = null) {
+        const container = document.createElement('div');
+        container.innerHTML = html;
+        const images = Array.from(container.querySelectorAll('img[src]'))
+            .filter(image => /^\s*data:/i.test(image.getAttribute('src')));
+        if (images.length === 0) return html;
+
+        for (const image of images) {
+            try {
+                const blob = Base64.toBlob(image.getAttribute('src'));
+                const id = await this.addImage(blob, note);
+                image.removeAttribute('src');
+                image.setAttribute('data-image-id', id);
+            } catch (error) {
+                console.warn('Couldn\'t store an embedded image:', error);
+                image.remove();
+            }
+        }
+        return container.innerHTML;
+    }
+
+    // Whether an image has to be stored encrypted: the vault covers every note, or a locked note shows it
+    shouldEncryptImage(id) {
+        if (!this.vault.isEnabled()) return false;
+        if (this.vault.encryptsAll()) return true;
+
+        return [...this.notes, ...this.trash]
+            .some(note => note.locked && (note.content || '').includes(`data-image-id="${id}"`));
+    }
+
+    // Turn an image ({ id, blob, type, name, createdAt }) into the record written to storage
+    async sealImage(image, encrypt) {
+        if (!encrypt) return image;
+
+        const { blob, type, name, ...meta } = image;
+        return {
+            ...meta,
+            encrypted: {
+                file: await this.vault.encryptBytes(await blob.arrayBuffer()),
+                details: await this.vault.encrypt({ type, name })
+            }
+        };
+    }
+
+    // Turn a stored image record back into an image; null if it's encrypted and can't be decrypted
+    async openImage(record) {
+        if (!record || !record.encrypted) return record || null;
+        if (!this.vault.isUnlocked()) return null;
+
+        const { encrypted, ...meta } = record;
+        try {
+            const details = await this.vault.decrypt(encrypted.details);
+            const bytes = await this.vault.decryptBytes(encrypted.file);
+            return { ...meta, ...details, blob: new Blob([bytes], { type: details.type }) };
+        } catch (error) {
+            console.warn('Failed to decrypt image:', error);
+            return null;
+        }
+    }
+
+    // Store images again, encrypted or not, to match the notes showing them (all images by default).
+    // Images encrypted with an old data key are re-encrypted; ones that can't be decrypted are left alone
+    async resealImages(ids = null) {
+        if (!this.store) return;
+
+        const keyId = this.vault.getCurrentKeyId();
+        for (const id of ids || await this.store.getAllImageIds()) {
+            const record = await this.store.getImage(id);
+            if (!record) continue;
+
+            const encrypt = this.shouldEncryptImage(id);
+            if (record.encrypted ? encrypt && record.encrypted.file.keyId === keyId : !encrypt) continue;
+
+            const image = await this.openImage(record);
+            if (image) {
+                await this.store.putImages([await this.sealImage(image, encrypt)]);
+            }
+        }
+    }
+
+    // An object URL for showing a stored image, a padlock while it's encrypted and the vault is locked,
+    // or null if it isn't stored here
+    getImageUrl(id) {
+        if (!this.imageUrls.has(id)) {
+            const url = (this.store ? this.store.getImage(id) : Promise.resolve(null)).then(async record => {
+                if (record && record.encrypted && !this.vault.isUnlocked()) return this.lockedImageUrl;
+
+                const image = await this.openImage(record);
+                return image ? URL.createObjectURL(image.blob) : null;
+            });
+
+            // Look again next time for missing and locked images, in case the image arrives later
+            // (e.g. from a restored backup) or the vault is unlocked
+            url.then(found => {
+                if (!found || found === this.lockedImageUrl) this.imageUrls.delete(id);
+            }, () => this.imageUrls.delete(id));
+            this.imageUrls.set(id, url);
+        }
+        return this.imageUrls.get(id);
+    }
+
+    // Revoke the object URLs of shown images (by default all of them), so their files can be freed
+    releaseImageUrls(ids = [...this.imageUrls.keys()]) {
+        ids.forEach(id => {
+            const url = this.imageUrls.get(id);
+            if (!url) return;
+
+            this.imageUrls.delete(id);
+            url.then(found => {
+                if (found && found.startsWith('blob:')) URL.revokeObjectURL(found);
+            }, () => {});
+        });
+    }
+
+    // IDs of the images shown in some notes
+    getImageIds(notes) {
+        const ids = new Set();
+        notes.forEach(note => {
+            for (const match of (note.content || '').matchAll(/data-image-id="([^"]+)"/g)) {
+                ids.add(match[1]);
+            }
+        });
+        return [...ids];
+    }
+
+    // Stored images by ID, decrypted; missing ones and ones that can't be decrypted are left out
+    async getImages(ids) {
+        if (!this.store) return [];
+
+        const images = await Promise.all(ids.map(async id => this.openImage(await this.store.getImage(id))));
+        return images.filter(Boolean);
+    }
+
+    // Store images from a backup, encrypted if the vault covers them; returns how many were stored
+    async restoreImages(images) {
+        if (images.length === 0) return 0;
+        if (!this.store) {
+            throw new Error('Images can only be kept in the note database, which couldn\'t be opened.');
+        }
+
+        await this.store.putImages(await Promise.all(images.map(image => this.sealImage(image, this.shouldEncryptImage(image.id)))));
+        this.releaseImageUrls(images.map(image => image.id));
+        return images.length;
+    }
+
+    // Delete stored images that no note, trashed note, revision or other record with content (e.g. a template)
+    // shows any more. Nothing is removed while notes or revisions are still encrypted, as their images can't
+    // be known; this runs again once the vault is unlocked
+    async pruneImages(others = []) {
+        if (!this.store || this.hasSealedNotes()) return 0;
+
+        // Every note's content is needed to tell which images are still shown
+        await this.loadContents();
+        const cutoff = new Date(Date.now() - this.imageGraceDays * 24 * 60 * 60 * 1000).toISOString();
+        const [ids, records] = await Promise.all([this.store.getImageIdsBefore(cutoff), this.store.getAllRevisions()]);
+        const revisions = await Promise.all(records.map(record => this.openRevision(record)));
+        if (revisions.includes(null)) return 0;
+
+        const used = new Set(this.getImageIds([...this.notes, ...this.trash, ...revisions, ...others]));
+        const unused = ids.filter(id => !used.has(id));
+
+        if (unused.length > 0) {
+            await this.store.deleteImages(unused);
+            this.releaseImageUrls(unused);
+        }
+        return unused.length;
+    }
+
+    // Stored size in bytes of each note, counting its revisions, largest first
+    async getNoteSizes() {
+        const encoder = new TextEncoder();
+        const sizeOf = record => encoder.encode(JSON.stringify(record)).length;
+
+        let records;
+        let revisions = [];
+        if (this.store) {
+            [records, revisions] = await Promise.all([this.store.getAllNotes(), this.store.getAllRevisions()]);
+        } else {
+            records = JSON.parse(localStorage.getItem('takenote-notes') || '[]');
+        }
+
+        const revisionSizes = {};
+        revisions.forEach(revision => {
+            revisionSizes[revision.noteId] = (revisionSizes[revision.noteId] || 0) + sizeOf(revision);
+        });
+
+        return records
+            .map(record => {
+                // Prefer the in-memory note for the title; the stored record may be encrypted
+                const note = this.getNoteById(record.id) || this.getTrashedNoteById(record.id) || record;
+                return {
+                    id: record.id,
+                    title: note.title,
+                    inTrash: !!record.deletedAt,
+                    sealed: !!note.sealed,
+                    size: sizeOf(record) + (revisionSizes[record.id] || 0)
+                };
+            })
+            .sort((a, b) => b.size - a.size);
+    }
+
+    // Space used and available in bytes (quota is null when the browser can't tell), plus per-note sizes
+    async getStorageUsage() {
+        const sizes = await this.getNoteSizes();
+        const notesSize = sizes.reduce((total, item) => total + item.size, 0);
+
+        let usage = notesSize;
+        let quota = null;
+        if (!this.store) {
+            // Browsers give localStorage about 5 MB of UTF-16 text, whatever estimate() says about the origin
+            usage = 0;
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
+            }
+            quota = 5 * 1024 * 1024;
+        } else if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const estimate = await navigator.storage.estimate();
+                usage = estimate.usage;
+                quota = estimate.quota || null;
+            } catch (error) {
+                console.warn('Failed to estimate storage usage:', error);
+            }
+        }
+
+        return {
+            usage,
+            quota,
+            low: !!quota && usage / quota >= this.lowSpaceRatio,
+            notesSize,
+            sizes
+        };
+    }
+
+    // Persist a single note
+    saveNote(note) {
+        this.indexNote(note);
+        return this.persist(
+            store => this.sealNotes([note]).then(([record]) => store.putNote(record)),
+            'Failed to save note to IndexedDB:',
+            { kind: 'note', ids: [note.id] }
+        );
+    }
+
+    // Persist several notes in one write
+    saveNotes(notes) {
+        if (notes.length === 0) return Promise.resolve();
+
+        notes.forEach(note => this.indexNote(note));
+        return this.persist(
+            store => this.sealNotes(notes).then(records => store.putNotes(records)),
+            'Failed to save notes to IndexedDB:',
+            { kind: 'note', ids: notes.map(note => note.id) }
+        );
+    }
+
+    // Remove a single note from storage
+    removeNoteFromStorage(id) {
+        return this.persist(
+            store => store.deleteNote(id),
+            'Failed to delete note from IndexedDB:',
+            { kind: 'note', ids: [id] }
+        );
+    }
+
+    // Remember which note is open
+    saveActiveNoteId() {
+        return this.persist(
+            store => store.setMeta('activeId', this.activeNoteId),
+            'Failed to save active note to IndexedDB:'
+        );
+    }
+
+    // Re-read a note written by another tab and update the in-memory copy; returns the stored note or null
+    async reloadNote(id) {
+        const stored = await this.fetchNote(id);
+
+        const noteIndex = this.notes.findIndex(note => note.id === id);
+        const trashIndex = this.trash.findIndex(note => note.id === id);
+        if (noteIndex !== -1) this.notes.splice(noteIndex, 1);
+        if (trashIndex !== -1) this.trash.splice(trashIndex, 1);
+
+        if (stored && stored.deletedAt) {
+            this.trash.unshift(stored);
+        } else if (stored) {
+            this.notes.splice(noteIndex !== -1 ? noteIndex : 0, 0, stored);
+        }
+
+        if (stored) {
+            this.indexNote(stored);
+        } else {
+            this.searchIndex.removeNote(id);
+        }
+
+        // Another tab deleted the open note; fall back without writing anything
+        if (this.activeNoteId === id && (!stored || stored.deletedAt)) {
+            this.activeNoteId = this.notes.length > 0 ? this.notes[0].id : null;
+        }
+        return stored || null;
+    }
+
+    // Re-read a notebook written by another tab
+    async reloadNotebook(id) {
+        const stored = this.store
+            ? await this.store.getNotebook(id)
+            : JSON.parse(localStorage.getItem('takenote-notebooks') || '[]').find(notebook => notebook.id === id);
+
+        this.notebooks = this.notebooks.filter(notebook => notebook.id !== id);
+        if (stored) {
+            this.notebooks.push(stored);
+        }
+        return stored || null;
+    }
+
+    // Read a single note straight from storage
+    async fetchNote(id) {
+        if (this.store) {
+            return this.openNote(await this.store.getNote(id));
+        }
+        const savedNotes = JSON.parse(localStorage.getItem('takenote-notes') || '[]');
+        return this.openNote(savedNotes.find(note => note.id === id));
+    }
+
+    // Save notes to localStorage (fallback when IndexedDB is unavailable); rejects if the write fails
+    async writeNotesToStorage() {
+        const records = await this.sealNotes([...this.notes, ...this.trash]);
+        localStorage.setItem('takenote-notes', JSON.stringify(records));
+        localStorage.setItem('takenote-notebooks', JSON.stringify(this.notebooks));
+        localStorage.setItem('takenote-active-id', this.activeNoteId || '');
+    }
+
+    // Load notes from localStorage (fallback when IndexedDB is unavailable)
+    async loadNotesFromStorage() {
+        const savedNotes = localStorage.getItem('takenote-notes');
+        const savedNotebooks = localStorage.getItem('takenote-notebooks');
+        const savedActiveId = localStorage.getItem('takenote-active-id');
+        
+        try {
+            const notebooks = JSON.parse(savedNotebooks || '[]');
+            this.notebooks = Array.isArray(notebooks) ? notebooks : [];
+        } catch (error) {
+            console.warn('Failed to load notebooks from localStorage:', error);
+            this.loadErrors.push('Your notebooks couldn\'t be read, so their notes are shown outside of any notebook.');
+        }
+        
+        // An unreadable blob is quarantined whole, so saving new notes can't overwrite it
+        const rejected = [];
+        let records = [];
+        try {
+            records = JSON.parse(savedNotes || '[]');
+            if (!Array.isArray(records)) {
+                throw new Error('Saved notes are not a list');
+            }
+        } catch (error) {
+            console.warn('Failed to load notes from localStorage:', error);
+            rejected.push(this.createQuarantineEntry('The saved notes couldn\'t be read.', { raw: savedNotes }));
+            records = [];
+        }
+        
+        const checked = await this.checkStoredNotes(records, rejected);
+        this.setLoadedNotes(await this.openNotes(checked.notes));
+        await this.saveCheckedNotes(checked);
+        this.purgeExpiredTrash();
+        
+        if (savedActiveId && this.getNoteById(savedActiveId)) {
+            this.activeNoteId = savedActiveId;
+        } else if (this.notes.length > 0) {
+            this.activeNoteId = this.notes[0].id;
+        }
+
+        // If no notes exist, create a default one
+        if (this.notes.length === 0) {
+            this.createNote('Welcome to takenote', '<p>Welcome to takenote! This is your first note.</p><p>You can:</p><ul><li>Format text with the toolbar</li><li>Create new notes</li><li>Upload and download files</li><li>And much more!</li></ul>');
+        }
+    }
+
+    // Export note as text
+    exportNoteAsText(id) {
+        const note = this.getNoteById(id);
+        if (!note || note.sealed) return null;
+        
+        return {
+            title: note.title,
+            content: this.getPlainText(note.content),
+            filename: this.sanitizeFilename(note.title) + '.txt'
+        };
+    }
+
+    // Sanitize filename
+    sanitizeFilename(filename) {
+        return filename.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    }
+
+    // Import text content
+    importTextContent(content, filename = '', notebookId = null) {
+        const title = filename ? filename.replace(/\.[^/.]+$/, '') : 'Imported Note';
+        
+        // Convert plain text to HTML paragraphs
+        const htmlContent = content
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map(line => `<p>${this.escapeHtml(line)}</p>`)
+            .join('');
+        
+        return this.createNote(title, htmlContent || '<p></p>', notebookId);
+    }
+
+    // Import a Markdown file; front-matter title and tags become the note's title and tags
+    async importMarkdownContent(content, filename = '', notebookId = null) {
+        const { html, frontMatter } = this.markdownParser.parse(content);
+        const frontMatterTitle = typeof frontMatter.title === 'string' ? frontMatter.title.trim() : '';
+        const title = frontMatterTitle || (filename ? filename.replace(/\.[^/.]+$/, '') : 'Imported Note');
+        
+        // A note's first line is its title, so a front-matter title is kept as a heading
+        let htmlContent = html;
+        if (frontMatterTitle && this.extractFirstLineAsTitle(html) !== frontMatterTitle) {
+            htmlContent = `<h1>${this.escapeHtml(frontMatterTitle)}</h1>\n${html}`;
+        }
+        
+        // Images written into the file are stored like pasted ones; the new note isn't locked,
+        // so they're encrypted only if the vault covers every note
+        htmlContent = await this.storeInlineImages(htmlContent, {});
+        
+        const note = this.createNote(title, htmlContent || '<p></p>', notebookId);
+        
+        // Tags may be a YAML list or a comma/space separated string
+        let tags = frontMatter.tags !== undefined ? frontMatter.tags : frontMatter.tag;
+        if (typeof tags === 'string') {
+            tags = tags.split(/[\s,]+/);
+        }
+        if (Array.isArray(tags)) {
+            const merged = [...new Set([...note.tags, ...tags.map(tag => this.normalizeTag(tag)).filter(Boolean)])];
+            if (merged.length !== note.tags.length) {
+                return this.updateNote(note.id, { tags: merged });
+            }
+        }
+        return note;
+    }
+
+    // Escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Convert HTML to plain text, keeping a line break after each block. Table rows
+    // become lines with their cells separated by tabs
+    getPlainText(content) {
+        if (!content) return '';
+
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = content;
+
+        // A line break inside a cell would split its row
+        tempDiv.querySelectorAll('td br, th br').forEach(br => br.replaceWith(' '));
+        tempDiv.innerHTML = tempDiv.innerHTML
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|h[1-6]|li|blockquote|pre|tr)>/gi, '$&\n')
+            .replace(/<\/t[dh]>/gi, '$&\t');
+        return (tempDiv.textContent || tempDiv.innerText || '')
+            .replace(/ *\t */g, '\t')
+            .replace(/\t\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
     }
 
     // Get note statistics
@@ -0,0 +1,105 @@
+/**
+ * noteSchema.js
+ * Versioned shape of stored notes: migrations between versions and validation of loaded records
+ */
+
+class NoteSchema {
+    // extractTags(content) finds the #tags written in a note's content
+    constructor(extractTags = () => []) {
+        // Bump this and add a migration whenever the stored shape of a note changes
+        this.version = 1;
+
+        // migrations[n] upgrades a record from version n to n + 1; records without a version are version 0
+        this.migrations = [
+            // 0 -> 1: notes saved before tags (taken from the #tags in their text), notebooks and edit times existed (or with unreadable dates)
+            record => {
+                const migrated = { ...record };
+                if (!migrated.encrypted) {
+                    if (typeof migrated.title !== 'string' || !migrated.title.trim()) {
+                        migrated.title = 'Untitled Note';
+                    }
+                    if (!Array.isArray(migrated.tags)) {
+                        migrated.tags = typeof migrated.content === 'string' ? extractTags(migrated.content) : [];
+                    }
+                }
+                if (migrated.notebookId === undefined) {
+                    migrated.notebookId = null;
+                }
+                if (!this.isDate(migrated.createdAt)) {
+                    migrated.createdAt = this.isDate(migrated.updatedAt) ? migrated.updatedAt : new Date().toISOString();
+                }
+                if (!this.isDate(migrated.updatedAt)) {
+                    migrated.updatedAt = migrated.createdAt;
+                }
+                return migrated;
+            }
+        ];
+    }
+
+    // Bring a stored record up to the current version; contentStoredApart allows a record listed without its content.
+    // Returns { note, migrated } for a usable record, or { error } describing why it can't be used
+    upgrade(record, contentStoredApart = false) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return { error: 'The record is not a note.' };
+        }
+
+        const fromVersion = record.schemaVersion === undefined ? 0 : record.schemaVersion;
+        if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+            return { error: 'The note has an unknown format version.' };
+        }
+        if (fromVersion > this.version) {
+            return { error: 'The note was saved by a newer version of takenote.' };
+        }
+
+        let note = record;
+        for (let version = fromVersion; version < this.version; version++) {
+            try {
+                note = { ...this.migrations[version](note), schemaVersion: version + 1 };
+            } catch (error) {
+                return { error: `The note couldn't be upgraded to format version ${version + 1}: ${error.message}` };
+            }
+        }
+
+        const error = this.validate(note, contentStoredApart);
+        return error ? { error } : { note, migrated: fromVersion < this.version };
+    }
+
+    // Describe what's wrong with a record of the current version, or return null if it's usable
+    validate(note, contentStoredApart = false) {
+        if (typeof note.id !== 'string' || !note.id) {
+            return 'The note has no ID.';
+        }
+
+        if (note.encrypted) {
+            const envelope = note.encrypted;
+            if (typeof envelope !== 'object' || !['keyId', 'iv', 'data'].every(key => typeof envelope[key] === 'string')) {
+                return 'The encrypted content is damaged.';
+            }
+        } else {
+            if (typeof note.content !== 'string' && !(contentStoredApart && note.content === undefined)) {
+                return 'The note has no content.';
+            }
+            if (typeof note.title !== 'string') {
+                return 'The note has no title.';
+            }
+            if (!Array.isArray(note.tags) || note.tags.some(tag => typeof tag !== 'string')) {
+                return 'The note\'s tags are damaged.';
+            }
+        }
+
+        if (note.notebookId !== null && typeof note.notebookId !== 'string') {
+            return 'The note\'s notebook is damaged.';
+        }
+        if (!this.isDate(note.createdAt) || !this.isDate(note.updatedAt)) {
+            return 'The note\'s dates are damaged.';
+        }
+        if (note.deletedAt !== undefined && !this.isDate(note.deletedAt)) {
+            return 'The note\'s deletion date is damaged.';
+        }
+        return null;
+    }
+
+    isDate(value) {
+        return typeof value === 'string' && !isNaN(new Date(value).getTime());
+    }
+}
\ No newline at end of file
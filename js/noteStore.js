@@ -0,0 +1,418 @@
+/**
+ * noteStore.js
+ * IndexedDB persistence layer for notes (one record per note, with its content kept apart) and the images in them
+ */
+
+class NoteStore {
+    constructor(dbName = 'takenote') {
+        this.dbName = dbName;
+        this.dbVersion = 6;
+        this.dbPromise = null;
+
+        // Called when opening has to wait for other takenote tabs to close the database (set by the note manager)
+        this.onBlocked = null;
+
+        // Keys used by the original single-blob localStorage format
+        this.legacyNotesKey = 'takenote-notes';
+        this.legacyActiveIdKey = 'takenote-active-id';
+        this.legacyNotebooksKey = 'takenote-notebooks';
+    }
+
+    // Open the database lazily; the connection is shared by all later calls
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not supported in this browser'));
+                    return;
+                }
+
+                const request = window.indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = (e) => this.upgrade(request.result, e.oldVersion, request.transaction);
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a newer version of the app in another tab upgrade the schema
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+                // An older takenote tab without the onversionchange handler keeps the upgrade waiting until it's closed
+                request.onblocked = () => {
+                    console.warn('IndexedDB upgrade is waiting for other takenote tabs to close');
+                    if (this.onBlocked) this.onBlocked();
+                };
+            });
+
+            // Allow a later call to retry if opening failed
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Create or migrate object stores, one step per schema version
+    upgrade(db, oldVersion, tx) {
+        if (oldVersion < 1) {
+            db.createObjectStore('notes', { keyPath: 'id' });
+            db.createObjectStore('meta');
+        }
+        if (oldVersion < 2) {
+            const revisions = db.createObjectStore('revisions', { keyPath: 'id' });
+            revisions.createIndex('noteId', 'noteId');
+        }
+        if (oldVersion < 3) {
+            db.createObjectStore('notebooks', { keyPath: 'id' });
+        }
+        if (oldVersion < 4) {
+            db.createObjectStore('quarantine', { keyPath: 'id' });
+        }
+        if (oldVersion < 5) {
+            const images = db.createObjectStore('images', { keyPath: 'id' });
+            images.createIndex('createdAt', 'createdAt');
+        }
+        if (oldVersion < 6) {
+            // Content moves to its own store, so the notes list can be read without it
+            const contents = db.createObjectStore('contents', { keyPath: 'id' });
+            if (oldVersion >= 1) {
+                tx.objectStore('notes').openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    const { content, ...meta } = cursor.value;
+                    if (typeof content === 'string') {
+                        contents.put({ id: meta.id, content });
+                        cursor.update(meta);
+                    }
+                    cursor.continue();
+                };
+            }
+        }
+    }
+
+    // Run work inside a transaction; resolves with the returned request's result once committed
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const request = work(tx);
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    // Get every stored note with its content
+    async getAllNotes() {
+        let notes = [];
+        let contents = [];
+        await this.transaction(['notes', 'contents'], 'readonly', tx => {
+            const notesRequest = tx.objectStore('notes').getAll();
+            const contentsRequest = tx.objectStore('contents').getAll();
+            notesRequest.onsuccess = () => {
+                notes = notesRequest.result;
+            };
+            contentsRequest.onsuccess = () => {
+                contents = contentsRequest.result;
+            };
+        });
+        const contentById = new Map(contents.map(record => [record.id, record.content]));
+        return notes.map(note => (contentById.has(note.id) ? { ...note, content: contentById.get(note.id) } : note));
+    }
+
+    // Get every stored note without its content (encrypted notes keep theirs, inside the ciphertext)
+    getNoteList() {
+        return this.transaction(['notes'], 'readonly', tx => tx.objectStore('notes').getAll());
+    }
+
+    // Get a single note by ID, with its content
+    async getNote(id) {
+        let note;
+        let content;
+        await this.transaction(['notes', 'contents'], 'readonly', tx => {
+            const noteRequest = tx.objectStore('notes').get(id);
+            const contentRequest = tx.objectStore('contents').get(id);
+            noteRequest.onsuccess = () => {
+                note = noteRequest.result;
+            };
+            contentRequest.onsuccess = () => {
+                content = contentRequest.result;
+            };
+        });
+        return note && content ? { ...note, content: content.content } : note;
+    }
+
+    // Get the content of a note, or undefined if none is stored
+    async getNoteContent(id) {
+        const record = await this.transaction(['contents'], 'readonly', tx => tx.objectStore('contents').get(id));
+        return record ? record.content : undefined;
+    }
+
+    // Get the content of every note, as { id, content } records
+    getAllNoteContents() {
+        return this.transaction(['contents'], 'readonly', tx => tx.objectStore('contents').getAll());
+    }
+
+    // Put a note in the notes store and its content in the contents store. A note whose content hasn't been
+    // loaded leaves the stored content alone, and an encrypted note has no content kept in the clear.
+    // Content that isn't text stays in the note, to be quarantined with it when it's loaded
+    writeNote(tx, note) {
+        const { content, ...meta } = note;
+        if (typeof content === 'string') {
+            tx.objectStore('notes').put(meta);
+            tx.objectStore('contents').put({ id: note.id, content });
+            return;
+        }
+        tx.objectStore('notes').put(content === undefined ? meta : note);
+        if (note.encrypted) {
+            tx.objectStore('contents').delete(note.id);
+        }
+    }
+
+    // Write a single note
+    putNote(note) {
+        return this.transaction(['notes', 'contents'], 'readwrite', tx => {
+            this.writeNote(tx, note);
+        });
+    }
+
+    // Write several notes in one transaction
+    putNotes(notes) {
+        return this.transaction(['notes', 'contents'], 'readwrite', tx => {
+            notes.forEach(note => this.writeNote(tx, note));
+        });
+    }
+
+    // Remove a single note
+    deleteNote(id) {
+        return this.transaction(['notes', 'contents'], 'readwrite', tx => {
+            tx.objectStore('notes').delete(id);
+            tx.objectStore('contents').delete(id);
+        });
+    }
+
+    // Get every stored notebook
+    getAllNotebooks() {
+        return this.transaction(['notebooks'], 'readonly', tx => tx.objectStore('notebooks').getAll());
+    }
+
+    // Get a single notebook by ID
+    getNotebook(id) {
+        return this.transaction(['notebooks'], 'readonly', tx => tx.objectStore('notebooks').get(id));
+    }
+
+    // Write a single notebook
+    putNotebook(notebook) {
+        return this.transaction(['notebooks'], 'readwrite', tx => {
+            tx.objectStore('notebooks').put(notebook);
+        });
+    }
+
+    // Remove a single notebook
+    deleteNotebook(id) {
+        return this.transaction(['notebooks'], 'readwrite', tx => {
+            tx.objectStore('notebooks').delete(id);
+        });
+    }
+
+    // Get every revision of a note
+    getRevisions(noteId) {
+        return this.transaction(['revisions'], 'readonly', tx =>
+            tx.objectStore('revisions').index('noteId').getAll(noteId)
+        );
+    }
+
+    // Get every stored revision of every note
+    getAllRevisions() {
+        return this.transaction(['revisions'], 'readonly', tx => tx.objectStore('revisions').getAll());
+    }
+
+    // Write a single revision
+    putRevision(revision) {
+        return this.transaction(['revisions'], 'readwrite', tx => {
+            tx.objectStore('revisions').put(revision);
+        });
+    }
+
+    // Remove revisions by ID
+    deleteRevisions(ids) {
+        return this.transaction(['revisions'], 'readwrite', tx => {
+            const store = tx.objectStore('revisions');
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    // Remove every revision of a note
+    deleteRevisionsForNote(noteId) {
+        return this.transaction(['revisions'], 'readwrite', tx => {
+            const store = tx.objectStore('revisions');
+            const request = store.index('noteId').getAllKeys(noteId);
+            request.onsuccess = () => request.result.forEach(id => store.delete(id));
+        });
+    }
+
+    // Get a single image by ID: { id, blob, type, name, createdAt }, or { id, createdAt, encrypted } when
+    // the vault encrypts it
+    getImage(id) {
+        return this.transaction(['images'], 'readonly', tx => tx.objectStore('images').get(id));
+    }
+
+    // Write several images in one transaction
+    putImages(images) {
+        return this.transaction(['images'], 'readwrite', tx => {
+            const store = tx.objectStore('images');
+            images.forEach(image => store.put(image));
+        });
+    }
+
+    // IDs of the images added before a date (an ISO string), without reading the files
+    getImageIdsBefore(date) {
+        return this.transaction(['images'], 'readonly', tx =>
+            tx.objectStore('images').index('createdAt').getAllKeys(IDBKeyRange.upperBound(date, true))
+        );
+    }
+
+    // IDs of every stored image
+    getAllImageIds() {
+        return this.transaction(['images'], 'readonly', tx => tx.objectStore('images').getAllKeys());
+    }
+
+    // Remove images by ID
+    deleteImages(ids) {
+        return this.transaction(['images'], 'readwrite', tx => {
+            const store = tx.objectStore('images');
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    // Get every record that was set aside because it couldn't be loaded
+    getQuarantine() {
+        return this.transaction(['quarantine'], 'readonly', tx => tx.objectStore('quarantine').getAll());
+    }
+
+    // Move records into quarantine, removing them from the notes store in the same transaction
+    quarantineNotes(entries) {
+        return this.transaction(['notes', 'contents', 'quarantine'], 'readwrite', tx => {
+            const notesStore = tx.objectStore('notes');
+            const contentsStore = tx.objectStore('contents');
+            const quarantineStore = tx.objectStore('quarantine');
+            entries.forEach(entry => {
+                quarantineStore.put(entry);
+                if (entry.noteId) {
+                    notesStore.delete(entry.noteId);
+                    contentsStore.delete(entry.noteId);
+                }
+            });
+        });
+    }
+
+    // Put notes that can be loaded again back in place of their quarantine entries
+    releaseQuarantined(entryIds, notes) {
+        return this.transaction(['notes', 'contents', 'quarantine'], 'readwrite', tx => {
+            const quarantineStore = tx.objectStore('quarantine');
+            notes.forEach(note => this.writeNote(tx, note));
+            entryIds.forEach(id => quarantineStore.delete(id));
+        });
+    }
+
+    // Remove every quarantined record
+    clearQuarantine() {
+        return this.transaction(['quarantine'], 'readwrite', tx => {
+            tx.objectStore('quarantine').clear();
+        });
+    }
+
+    // Read a value from the meta store
+    getMeta(key) {
+        return this.transaction(['meta'], 'readonly', tx => tx.objectStore('meta').get(key));
+    }
+
+    // Write a value to the meta store
+    setMeta(key, value) {
+        return this.transaction(['meta'], 'readwrite', tx => {
+            tx.objectStore('meta').put(value, key);
+        });
+    }
+
+    // Copy notes from the localStorage blob into IndexedDB: the old format on first run, or later the notes
+    // saved while the database couldn't be opened. A note already stored is only replaced by a newer copy
+    async migrateFromLocalStorage() {
+        const savedNotes = localStorage.getItem(this.legacyNotesKey);
+        const savedNotebooks = localStorage.getItem(this.legacyNotebooksKey);
+        const savedActiveId = localStorage.getItem(this.legacyActiveIdKey);
+        const migrated = await this.getMeta('migratedFromLocalStorage');
+        if (migrated && savedNotes === null && savedNotebooks === null) {
+            return false;
+        }
+
+        // Anything that can't be stored as a note is quarantined rather than dropped
+        const quarantined = [];
+        const quarantine = (reason, fields) => quarantined.push({
+            id: `quarantine_${Date.now()}_${quarantined.length}`,
+            reason,
+            quarantinedAt: new Date().toISOString(),
+            ...fields
+        });
+
+        let notes = [];
+        if (savedNotes) {
+            try {
+                notes = JSON.parse(savedNotes);
+                if (!Array.isArray(notes)) {
+                    throw new Error('Saved notes are not a list');
+                }
+            } catch (error) {
+                console.warn('Failed to parse notes from localStorage:', error);
+                quarantine('The notes saved by an older version of takenote couldn\'t be read.', { raw: savedNotes });
+                notes = [];
+            }
+        }
+
+        let notebooks = [];
+        try {
+            notebooks = JSON.parse(savedNotebooks || '[]');
+            notebooks = Array.isArray(notebooks) ? notebooks.filter(notebook => notebook && typeof notebook.id === 'string') : [];
+        } catch (error) {
+            console.warn('Failed to parse notebooks from localStorage:', error);
+            notebooks = [];
+        }
+
+        const storedNotes = migrated ? await this.getNoteList() : [];
+        const storedNotebooks = migrated ? await this.getAllNotebooks() : [];
+        const storedUpdatedAt = new Map(storedNotes.map(note => [note.id, new Date(note.updatedAt).getTime()]));
+        const isNewer = note => !storedUpdatedAt.has(note.id) || new Date(note.updatedAt).getTime() > storedUpdatedAt.get(note.id);
+
+        await this.transaction(['notes', 'contents', 'notebooks', 'meta', 'quarantine'], 'readwrite', tx => {
+            notes.forEach(note => {
+                if (note && typeof note.id === 'string' && note.id) {
+                    if (isNewer(note)) this.writeNote(tx, note);
+                } else {
+                    quarantine('The note has no ID.', { record: note });
+                }
+            });
+
+            const notebooksStore = tx.objectStore('notebooks');
+            notebooks
+                .filter(notebook => !storedNotebooks.some(stored => stored.id === notebook.id))
+                .forEach(notebook => notebooksStore.put(notebook));
+
+            const quarantineStore = tx.objectStore('quarantine');
+            quarantined.forEach(entry => quarantineStore.put(entry));
+
+            const metaStore = tx.objectStore('meta');
+            if (savedActiveId) {
+                metaStore.put(savedActiveId, 'activeId');
+            }
+            metaStore.put(true, 'migratedFromLocalStorage');
+        });
+
+        // Only drop the old keys once the copy has been committed
+        localStorage.removeItem(this.legacyNotesKey);
+        localStorage.removeItem(this.legacyActiveIdKey);
+        localStorage.removeItem(this.legacyNotebooksKey);
+        return true;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * searchIndex.js
+ * Incremental inverted index for full-text search across notes
+ */
+
+class SearchIndex {
+    constructor() {
+        this.postings = new Map(); // term -> Map(noteId -> occurrence count)
+        this.documents = new Map(); // noteId -> { title, text, updatedAt, termCounts }
+        this.titleWeight = 3;
+        this.recencyHalfLifeDays = 30;
+        this.snippetRadius = 40;
+    }
+
+    // Split text into lowercase word tokens
+    tokenize(text) {
+        return (text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    }
+
+    // Add or refresh a note; unchanged notes are skipped
+    updateNote(noteId, { title, text, updatedAt }) {
+        const existing = this.documents.get(noteId);
+        if (existing && existing.title === title && existing.text === text) {
+            existing.updatedAt = updatedAt;
+            return;
+        }
+
+        this.removeNote(noteId);
+
+        const termCounts = new Map();
+        const addTokens = (tokens, weight) => {
+            tokens.forEach(token => termCounts.set(token, (termCounts.get(token) || 0) + weight));
+        };
+        addTokens(this.tokenize(title), this.titleWeight);
+        addTokens(this.tokenize(text), 1);
+
+        termCounts.forEach((count, term) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(noteId, count);
+        });
+
+        this.documents.set(noteId, { title, text, updatedAt, termCounts });
+    }
+
+    // Remove a note from the index
+    removeNote(noteId) {
+        const existing = this.documents.get(noteId);
+        if (!existing) return;
+
+        existing.termCounts.forEach((count, term) => {
+            const notes = this.postings.get(term);
+            if (!notes) return;
+            notes.delete(noteId);
+            if (notes.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+        this.documents.delete(noteId);
+    }
+
+    // Split a query into quoted phrases and single terms
+    parseQuery(query) {
+        const phrases = [];
+        const rest = (query || '').replace(/"([^"]*)"?/g, (match, phrase) => {
+            const tokens = this.tokenize(phrase);
+            if (tokens.length > 0) phrases.push(tokens);
+            return ' ';
+        });
+        return { phrases, terms: this.tokenize(rest) };
+    }
+
+    // Collect notes containing a word starting with the given prefix, summing occurrence counts
+    matchPrefix(prefix) {
+        const matches = new Map();
+        this.postings.forEach((notes, term) => {
+            if (!term.startsWith(prefix)) return;
+            notes.forEach((count, noteId) => matches.set(noteId, (matches.get(noteId) || 0) + count));
+        });
+        return matches;
+    }
+
+    // Search notes; every term (by prefix) and phrase must match
+    search(query) {
+        const { phrases, terms } = this.parseQuery(query);
+        if (phrases.length === 0 && terms.length === 0) return [];
+
+        const totalNotes = this.documents.size;
+        let candidates = null;
+        const scores = new Map();
+
+        const addMatches = (matches) => {
+            const idf = Math.log(1 + totalNotes / Math.max(matches.size, 1));
+            const next = new Map();
+            matches.forEach((count, noteId) => {
+                if (candidates && !candidates.has(noteId)) return;
+                next.set(noteId, true);
+                scores.set(noteId, (scores.get(noteId) || 0) + (1 + Math.log(count)) * idf);
+            });
+            candidates = next;
+        };
+
+        terms.forEach(term => addMatches(this.matchPrefix(term)));
+
+        phrases.forEach(tokens => {
+            // Narrow by exact words first, then confirm the words appear together
+            tokens.forEach(token => addMatches(this.postings.get(token) || new Map()));
+            const phraseText = tokens.join(' ');
+            candidates.forEach((value, noteId) => {
+                const doc = this.documents.get(noteId);
+                if (!this.normalize(doc.title + '\n' + doc.text).includes(phraseText)) {
+                    candidates.delete(noteId);
+                }
+            });
+        });
+
+        const results = [];
+        candidates.forEach((value, noteId) => {
+            const doc = this.documents.get(noteId);
+            results.push({
+                noteId,
+                score: scores.get(noteId) * this.recencyBoost(doc.updatedAt),
+                ...this.buildSnippet(doc.text, phrases, terms)
+            });
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    // Recently edited notes rank a little higher (up to 1.5x for a note edited right now)
+    recencyBoost(updatedAt) {
+        const ageDays = Math.max(0, (Date.now() - new Date(updatedAt).getTime()) / (24 * 60 * 60 * 1000));
+        return 1 + 0.5 * Math.pow(0.5, ageDays / this.recencyHalfLifeDays);
+    }
+
+    // Lowercase and collapse non-word characters so phrases match across punctuation and line breaks
+    normalize(text) {
+        return this.tokenize(text).join(' ');
+    }
+
+    // Find the first match in the text and cut a snippet around it
+    buildSnippet(text, phrases, terms) {
+        const patterns = [
+            ...phrases.map(tokens => tokens.map(token => this.escapeRegExp(token)).join('[^\\p{L}\\p{N}_]+')),
+            ...terms.map(term => this.escapeRegExp(term) + '[\\p{L}\\p{N}_]*')
+        ];
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${patterns.join('|')})`, 'iu');
+        const match = pattern.exec(text);
+
+        if (!match) {
+            return {
+                snippet: { before: '', match: '', after: text.slice(0, this.snippetRadius * 2) },
+                matchText: '',
+                matchOffset: -1
+            };
+        }
+
+        const start = Math.max(0, match.index - this.snippetRadius);
+        const end = Math.min(text.length, match.index + match[0].length + this.snippetRadius);
+        return {
+            snippet: {
+                before: (start > 0 ? '…' : '') + text.slice(start, match.index),
+                match: match[0],
+                after: text.slice(match.index + match[0].length, end) + (end < text.length ? '…' : '')
+            },
+            matchText: match[0],
+            matchOffset: match.index
+        };
+    }
+
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,197 @@
+/**
+ * syntaxHighlighter.js
+ * Splits code into tokens (keywords, strings, comments...) for common languages, without any libraries
+ */
+
+class SyntaxHighlighter {
+    constructor() {
+        this.tokenTypes = ['comment', 'string', 'keyword', 'literal', 'number', 'function', 'tag', 'attribute', 'variable'];
+
+        const slashComments = [['comment', /\/\/[^\n]*/y], ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y]];
+        const hashComments = [['comment', /#[^\n]*/y]];
+        const doubleQuoted = ['string', /"(?:\\[\s\S]|[^"\\\n])*"?/y];
+        const singleQuoted = ['string', /'(?:\\[\s\S]|[^'\\\n])*'?/y];
+        const backtickQuoted = ['string', /`(?:\\[\s\S]|[^`\\])*`?/y];
+        const number = ['number', /(?:0x[\da-f]+|0b[01]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:e[+-]?\d+)?)[a-z%]*/iy];
+
+        const jsKeywords = 'as async await break case catch class const continue debugger default delete do else export extends ' +
+            'finally for from function get if import in instanceof let new of return set static super switch this throw try typeof ' +
+            'var void while with yield';
+        const cKeywords = 'auto break case char const continue default do double else enum extern float for goto if inline int long ' +
+            'register restrict return short signed sizeof static struct switch typedef union unsigned void volatile while';
+
+        // Each language has its token rules, tried in order wherever a token could start. Words that
+        // no rule matched are looked up in its keywords and literals, or are functions when called
+        this.languages = {
+            bash: this.define('Bash', [
+                ['variable', /\$(?:\{[^}\n]*\}?|\w+|[@#?*!$-])/y], ...hashComments, doubleQuoted, ['string', /'[^']*'?/y], number
+            ], 'if then else elif fi for in do done while until case esac function return local export readonly declare ' +
+                'unset shift break continue select time source alias', 'true false', { word: /[A-Za-z_][\w-]*/y }),
+            c: this.define('C', [['keyword', /#[ \t]*[a-z]+/y], ...slashComments, doubleQuoted, singleQuoted, number],
+                cKeywords, 'NULL true false'),
+            cpp: this.define('C++', [['keyword', /#[ \t]*[a-z]+/y], ...slashComments, doubleQuoted, singleQuoted, number],
+                `${cKeywords} bool catch class constexpr delete explicit friend mutable namespace new noexcept operator override ` +
+                'private protected public template this throw try typename using virtual', 'nullptr NULL true false'),
+            csharp: this.define('C#', [['string', /@"(?:[^"]|"")*"?/y], ['keyword', /#[ \t]*[a-z]+/y], ...slashComments,
+                ['string', /\$?"(?:\\[\s\S]|[^"\\\n])*"?/y], singleQuoted, number],
+                'abstract as async await base bool break byte case catch char class const continue decimal default delegate do ' +
+                'double else enum event explicit extern finally float for foreach get if implicit in int interface internal is ' +
+                'lock long namespace new object operator out override params private protected public readonly record ref ' +
+                'return sealed set short static string struct switch this throw try typeof uint ulong using var virtual void ' +
+                'while yield', 'null true false'),
+            css: this.define('CSS', [
+                ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y], doubleQuoted, singleQuoted, ['keyword', /@[\w-]+|!important/y],
+                ['number', /#[\da-f]{3,8}\b/iy], ['attribute', /-{0,2}[A-Za-z][\w-]*(?=\s*:[^;{}]*[;}])/y],
+                number
+            ], '', 'inherit initial unset none auto', { word: /-?[A-Za-z_][\w-]*/y }),
+            go: this.define('Go', [...slashComments, doubleQuoted, singleQuoted, backtickQuoted, number],
+                'break case chan const continue default defer else fallthrough for func go goto if import interface map ' +
+                'package range return select struct switch type var', 'nil true false iota'),
+            html: this.define('HTML', [
+                ['comment', /<!--[\s\S]*?(?:-->|$)/y], ['tag', /<!?\/?[\w:-]+(?:"[^"]*"|'[^']*'|[^'">])*>?/y, 'markup'],
+                ['literal', /&#?\w+;/y]
+            ], '', '', { word: null }),
+            java: this.define('Java', [['function', /@\w+/y], ...slashComments, doubleQuoted, singleQuoted, number],
+                'abstract assert boolean break byte case catch char class const continue default do double else enum extends ' +
+                'final finally float for goto if implements import instanceof int interface long native new package private ' +
+                'protected public record return short static strictfp super switch synchronized this throw throws transient ' +
+                'try var void volatile while', 'null true false'),
+            javascript: this.define('JavaScript', [...slashComments, doubleQuoted, singleQuoted, backtickQuoted, number],
+                jsKeywords, 'true false null undefined NaN Infinity'),
+            json: this.define('JSON', [['attribute', /"(?:\\[\s\S]|[^"\\\n])*"(?=\s*:)/y], doubleQuoted, number],
+                '', 'true false null'),
+            python: this.define('Python', [
+                ...hashComments, ['string', /[rbuf]{0,2}("""|''')[\s\S]*?(?:\1|$)/iy],
+                ['string', /[rbuf]{0,2}"(?:\\[\s\S]|[^"\\\n])*"?/iy], ['string', /[rbuf]{0,2}'(?:\\[\s\S]|[^'\\\n])*'?/iy],
+                ['function', /@[\w.]+/y], number
+            ], 'and as assert async await break case class continue def del elif else except finally for from global if ' +
+                'import in is lambda match nonlocal not or pass raise return try while with yield', 'True False None'),
+            rust: this.define('Rust', [
+                ...slashComments, doubleQuoted, ['string', /'(?:\\[\s\S][^'\n]*|[^'\\\n])'/y], ['keyword', /'\w+/y], number
+            ], 'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut ' +
+                'pub ref return self Self static struct super trait type unsafe use where while', 'true false None Some Ok Err'),
+            sql: this.define('SQL', [['comment', /--[^\n]*/y], ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+                ['string', /'(?:[^']|'')*'?/y], ['string', /"[^"\n]*"?/y], number],
+                'add all alter and as asc begin between by case check column commit constraint create cross database default delete ' +
+                'desc distinct drop else end exists foreign from full group having if in index inner insert into is join key left ' +
+                'like limit not offset on or order outer primary references returning right rollback select set table then ' +
+                'transaction union unique update using values view when where with', 'null true false',
+                { caseInsensitive: true }),
+            typescript: this.define('TypeScript', [...slashComments, doubleQuoted, singleQuoted, backtickQuoted, ['function', /@\w+/y], number],
+                `${jsKeywords} abstract any boolean declare enum implements infer interface is keyof namespace never number ` +
+                'private protected public readonly string type unknown', 'true false null undefined NaN Infinity'),
+            yaml: this.define('YAML', [
+                ...hashComments, ['attribute', /[\w.-][\w .-]*(?=:(?:\s|$))/y], doubleQuoted, singleQuoted, number
+            ], '', 'true false null yes no on off')
+        };
+
+        // Inside an HTML tag: its name, attribute names and quoted values
+        this.markup = this.define('', [
+            ['tag', /<!?\/?[\w:-]+|\/?>/y], doubleQuoted, singleQuoted, ['attribute', /[\w:@.-]+/y]
+        ], '', '', { word: null });
+
+        this.aliases = {
+            sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', h: 'c', 'c++': 'cpp', cc: 'cpp', hpp: 'cpp',
+            cs: 'csharp', 'c#': 'csharp', golang: 'go', htm: 'html', xml: 'html', svg: 'html', vue: 'html',
+            js: 'javascript', jsx: 'javascript', mjs: 'javascript', node: 'javascript', jsonc: 'json',
+            py: 'python', python3: 'python', rs: 'rust', postgres: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql',
+            ts: 'typescript', tsx: 'typescript', yml: 'yaml'
+        };
+    }
+
+    define(name, rules, keywords, literals, options = {}) {
+        const caseInsensitive = !!options.caseInsensitive;
+        const words = list => new Set((caseInsensitive ? list.toLowerCase() : list).split(' ').filter(Boolean));
+        return {
+            name,
+            rules,
+            keywords: words(keywords),
+            literals: words(literals),
+            caseInsensitive,
+            word: options.word === undefined ? /[A-Za-z_$][\w$]*/y : options.word
+        };
+    }
+
+    // Languages for a picker, by name
+    getLanguages() {
+        return Object.keys(this.languages)
+            .map(id => ({ id, name: this.languages[id].name }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // The language ID for a name or file extension such as "js"; unknown names are returned as they are
+    resolveLanguage(language) {
+        const id = (language || '').trim().toLowerCase();
+        return this.aliases[id] || id;
+    }
+
+    // Tokens as { type, start, end } in order; text between them is left plain
+    tokenize(text, language) {
+        const definition = this.languages[this.resolveLanguage(language)];
+        return definition ? this.scan(text, definition, 0) : [];
+    }
+
+    scan(text, definition, offset) {
+        const tokens = [];
+        let position = 0;
+
+        while (position < text.length) {
+            const rule = definition.rules.find(([, pattern]) => {
+                pattern.lastIndex = position;
+                return pattern.test(text) && pattern.lastIndex > position;
+            });
+            if (rule) {
+                const [type, pattern, inner] = rule;
+                const end = pattern.lastIndex;
+                if (inner) {
+                    tokens.push(...this.scan(text.slice(position, end), this[inner], offset + position));
+                } else {
+                    tokens.push({ type, start: offset + position, end: offset + end });
+                }
+                position = end;
+                continue;
+            }
+
+            const word = definition.word && this.matchAt(definition.word, text, position);
+            if (word) {
+                const type = this.classifyWord(word, definition, text, position + word.length);
+                if (type) tokens.push({ type, start: offset + position, end: offset + position + word.length });
+                position += word.length;
+                continue;
+            }
+            position++;
+        }
+        return tokens;
+    }
+
+    matchAt(pattern, text, position) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(text);
+        return match ? match[0] : null;
+    }
+
+    classifyWord(word, definition, text, end) {
+        const key = definition.caseInsensitive ? word.toLowerCase() : word;
+        if (definition.keywords.has(key)) return 'keyword';
+        if (definition.literals.has(key)) return 'literal';
+        return this.matchAt(/[ \t]*\(/y, text, end) !== null ? 'function' : null;
+    }
+
+    // HTML for the code with each token in a <span class="token-type">, as in exported pages
+    toHtml(text, language) {
+        let html = '';
+        let position = 0;
+        this.tokenize(text, language).forEach(({ type, start, end }) => {
+            html += this.escapeHtml(text.slice(position, start));
+            html += `<span class="token-${type}">${this.escapeHtml(text.slice(start, end))}</span>`;
+            position = end;
+        });
+        return html + this.escapeHtml(text.slice(position));
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
\ No newline at end of file
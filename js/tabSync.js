@@ -0,0 +1,50 @@
+/**
+ * tabSync.js
+ * Broadcasts storage changes to other open takenote tabs
+ */
+
+class TabSync {
+    constructor(channelName = 'takenote-sync') {
+        this.tabId = 'tab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        this.channel = null;
+        this.storageKey = channelName;
+
+        // Callback (to be set by the main app)
+        this.onMessage = null;
+
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(channelName);
+            this.channel.onmessage = (e) => this.receive(e.data);
+        } else {
+            // Older browsers: storage events fire in every tab except the one that wrote the key
+            window.addEventListener('storage', (e) => {
+                if (e.key !== this.storageKey || !e.newValue) return;
+                try {
+                    this.receive(JSON.parse(e.newValue));
+                } catch (error) {
+                    console.warn('Ignoring malformed sync message:', error);
+                }
+            });
+        }
+    }
+
+    // Tell other tabs that something changed
+    post(message) {
+        const payload = { ...message, tabId: this.tabId, sentAt: Date.now() };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(payload);
+            } else {
+                localStorage.setItem(this.storageKey, JSON.stringify(payload));
+            }
+        } catch (error) {
+            console.warn('Failed to notify other tabs:', error);
+        }
+    }
+
+    receive(payload) {
+        if (!payload || payload.tabId === this.tabId) return;
+        if (this.onMessage) this.onMessage(payload);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * templateLibrary.js
+ * Saved note templates and the placeholders filled in when a note is created from one
+ */
+
+class TemplateLibrary {
+    constructor() {
+        this.storageKey = 'takenote-templates';
+
+        // Placeholders are written as {{name}}; {{cursor}} marks where typing starts in the new note
+        this.cursorMarker = '<span data-template-cursor></span>';
+        this.placeholders = {
+            date: now => now.toLocaleDateString(),
+            time: now => now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+            weekday: now => now.toLocaleDateString([], { weekday: 'long' })
+        };
+
+        this.templates = this.loadTemplates();
+    }
+
+    // Templates saved in this browser, or the built-in ones before any have been saved
+    loadTemplates() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (Array.isArray(saved)) {
+                return saved.filter(template => template && typeof template.id === 'string' && typeof template.content === 'string');
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable templates:', error);
+        }
+        return this.getDefaultTemplates();
+    }
+
+    // Throws when localStorage is full; callers report that to the user
+    saveTemplates() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.templates));
+    }
+
+    // Pick up templates changed in another tab
+    reload() {
+        this.templates = this.loadTemplates();
+    }
+
+    getDefaultTemplates() {
+        const createdAt = new Date(0).toISOString();
+        return [
+            {
+                id: 'template_meeting',
+                name: 'Meeting notes',
+                title: 'Meeting {{date}}',
+                content: '<h2>Meeting {{date}}</h2><p><b>Attendees:</b> {{cursor}}</p><h2>Agenda</h2><ul><li><br></li></ul><h2>Notes</h2><p><br></p><h2>Action items</h2><ul><li><br></li></ul>',
+                tags: ['meeting'],
+                createdAt
+            },
+            {
+                id: 'template_standup',
+                name: 'Daily standup',
+                title: 'Standup {{date}}',
+                content: '<h2>Standup {{weekday}} {{date}}</h2><p><b>Yesterday</b></p><ul><li>{{cursor}}</li></ul><p><b>Today</b></p><ul><li><br></li></ul><p><b>Blockers</b></p><ul><li><br></li></ul>',
+                tags: ['standup'],
+                createdAt
+            },
+            {
+                id: 'template_bug',
+                name: 'Bug report',
+                title: 'Bug: ',
+                content: '<h2>Bug: {{cursor}}</h2><p><b>Reported:</b> {{date}} {{time}}</p><h2>Steps to reproduce</h2><ol><li><br></li></ol><h2>Expected</h2><p><br></p><h2>Actual</h2><p><br></p>',
+                tags: ['bug'],
+                createdAt
+            }
+        ];
+    }
+
+    getAll() {
+        return [...this.templates].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getById(id) {
+        return this.templates.find(template => template.id === id) || null;
+    }
+
+    // Save a note as a template; a template with the same name is replaced
+    saveFromNote(note) {
+        // Titles taken from content can run several lines together, so prefer the first line itself
+        const title = this.getFirstLine(note.content) || note.title;
+        const name = this.getTemplateName(title);
+        const existing = this.templates.find(template => template.name.toLowerCase() === name.toLowerCase());
+        const template = {
+            id: existing ? existing.id : 'template_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name,
+            title,
+            content: note.content,
+            tags: [...(note.tags || [])],
+            createdAt: new Date().toISOString()
+        };
+
+        const previous = this.templates;
+        this.templates = existing
+            ? this.templates.map(item => item === existing ? template : item)
+            : [...this.templates, template];
+        try {
+            this.saveTemplates();
+        } catch (error) {
+            this.templates = previous;
+            throw error;
+        }
+        return { template, replaced: !!existing };
+    }
+
+    deleteTemplate(id) {
+        const template = this.getById(id);
+        if (!template) return null;
+
+        this.templates = this.templates.filter(item => item.id !== id);
+        this.saveTemplates();
+        return template;
+    }
+
+    // Put a deleted template back (for undo)
+    restoreTemplate(template) {
+        if (this.getById(template.id)) return;
+
+        this.templates = [...this.templates, template];
+        this.saveTemplates();
+    }
+
+    getFirstLine(content) {
+        const div = document.createElement('div');
+        div.innerHTML = content;
+        const firstLine = [...div.childNodes].find(node => node.textContent.trim());
+        return firstLine ? firstLine.textContent.trim() : '';
+    }
+
+    // A note title such as "Standup {{date}}" is listed as "Standup"
+    getTemplateName(title) {
+        return (title || '').replace(/\{\{\s*\w+\s*\}\}/g, '').replace(/\s+/g, ' ').trim() || 'Untitled template';
+    }
+
+    // Title and content for a new note, with placeholders filled in. The first {{cursor}}
+    // in the content becomes cursorMarker; see removeCursorMarker() for the stored copy
+    fill(template, now = new Date()) {
+        let cursorPlaced = false;
+        const replace = (text, escape) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+            const key = name.toLowerCase();
+            if (key === 'cursor') {
+                if (!escape || cursorPlaced) return '';
+                cursorPlaced = true;
+                return this.cursorMarker;
+            }
+            if (!this.placeholders[key]) return match;
+
+            const value = this.placeholders[key](now);
+            return escape ? this.escapeHtml(value) : value;
+        });
+
+        return {
+            title: replace(template.title || '', false).trim() || 'Untitled Note',
+            content: replace(template.content, true),
+            tags: [...(template.tags || [])]
+        };
+    }
+
+    removeCursorMarker(content) {
+        return content.split(this.cursorMarker).join('');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
\ No newline at end of file
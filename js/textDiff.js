@@ -0,0 +1,104 @@
+/**
+ * textDiff.js
+ * Word-level diff between two plain-text strings
+ */
+
+class TextDiff {
+    constructor() {
+        // Above this many cells the LCS table is skipped and the texts are shown as a full replace
+        this.maxTableSize = 4000000;
+    }
+
+    // Split text into words and the whitespace between them
+    tokenize(text) {
+        return (text || '').split(/(\s+)/).filter(token => token.length > 0);
+    }
+
+    // Diff two texts into a list of { type: 'equal' | 'added' | 'removed', text } parts
+    diffWords(oldText, newText) {
+        const oldTokens = this.tokenize(oldText);
+        const newTokens = this.tokenize(newText);
+
+        // Trim the common prefix and suffix so the table only covers the changed middle
+        let start = 0;
+        while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+            start++;
+        }
+
+        let oldEnd = oldTokens.length;
+        let newEnd = newTokens.length;
+        while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        const parts = [];
+        this.pushPart(parts, 'equal', oldTokens.slice(0, start));
+        this.diffMiddle(oldTokens.slice(start, oldEnd), newTokens.slice(start, newEnd)).forEach(part => {
+            this.pushPart(parts, part.type, [part.text]);
+        });
+        this.pushPart(parts, 'equal', oldTokens.slice(oldEnd));
+        return parts;
+    }
+
+    // Longest-common-subsequence diff of the changed token ranges
+    diffMiddle(oldTokens, newTokens) {
+        const rows = oldTokens.length;
+        const cols = newTokens.length;
+
+        if (rows === 0 || cols === 0 || (rows + 1) * (cols + 1) > this.maxTableSize) {
+            return [
+                { type: 'removed', text: oldTokens.join('') },
+                { type: 'added', text: newTokens.join('') }
+            ];
+        }
+
+        // lengths[i][j] = LCS length of oldTokens[i..] and newTokens[j..]
+        const width = cols + 1;
+        const lengths = new Uint32Array((rows + 1) * width);
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lengths[i * width + j] = oldTokens[i] === newTokens[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        const parts = [];
+        let i = 0;
+        let j = 0;
+        while (i < rows && j < cols) {
+            if (oldTokens[i] === newTokens[j]) {
+                parts.push({ type: 'equal', text: oldTokens[i] });
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                parts.push({ type: 'removed', text: oldTokens[i] });
+                i++;
+            } else {
+                parts.push({ type: 'added', text: newTokens[j] });
+                j++;
+            }
+        }
+        while (i < rows) {
+            parts.push({ type: 'removed', text: oldTokens[i++] });
+        }
+        while (j < cols) {
+            parts.push({ type: 'added', text: newTokens[j++] });
+        }
+        return parts;
+    }
+
+    // Append tokens, merging with the previous part when it has the same type
+    pushPart(parts, type, tokens) {
+        const text = tokens.join('');
+        if (!text) return;
+
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            parts.push({ type, text });
+        }
+    }
+}
\ No newline at end of file
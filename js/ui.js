@@ -6,6 +6,7 @@
 class UI {
     constructor() {
         this.elements = this.initializeElements();
+        this.imageAlt = ''; // Alt text of the image whose tools are shown, put back by Escape
         this.bindUIEvents();
         
         // Callbacks (to be set by the main app)
@@ -19,10 +20,84 @@ class UI {
         this.onTextAlign = null;
         this.onBulletList = null;
         this.onNumberList = null;
+        this.onChecklist = null;
+        this.onLinkInsert = null;
+        this.onLinkSave = null; // (text, href) from the link editor
+        this.onLinkCancel = null; // (restoreSelection); false when the editor was closed by clicking elsewhere
+        this.onLinkCardHover = null; // (hovered) as the pointer goes onto and off the link card
+        this.onLinkCardOpen = null;
+        this.onLinkCardEdit = null;
+        this.onLinkCardRemove = null;
+        this.onTableInsert = null;
+        this.onTableAction = null;
+        this.onCodeLanguageChange = null;
+        this.onCodeCopy = null;
+        this.onImageAltChange = null;
+        this.onImageAltDone = null;
+        this.onImageResize = null; // (width, done); done is true when the drag ends
         this.onUndo = null;
         this.onRedo = null;
         this.onFileUpload = null;
-        this.onFileDownload = null;
+        this.onExportOpen = null;
+        this.onExportConfirm = null;
+        this.onShowHistory = null;
+        this.onRevisionSelect = null;
+        this.onRevisionRestore = null;
+        this.onShowTrash = null;
+        this.onHideTrash = null;
+        this.onShowTasks = null;
+        this.onTaskToggle = null;
+        this.onNoteRestore = null;
+        this.onNotePermanentDelete = null;
+        this.onEmptyTrash = null;
+        this.onTrashRetentionChange = null;
+        this.onNewNotebook = null;
+        this.onNotebookSelect = null;
+        this.onNotebookToggle = null;
+        this.onNotebookRename = null;
+        this.onNotebookDelete = null;
+        this.onNotebookMove = null;
+        this.onNoteMove = null;
+        this.onTagAdd = null;
+        this.onTagRemove = null;
+        this.onTagFilterToggle = null;
+        this.onTagFilterClear = null;
+        this.onSearch = null;
+        this.onSearchResultSelect = null;
+        this.onSortChange = null;
+        this.onNotePinToggle = null;
+        this.onNoteDrop = null;
+        this.onConflictResolve = null;
+        this.onBackup = null;
+        this.onRestoreFile = null;
+        this.onRestoreConfirm = null;
+        this.onRestoreCancel = null;
+        this.onVaultOpen = null;
+        this.onVaultCreate = null;
+        this.onVaultSettingsSave = null;
+        this.onVaultPassphraseChange = null;
+        this.onVaultDisable = null;
+        this.onVaultLock = null;
+        this.onVaultUnlock = null;
+        this.onNoteLockToggle = null;
+        this.onStorageOpen = null;
+        this.onStorageExportRemove = null;
+        this.onSaveRetry = null;
+        this.onQuarantineDownload = null;
+        this.onQuarantineClear = null;
+        this.onLinkSuggestionPick = null;
+        this.onBacklinkSelect = null;
+        this.onTemplateMenuOpen = null;
+        this.onTemplateSelect = null;
+        this.onTemplateSave = null;
+        this.onTemplateDelete = null;
+        this.onFindOpen = null;
+        this.onFindChange = null;
+        this.onFindNext = null;
+        this.onFindPrevious = null;
+        this.onReplace = null;
+        this.onReplaceAll = null;
+        this.onFindClose = null;
     }
 
     initializeElements() {
@@ -32,7 +107,34 @@ class UI {
             sidebar: document.getElementById('sidebar'),
             sidebarOverlay: document.getElementById('sidebar-overlay'),
             newNoteBtn: document.getElementById('new-note-btn'),
+            newNotebookBtn: document.getElementById('new-notebook-btn'),
+            newNoteMenuBtn: document.getElementById('new-note-menu-btn'),
+            templateMenu: document.getElementById('template-menu'),
+            templateList: document.getElementById('template-list'),
+            saveTemplateBtn: document.getElementById('save-template-btn'),
             notesList: document.getElementById('notes-list'),
+            searchInput: document.getElementById('search-input'),
+            sortSelect: document.getElementById('sort-select'),
+            tagsList: document.getElementById('tags-list'),
+            clearTagsBtn: document.getElementById('clear-tags-btn'),
+            trashBtn: document.getElementById('trash-btn'),
+            trashCount: document.getElementById('trash-count'),
+            trashHeader: document.getElementById('trash-header'),
+            trashBackBtn: document.getElementById('trash-back-btn'),
+            trashRetentionSelect: document.getElementById('trash-retention-select'),
+            emptyTrashBtn: document.getElementById('empty-trash-btn'),
+            tasksBtn: document.getElementById('tasks-btn'),
+            tasksCount: document.getElementById('tasks-count'),
+            tasksHeader: document.getElementById('tasks-header'),
+            tasksBackBtn: document.getElementById('tasks-back-btn'),
+            backupBtn: document.getElementById('backup-btn'),
+            restoreBtn: document.getElementById('restore-btn'),
+            restoreInput: document.getElementById('restore-input'),
+            vaultBtn: document.getElementById('vault-btn'),
+            vaultBtnLabel: document.getElementById('vault-btn-label'),
+            storageBtn: document.getElementById('storage-btn'),
+            storageUsageLabel: document.getElementById('storage-usage-label'),
+            storageMeterFill: document.getElementById('storage-meter-fill'),
             
             // Toolbar elements
             headingSelect: document.getElementById('heading-select'),
@@ -43,14 +145,42 @@ class UI {
             alignRightBtn: document.getElementById('align-right-btn'),
             bulletListBtn: document.getElementById('bullet-list-btn'),
             numberListBtn: document.getElementById('number-list-btn'),
+            checklistBtn: document.getElementById('checklist-btn'),
+            linkBtn: document.getElementById('link-btn'),
+            tableBtn: document.getElementById('table-btn'),
+            tablePicker: document.getElementById('table-picker'),
+            tablePickerGrid: document.getElementById('table-picker-grid'),
+            tablePickerSize: document.getElementById('table-picker-size'),
             undoBtn: document.getElementById('undo-btn'),
             redoBtn: document.getElementById('redo-btn'),
             uploadBtn: document.getElementById('upload-btn'),
             uploadInput: document.getElementById('upload-input'),
-            downloadBtn: document.getElementById('download-btn'),
+            exportBtn: document.getElementById('export-btn'),
+            historyBtn: document.getElementById('history-btn'),
+            lockNoteBtn: document.getElementById('lock-note-btn'),
+            lockNoteLabel: document.getElementById('lock-note-label'),
             
             // Editor elements
             textEditor: document.getElementById('text-editor'),
+            findBar: document.getElementById('find-bar'),
+            findInput: document.getElementById('find-input'),
+            findCount: document.getElementById('find-count'),
+            findCaseBtn: document.getElementById('find-case-btn'),
+            findWordBtn: document.getElementById('find-word-btn'),
+            findRegexBtn: document.getElementById('find-regex-btn'),
+            findPrevBtn: document.getElementById('find-prev-btn'),
+            findNextBtn: document.getElementById('find-next-btn'),
+            findReplaceToggle: document.getElementById('find-replace-toggle'),
+            findCloseBtn: document.getElementById('find-close-btn'),
+            replaceRow: document.getElementById('replace-row'),
+            replaceInput: document.getElementById('replace-input'),
+            replaceBtn: document.getElementById('replace-btn'),
+            replaceAllBtn: document.getElementById('replace-all-btn'),
+            lockedNotePanel: document.getElementById('locked-note-panel'),
+            lockedNoteUnlockBtn: document.getElementById('locked-note-unlock-btn'),
+            noteTags: document.getElementById('note-tags'),
+            tagInput: document.getElementById('tag-input'),
+            tagSuggestions: document.getElementById('tag-suggestions'),
             
             // Status elements
             wordCount: document.getElementById('word-count'),
@@ -60,9 +190,116 @@ class UI {
             // Delete modal elements
             deleteModal: document.getElementById('delete-modal'),
             deleteModalOverlay: document.querySelector('.delete-modal-overlay'),
+            deleteModalTitle: document.querySelector('.delete-modal-title'),
+            deleteModalMessage: document.querySelector('.delete-modal-message'),
             deleteModalNoteTitle: document.querySelector('.delete-modal-note-title'),
             deleteCancelBtn: document.getElementById('delete-cancel-btn'),
-            deleteConfirmBtn: document.getElementById('delete-confirm-btn')
+            deleteConfirmBtn: document.getElementById('delete-confirm-btn'),
+            
+            // Conflict modal elements
+            conflictModal: document.getElementById('conflict-modal'),
+            conflictModalNoteTitle: document.querySelector('.conflict-modal-note-title'),
+            conflictMineBtn: document.getElementById('conflict-mine-btn'),
+            conflictTheirsBtn: document.getElementById('conflict-theirs-btn'),
+            conflictBothBtn: document.getElementById('conflict-both-btn'),
+            
+            // Restore modal elements
+            restoreModal: document.getElementById('restore-modal'),
+            restoreModalOverlay: document.querySelector('.restore-modal-overlay'),
+            restoreSummary: document.getElementById('restore-summary'),
+            restoreNoteTitles: document.getElementById('restore-note-titles'),
+            restoreWarning: document.getElementById('restore-warning'),
+            restoreModeInputs: document.querySelectorAll('input[name="restore-mode"]'),
+            restoreConflicts: document.getElementById('restore-conflicts'),
+            restoreConflictSelect: document.getElementById('restore-conflict-select'),
+            restoreCancelBtn: document.getElementById('restore-cancel-btn'),
+            restoreConfirmBtn: document.getElementById('restore-confirm-btn'),
+            
+            // Vault elements
+            vaultModal: document.getElementById('vault-modal'),
+            vaultModalOverlay: document.querySelector('.vault-modal-overlay'),
+            vaultSetupForm: document.getElementById('vault-setup-form'),
+            vaultNewPassphrase: document.getElementById('vault-new-passphrase'),
+            vaultConfirmPassphrase: document.getElementById('vault-confirm-passphrase'),
+            vaultEncryptAll: document.getElementById('vault-encrypt-all'),
+            vaultAutoLockSelect: document.getElementById('vault-autolock-select'),
+            vaultManageForm: document.getElementById('vault-manage-form'),
+            vaultCurrentPassphrase: document.getElementById('vault-current-passphrase'),
+            vaultChangePassphrase: document.getElementById('vault-change-passphrase'),
+            vaultChangeConfirm: document.getElementById('vault-change-confirm'),
+            vaultChangeBtn: document.getElementById('vault-change-btn'),
+            vaultDisableBtn: document.getElementById('vault-disable-btn'),
+            vaultError: document.getElementById('vault-error'),
+            vaultLockBtn: document.getElementById('vault-lock-btn'),
+            vaultCancelBtn: document.getElementById('vault-cancel-btn'),
+            vaultSaveBtn: document.getElementById('vault-save-btn'),
+            unlockScreen: document.getElementById('unlock-screen'),
+            unlockForm: document.getElementById('unlock-form'),
+            unlockPassphrase: document.getElementById('unlock-passphrase'),
+            unlockError: document.getElementById('unlock-error'),
+            unlockCancelBtn: document.getElementById('unlock-cancel-btn'),
+            unlockBtn: document.getElementById('unlock-btn'),
+            
+            // Storage elements
+            storageBanner: document.getElementById('storage-banner'),
+            storageBannerMessage: document.getElementById('storage-banner-message'),
+            storageRetryBtn: document.getElementById('storage-retry-btn'),
+            storageManageBtn: document.getElementById('storage-manage-btn'),
+            storageBannerClose: document.getElementById('storage-banner-close'),
+            storageModal: document.getElementById('storage-modal'),
+            storageModalOverlay: document.querySelector('.storage-modal-overlay'),
+            storageSummary: document.getElementById('storage-summary'),
+            storageModalMeterFill: document.getElementById('storage-modal-meter-fill'),
+            storageNoteList: document.getElementById('storage-note-list'),
+            storageCloseBtn: document.getElementById('storage-close-btn'),
+            storageRemoveBtn: document.getElementById('storage-remove-btn'),
+            
+            // Export elements
+            exportModal: document.getElementById('export-modal'),
+            exportModalOverlay: document.querySelector('.export-modal-overlay'),
+            exportNoteList: document.getElementById('export-note-list'),
+            exportSelectAllBtn: document.getElementById('export-select-all-btn'),
+            exportCancelBtn: document.getElementById('export-cancel-btn'),
+            exportConfirmBtn: document.getElementById('export-confirm-btn'),
+            
+            // Note link elements
+            linkSuggestions: document.getElementById('link-suggestions'),
+            tableMenu: document.getElementById('table-menu'),
+            codeTools: document.getElementById('code-tools'),
+            codeLanguageSelect: document.getElementById('code-language-select'),
+            codeCopyBtn: document.getElementById('code-copy-btn'),
+            imageTools: document.getElementById('image-tools'),
+            imageAltInput: document.getElementById('image-alt-input'),
+            imageResizeHandle: document.getElementById('image-resize-handle'),
+            linkEditor: document.getElementById('link-editor'),
+            linkTextInput: document.getElementById('link-text-input'),
+            linkUrlInput: document.getElementById('link-url-input'),
+            linkEditorError: document.getElementById('link-editor-error'),
+            linkCancelBtn: document.getElementById('link-cancel-btn'),
+            linkCard: document.getElementById('link-card'),
+            linkCardUrl: document.getElementById('link-card-url'),
+            linkOpenBtn: document.getElementById('link-open-btn'),
+            linkEditBtn: document.getElementById('link-edit-btn'),
+            linkRemoveBtn: document.getElementById('link-remove-btn'),
+            backlinksPanel: document.getElementById('backlinks-panel'),
+            backlinksCount: document.getElementById('backlinks-count'),
+            backlinksList: document.getElementById('backlinks-list'),
+            
+            // Load problems elements
+            loadProblemsModal: document.getElementById('load-problems-modal'),
+            loadProblemsModalOverlay: document.querySelector('.load-problems-modal-overlay'),
+            loadProblemsList: document.getElementById('load-problems-list'),
+            loadProblemsCloseBtn: document.getElementById('load-problems-close-btn'),
+            loadProblemsClearBtn: document.getElementById('load-problems-clear-btn'),
+            loadProblemsDownloadBtn: document.getElementById('load-problems-download-btn'),
+            
+            // History modal elements
+            historyModal: document.getElementById('history-modal'),
+            historyModalOverlay: document.querySelector('.history-modal-overlay'),
+            historyCloseBtn: document.getElementById('history-close-btn'),
+            historyList: document.getElementById('history-list'),
+            historyDiff: document.getElementById('history-diff'),
+            historyRestoreBtn: document.getElementById('history-restore-btn')
         };
     }
 
@@ -83,6 +320,188 @@ class UI {
             });
         }
         
+        // Template menu on the New Note button
+        if (this.elements.newNoteMenuBtn) {
+            this.elements.newNoteMenuBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.isTemplateMenuOpen()) {
+                    this.hideTemplateMenu();
+                } else if (this.onTemplateMenuOpen) {
+                    this.onTemplateMenuOpen();
+                }
+            });
+            
+            this.elements.saveTemplateBtn.addEventListener('click', () => {
+                this.hideTemplateMenu();
+                if (this.onTemplateSave) this.onTemplateSave();
+            });
+            
+            // Clicking anywhere else closes the menu
+            document.addEventListener('click', (e) => {
+                if (this.isTemplateMenuOpen() && !this.elements.templateMenu.contains(e.target)) {
+                    this.hideTemplateMenu();
+                }
+            });
+        }
+        
+        // New notebook button
+        if (this.elements.newNotebookBtn) {
+            this.elements.newNotebookBtn.addEventListener('click', () => {
+                if (this.onNewNotebook) this.onNewNotebook();
+            });
+        }
+        
+        // Dropping on empty list space moves items out of their notebook
+        if (this.elements.notesList) {
+            this.bindDropTarget(this.elements.notesList, null);
+        }
+        
+        // Search (debounced while typing)
+        if (this.elements.searchInput) {
+            this.elements.searchInput.addEventListener('input', () => {
+                clearTimeout(this.searchTimeout);
+                this.searchTimeout = setTimeout(() => {
+                    if (this.onSearch) this.onSearch(this.elements.searchInput.value);
+                }, 150);
+            });
+            
+            this.elements.searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    this.clearSearch();
+                }
+            });
+        }
+        
+        // Sort order
+        if (this.elements.sortSelect) {
+            this.elements.sortSelect.addEventListener('change', (e) => {
+                if (this.onSortChange) this.onSortChange(e.target.value);
+            });
+        }
+        
+        // Tags
+        if (this.elements.clearTagsBtn) {
+            this.elements.clearTagsBtn.addEventListener('click', () => {
+                if (this.onTagFilterClear) this.onTagFilterClear();
+            });
+        }
+        
+        if (this.elements.tagInput) {
+            this.elements.tagInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ',') {
+                    e.preventDefault();
+                    const tag = this.elements.tagInput.value.trim();
+                    if (tag && this.onTagAdd) this.onTagAdd(tag);
+                    this.elements.tagInput.value = '';
+                }
+            });
+        }
+        
+        // Trash view
+        if (this.elements.trashBtn) {
+            this.elements.trashBtn.addEventListener('click', () => {
+                if (this.onShowTrash) this.onShowTrash();
+            });
+        }
+        
+        if (this.elements.trashBackBtn) {
+            this.elements.trashBackBtn.addEventListener('click', () => {
+                if (this.onHideTrash) this.onHideTrash();
+            });
+        }
+        
+        // Tasks view
+        if (this.elements.tasksBtn) {
+            this.elements.tasksBtn.addEventListener('click', () => {
+                if (this.onShowTasks) this.onShowTasks();
+            });
+        }
+        
+        if (this.elements.tasksBackBtn) {
+            this.elements.tasksBackBtn.addEventListener('click', () => {
+                if (this.onHideTrash) this.onHideTrash();
+            });
+        }
+        
+        if (this.elements.trashRetentionSelect) {
+            this.elements.trashRetentionSelect.addEventListener('change', (e) => {
+                if (this.onTrashRetentionChange) this.onTrashRetentionChange(parseInt(e.target.value, 10));
+            });
+        }
+        
+        if (this.elements.emptyTrashBtn) {
+            this.elements.emptyTrashBtn.addEventListener('click', () => {
+                this.showDeleteModal(null, 'All notes in the Trash', 'empty');
+            });
+        }
+        
+        // Backup and restore
+        if (this.elements.backupBtn) {
+            this.elements.backupBtn.addEventListener('click', () => {
+                if (this.onBackup) this.onBackup();
+            });
+        }
+        
+        if (this.elements.restoreBtn) {
+            this.elements.restoreBtn.addEventListener('click', () => {
+                if (this.elements.restoreInput) {
+                    this.elements.restoreInput.click();
+                }
+            });
+        }
+        
+        if (this.elements.restoreInput) {
+            this.elements.restoreInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file && this.onRestoreFile) {
+                    this.onRestoreFile(file);
+                }
+                e.target.value = ''; // Reset input
+            });
+        }
+        
+        // Storage
+        [this.elements.storageBtn, this.elements.storageManageBtn].forEach(button => {
+            if (button) {
+                button.addEventListener('click', () => {
+                    if (this.onStorageOpen) this.onStorageOpen();
+                });
+            }
+        });
+        
+        if (this.elements.storageRetryBtn) {
+            this.elements.storageRetryBtn.addEventListener('click', () => {
+                if (this.onSaveRetry) this.onSaveRetry();
+            });
+        }
+        
+        if (this.elements.storageBannerClose) {
+            this.elements.storageBannerClose.addEventListener('click', () => {
+                this.storageWarningDismissed = true;
+                this.elements.storageBanner.classList.add('hidden');
+            });
+        }
+        
+        // Encryption
+        if (this.elements.vaultBtn) {
+            this.elements.vaultBtn.addEventListener('click', () => {
+                if (this.onVaultOpen) this.onVaultOpen();
+            });
+        }
+        
+        if (this.elements.lockNoteBtn) {
+            this.elements.lockNoteBtn.addEventListener('click', () => {
+                if (this.onNoteLockToggle) this.onNoteLockToggle();
+            });
+        }
+        
+        if (this.elements.lockedNoteUnlockBtn) {
+            this.elements.lockedNoteUnlockBtn.addEventListener('click', () => {
+                this.showUnlockScreen(true);
+            });
+        }
+        
         // Toolbar events
         if (this.elements.headingSelect) {
             this.elements.headingSelect.addEventListener('change', (e) => {
@@ -134,6 +553,148 @@ class UI {
             });
         }
         
+        if (this.elements.checklistBtn) {
+            this.elements.checklistBtn.addEventListener('click', () => {
+                if (this.onChecklist) this.onChecklist();
+            });
+        }
+        
+        // Link button and editor
+        if (this.elements.linkBtn) {
+            this.elements.linkBtn.addEventListener('click', () => {
+                if (this.onLinkInsert) this.onLinkInsert();
+            });
+        }
+        
+        if (this.elements.linkEditor) {
+            this.elements.linkEditor.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (this.onLinkSave) this.onLinkSave(this.elements.linkTextInput.value, this.elements.linkUrlInput.value);
+            });
+            this.elements.linkCancelBtn.addEventListener('click', () => this.cancelLinkEditor());
+            this.elements.linkEditor.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.cancelLinkEditor();
+                }
+            });
+            this.elements.linkUrlInput.addEventListener('input', () => this.hideLinkEditorError());
+            
+            document.addEventListener('mousedown', (e) => {
+                if (this.isLinkEditorOpen() && !this.elements.linkEditor.contains(e.target)) {
+                    this.cancelLinkEditor(false);
+                }
+            });
+        }
+        
+        // Link card; mousedown rather than click, so the editor keeps its caret
+        if (this.elements.linkCard) {
+            const card = this.elements.linkCard;
+            card.addEventListener('mouseenter', () => {
+                if (this.onLinkCardHover) this.onLinkCardHover(true);
+            });
+            card.addEventListener('mouseleave', () => {
+                if (this.onLinkCardHover) this.onLinkCardHover(false);
+            });
+            card.addEventListener('mousedown', (e) => e.preventDefault());
+            
+            this.elements.linkOpenBtn.addEventListener('click', () => {
+                if (this.onLinkCardOpen) this.onLinkCardOpen();
+            });
+            this.elements.linkEditBtn.addEventListener('click', () => {
+                if (this.onLinkCardEdit) this.onLinkCardEdit();
+            });
+            this.elements.linkRemoveBtn.addEventListener('click', () => {
+                if (this.onLinkCardRemove) this.onLinkCardRemove();
+            });
+        }
+        
+        // Table size picker
+        if (this.elements.tableBtn) {
+            this.buildTablePicker();
+            this.elements.tableBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.isTablePickerOpen()) {
+                    this.hideTablePicker();
+                } else {
+                    this.showTablePicker();
+                }
+            });
+            
+            document.addEventListener('click', (e) => {
+                if (this.isTablePickerOpen() && !this.elements.tablePicker.contains(e.target)) {
+                    this.hideTablePicker();
+                }
+            });
+        }
+        
+        // Table menu, opened by right-clicking a cell
+        if (this.elements.tableMenu) {
+            const items = Array.from(this.elements.tableMenu.querySelectorAll('.table-menu-item'));
+            items.forEach(item => {
+                item.addEventListener('click', () => {
+                    this.hideTableMenu();
+                    if (this.onTableAction) this.onTableAction(item.dataset.action);
+                });
+            });
+            
+            // Arrow keys move between the actions
+            this.elements.tableMenu.addEventListener('keydown', (e) => {
+                if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+                e.preventDefault();
+                const index = items.indexOf(document.activeElement) + (e.key === 'ArrowDown' ? 1 : -1);
+                items[(index + items.length) % items.length].focus();
+            });
+            
+            document.addEventListener('mousedown', (e) => {
+                if (this.isTableMenuOpen() && !this.elements.tableMenu.contains(e.target)) {
+                    this.hideTableMenu();
+                }
+            });
+            document.addEventListener('scroll', () => this.hideTableMenu(), true);
+        }
+        
+        // Code block tools
+        if (this.elements.codeTools) {
+            this.elements.codeLanguageSelect.addEventListener('change', (e) => {
+                if (this.onCodeLanguageChange) this.onCodeLanguageChange(e.target.value);
+            });
+            
+            // mousedown rather than click, so the editor keeps focus and its caret
+            this.elements.codeCopyBtn.addEventListener('mousedown', (e) => e.preventDefault());
+            this.elements.codeCopyBtn.addEventListener('click', () => {
+                if (this.onCodeCopy) this.onCodeCopy();
+            });
+        }
+        
+        // Image tools
+        if (this.elements.imageTools) {
+            const altInput = this.elements.imageAltInput;
+            altInput.addEventListener('change', () => {
+                if (this.onImageAltChange) this.onImageAltChange(altInput.value.trim());
+            });
+            
+            // Enter keeps the alt text and Escape drops it; both go back to the image
+            altInput.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== 'Escape') return;
+                e.preventDefault();
+                e.stopPropagation();
+                if (e.key === 'Escape') altInput.value = this.imageAlt;
+                altInput.blur();
+                if (this.onImageAltDone) this.onImageAltDone();
+            });
+            
+            this.bindImageResize();
+            
+            document.addEventListener('mousedown', (e) => {
+                const inEditor = this.elements.textEditor.contains(e.target);
+                if (this.isImageToolsOpen() && !inEditor && !this.elements.imageTools.contains(e.target)) {
+                    this.hideImageTools();
+                }
+            });
+        }
+        
         // Undo/Redo buttons
         if (this.elements.undoBtn) {
             this.elements.undoBtn.addEventListener('click', () => {
@@ -166,9 +727,104 @@ class UI {
             });
         }
         
-        if (this.elements.downloadBtn) {
-            this.elements.downloadBtn.addEventListener('click', () => {
-                if (this.onFileDownload) this.onFileDownload();
+        if (this.elements.exportBtn) {
+            this.elements.exportBtn.addEventListener('click', () => {
+                if (this.onExportOpen) this.onExportOpen();
+            });
+        }
+        
+        // Find and replace
+        if (this.elements.findBar) {
+            this.elements.findInput.addEventListener('input', () => {
+                if (this.onFindChange) this.onFindChange(this.getFindOptions());
+            });
+            
+            [this.elements.findCaseBtn, this.elements.findWordBtn, this.elements.findRegexBtn].forEach(button => {
+                button.addEventListener('click', () => {
+                    button.setAttribute('aria-pressed', String(button.getAttribute('aria-pressed') !== 'true'));
+                    button.classList.toggle('active', button.getAttribute('aria-pressed') === 'true');
+                    if (this.onFindChange) this.onFindChange(this.getFindOptions());
+                });
+            });
+            
+            this.elements.findInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    const callback = e.shiftKey ? this.onFindPrevious : this.onFindNext;
+                    if (callback) callback();
+                }
+            });
+            
+            this.elements.replaceInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    if (this.onReplace) this.onReplace(this.elements.replaceInput.value);
+                }
+            });
+            
+            // Escape anywhere in the bar closes it
+            this.elements.findBar.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    this.hideFindBar();
+                }
+            });
+            
+            this.elements.findPrevBtn.addEventListener('click', () => {
+                if (this.onFindPrevious) this.onFindPrevious();
+            });
+            this.elements.findNextBtn.addEventListener('click', () => {
+                if (this.onFindNext) this.onFindNext();
+            });
+            this.elements.findReplaceToggle.addEventListener('click', () => {
+                this.setReplaceMode(this.elements.replaceRow.classList.contains('hidden'));
+            });
+            this.elements.findCloseBtn.addEventListener('click', () => this.hideFindBar());
+            this.elements.replaceBtn.addEventListener('click', () => {
+                if (this.onReplace) this.onReplace(this.elements.replaceInput.value);
+            });
+            this.elements.replaceAllBtn.addEventListener('click', () => {
+                if (this.onReplaceAll) this.onReplaceAll(this.elements.replaceInput.value);
+            });
+            
+            // Ctrl+F finds in the open note and Ctrl+H replaces, instead of the browser's find and history
+            document.addEventListener('keydown', (e) => {
+                if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+                
+                const key = e.key.toLowerCase();
+                if (key === 'f' || key === 'h') {
+                    e.preventDefault();
+                    if (this.onFindOpen) this.onFindOpen(key === 'h');
+                }
+            });
+        }
+        
+        // Export modal events
+        [this.elements.exportCancelBtn, this.elements.exportModalOverlay].forEach(element => {
+            if (element) {
+                element.addEventListener('click', () => this.hideExportModal());
+            }
+        });
+        
+        if (this.elements.exportSelectAllBtn) {
+            this.elements.exportSelectAllBtn.addEventListener('click', () => {
+                const inputs = Array.from(this.elements.exportNoteList.querySelectorAll('input:not(:disabled)'));
+                const selectAll = inputs.some(input => !input.checked);
+                inputs.forEach(input => {
+                    input.checked = selectAll;
+                });
+                this.updateExportButton();
+            });
+        }
+        
+        if (this.elements.exportConfirmBtn) {
+            this.elements.exportConfirmBtn.addEventListener('click', () => {
+                const noteIds = this.getSelectedExportNoteIds();
+                const format = this.elements.exportModal.querySelector('input[name="export-format"]:checked').value;
+                if (noteIds.length > 0 && this.onExportConfirm) {
+                    this.hideExportModal();
+                    this.onExportConfirm(format, noteIds);
+                }
             });
         }
         
@@ -185,212 +841,1892 @@ class UI {
             });
         }
         
-        // Handle Escape key to close modal
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.elements.deleteModal && !this.elements.deleteModal.classList.contains('hidden')) {
-                this.hideDeleteModal();
-            }
-        });
-    }
-
-    // Render notes list in sidebar
-    renderNotesList(notes, activeNoteId) {
-        if (!this.elements.notesList) return;
-        
-        this.elements.notesList.innerHTML = '';
+        // History modal events
+        if (this.elements.historyBtn) {
+            this.elements.historyBtn.addEventListener('click', () => {
+                if (this.onShowHistory) this.onShowHistory();
+            });
+        }
         
-        notes.forEach(note => {
-            const listItem = document.createElement('li');
-            listItem.className = 'note-item';
-            if (note.id === activeNoteId) {
-                listItem.classList.add('active');
-            }
-            
-            listItem.innerHTML = `
-                <span class="note-title" contenteditable="false">${this.escapeHtml(note.title)}</span>
-                <button class="note-delete-btn" title="Delete note">
-                    <i class="fas fa-trash"></i>
-                </button>
-            `;
-            
-            // Note selection event
-            const titleSpan = listItem.querySelector('.note-title');
-            titleSpan.addEventListener('click', (e) => {
-                // Only select if not editing
-                if (!titleSpan.classList.contains('editing')) {
-                    if (this.onNoteSelect) this.onNoteSelect(note.id);
-                }
+        if (this.elements.historyCloseBtn) {
+            this.elements.historyCloseBtn.addEventListener('click', () => {
+                this.hideHistoryModal();
             });
-            
-            // Double-click to edit title
-            titleSpan.addEventListener('dblclick', (e) => {
-                e.stopPropagation();
-                this.startTitleEdit(titleSpan, note.id, note.title);
+        }
+        
+        if (this.elements.historyModalOverlay) {
+            this.elements.historyModalOverlay.addEventListener('click', () => {
+                this.hideHistoryModal();
             });
-            
-            // Single click when editing should focus
-            titleSpan.addEventListener('click', (e) => {
-                if (titleSpan.classList.contains('editing')) {
-                    e.stopPropagation();
-                    titleSpan.focus();
+        }
+        
+        if (this.elements.historyRestoreBtn) {
+            this.elements.historyRestoreBtn.addEventListener('click', () => {
+                if (this.selectedRevisionId && this.onRevisionRestore) {
+                    this.onRevisionRestore(this.selectedRevisionId);
                 }
             });
-            
-            // Note deletion event
-            const deleteBtn = listItem.querySelector('.note-delete-btn');
-            deleteBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.showDeleteModal(note.id, note.title);
+        }
+        
+        // Conflict modal events (no dismiss without a choice)
+        [['conflictMineBtn', 'mine'], ['conflictTheirsBtn', 'theirs'], ['conflictBothBtn', 'both']].forEach(([key, choice]) => {
+            if (this.elements[key]) {
+                this.elements[key].addEventListener('click', () => {
+                    this.hideConflictModal();
+                    if (this.onConflictResolve) this.onConflictResolve(choice);
+                });
+            }
+        });
+        
+        // Restore modal events
+        if (this.elements.restoreCancelBtn) {
+            this.elements.restoreCancelBtn.addEventListener('click', () => {
+                this.cancelRestoreModal();
             });
-            
-            this.elements.notesList.appendChild(listItem);
+        }
+        
+        if (this.elements.restoreModalOverlay) {
+            this.elements.restoreModalOverlay.addEventListener('click', () => {
+                this.cancelRestoreModal();
+            });
+        }
+        
+        this.elements.restoreModeInputs.forEach(input => {
+            input.addEventListener('change', () => this.updateRestoreOptions());
         });
-    }
-
-    // Update toolbar button states
-    updateToolbarState(state) {
-        if (this.elements.boldBtn) {
-            this.elements.boldBtn.classList.toggle('active', state.bold);
+        
+        if (this.elements.restoreConfirmBtn) {
+            this.elements.restoreConfirmBtn.addEventListener('click', () => {
+                const mode = this.getRestoreMode();
+                const conflictStrategy = this.elements.restoreConflictSelect ? this.elements.restoreConflictSelect.value : 'copy';
+                this.hideRestoreModal();
+                if (this.onRestoreConfirm) this.onRestoreConfirm(mode, conflictStrategy);
+            });
         }
-        if (this.elements.italicBtn) {
-            this.elements.italicBtn.classList.toggle('active', state.italic);
+        
+        // Vault modal events
+        if (this.elements.vaultCancelBtn) {
+            this.elements.vaultCancelBtn.addEventListener('click', () => {
+                this.hideVaultModal();
+            });
         }
-    }
-
-    // Update status counters
-    updateStatusCounters(stats) {
-        if (this.elements.wordCount) {
-            this.elements.wordCount.textContent = `Words: ${stats.words}`;
+        
+        if (this.elements.vaultModalOverlay) {
+            this.elements.vaultModalOverlay.addEventListener('click', () => {
+                this.hideVaultModal();
+            });
         }
-        if (this.elements.charCount) {
-            this.elements.charCount.textContent = `Characters: ${stats.characters}`;
+        
+        [this.elements.vaultSetupForm, this.elements.vaultManageForm].forEach(form => {
+            if (form) form.addEventListener('submit', (e) => e.preventDefault());
+        });
+        
+        if (this.elements.vaultSaveBtn) {
+            this.elements.vaultSaveBtn.addEventListener('click', () => this.submitVaultSettings());
         }
-        if (this.elements.sentenceCount) {
-            this.elements.sentenceCount.textContent = `Sentences: ${stats.sentences}`;
+        
+        if (this.elements.vaultChangeBtn) {
+            this.elements.vaultChangeBtn.addEventListener('click', () => {
+                const current = this.elements.vaultCurrentPassphrase.value;
+                const next = this.elements.vaultChangePassphrase.value;
+                const error = this.validatePassphrase(next, this.elements.vaultChangeConfirm.value);
+                if (!current) {
+                    this.showVaultError('Enter your current passphrase.');
+                } else if (error) {
+                    this.showVaultError(error);
+                } else if (this.onVaultPassphraseChange) {
+                    this.onVaultPassphraseChange(current, next);
+                }
+            });
         }
+        
+        if (this.elements.vaultDisableBtn) {
+            this.elements.vaultDisableBtn.addEventListener('click', () => {
+                const current = this.elements.vaultCurrentPassphrase.value;
+                if (!current) {
+                    this.showVaultError('Enter your current passphrase to turn encryption off.');
+                } else if (this.onVaultDisable) {
+                    this.onVaultDisable(current);
+                }
+            });
+        }
+        
+        if (this.elements.vaultLockBtn) {
+            this.elements.vaultLockBtn.addEventListener('click', () => {
+                this.hideVaultModal();
+                if (this.onVaultLock) this.onVaultLock();
+            });
+        }
+        
+        // Storage modal events
+        if (this.elements.storageCloseBtn) {
+            this.elements.storageCloseBtn.addEventListener('click', () => {
+                this.hideStorageModal();
+            });
+        }
+        
+        if (this.elements.storageModalOverlay) {
+            this.elements.storageModalOverlay.addEventListener('click', () => {
+                this.hideStorageModal();
+            });
+        }
+        
+        if (this.elements.storageRemoveBtn) {
+            this.elements.storageRemoveBtn.addEventListener('click', () => {
+                const noteIds = this.getSelectedStorageNoteIds();
+                if (noteIds.length > 0 && this.onStorageExportRemove) {
+                    this.onStorageExportRemove(noteIds);
+                }
+            });
+        }
+        
+        // Load problems modal events
+        [this.elements.loadProblemsCloseBtn, this.elements.loadProblemsModalOverlay].forEach(element => {
+            if (element) {
+                element.addEventListener('click', () => this.hideLoadProblemsModal());
+            }
+        });
+        
+        if (this.elements.loadProblemsDownloadBtn) {
+            this.elements.loadProblemsDownloadBtn.addEventListener('click', () => {
+                if (this.onQuarantineDownload) this.onQuarantineDownload();
+            });
+        }
+        
+        if (this.elements.loadProblemsClearBtn) {
+            this.elements.loadProblemsClearBtn.addEventListener('click', () => {
+                this.hideLoadProblemsModal();
+                this.showDeleteModal(null, 'Notes that couldn\'t be loaded', 'quarantine');
+            });
+        }
+        
+        // Unlock screen events
+        if (this.elements.unlockForm) {
+            this.elements.unlockForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const passphrase = this.elements.unlockPassphrase.value;
+                if (passphrase && this.onVaultUnlock) this.onVaultUnlock(passphrase);
+            });
+        }
+        
+        if (this.elements.unlockCancelBtn) {
+            this.elements.unlockCancelBtn.addEventListener('click', () => {
+                this.hideUnlockScreen();
+            });
+        }
+        
+        // Handle Escape key to close modal
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            if (this.isTemplateMenuOpen()) {
+                this.hideTemplateMenu();
+                this.elements.newNoteMenuBtn.focus();
+            } else if (this.isTableMenuOpen()) {
+                this.hideTableMenu();
+                this.elements.textEditor.focus();
+            } else if (this.isTablePickerOpen()) {
+                this.hideTablePicker();
+                this.elements.tableBtn.focus();
+            } else if (this.elements.deleteModal && !this.elements.deleteModal.classList.contains('hidden')) {
+                this.hideDeleteModal();
+            } else if (this.elements.historyModal && !this.elements.historyModal.classList.contains('hidden')) {
+                this.hideHistoryModal();
+            } else if (this.elements.restoreModal && !this.elements.restoreModal.classList.contains('hidden')) {
+                this.cancelRestoreModal();
+            } else if (this.elements.vaultModal && !this.elements.vaultModal.classList.contains('hidden')) {
+                this.hideVaultModal();
+            } else if (this.elements.exportModal && !this.elements.exportModal.classList.contains('hidden')) {
+                this.hideExportModal();
+            } else if (this.elements.storageModal && !this.elements.storageModal.classList.contains('hidden')) {
+                this.hideStorageModal();
+            } else if (this.elements.loadProblemsModal && !this.elements.loadProblemsModal.classList.contains('hidden')) {
+                this.hideLoadProblemsModal();
+            } else if (this.isFindBarOpen()) {
+                this.hideFindBar();
+            } else if (this.unlockDismissable) {
+                this.hideUnlockScreen();
+            }
+        });
+    }
+
+    // Render notes list in sidebar, grouped into (nested) notebooks; notes arrive already sorted
+    renderNotesList(notes, activeNoteId, notebooks = [], selectedNotebookId = null) {
+        if (!this.elements.notesList) return;
+        
+        this.elements.notesList.innerHTML = '';
+        
+        const notebookIds = new Set(notebooks.map(notebook => notebook.id));
+        const appendLevel = (parentList, parentId) => {
+            notebooks
+                .filter(notebook => (notebook.parentId || null) === parentId)
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(notebook => {
+                    const notebookItem = this.createNotebookListItem(notebook, notebook.id === selectedNotebookId);
+                    const childList = notebookItem.querySelector('.notebook-children');
+                    appendLevel(childList, notebook.id);
+                    parentList.appendChild(notebookItem);
+                });
+            
+            notes
+                .filter(note => (notebookIds.has(note.notebookId) ? note.notebookId : null) === parentId)
+                .forEach(note => parentList.appendChild(this.createNoteListItem(note, activeNoteId)));
+        };
+        
+        appendLevel(this.elements.notesList, null);
+    }
+
+    createNoteListItem(note, activeNoteId) {
+        const listItem = document.createElement('li');
+        listItem.className = 'note-item';
+        listItem.draggable = true;
+        if (note.id === activeNoteId) {
+            listItem.classList.add('active');
+        }
+        
+        listItem.classList.toggle('pinned', !!note.pinned);
+        
+        const lockIcon = note.locked || note.sealed ? '<i class="fas fa-lock note-lock-icon" title="Locked note"></i>' : '';
+        listItem.innerHTML = `
+            ${lockIcon}<span class="note-title" contenteditable="false">${this.escapeHtml(note.title)}</span>
+            <button class="note-pin-btn" title="${note.pinned ? 'Unpin note' : 'Pin to top'}">
+                <i class="fas fa-thumbtack"></i>
+            </button>
+            <button class="note-delete-btn" title="Delete note">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+        
+        // Note selection event
+        const titleSpan = listItem.querySelector('.note-title');
+        titleSpan.addEventListener('click', (e) => {
+            // Only select if not editing
+            if (!titleSpan.classList.contains('editing')) {
+                if (this.onNoteSelect) this.onNoteSelect(note.id);
+            }
+        });
+        
+        // Double-click to edit title
+        titleSpan.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.startTitleEdit(titleSpan, note.id, note.title);
+        });
+        
+        // Single click when editing should focus
+        titleSpan.addEventListener('click', (e) => {
+            if (titleSpan.classList.contains('editing')) {
+                e.stopPropagation();
+                titleSpan.focus();
+            }
+        });
+        
+        // Note deletion event
+        const deleteBtn = listItem.querySelector('.note-delete-btn');
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showDeleteModal(note.id, note.title);
+        });
+        
+        // Pin toggle
+        listItem.querySelector('.note-pin-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onNotePinToggle) this.onNotePinToggle(note.id);
+        });
+        
+        // Drag the note into a notebook, or onto another note to place it there
+        listItem.addEventListener('dragstart', (e) => {
+            e.stopPropagation();
+            e.dataTransfer.setData('application/x-takenote-note', note.id);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        
+        listItem.addEventListener('dragover', (e) => {
+            if (!Array.from(e.dataTransfer.types || []).includes('application/x-takenote-note')) return;
+            e.preventDefault();
+            e.stopPropagation();
+            e.dataTransfer.dropEffect = 'move';
+            listItem.classList.add('drop-before');
+        });
+        
+        listItem.addEventListener('dragleave', () => {
+            listItem.classList.remove('drop-before');
+        });
+        
+        listItem.addEventListener('drop', (e) => {
+            const draggedId = e.dataTransfer.getData('application/x-takenote-note');
+            listItem.classList.remove('drop-before');
+            if (!draggedId) return;
+            
+            e.preventDefault();
+            e.stopPropagation();
+            if (draggedId !== note.id && this.onNoteDrop) this.onNoteDrop(draggedId, note.id);
+        });
+        
+        return listItem;
+    }
+
+    createNotebookListItem(notebook, isSelected) {
+        const listItem = document.createElement('li');
+        listItem.className = 'notebook-item';
+        listItem.setAttribute('data-notebook-id', notebook.id);
+        listItem.classList.toggle('collapsed', !!notebook.collapsed);
+        
+        listItem.innerHTML = `
+            <div class="notebook-header${isSelected ? ' selected' : ''}" draggable="true">
+                <button class="notebook-toggle-btn" title="${notebook.collapsed ? 'Expand' : 'Collapse'}">
+                    <i class="fas fa-chevron-${notebook.collapsed ? 'right' : 'down'}"></i>
+                </button>
+                <i class="fas fa-folder${notebook.collapsed ? '' : '-open'} notebook-icon"></i>
+                <span class="notebook-name" contenteditable="false">${this.escapeHtml(notebook.name)}</span>
+                <button class="notebook-delete-btn" title="Delete notebook">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+            <ul class="notebook-children"></ul>
+        `;
+        
+        const header = listItem.querySelector('.notebook-header');
+        const nameSpan = listItem.querySelector('.notebook-name');
+        
+        header.addEventListener('click', () => {
+            if (!nameSpan.classList.contains('editing') && this.onNotebookSelect) {
+                this.onNotebookSelect(notebook.id);
+            }
+        });
+        
+        listItem.querySelector('.notebook-toggle-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onNotebookToggle) this.onNotebookToggle(notebook.id);
+        });
+        
+        // Double-click to rename
+        nameSpan.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.startTitleEdit(nameSpan, notebook.id, notebook.name, (id, newName) => {
+                if (this.onNotebookRename) this.onNotebookRename(id, newName);
+            });
+        });
+        
+        listItem.querySelector('.notebook-delete-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showDeleteModal(notebook.id, notebook.name, 'notebook');
+        });
+        
+        // Drag the notebook into another notebook
+        header.addEventListener('dragstart', (e) => {
+            e.stopPropagation();
+            e.dataTransfer.setData('application/x-takenote-notebook', notebook.id);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        
+        // The whole notebook (header and contents) accepts drops
+        this.bindDropTarget(listItem, notebook.id);
+        
+        return listItem;
+    }
+
+    // Put a notebook's name into edit mode (e.g. right after creating it)
+    startNotebookRename(notebookId) {
+        if (!this.elements.notesList) return;
+        
+        const nameSpan = this.elements.notesList.querySelector(`[data-notebook-id="${notebookId}"] > .notebook-header .notebook-name`);
+        if (nameSpan) {
+            this.startTitleEdit(nameSpan, notebookId, nameSpan.textContent, (id, newName) => {
+                if (this.onNotebookRename) this.onNotebookRename(id, newName);
+            });
+        }
+    }
+
+    // Accept dropped notes and notebooks; targetNotebookId is null for the top level
+    bindDropTarget(element, targetNotebookId) {
+        const getDragType = (e) => {
+            const types = Array.from(e.dataTransfer.types || []);
+            if (types.includes('application/x-takenote-note')) return 'note';
+            if (types.includes('application/x-takenote-notebook')) return 'notebook';
+            return null;
+        };
+        
+        element.addEventListener('dragover', (e) => {
+            if (!getDragType(e)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            e.dataTransfer.dropEffect = 'move';
+            element.classList.add('drag-over');
+        });
+        
+        element.addEventListener('dragleave', () => {
+            element.classList.remove('drag-over');
+        });
+        
+        element.addEventListener('drop', (e) => {
+            const type = getDragType(e);
+            element.classList.remove('drag-over');
+            if (!type) return;
+            
+            e.preventDefault();
+            e.stopPropagation();
+            if (type === 'note' && this.onNoteMove) {
+                this.onNoteMove(e.dataTransfer.getData('application/x-takenote-note'), targetNotebookId);
+            } else if (type === 'notebook' && this.onNotebookMove) {
+                this.onNotebookMove(e.dataTransfer.getData('application/x-takenote-notebook'), targetNotebookId);
+            }
+        });
+    }
+
+    // Render search results with the matched text highlighted
+    renderSearchResults(results, notes, activeNoteId) {
+        if (!this.elements.notesList) return;
+        
+        this.elements.notesList.innerHTML = '';
+        
+        // Only results in the notes shown (after the tag and notebook filters) are listed
+        const notesById = new Map(notes.map(note => [note.id, note]));
+        const shown = results.filter(result => notesById.has(result.noteId));
+        if (shown.length === 0) {
+            this.elements.notesList.innerHTML = '<li class="notes-list-empty">No matching notes</li>';
+            return;
+        }
+        
+        shown.forEach(result => {
+            const note = notesById.get(result.noteId);
+            
+            const listItem = document.createElement('li');
+            listItem.className = 'note-item search-result';
+            if (note.id === activeNoteId) {
+                listItem.classList.add('active');
+            }
+            
+            const { before, match, after } = result.snippet;
+            listItem.innerHTML = `
+                <span class="note-title">${this.escapeHtml(note.title)}</span>
+                <span class="search-snippet">${this.escapeHtml(before)}<mark>${this.escapeHtml(match)}</mark>${this.escapeHtml(after)}</span>
+            `;
+            
+            listItem.addEventListener('click', () => {
+                if (this.onSearchResultSelect) this.onSearchResultSelect(result);
+            });
+            
+            this.elements.notesList.appendChild(listItem);
+        });
+    }
+
+    setSortOrder(sortOrder) {
+        if (this.elements.sortSelect) {
+            this.elements.sortSelect.value = sortOrder;
+        }
+    }
+
+    clearSearch() {
+        if (!this.elements.searchInput) return;
+        
+        clearTimeout(this.searchTimeout);
+        this.elements.searchInput.value = '';
+        if (this.onSearch) this.onSearch('');
+    }
+
+    // Render the sidebar tag list with counts; selected tags filter the notes list
+    renderTagList(tags, selectedTags) {
+        if (!this.elements.tagsList) return;
+        
+        this.elements.tagsList.innerHTML = '';
+        
+        if (this.elements.clearTagsBtn) {
+            this.elements.clearTagsBtn.classList.toggle('hidden', selectedTags.length === 0);
+        }
+        
+        if (tags.length === 0) {
+            this.elements.tagsList.innerHTML = '<li class="tags-empty">Type #tag in a note or add one above the editor</li>';
+            return;
+        }
+        
+        tags.forEach(({ tag, count }) => {
+            const listItem = document.createElement('li');
+            listItem.className = 'tag-item';
+            listItem.classList.toggle('active', selectedTags.includes(tag));
+            listItem.innerHTML = `
+                <span class="tag-name">#${this.escapeHtml(tag)}</span>
+                <span class="tag-count">${count}</span>
+            `;
+            listItem.addEventListener('click', () => {
+                if (this.onTagFilterToggle) this.onTagFilterToggle(tag);
+            });
+            this.elements.tagsList.appendChild(listItem);
+        });
+    }
+
+    // Render the current note's tags above the editor
+    renderNoteTags(noteTags, allTags) {
+        if (this.elements.noteTags) {
+            this.elements.noteTags.innerHTML = '';
+            
+            noteTags.forEach(tag => {
+                const chip = document.createElement('li');
+                chip.className = 'tag-chip';
+                chip.innerHTML = `
+                    <span>#${this.escapeHtml(tag)}</span>
+                    <button class="tag-chip-remove" title="Remove tag">
+                        <i class="fas fa-times"></i>
+                    </button>
+                `;
+                chip.querySelector('.tag-chip-remove').addEventListener('click', () => {
+                    if (this.onTagRemove) this.onTagRemove(tag);
+                });
+                this.elements.noteTags.appendChild(chip);
+            });
+        }
+        
+        if (this.elements.tagSuggestions) {
+            this.elements.tagSuggestions.innerHTML = allTags
+                .filter(({ tag }) => !noteTags.includes(tag))
+                .map(({ tag }) => `<option value="${this.escapeHtml(tag)}"></option>`)
+                .join('');
+        }
+    }
+
+    // Switch the sidebar between the notes list, the tasks and the trash
+    setSidebarView(view) {
+        const inTrash = view === 'trash';
+        const inTasks = view === 'tasks';
+        if (this.elements.trashHeader) {
+            this.elements.trashHeader.classList.toggle('hidden', !inTrash);
+        }
+        if (this.elements.trashBtn) {
+            this.elements.trashBtn.classList.toggle('active', inTrash);
+        }
+        if (this.elements.tasksHeader) {
+            this.elements.tasksHeader.classList.toggle('hidden', !inTasks);
+        }
+        if (this.elements.tasksBtn) {
+            this.elements.tasksBtn.classList.toggle('active', inTasks);
+        }
+    }
+
+    // Render open checklist items in the sidebar, grouped under the note each comes from
+    renderTaskList(groups) {
+        if (!this.elements.notesList) return;
+        
+        this.elements.notesList.innerHTML = '';
+        
+        if (groups.length === 0) {
+            this.elements.notesList.innerHTML = '<li class="notes-list-empty">No open tasks. Add a checklist to a note to see its items here.</li>';
+            return;
+        }
+        
+        groups.forEach(({ note, tasks }) => {
+            const groupItem = document.createElement('li');
+            groupItem.className = 'task-group';
+            groupItem.innerHTML = `
+                <button class="task-group-title" title="Open note"><i class="fas fa-file-alt"></i> ${this.escapeHtml(note.title)}</button>
+                <ul class="task-list"></ul>
+            `;
+            
+            groupItem.querySelector('.task-group-title').addEventListener('click', () => {
+                if (this.onNoteSelect) this.onNoteSelect(note.id);
+            });
+            
+            const taskList = groupItem.querySelector('.task-list');
+            tasks.forEach(task => {
+                const taskItem = document.createElement('li');
+                taskItem.className = 'task-item';
+                taskItem.innerHTML = `
+                    <label>
+                        <input type="checkbox" class="task-checkbox">
+                        <span class="task-text">${this.escapeHtml(task.text) || '<em>Empty item</em>'}</span>
+                    </label>
+                `;
+                taskItem.querySelector('.task-checkbox').addEventListener('change', (e) => {
+                    if (this.onTaskToggle) this.onTaskToggle(note.id, task.index, task.text, e.target.checked);
+                });
+                taskList.appendChild(taskItem);
+            });
+            
+            this.elements.notesList.appendChild(groupItem);
+        });
+    }
+
+    // Update the number of open tasks shown on the Tasks button
+    updateTaskCount(count) {
+        if (this.elements.tasksCount) {
+            this.elements.tasksCount.textContent = count;
+            this.elements.tasksCount.classList.toggle('hidden', count === 0);
+        }
+    }
+
+    // Render trashed notes in sidebar
+    renderTrashList(notes, retentionDays) {
+        if (!this.elements.notesList) return;
+        
+        this.elements.notesList.innerHTML = '';
+        
+        if (this.elements.trashRetentionSelect) {
+            this.elements.trashRetentionSelect.value = String(retentionDays);
+        }
+        if (this.elements.emptyTrashBtn) {
+            this.elements.emptyTrashBtn.disabled = notes.length === 0;
+        }
+        
+        if (notes.length === 0) {
+            this.elements.notesList.innerHTML = '<li class="notes-list-empty">Trash is empty</li>';
+            return;
+        }
+        
+        notes.forEach(note => {
+            const listItem = document.createElement('li');
+            listItem.className = 'note-item trash-item';
+            
+            listItem.innerHTML = `
+                <div class="trash-item-info">
+                    <span class="note-title">${this.escapeHtml(note.title)}</span>
+                    <span class="trash-item-date">Deleted ${this.formatDate(note.deletedAt)}</span>
+                </div>
+                <button class="note-restore-btn" title="Restore note">
+                    <i class="fas fa-undo"></i>
+                </button>
+                <button class="note-delete-btn" title="Delete forever">
+                    <i class="fas fa-times"></i>
+                </button>
+            `;
+            
+            listItem.querySelector('.note-restore-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.onNoteRestore) this.onNoteRestore(note.id);
+            });
+            
+            listItem.querySelector('.note-delete-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showDeleteModal(note.id, note.title, 'permanent');
+            });
+            
+            this.elements.notesList.appendChild(listItem);
+        });
+    }
+
+    // Update the number shown on the Trash button
+    updateTrashCount(count) {
+        if (this.elements.trashCount) {
+            this.elements.trashCount.textContent = count;
+            this.elements.trashCount.classList.toggle('hidden', count === 0);
+        }
+    }
+
+    // Update toolbar button states
+    updateToolbarState(state) {
+        if (this.elements.headingSelect) {
+            const known = Array.from(this.elements.headingSelect.options).some(option => option.value === state.heading);
+            this.elements.headingSelect.value = known ? state.heading : 'div';
+        }
+        if (this.elements.boldBtn) {
+            this.elements.boldBtn.classList.toggle('active', state.bold);
+        }
+        if (this.elements.italicBtn) {
+            this.elements.italicBtn.classList.toggle('active', state.italic);
+        }
+        if (this.elements.linkBtn) {
+            this.elements.linkBtn.classList.toggle('active', state.link);
+        }
+    }
+
+    // Update status counters
+    updateStatusCounters(stats) {
+        if (this.elements.wordCount) {
+            this.elements.wordCount.textContent = `Words: ${stats.words}`;
+        }
+        if (this.elements.charCount) {
+            this.elements.charCount.textContent = `Characters: ${stats.characters}`;
+        }
+        if (this.elements.sentenceCount) {
+            this.elements.sentenceCount.textContent = `Sentences: ${stats.sentences}`;
+        }
+    }
+
+    // Mobile sidebar controls
+    toggleSidebar() {
+        if (this.elements.sidebar && this.elements.sidebarOverlay) {
+            this.elements.sidebar.classList.toggle('active');
+            this.elements.sidebarOverlay.classList.toggle('active');
+        }
+    }
+
+    closeSidebar() {
+        if (this.elements.sidebar && this.elements.sidebarOverlay) {
+            this.elements.sidebar.classList.remove('active');
+            this.elements.sidebarOverlay.classList.remove('active');
+        }
+    }
+
+    // Toast notifications
+    // Pass an action ({ label, callback }) to show a button such as "Undo" in the toast
+    showToast(message, type = 'info', duration = 3000, action = null) {
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        toast.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: ${type === 'success' ? '#27AE60' : type === 'error' ? '#E74C3C' : '#3498DB'};
+            color: white;
+            padding: 12px 20px;
+            border-radius: 4px;
+            z-index: 10000;
+            font-size: 14px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            transform: translateX(100%);
+            transition: transform 0.3s ease;
+        `;
+        toast.textContent = message;
+        
+        const dismiss = () => {
+            toast.style.transform = 'translateX(100%)';
+            setTimeout(() => {
+                if (document.body.contains(toast)) {
+                    document.body.removeChild(toast);
+                }
+            }, 300);
+        };
+        
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'toast-action-btn';
+            actionBtn.textContent = action.label;
+            actionBtn.style.cssText = `
+                margin-left: 16px;
+                background: none;
+                border: 1px solid rgba(255,255,255,0.7);
+                color: white;
+                padding: 2px 10px;
+                border-radius: 3px;
+                font-size: 13px;
+                font-weight: 500;
+                cursor: pointer;
+            `;
+            actionBtn.addEventListener('click', () => {
+                actionBtn.disabled = true;
+                action.callback();
+                dismiss();
+            });
+            toast.appendChild(actionBtn);
+        }
+        
+        document.body.appendChild(toast);
+        
+        // Animate in
+        setTimeout(() => {
+            toast.style.transform = 'translateX(0)';
+        }, 100);
+        
+        // Remove after duration
+        setTimeout(dismiss, duration);
+    }
+
+    // Error message display
+    showErrorMessage(message) {
+        this.showToast(message, 'error');
+    }
+
+    // File feedback messages
+    showFileUploadFeedback(filename) {
+        this.showToast(`File "${filename}" uploaded successfully!`, 'success');
+    }
+
+    showFileDownloadFeedback(filename) {
+        this.showToast(`File "${filename}" downloaded successfully!`, 'success');
+    }
+
+    // Custom Delete Confirmation Modal
+    // kind: 'trash' moves a note to the Trash, 'permanent' deletes a trashed note, 'empty' empties the Trash,
+    // 'notebook' deletes a notebook (its notes go to the Trash)
+    showDeleteModal(noteId, noteTitle, kind = 'trash') {
+        if (!this.elements.deleteModal) return;
+        
+        // Store the note info for when user confirms
+        this.pendingDelete = { noteId, noteTitle, kind };
+        
+        // Update modal content
+        if (this.elements.deleteModalNoteTitle) {
+            this.elements.deleteModalNoteTitle.textContent = kind === 'empty' || kind === 'quarantine' ? noteTitle : `"${noteTitle}"`;
+        }
+        if (this.elements.deleteModalTitle) {
+            this.elements.deleteModalTitle.textContent = kind === 'empty' ? 'Empty Trash' : kind === 'notebook' ? 'Delete Notebook' : 'Confirm Delete';
+        }
+        if (this.elements.deleteModalMessage) {
+            const messages = {
+                trash: 'Are you sure you want to delete this note? You can restore it from the Trash.',
+                permanent: 'Are you sure you want to delete this note forever? This action cannot be undone.',
+                empty: 'Are you sure you want to delete everything in the Trash forever? This action cannot be undone.',
+                notebook: 'Are you sure you want to delete this notebook? Its notes and sub-notebooks\' notes will be moved to the Trash.',
+                quarantine: 'Are you sure you want to delete the notes that couldn\'t be loaded? Download them first if you might need them. This action cannot be undone.'
+            };
+            this.elements.deleteModalMessage.textContent = messages[kind];
+        }
+        
+        // Show modal
+        this.elements.deleteModal.classList.remove('hidden');
+        
+        // Focus on cancel button for better UX
+        if (this.elements.deleteCancelBtn) {
+            setTimeout(() => this.elements.deleteCancelBtn.focus(), 100);
+        }
+        
+        // Set up confirm button handler
+        if (this.elements.deleteConfirmBtn) {
+            // Remove existing listener to prevent duplicates
+            const newConfirmBtn = this.elements.deleteConfirmBtn.cloneNode(true);
+            this.elements.deleteConfirmBtn.parentNode.replaceChild(newConfirmBtn, this.elements.deleteConfirmBtn);
+            this.elements.deleteConfirmBtn = newConfirmBtn;
+            this.elements.deleteConfirmBtn.textContent = kind === 'trash' || kind === 'notebook' ? 'Delete' : 'Delete Forever';
+            
+            this.elements.deleteConfirmBtn.addEventListener('click', () => {
+                this.confirmDelete();
+            });
+        }
+    }
+    
+    hideDeleteModal() {
+        if (!this.elements.deleteModal) return;
+        
+        this.elements.deleteModal.classList.add('hidden');
+        this.pendingDelete = null;
+    }
+    
+    confirmDelete() {
+        const pending = this.pendingDelete;
+        if (pending) {
+            if (pending.kind === 'empty') {
+                if (this.onEmptyTrash) this.onEmptyTrash();
+            } else if (pending.kind === 'notebook') {
+                if (this.onNotebookDelete) this.onNotebookDelete(pending.noteId);
+            } else if (pending.kind === 'permanent') {
+                if (this.onNotePermanentDelete) this.onNotePermanentDelete(pending.noteId);
+            } else if (pending.kind === 'quarantine') {
+                if (this.onQuarantineClear) this.onQuarantineClear();
+            } else if (this.onNoteDelete) {
+                this.onNoteDelete(pending.noteId, pending.noteTitle);
+            }
+        }
+        this.hideDeleteModal();
+    }
+
+    // Edit Conflict Modal
+    showConflictModal(noteTitle) {
+        if (!this.elements.conflictModal) return;
+        
+        if (this.elements.conflictModalNoteTitle) {
+            this.elements.conflictModalNoteTitle.textContent = `"${noteTitle}"`;
+        }
+        this.elements.conflictModal.classList.remove('hidden');
+        
+        if (this.elements.conflictMineBtn) {
+            setTimeout(() => this.elements.conflictMineBtn.focus(), 100);
+        }
+    }
+    
+    hideConflictModal() {
+        if (this.elements.conflictModal) {
+            this.elements.conflictModal.classList.add('hidden');
+        }
+    }
+
+    // Restore From Backup Modal
+    showRestoreModal(preview) {
+        if (!this.elements.restoreModal) return;
+        
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const parts = [plural(preview.noteCount, 'note')];
+        if (preview.notebookCount > 0) parts.push(plural(preview.notebookCount, 'notebook'));
+        if (preview.trashCount > 0) parts.push(`${preview.trashCount} in the Trash`);
+        if (preview.imageCount > 0) parts.push(plural(preview.imageCount, 'image'));
+        
+        if (this.elements.restoreSummary) {
+            const date = preview.createdAt ? ` from ${this.formatDate(preview.createdAt)}` : '';
+            this.elements.restoreSummary.textContent = `Backup "${preview.filename}"${date} contains ${parts.join(', ')}.`;
+        }
+        
+        if (this.elements.restoreNoteTitles) {
+            const more = preview.noteCount - preview.titles.length;
+            this.elements.restoreNoteTitles.textContent = preview.titles.join(', ') + (more > 0 ? ` and ${more} more` : '');
+            this.elements.restoreNoteTitles.classList.toggle('hidden', preview.titles.length === 0);
+        }
+        
+        if (this.elements.restoreWarning) {
+            this.elements.restoreWarning.textContent =
+                `${preview.skipped} damaged ${preview.skipped === 1 ? 'entry' : 'entries'} will be skipped.`;
+            this.elements.restoreWarning.classList.toggle('hidden', preview.skipped === 0);
+        }
+        
+        const conflictLabel = this.elements.restoreConflicts && this.elements.restoreConflicts.querySelector('label');
+        if (conflictLabel) {
+            conflictLabel.textContent = `${plural(preview.conflictCount, 'note')} already ${preview.conflictCount === 1 ? 'exists' : 'exist'} here with different content:`;
+        }
+        this.restoreConflictCount = preview.conflictCount;
+        
+        this.elements.restoreModeInputs.forEach(input => {
+            input.checked = input.value === 'merge';
+        });
+        if (this.elements.restoreConflictSelect) {
+            this.elements.restoreConflictSelect.value = 'copy';
+        }
+        this.updateRestoreOptions();
+        
+        this.elements.restoreModal.classList.remove('hidden');
+        
+        if (this.elements.restoreConfirmBtn) {
+            setTimeout(() => this.elements.restoreConfirmBtn.focus(), 100);
+        }
+    }
+    
+    hideRestoreModal() {
+        if (this.elements.restoreModal) {
+            this.elements.restoreModal.classList.add('hidden');
+        }
+    }
+    
+    cancelRestoreModal() {
+        this.hideRestoreModal();
+        if (this.onRestoreCancel) this.onRestoreCancel();
+    }
+    
+    getRestoreMode() {
+        const checked = Array.from(this.elements.restoreModeInputs).find(input => input.checked);
+        return checked ? checked.value : 'merge';
+    }
+    
+    // Replacing always takes the backup's version, so conflicts only need a choice when merging
+    updateRestoreOptions() {
+        if (this.elements.restoreConflicts) {
+            this.elements.restoreConflicts.classList.toggle('hidden', !this.restoreConflictCount || this.getRestoreMode() !== 'merge');
+        }
+    }
+
+    // Vault Settings Modal; state is 'setup' (no vault yet) or 'manage'
+    showVaultModal(state, settings = {}) {
+        if (!this.elements.vaultModal) return;
+        
+        this.vaultModalState = state;
+        const isSetup = state === 'setup';
+        
+        this.elements.vaultModal.querySelectorAll('input[type="password"]').forEach(input => {
+            input.value = '';
+        });
+        this.elements.vaultSetupForm.classList.toggle('hidden', !isSetup);
+        this.elements.vaultManageForm.classList.toggle('hidden', isSetup);
+        this.elements.vaultLockBtn.classList.toggle('hidden', isSetup);
+        this.elements.vaultSaveBtn.textContent = isSetup ? 'Turn On Encryption' : 'Save Settings';
+        this.elements.vaultEncryptAll.checked = !!settings.encryptAll;
+        this.elements.vaultAutoLockSelect.value = String(settings.autoLockMinutes !== undefined ? settings.autoLockMinutes : 15);
+        this.showVaultError('');
+        this.setVaultBusy(false);
+        
+        this.elements.vaultModal.classList.remove('hidden');
+        
+        const firstInput = isSetup ? this.elements.vaultNewPassphrase : this.elements.vaultEncryptAll;
+        setTimeout(() => firstInput.focus(), 100);
+    }
+    
+    hideVaultModal() {
+        if (this.elements.vaultModal) {
+            this.elements.vaultModal.classList.add('hidden');
+            this.elements.vaultModal.querySelectorAll('input[type="password"]').forEach(input => {
+                input.value = '';
+            });
+        }
+    }
+    
+    submitVaultSettings() {
+        const settings = {
+            encryptAll: this.elements.vaultEncryptAll.checked,
+            autoLockMinutes: parseInt(this.elements.vaultAutoLockSelect.value, 10)
+        };
+        
+        if (this.vaultModalState !== 'setup') {
+            if (this.onVaultSettingsSave) this.onVaultSettingsSave(settings);
+            return;
+        }
+        
+        const passphrase = this.elements.vaultNewPassphrase.value;
+        const error = this.validatePassphrase(passphrase, this.elements.vaultConfirmPassphrase.value);
+        if (error) {
+            this.showVaultError(error);
+        } else if (this.onVaultCreate) {
+            this.onVaultCreate(passphrase, settings);
+        }
+    }
+    
+    validatePassphrase(passphrase, confirmation) {
+        if (passphrase.length < 8) return 'Use a passphrase of at least 8 characters.';
+        if (passphrase !== confirmation) return 'The passphrases don\'t match.';
+        return null;
+    }
+    
+    showVaultError(message) {
+        if (this.elements.vaultError) {
+            this.elements.vaultError.textContent = message;
+            this.elements.vaultError.classList.toggle('hidden', !message);
+        }
+    }
+    
+    // Disable the vault buttons while keys are derived and notes re-encrypted
+    setVaultBusy(busy) {
+        ['vaultSaveBtn', 'vaultChangeBtn', 'vaultDisableBtn', 'vaultLockBtn'].forEach(key => {
+            if (this.elements[key]) this.elements[key].disabled = busy;
+        });
+    }
+    
+    // Full-screen passphrase prompt; only dismissable when the rest of the app may stay usable
+    showUnlockScreen(dismissable = false) {
+        if (!this.elements.unlockScreen) return;
+        
+        this.unlockDismissable = dismissable;
+        this.elements.unlockCancelBtn.classList.toggle('hidden', !dismissable);
+        this.elements.unlockPassphrase.value = '';
+        this.showUnlockError('');
+        this.setUnlockBusy(false);
+        this.elements.unlockScreen.classList.remove('hidden');
+        
+        setTimeout(() => this.elements.unlockPassphrase.focus(), 100);
+    }
+    
+    hideUnlockScreen() {
+        this.unlockDismissable = false;
+        if (this.elements.unlockScreen) {
+            this.elements.unlockScreen.classList.add('hidden');
+            this.elements.unlockPassphrase.value = '';
+        }
+    }
+    
+    showUnlockError(message) {
+        if (this.elements.unlockError) {
+            this.elements.unlockError.textContent = message;
+            this.elements.unlockError.classList.toggle('hidden', !message);
+        }
+    }
+    
+    setUnlockBusy(busy) {
+        if (this.elements.unlockBtn) {
+            this.elements.unlockBtn.disabled = busy;
+            this.elements.unlockBtn.textContent = busy ? 'Unlocking...' : 'Unlock';
+        }
+    }
+    
+    // Reflect the vault state in the sidebar button ('off', 'locked' or 'unlocked')
+    updateVaultButton(state) {
+        if (!this.elements.vaultBtnLabel) return;
+        
+        const labels = { off: 'Encryption', locked: 'Unlock vault', unlocked: 'Encryption on' };
+        this.elements.vaultBtnLabel.textContent = labels[state];
+        this.elements.vaultBtn.classList.toggle('active', state !== 'off');
+    }
+    
+    // Show the lock state of the open note; sealed notes can't be edited until unlocked
+    updateNoteLockState(note) {
+        const sealed = !!(note && note.sealed);
+        
+        if (this.elements.lockedNotePanel) {
+            this.elements.lockedNotePanel.classList.toggle('hidden', !sealed);
+        }
+        if (this.elements.textEditor) {
+            this.elements.textEditor.classList.toggle('hidden', sealed);
+        }
+        if (this.elements.lockNoteBtn) {
+            const locked = !!(note && note.locked);
+            this.elements.lockNoteBtn.classList.toggle('active', locked);
+            this.elements.lockNoteBtn.disabled = !note || sealed;
+            this.elements.lockNoteBtn.title = locked ? 'Stop encrypting this note' : 'Encrypt this note with your passphrase';
+            this.elements.lockNoteLabel.textContent = locked ? 'Locked' : 'Lock';
+        }
+    }
+
+    // Human-readable byte count, e.g. "1.4 MB"
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        
+        const units = ['KB', 'MB', 'GB'];
+        let value = bytes / 1024;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+    }
+    
+    // Show storage use in the sidebar meter, and in the storage dialog while it's open
+    updateStorageUsage(usage) {
+        const percent = usage.quota ? Math.min(100, Math.round(usage.usage / usage.quota * 100)) : null;
+        
+        [this.elements.storageMeterFill, this.elements.storageModalMeterFill].forEach(fill => {
+            if (fill) {
+                fill.style.width = `${percent || 0}%`;
+                fill.classList.toggle('low', usage.low);
+            }
+        });
+        if (this.elements.storageUsageLabel) {
+            this.elements.storageUsageLabel.textContent = percent !== null ? `${percent}%` : this.formatBytes(usage.usage);
+        }
+        if (this.elements.storageBtn) {
+            this.elements.storageBtn.classList.toggle('low', usage.low);
+        }
+        
+        if (this.elements.storageSummary) {
+            const used = percent !== null
+                ? `${this.formatBytes(usage.usage)} of about ${this.formatBytes(usage.quota)} used (${percent}%)`
+                : `${this.formatBytes(usage.usage)} used`;
+            this.elements.storageSummary.textContent = `${used}. Notes take up ${this.formatBytes(usage.notesSize)}.`;
+        }
+        this.renderStorageNoteList(usage.sizes);
+    }
+    
+    renderStorageNoteList(sizes) {
+        if (!this.elements.storageNoteList) return;
+        
+        this.elements.storageNoteList.innerHTML = '';
+        if (sizes.length === 0) {
+            this.elements.storageNoteList.innerHTML = '<li class="storage-empty">No notes are stored yet.</li>';
+        }
+        
+        sizes.slice(0, 20).forEach(item => {
+            const listItem = document.createElement('li');
+            listItem.className = 'storage-note-item';
+            const trashLabel = item.inTrash ? '<span class="storage-note-badge">Trash</span>' : '';
+            const lockIcon = item.sealed ? '<i class="fas fa-lock storage-note-badge" title="Unlock the vault to export this note"></i>' : '';
+            listItem.innerHTML = `
+                <label>
+                    <input type="checkbox" value="${this.escapeHtml(item.id)}"${item.sealed ? ' disabled' : ''}>
+                    <span class="storage-note-title">${this.escapeHtml(item.title)}</span>
+                    ${trashLabel}${lockIcon}
+                    <span class="storage-note-size">${this.formatBytes(item.size)}</span>
+                </label>
+            `;
+            listItem.querySelector('input').addEventListener('change', () => this.updateStorageRemoveButton());
+            this.elements.storageNoteList.appendChild(listItem);
+        });
+        this.updateStorageRemoveButton();
+    }
+    
+    getSelectedStorageNoteIds() {
+        if (!this.elements.storageNoteList) return [];
+        return Array.from(this.elements.storageNoteList.querySelectorAll('input:checked')).map(input => input.value);
+    }
+    
+    updateStorageRemoveButton() {
+        if (!this.elements.storageRemoveBtn) return;
+        
+        const count = this.getSelectedStorageNoteIds().length;
+        this.elements.storageRemoveBtn.disabled = count === 0;
+        this.elements.storageRemoveBtn.textContent = count > 1 ? `Export & Remove ${count} Notes` : 'Export & Remove';
+    }
+    
+    showStorageModal() {
+        if (this.elements.storageModal) {
+            this.elements.storageModal.classList.remove('hidden');
+        }
+    }
+    
+    hideStorageModal() {
+        if (this.elements.storageModal) {
+            this.elements.storageModal.classList.add('hidden');
+        }
+    }
+    
+    // Choose what to export: notes arrive in sidebar order, with selectedIds ticked to begin with
+    showExportModal(notes, selectedIds, format) {
+        if (!this.elements.exportModal) return;
+        
+        const formatInput = this.elements.exportModal.querySelector(`input[name="export-format"][value="${format}"]`);
+        if (formatInput) formatInput.checked = true;
+        
+        this.elements.exportNoteList.innerHTML = '';
+        if (notes.length === 0) {
+            this.elements.exportNoteList.innerHTML = '<li class="export-empty">There are no notes to export.</li>';
+        }
+        
+        notes.forEach(note => {
+            const listItem = document.createElement('li');
+            listItem.className = 'export-note-item';
+            const lockIcon = note.sealed ? '<i class="fas fa-lock export-note-badge" title="Unlock the vault to export this note"></i>' : '';
+            listItem.innerHTML = `
+                <label>
+                    <input type="checkbox" value="${this.escapeHtml(note.id)}"${note.sealed ? ' disabled' : ''}${!note.sealed && selectedIds.includes(note.id) ? ' checked' : ''}>
+                    <span class="export-note-title">${this.escapeHtml(note.title)}</span>
+                    ${lockIcon}
+                </label>
+            `;
+            listItem.querySelector('input').addEventListener('change', () => this.updateExportButton());
+            this.elements.exportNoteList.appendChild(listItem);
+        });
+        
+        this.updateExportButton();
+        this.elements.exportModal.classList.remove('hidden');
+        this.elements.exportConfirmBtn.focus();
+    }
+    
+    hideExportModal() {
+        if (this.elements.exportModal) {
+            this.elements.exportModal.classList.add('hidden');
+        }
+    }
+    
+    getSelectedExportNoteIds() {
+        if (!this.elements.exportNoteList) return [];
+        return Array.from(this.elements.exportNoteList.querySelectorAll('input:checked')).map(input => input.value);
+    }
+    
+    updateExportButton() {
+        const count = this.getSelectedExportNoteIds().length;
+        this.elements.exportConfirmBtn.disabled = count === 0;
+        this.elements.exportConfirmBtn.textContent = count > 1 ? `Export ${count} Notes` : 'Export';
+    }
+    
+    // Warn above the editor when saving fails, or (until dismissed) when storage is nearly full
+    updateStorageBanner(status, usage) {
+        if (!this.elements.storageBanner) return;
+        
+        let message = '';
+        if (status.failed) {
+            message = status.quota
+                ? 'Storage is full, so your latest changes couldn\'t be saved. They are kept in this tab and saved as soon as there is room. Free up space, and don\'t close this tab until then.'
+                : 'Your latest changes couldn\'t be saved. takenote keeps retrying; don\'t close this tab until they are saved.';
+        } else if (usage && usage.low && !this.storageWarningDismissed) {
+            const percent = Math.round(usage.usage / usage.quota * 100);
+            message = `Storage is almost full (${percent}% used). Free up space so your notes can keep being saved.`;
+        }
+        
+        this.elements.storageBanner.classList.toggle('hidden', !message);
+        this.elements.storageBanner.classList.toggle('error', status.failed);
+        this.elements.storageBannerMessage.textContent = message;
+        this.elements.storageRetryBtn.classList.toggle('hidden', !status.failed);
+        this.elements.storageBannerClose.classList.toggle('hidden', status.failed);
+    }
+
+    // Suggestions for the [[link]] being typed; items are { id, title } or { create: true, title }
+    showLinkSuggestions(items, caretRect) {
+        const list = this.elements.linkSuggestions;
+        if (!list) return;
+        
+        this.linkSuggestionItems = items;
+        list.innerHTML = '';
+        items.forEach((item, index) => {
+            const option = document.createElement('li');
+            option.className = 'link-suggestion' + (item.create ? ' create' : '');
+            option.setAttribute('role', 'option');
+            option.innerHTML = item.create
+                ? `<i class="fas fa-plus"></i> Create note "${this.escapeHtml(item.title)}"`
+                : `<i class="fas fa-file-alt"></i> ${this.escapeHtml(item.title)}`;
+            
+            // mousedown rather than click, so the editor keeps focus and its caret
+            option.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.pickLinkSuggestion(index);
+            });
+            option.addEventListener('mouseenter', () => this.highlightLinkSuggestion(index));
+            list.appendChild(option);
+        });
+        
+        list.style.left = `${Math.max(8, Math.min(caretRect.left, window.innerWidth - 280))}px`;
+        list.style.top = `${caretRect.bottom + 4}px`;
+        list.classList.remove('hidden');
+        this.highlightLinkSuggestion(0);
+    }
+    
+    hideLinkSuggestions() {
+        if (this.elements.linkSuggestions) {
+            this.elements.linkSuggestions.classList.add('hidden');
+        }
+        this.linkSuggestionItems = [];
+    }
+    
+    highlightLinkSuggestion(index) {
+        this.linkSuggestionIndex = index;
+        this.elements.linkSuggestions.querySelectorAll('.link-suggestion').forEach((option, i) => {
+            option.classList.toggle('active', i === index);
+            option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+        });
     }
-
-    // Mobile sidebar controls
-    toggleSidebar() {
-        if (this.elements.sidebar && this.elements.sidebarOverlay) {
-            this.elements.sidebar.classList.toggle('active');
-            this.elements.sidebarOverlay.classList.toggle('active');
+    
+    pickLinkSuggestion(index) {
+        const item = this.linkSuggestionItems[index];
+        this.hideLinkSuggestions();
+        if (item && this.onLinkSuggestionPick) this.onLinkSuggestionPick(item);
+    }
+    
+    // Keyboard control of the suggestions; returns true when the key was used
+    handleLinkSuggestionKey(e) {
+        const count = this.linkSuggestionItems ? this.linkSuggestionItems.length : 0;
+        if (count === 0) return false;
+        
+        switch (e.key) {
+            case 'ArrowDown':
+                this.highlightLinkSuggestion((this.linkSuggestionIndex + 1) % count);
+                return true;
+            case 'ArrowUp':
+                this.highlightLinkSuggestion((this.linkSuggestionIndex - 1 + count) % count);
+                return true;
+            case 'Enter':
+            case 'Tab':
+                this.pickLinkSuggestion(this.linkSuggestionIndex);
+                return true;
+            case 'Escape':
+                this.hideLinkSuggestions();
+                return true;
+            default:
+                return false;
         }
     }
-
-    closeSidebar() {
-        if (this.elements.sidebar && this.elements.sidebarOverlay) {
-            this.elements.sidebar.classList.remove('active');
-            this.elements.sidebarOverlay.classList.remove('active');
+    
+    // List templates under the New Note button; canSave is false when there's no open note to save
+    showTemplateMenu(templates, canSave) {
+        if (!this.elements.templateMenu) return;
+        
+        this.elements.templateList.innerHTML = '';
+        if (templates.length === 0) {
+            this.elements.templateList.innerHTML = '<li class="template-empty">No templates yet. Write a note with placeholders such as {{date}}, then save it as a template.</li>';
         }
+        
+        templates.forEach(template => {
+            const listItem = document.createElement('li');
+            listItem.className = 'template-item';
+            listItem.innerHTML = `
+                <button class="template-use-btn" role="menuitem"><i class="fas fa-file-alt"></i> ${this.escapeHtml(template.name)}</button>
+                <button class="template-delete-btn" title="Delete template" aria-label="Delete template ${this.escapeHtml(template.name)}">
+                    <i class="fas fa-trash"></i>
+                </button>
+            `;
+            
+            listItem.querySelector('.template-use-btn').addEventListener('click', () => {
+                this.hideTemplateMenu();
+                if (this.onTemplateSelect) this.onTemplateSelect(template.id);
+            });
+            listItem.querySelector('.template-delete-btn').addEventListener('click', (e) => {
+                // The list is re-rendered in place, so keep the menu open
+                e.stopPropagation();
+                if (this.onTemplateDelete) this.onTemplateDelete(template.id);
+            });
+            this.elements.templateList.appendChild(listItem);
+        });
+        
+        this.elements.saveTemplateBtn.disabled = !canSave;
+        this.elements.templateMenu.classList.remove('hidden');
+        this.elements.newNoteMenuBtn.setAttribute('aria-expanded', 'true');
     }
-
-    // Toast notifications
-    showToast(message, type = 'info', duration = 3000) {
-        const toast = document.createElement('div');
-        toast.className = `toast toast-${type}`;
-        toast.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: ${type === 'success' ? '#27AE60' : type === 'error' ? '#E74C3C' : '#3498DB'};
-            color: white;
-            padding: 12px 20px;
-            border-radius: 4px;
-            z-index: 10000;
-            font-size: 14px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            transform: translateX(100%);
-            transition: transform 0.3s ease;
-        `;
-        toast.textContent = message;
+    
+    hideTemplateMenu() {
+        if (!this.elements.templateMenu) return;
         
-        document.body.appendChild(toast);
+        this.elements.templateMenu.classList.add('hidden');
+        this.elements.newNoteMenuBtn.setAttribute('aria-expanded', 'false');
+    }
+    
+    isTemplateMenuOpen() {
+        return !!this.elements.templateMenu && !this.elements.templateMenu.classList.contains('hidden');
+    }
+    
+    // A grid of cells under the table button; pointing at one picks a table that size
+    buildTablePicker() {
+        const rows = 8;
+        const columns = 8;
+        const grid = this.elements.tablePickerGrid;
+        grid.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
         
-        // Animate in
-        setTimeout(() => {
-            toast.style.transform = 'translateX(0)';
-        }, 100);
+        for (let row = 1; row <= rows; row++) {
+            for (let column = 1; column <= columns; column++) {
+                const cell = document.createElement('button');
+                cell.className = 'table-picker-cell';
+                cell.dataset.rows = row;
+                cell.dataset.columns = column;
+                cell.setAttribute('aria-label', `${row} by ${column} table`);
+                cell.tabIndex = -1;
+                
+                cell.addEventListener('mousedown', (e) => e.preventDefault());
+                cell.addEventListener('mouseenter', () => this.highlightTableSize(row, column));
+                cell.addEventListener('focus', () => this.highlightTableSize(row, column));
+                cell.addEventListener('click', () => {
+                    this.hideTablePicker();
+                    if (this.onTableInsert) this.onTableInsert(row, column);
+                });
+                grid.appendChild(cell);
+            }
+        }
         
-        // Remove after duration
-        setTimeout(() => {
-            toast.style.transform = 'translateX(100%)';
-            setTimeout(() => {
-                if (document.body.contains(toast)) {
-                    document.body.removeChild(toast);
-                }
-            }, 300);
-        }, duration);
+        // Arrow keys move around the grid
+        grid.addEventListener('keydown', (e) => {
+            const moves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+            const current = document.activeElement;
+            if (!moves[e.key] || !grid.contains(current)) return;
+            
+            e.preventDefault();
+            const row = Math.min(rows, Math.max(1, Number(current.dataset.rows) + moves[e.key][0]));
+            const column = Math.min(columns, Math.max(1, Number(current.dataset.columns) + moves[e.key][1]));
+            grid.querySelector(`[data-rows="${row}"][data-columns="${column}"]`).focus();
+        });
     }
-
-    // Error message display
-    showErrorMessage(message) {
-        this.showToast(message, 'error');
+    
+    showTablePicker() {
+        if (!this.elements.tablePicker) return;
+        
+        this.highlightTableSize(0, 0);
+        this.elements.tablePicker.classList.remove('hidden');
+        this.elements.tableBtn.setAttribute('aria-expanded', 'true');
+        this.elements.tablePickerGrid.querySelector('.table-picker-cell').focus({ preventScroll: true });
     }
-
-    // File feedback messages
-    showFileUploadFeedback(filename) {
-        this.showToast(`File "${filename}" uploaded successfully!`, 'success');
+    
+    hideTablePicker() {
+        if (!this.elements.tablePicker) return;
+        
+        this.elements.tablePicker.classList.add('hidden');
+        this.elements.tableBtn.setAttribute('aria-expanded', 'false');
     }
-
-    showFileDownloadFeedback(filename) {
-        this.showToast(`File "${filename}" downloaded successfully!`, 'success');
+    
+    isTablePickerOpen() {
+        return !!this.elements.tablePicker && !this.elements.tablePicker.classList.contains('hidden');
+    }
+    
+    highlightTableSize(rows, columns) {
+        this.elements.tablePickerGrid.querySelectorAll('.table-picker-cell').forEach(cell => {
+            cell.classList.toggle('active', Number(cell.dataset.rows) <= rows && Number(cell.dataset.columns) <= columns);
+        });
+        this.elements.tablePickerSize.textContent = rows ? `${rows} × ${columns} table` : 'Insert table';
+    }
+    
+    // Show the table menu at a point, kept inside the window
+    showTableMenu(x, y) {
+        const menu = this.elements.tableMenu;
+        if (!menu) return;
+        
+        menu.classList.remove('hidden');
+        const rect = menu.getBoundingClientRect();
+        menu.style.left = `${Math.max(8, Math.min(x, window.innerWidth - rect.width - 8))}px`;
+        menu.style.top = `${Math.max(8, Math.min(y, window.innerHeight - rect.height - 8))}px`;
+        menu.querySelector('.table-menu-item').focus();
+    }
+    
+    hideTableMenu() {
+        if (this.elements.tableMenu) {
+            this.elements.tableMenu.classList.add('hidden');
+        }
+    }
+    
+    isTableMenuOpen() {
+        return !!this.elements.tableMenu && !this.elements.tableMenu.classList.contains('hidden');
+    }
+    
+    // Fill the code language picker; languages are { id, name }
+    setCodeLanguages(languages) {
+        const select = this.elements.codeLanguageSelect;
+        if (!select) return;
+        
+        select.innerHTML = '<option value="">Plain text</option>';
+        languages.forEach(language => {
+            const option = document.createElement('option');
+            option.value = language.id;
+            option.textContent = language.name;
+            select.appendChild(option);
+        });
+    }
+    
+    // Show the language picker and copy button at the top right of a code block (rect), while it's in view
+    showCodeTools(rect, language) {
+        const tools = this.elements.codeTools;
+        if (!tools) return;
+        
+        const editorRect = this.elements.textEditor.getBoundingClientRect();
+        if (rect.bottom < editorRect.top + 24 || rect.top > editorRect.bottom - 24) {
+            this.hideCodeTools();
+            return;
+        }
+        
+        // A language the picker doesn't know (e.g. from an imported file) is kept as an extra option
+        const select = this.elements.codeLanguageSelect;
+        select.querySelectorAll('option.unknown-language').forEach(option => option.remove());
+        if (!Array.from(select.options).some(option => option.value === language)) {
+            const option = document.createElement('option');
+            option.className = 'unknown-language';
+            option.value = language;
+            option.textContent = language;
+            select.appendChild(option);
+        }
+        select.value = language;
+        
+        tools.style.top = `${Math.max(rect.top, editorRect.top) + 6}px`;
+        tools.style.right = `${window.innerWidth - rect.right + 6}px`;
+        tools.classList.remove('hidden');
+    }
+    
+    hideCodeTools() {
+        if (this.elements.codeTools) {
+            this.elements.codeTools.classList.add('hidden');
+        }
+    }
+    
+    // Dragging the corner handle resizes the image from its left edge; arrow keys resize it in steps
+    bindImageResize() {
+        const handle = this.elements.imageResizeHandle;
+        handle.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            const startX = e.clientX;
+            const startWidth = this.elements.imageTools.getBoundingClientRect().width;
+            const widthAt = (event) => startWidth + event.clientX - startX;
+            
+            const move = (event) => {
+                if (this.onImageResize) this.onImageResize(widthAt(event), false);
+            };
+            const end = (event) => {
+                handle.removeEventListener('pointermove', move);
+                handle.removeEventListener('pointerup', end);
+                handle.removeEventListener('pointercancel', end);
+                if (this.onImageResize) this.onImageResize(widthAt(event), true);
+            };
+            
+            if (handle.setPointerCapture) handle.setPointerCapture(e.pointerId);
+            handle.addEventListener('pointermove', move);
+            handle.addEventListener('pointerup', end);
+            handle.addEventListener('pointercancel', end);
+        });
+        
+        handle.addEventListener('keydown', (e) => {
+            if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+            e.preventDefault();
+            const step = (e.shiftKey ? 50 : 10) * (e.key === 'ArrowLeft' ? -1 : 1);
+            if (this.onImageResize) this.onImageResize(this.elements.imageTools.getBoundingClientRect().width + step, true);
+        });
+    }
+    
+    // Outline the selected image (rect) with its resize handle and alt text box, while it's in view
+    showImageTools(rect, alt) {
+        const tools = this.elements.imageTools;
+        if (!tools) return;
+        
+        const editorRect = this.elements.textEditor.getBoundingClientRect();
+        if (rect.bottom < editorRect.top || rect.top > editorRect.bottom) {
+            this.hideImageTools();
+            return;
+        }
+        
+        // Leave alt text being typed alone when the image only moves
+        this.imageAlt = alt;
+        if (document.activeElement !== this.elements.imageAltInput) {
+            this.elements.imageAltInput.value = alt;
+        }
+        
+        tools.style.top = `${rect.top}px`;
+        tools.style.left = `${rect.left}px`;
+        tools.style.width = `${rect.width}px`;
+        tools.style.height = `${rect.height}px`;
+        tools.classList.remove('hidden');
+    }
+    
+    hideImageTools() {
+        if (this.elements.imageTools) {
+            this.elements.imageTools.classList.add('hidden');
+        }
+    }
+    
+    isImageToolsOpen() {
+        return !!this.elements.imageTools && !this.elements.imageTools.classList.contains('hidden');
+    }
+    
+    // Place a popover below a rect (e.g. a link), or above it when there's no room below, kept inside the window
+    positionPopover(popover, rect) {
+        const box = popover.getBoundingClientRect();
+        const below = rect.bottom + 6;
+        const top = below + box.height > window.innerHeight - 8 ? rect.top - box.height - 6 : below;
+        popover.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - box.width - 8))}px`;
+        popover.style.top = `${Math.max(8, top)}px`;
+    }
+    
+    // Open the link editor under the link or selection (rect); href is '' for a new link
+    showLinkEditor(rect, text, href) {
+        const editor = this.elements.linkEditor;
+        if (!editor) return;
+        
+        this.hideLinkCard();
+        this.hideLinkEditorError();
+        this.elements.linkTextInput.value = text.replace(/\s+/g, ' ').trim();
+        this.elements.linkUrlInput.value = href;
+        editor.classList.remove('hidden');
+        this.positionPopover(editor, rect);
+        this.elements.linkUrlInput.focus();
+        this.elements.linkUrlInput.select();
+    }
+    
+    hideLinkEditor() {
+        if (this.elements.linkEditor) {
+            this.elements.linkEditor.classList.add('hidden');
+        }
+    }
+    
+    isLinkEditorOpen() {
+        return !!this.elements.linkEditor && !this.elements.linkEditor.classList.contains('hidden');
+    }
+    
+    cancelLinkEditor(restoreSelection = true) {
+        this.hideLinkEditor();
+        if (this.onLinkCancel) this.onLinkCancel(restoreSelection);
+    }
+    
+    showLinkEditorError(message) {
+        this.elements.linkEditorError.textContent = message;
+        this.elements.linkEditorError.classList.remove('hidden');
+        this.elements.linkUrlInput.classList.add('error');
+        this.elements.linkUrlInput.focus();
+    }
+    
+    hideLinkEditorError() {
+        this.elements.linkEditorError.classList.add('hidden');
+        this.elements.linkUrlInput.classList.remove('error');
+    }
+    
+    // Show a web link's address with buttons to open, edit or remove it, under the link (rect) while it's in view
+    showLinkCard(rect, href) {
+        const card = this.elements.linkCard;
+        if (!card || this.isLinkEditorOpen()) return;
+        
+        const editorRect = this.elements.textEditor.getBoundingClientRect();
+        if (rect.bottom < editorRect.top || rect.top > editorRect.bottom) {
+            this.hideLinkCard();
+            return;
+        }
+        
+        this.elements.linkCardUrl.textContent = href;
+        this.elements.linkCardUrl.title = href;
+        card.classList.remove('hidden');
+        this.positionPopover(card, rect);
+    }
+    
+    hideLinkCard() {
+        if (this.elements.linkCard) {
+            this.elements.linkCard.classList.add('hidden');
+        }
+    }
+    
+    // Open the find bar, optionally with the replace row and a query to look for
+    showFindBar(replaceMode, query) {
+        if (!this.elements.findBar) return;
+        
+        if (query) {
+            this.elements.findInput.value = query;
+        }
+        this.elements.findBar.classList.remove('hidden');
+        if (replaceMode) {
+            this.setReplaceMode(true);
+        }
+        
+        // Ctrl+H with something to find already goes straight to the replacement
+        const input = replaceMode && this.elements.findInput.value ? this.elements.replaceInput : this.elements.findInput;
+        input.focus();
+        input.select();
+    }
+    
+    hideFindBar() {
+        if (!this.isFindBarOpen()) return;
+        
+        this.elements.findBar.classList.add('hidden');
+        this.setReplaceMode(false);
+        if (this.onFindClose) this.onFindClose();
+    }
+    
+    isFindBarOpen() {
+        return !!this.elements.findBar && !this.elements.findBar.classList.contains('hidden');
+    }
+    
+    setReplaceMode(replaceMode) {
+        this.elements.replaceRow.classList.toggle('hidden', !replaceMode);
+        this.elements.findReplaceToggle.classList.toggle('active', replaceMode);
+        this.elements.findReplaceToggle.setAttribute('aria-expanded', String(replaceMode));
+        if (replaceMode) {
+            this.elements.replaceInput.focus();
+        }
+    }
+    
+    getFindOptions() {
+        const isPressed = button => button.getAttribute('aria-pressed') === 'true';
+        return {
+            query: this.elements.findInput.value,
+            caseSensitive: isPressed(this.elements.findCaseBtn),
+            wholeWord: isPressed(this.elements.findWordBtn),
+            regex: isPressed(this.elements.findRegexBtn)
+        };
+    }
+    
+    // Show "3 of 12", "No results" or a problem with the pattern; canReplace is false for read-only notes
+    updateFindStatus(status, canReplace) {
+        if (!this.elements.findBar) return;
+        
+        const { count, index, error } = status;
+        const hasQuery = !!this.elements.findInput.value;
+        this.elements.findCount.textContent = error || (!hasQuery ? '' : count === 0 ? 'No results' : `${index + 1} of ${count}`);
+        this.elements.findCount.classList.toggle('error', !!error || (hasQuery && count === 0));
+        this.elements.findInput.classList.toggle('error', !!error);
+        
+        this.elements.findPrevBtn.disabled = count === 0;
+        this.elements.findNextBtn.disabled = count === 0;
+        this.elements.replaceBtn.disabled = count === 0 || !canReplace;
+        this.elements.replaceAllBtn.disabled = count === 0 || !canReplace;
+    }
+    
+    // List the notes that link to the open note
+    renderBacklinks(notes) {
+        if (!this.elements.backlinksList) return;
+        
+        this.elements.backlinksCount.textContent = notes.length;
+        this.elements.backlinksList.innerHTML = '';
+        
+        if (notes.length === 0) {
+            this.elements.backlinksList.innerHTML = '<li class="backlinks-empty">No other notes link here. Type [[ in a note to link to another.</li>';
+            return;
+        }
+        
+        notes.forEach(note => {
+            const listItem = document.createElement('li');
+            listItem.className = 'backlink-item';
+            listItem.innerHTML = `<button class="backlink-btn"><i class="fas fa-file-alt"></i> ${this.escapeHtml(note.title)}</button>`;
+            listItem.querySelector('button').addEventListener('click', () => {
+                if (this.onBacklinkSelect) this.onBacklinkSelect(note.id);
+            });
+            this.elements.backlinksList.appendChild(listItem);
+        });
+    }
+    
+    // List what went wrong while loading: general errors, then each quarantined record
+    showLoadProblemsModal(errors, quarantine) {
+        if (!this.elements.loadProblemsModal) return;
+        
+        this.elements.loadProblemsList.innerHTML = '';
+        errors.forEach(error => {
+            const listItem = document.createElement('li');
+            listItem.className = 'load-problem';
+            listItem.textContent = error;
+            this.elements.loadProblemsList.appendChild(listItem);
+        });
+        
+        quarantine.forEach(entry => {
+            const name = entry.title || (entry.raw !== undefined ? 'All saved notes' : entry.noteId ? `Note ${entry.noteId}` : 'Unnamed note');
+            const listItem = document.createElement('li');
+            listItem.className = 'load-problem';
+            listItem.innerHTML = `
+                <span class="load-problem-title">${this.escapeHtml(name)}</span>
+                <span class="load-problem-reason">${this.escapeHtml(entry.reason)} Set aside ${this.formatDate(entry.quarantinedAt)}.</span>
+            `;
+            this.elements.loadProblemsList.appendChild(listItem);
+        });
+        
+        this.elements.loadProblemsClearBtn.classList.toggle('hidden', quarantine.length === 0);
+        this.elements.loadProblemsDownloadBtn.classList.toggle('hidden', quarantine.length === 0);
+        this.elements.loadProblemsModal.classList.remove('hidden');
+    }
+    
+    hideLoadProblemsModal() {
+        if (this.elements.loadProblemsModal) {
+            this.elements.loadProblemsModal.classList.add('hidden');
+        }
     }
 
-    // Custom Delete Confirmation Modal
-    showDeleteModal(noteId, noteTitle) {
-        if (!this.elements.deleteModal) return;
+    // Revision History Modal
+    showHistoryModal(revisions) {
+        if (!this.elements.historyModal) return;
         
-        // Store the note info for when user confirms
-        this.pendingDelete = { noteId, noteTitle };
+        this.selectedRevisionId = null;
+        this.renderHistoryList(revisions);
+        this.renderRevisionDiff(null);
+        this.elements.historyModal.classList.remove('hidden');
         
-        // Update modal content
-        if (this.elements.deleteModalNoteTitle) {
-            this.elements.deleteModalNoteTitle.textContent = `"${noteTitle}"`;
+        // Show the most recent revision straight away
+        if (revisions.length > 0) {
+            this.selectRevision(revisions[0].id);
         }
+    }
+    
+    hideHistoryModal() {
+        if (!this.elements.historyModal) return;
         
-        // Show modal
-        this.elements.deleteModal.classList.remove('hidden');
+        this.elements.historyModal.classList.add('hidden');
+        this.selectedRevisionId = null;
+    }
+    
+    renderHistoryList(revisions) {
+        if (!this.elements.historyList) return;
         
-        // Focus on cancel button for better UX
-        if (this.elements.deleteCancelBtn) {
-            setTimeout(() => this.elements.deleteCancelBtn.focus(), 100);
+        this.elements.historyList.innerHTML = '';
+        
+        if (revisions.length === 0) {
+            this.elements.historyList.innerHTML = '<li class="history-empty">No earlier versions yet. Versions are saved as you edit.</li>';
+            return;
         }
         
-        // Set up confirm button handler
-        if (this.elements.deleteConfirmBtn) {
-            // Remove existing listener to prevent duplicates
-            const newConfirmBtn = this.elements.deleteConfirmBtn.cloneNode(true);
-            this.elements.deleteConfirmBtn.parentNode.replaceChild(newConfirmBtn, this.elements.deleteConfirmBtn);
-            this.elements.deleteConfirmBtn = newConfirmBtn;
+        revisions.forEach(revision => {
+            const listItem = document.createElement('li');
+            listItem.className = 'history-item';
+            listItem.setAttribute('data-revision-id', revision.id);
             
-            this.elements.deleteConfirmBtn.addEventListener('click', () => {
-                this.confirmDelete();
+            const label = revision.restoredFrom
+                ? `Restored from ${this.formatDate(revision.restoredFrom)}`
+                : this.escapeHtml(revision.title);
+            listItem.innerHTML = `
+                <span class="history-item-date">${this.formatDate(revision.createdAt)}</span>
+                <span class="history-item-title">${label}</span>
+            `;
+            
+            listItem.addEventListener('click', () => this.selectRevision(revision.id));
+            this.elements.historyList.appendChild(listItem);
+        });
+    }
+    
+    selectRevision(revisionId) {
+        this.selectedRevisionId = revisionId;
+        
+        if (this.elements.historyList) {
+            this.elements.historyList.querySelectorAll('.history-item').forEach(item => {
+                item.classList.toggle('active', item.getAttribute('data-revision-id') === revisionId);
             });
         }
+        if (this.elements.historyRestoreBtn) {
+            this.elements.historyRestoreBtn.disabled = false;
+        }
+        
+        if (this.onRevisionSelect) this.onRevisionSelect(revisionId);
     }
     
-    hideDeleteModal() {
-        if (!this.elements.deleteModal) return;
+    // Render diff parts from TextDiff as inline insertions and deletions
+    renderRevisionDiff(parts) {
+        if (!this.elements.historyDiff) return;
         
-        this.elements.deleteModal.classList.add('hidden');
-        this.pendingDelete = null;
+        if (!parts) {
+            this.elements.historyDiff.innerHTML = '';
+            if (this.elements.historyRestoreBtn) {
+                this.elements.historyRestoreBtn.disabled = true;
+            }
+            return;
+        }
+        
+        if (!parts.some(part => part.type !== 'equal')) {
+            this.elements.historyDiff.innerHTML = '<p class="history-empty">This version matches the current note.</p>';
+            return;
+        }
+        
+        this.elements.historyDiff.innerHTML = parts.map(part => {
+            const text = this.escapeHtml(part.text);
+            if (part.type === 'added') return `<ins class="diff-added">${text}</ins>`;
+            if (part.type === 'removed') return `<del class="diff-removed">${text}</del>`;
+            return text;
+        }).join('');
     }
     
-    confirmDelete() {
-        if (this.pendingDelete && this.onNoteDelete) {
-            this.onNoteDelete(this.pendingDelete.noteId, this.pendingDelete.noteTitle);
-        }
-        this.hideDeleteModal();
+    formatDate(isoString) {
+        return new Date(isoString).toLocaleString(undefined, {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
     }
 
     // Title Editing Functionality
-    startTitleEdit(titleElement, noteId, currentTitle) {
+    // onSave(id, newTitle) overrides the default note title callback (used for notebook names)
+    startTitleEdit(titleElement, noteId, currentTitle, onSave = null) {
         // Prevent multiple edits
         if (titleElement.classList.contains('editing')) {
             return;
         }
         
+        titleElement._onSave = onSave;
+        
         // Store original title for cancel
         titleElement.setAttribute('data-original-title', currentTitle);
         titleElement.setAttribute('data-note-id', noteId);
@@ -442,8 +2778,10 @@ class UI {
         const noteId = titleElement.getAttribute('data-note-id');
         const newTitle = titleElement.textContent.trim();
         
-        if (newTitle && this.onNoteTitleEdit) {
-            this.onNoteTitleEdit(noteId, newTitle);
+        const onSave = titleElement._onSave || this.onNoteTitleEdit;
+        
+        if (newTitle && onSave) {
+            onSave(noteId, newTitle);
         }
         
         this.endTitleEdit(titleElement);
@@ -461,6 +2799,7 @@ class UI {
         titleElement.classList.remove('editing');
         titleElement.removeAttribute('data-original-title');
         titleElement.removeAttribute('data-note-id');
+        delete titleElement._onSave;
         
         // Remove event listeners
         if (titleElement._keydownHandler) {
@@ -0,0 +1,239 @@
+/**
+ * vault.js
+ * Passphrase-protected encryption of note content and images (AES-GCM, PBKDF2-derived key)
+ */
+
+class Vault {
+    constructor() {
+        this.storageKey = 'takenote-vault';
+        this.iterations = 310000;
+
+        // Notes are encrypted with random data keys; the passphrase key only wraps those,
+        // so a passphrase change can be saved in one write before the notes are re-encrypted
+        this.keys = new Map(); // keyId -> CryptoKey, only while unlocked
+        this.config = this.loadConfig();
+    }
+
+    loadConfig() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            console.warn('Ignoring unreadable vault settings:', error);
+            return null;
+        }
+    }
+
+    saveConfig() {
+        if (this.config) {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.config));
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+
+    // Pick up settings changed by another tab; the cached keys may no longer match
+    reloadConfig() {
+        this.config = this.loadConfig();
+        this.lock();
+    }
+
+    isEnabled() {
+        return !!this.config;
+    }
+
+    isUnlocked() {
+        return this.keys.size > 0;
+    }
+
+    // Whether every note is encrypted (otherwise only notes marked as locked)
+    encryptsAll() {
+        return !!(this.config && this.config.encryptAll);
+    }
+
+    // The data key new encryptions use; anything encrypted with another one is due to be re-encrypted
+    getCurrentKeyId() {
+        return this.config ? this.config.currentKeyId : null;
+    }
+
+    getAutoLockMinutes() {
+        return this.config ? this.config.autoLockMinutes : 0;
+    }
+
+    // Set up a vault with a new passphrase
+    async create(passphrase, { encryptAll = false, autoLockMinutes = 15 } = {}) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const passphraseKey = await this.deriveKey(passphrase, salt, this.iterations);
+        const keyId = this.generateKeyId();
+        const dataKey = await this.generateDataKey();
+
+        this.config = {
+            version: 1,
+            salt: Base64.encode(salt),
+            iterations: this.iterations,
+            currentKeyId: keyId,
+            keys: { [keyId]: await this.wrapKey(dataKey, passphraseKey) },
+            encryptAll,
+            autoLockMinutes
+        };
+        this.saveConfig();
+        this.keys = new Map([[keyId, dataKey]]);
+    }
+
+    // Unwrap the data keys; returns false for a wrong passphrase
+    async unlock(passphrase) {
+        const keys = await this.unwrapKeys(passphrase);
+        if (!keys) return false;
+
+        this.keys = keys;
+        return true;
+    }
+
+    lock() {
+        this.keys = new Map();
+    }
+
+    // Check a passphrase without changing the lock state
+    async verify(passphrase) {
+        return !!(await this.unwrapKeys(passphrase));
+    }
+
+    async unwrapKeys(passphrase) {
+        if (!this.config) return null;
+
+        const passphraseKey = await this.deriveKey(passphrase, Base64.decode(this.config.salt), this.config.iterations);
+        const keys = new Map();
+        try {
+            for (const [keyId, wrapped] of Object.entries(this.config.keys)) {
+                keys.set(keyId, await this.unwrapKey(wrapped, passphraseKey));
+            }
+        } catch (error) {
+            // AES-GCM authentication fails when the passphrase is wrong
+            return null;
+        }
+        return keys;
+    }
+
+    // Switch to a new passphrase and a fresh data key. Old data keys stay readable
+    // (wrapped with the new passphrase) until forgetOldKeys() is called after re-encryption
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        const keys = await this.unwrapKeys(currentPassphrase);
+        if (!keys) return false;
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const passphraseKey = await this.deriveKey(newPassphrase, salt, this.iterations);
+        const keyId = this.generateKeyId();
+        keys.set(keyId, await this.generateDataKey());
+
+        const wrappedKeys = {};
+        for (const [id, key] of keys) {
+            wrappedKeys[id] = await this.wrapKey(key, passphraseKey);
+        }
+
+        this.config = {
+            ...this.config,
+            salt: Base64.encode(salt),
+            iterations: this.iterations,
+            currentKeyId: keyId,
+            keys: wrappedKeys
+        };
+        this.saveConfig();
+        this.keys = keys;
+        return true;
+    }
+
+    // Drop data keys that no longer encrypt anything
+    forgetOldKeys() {
+        if (!this.config) return;
+
+        const currentKeyId = this.config.currentKeyId;
+        this.config.keys = { [currentKeyId]: this.config.keys[currentKeyId] };
+        this.saveConfig();
+        this.keys = new Map([[currentKeyId, this.keys.get(currentKeyId)]]);
+    }
+
+    updateSettings(settings) {
+        if (!this.config) return;
+
+        this.config = { ...this.config, ...settings };
+        this.saveConfig();
+    }
+
+    // Remove the vault; callers must have written everything back as plain text first
+    disable() {
+        this.config = null;
+        this.saveConfig();
+        this.lock();
+    }
+
+    // Encrypt a JSON-serializable value with the current data key
+    async encrypt(value) {
+        const envelope = await this.encryptBytes(new TextEncoder().encode(JSON.stringify(value)));
+        return { ...envelope, data: Base64.encode(new Uint8Array(envelope.data)) };
+    }
+
+    // Decrypt a value produced by encrypt()
+    async decrypt(envelope) {
+        const data = await this.decryptBytes({ ...envelope, data: Base64.decode(envelope.data) });
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    // Encrypt binary data (e.g. an image file) with the current data key; the result holds it as an ArrayBuffer
+    async encryptBytes(bytes) {
+        const keyId = this.config.currentKeyId;
+        const key = this.keys.get(keyId);
+        if (!key) throw new Error('The vault is locked');
+
+        // Another tab may have changed the passphrase or turned the vault off since this one unlocked
+        const stored = this.loadConfig();
+        if (!stored || stored.currentKeyId !== keyId) throw new Error('The vault was changed in another tab');
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+        return { keyId, iv: Base64.encode(iv), data };
+    }
+
+    // Decrypt data produced by encryptBytes(), as an ArrayBuffer
+    async decryptBytes(envelope) {
+        const key = this.keys.get(envelope.keyId);
+        if (!key) throw new Error('The vault is locked');
+
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv: Base64.decode(envelope.iv) }, key, envelope.data);
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    generateDataKey() {
+        return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    }
+
+    async wrapKey(dataKey, passphraseKey) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const raw = await crypto.subtle.exportKey('raw', dataKey);
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, passphraseKey, raw);
+        return { iv: Base64.encode(iv), data: Base64.encode(new Uint8Array(data)) };
+    }
+
+    async unwrapKey(wrapped, passphraseKey) {
+        const raw = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: Base64.decode(wrapped.iv) },
+            passphraseKey,
+            Base64.decode(wrapped.data)
+        );
+        return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+    }
+
+    generateKeyId() {
+        return 'key_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
\ No newline at end of file
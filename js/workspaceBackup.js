@@ -0,0 +1,236 @@
+/**
+ * workspaceBackup.js
+ * Builds, reads and validates full workspace backups (ZIP or JSON)
+ */
+
+class WorkspaceBackup {
+    // extractTags(content) finds the #tags written in a note's content, for notes backed up without tags
+    constructor(extractTags = () => []) {
+        this.extractTags = extractTags;
+        this.format = 'takenote-backup';
+        this.version = 1;
+
+        // Backup files come from outside the app, so note content is cleaned like pasted HTML before it's restored
+        this.sanitizer = new HtmlSanitizer();
+    }
+
+    // Collect the whole workspace into a versioned backup object; images are the stored files the notes show
+    build(notes, trash, notebooks, images = []) {
+        return {
+            format: this.format,
+            version: this.version,
+            createdAt: new Date().toISOString(),
+            counts: {
+                notes: notes.length,
+                trash: trash.length,
+                notebooks: notebooks.length,
+                images: images.length
+            },
+            notebooks: notebooks,
+            notes: notes,
+            trash: trash,
+            images: images
+        };
+    }
+
+    // A JSON backup holds its images as base64 text
+    async toJSON(backup) {
+        const images = await Promise.all(backup.images.map(async ({ blob, ...image }) => ({
+            ...image,
+            data: Base64.encode(new Uint8Array(await blob.arrayBuffer()))
+        })));
+        return JSON.stringify({ ...backup, images }, null, 2);
+    }
+
+    // Package a backup as a ZIP: metadata in manifest.json, each record list in its own file,
+    // and each image as a file under images/ listed in images.json
+    async toZip(backup) {
+        const { notes, trash, notebooks, images, ...manifest } = backup;
+        const archive = new ZipArchive();
+        archive.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+        archive.addFile('notebooks.json', JSON.stringify(notebooks, null, 2));
+        archive.addFile('notes.json', JSON.stringify(notes, null, 2));
+        archive.addFile('trash.json', JSON.stringify(trash, null, 2));
+
+        const imageList = [];
+        for (const { blob, ...image } of images) {
+            const file = `images/${image.id}.${(image.type.split('/')[1] || 'bin').replace('jpeg', 'jpg').replace(/\W.*$/, '')}`;
+            archive.addFile(file, await blob.arrayBuffer());
+            imageList.push({ ...image, file });
+        }
+        archive.addFile('images.json', JSON.stringify(imageList, null, 2));
+        return archive.toBlob();
+    }
+
+    // Read a .zip or .json backup file and validate it
+    async readFile(file) {
+        const buffer = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read the backup file.'));
+            reader.readAsArrayBuffer(file);
+        });
+
+        const bytes = new Uint8Array(buffer);
+        const decoder = new TextDecoder();
+
+        // ZIP files start with "PK"
+        if (bytes[0] !== 0x50 || bytes[1] !== 0x4b) {
+            return this.validate(this.parseJson(decoder.decode(bytes)));
+        }
+
+        const files = await ZipArchive.read(buffer);
+        if (!files.has('manifest.json')) {
+            throw new Error('This ZIP file is not a takenote backup.');
+        }
+        const readList = (name) => files.has(name) ? this.parseJson(decoder.decode(files.get(name))) : [];
+        const images = readList('images.json');
+        return this.validate({
+            ...this.parseJson(decoder.decode(files.get('manifest.json'))),
+            notebooks: readList('notebooks.json'),
+            notes: readList('notes.json'),
+            trash: readList('trash.json'),
+            images: (Array.isArray(images) ? images : []).map(image => (image && files.has(image.file)
+                ? { ...image, blob: new Blob([files.get(image.file)], { type: image.type }) }
+                : image))
+        });
+    }
+
+    parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error('The backup file is damaged or is not valid JSON.');
+        }
+    }
+
+    // Check a parsed backup and normalize its records; throws if the file can't be restored at all
+    validate(data) {
+        // exportAllNotes() used to produce a bare array of notes without IDs
+        if (Array.isArray(data)) {
+            data = { format: this.format, version: 0, notes: data };
+        }
+
+        if (!data || data.format !== this.format) {
+            throw new Error('This file is not a takenote backup.');
+        }
+        if (typeof data.version !== 'number' || data.version > this.version) {
+            throw new Error('This backup was made by a newer version of takenote and can\'t be restored here.');
+        }
+        if (!Array.isArray(data.notes)) {
+            throw new Error('The backup doesn\'t contain a list of notes.');
+        }
+
+        let skipped = 0;
+        const seenIds = new Set();
+        const normalizeList = (list, normalize) => (Array.isArray(list) ? list : []).reduce((records, record) => {
+            const normalized = normalize(record);
+            if (!normalized) {
+                skipped++;
+            } else {
+                // A repeated ID would overwrite its twin, so give the later record a fresh one
+                if (normalized.id && seenIds.has(normalized.id)) {
+                    normalized.id = null;
+                }
+                seenIds.add(normalized.id);
+                records.push(normalized);
+            }
+            return records;
+        }, []);
+
+        // Notebooks can't be re-keyed (notes point at them), so repeated ones are dropped
+        const notebooks = normalizeList(data.notebooks, record => {
+            const notebook = this.normalizeNotebook(record);
+            return notebook && !seenIds.has(notebook.id) ? notebook : null;
+        });
+        seenIds.clear();
+        const notes = normalizeList(data.notes, record => this.normalizeNote(record));
+        const trash = normalizeList(data.trash, record => this.normalizeNote(record, true));
+        seenIds.clear();
+        const images = normalizeList(data.images, record => {
+            const image = this.normalizeImage(record);
+            return image && !seenIds.has(image.id) ? image : null;
+        });
+
+        return {
+            version: data.version,
+            createdAt: this.validDate(data.createdAt),
+            notebooks,
+            notes,
+            trash,
+            images,
+            skipped
+        };
+    }
+
+    // Keep only the fields takenote knows about; returns null for records that aren't notes
+    normalizeNote(note, inTrash = false) {
+        if (!note || typeof note !== 'object' || typeof note.content !== 'string') return null;
+
+        const now = new Date().toISOString();
+        const content = this.sanitizer.sanitize(note.content);
+        const normalized = {
+            id: typeof note.id === 'string' && note.id ? note.id : null,
+            title: typeof note.title === 'string' && note.title.trim() ? note.title : 'Untitled Note',
+            content,
+            notebookId: typeof note.notebookId === 'string' ? note.notebookId : null,
+            tags: Array.isArray(note.tags) ? note.tags.filter(tag => typeof tag === 'string') : this.extractTags(content),
+            createdAt: this.validDate(note.createdAt) || now,
+            updatedAt: this.validDate(note.updatedAt) || this.validDate(note.createdAt) || now
+        };
+
+        if (note.pinned) {
+            normalized.pinned = true;
+        }
+        if (typeof note.order === 'number' && isFinite(note.order)) {
+            normalized.order = note.order;
+        }
+        if (inTrash) {
+            normalized.deletedAt = this.validDate(note.deletedAt) || now;
+            normalized.deletedFromIndex = 0;
+        }
+        return normalized;
+    }
+
+    normalizeNotebook(notebook) {
+        if (!notebook || typeof notebook !== 'object' || typeof notebook.id !== 'string' || !notebook.id) return null;
+
+        return {
+            id: notebook.id,
+            name: typeof notebook.name === 'string' && notebook.name.trim() ? notebook.name : 'Untitled Notebook',
+            parentId: typeof notebook.parentId === 'string' ? notebook.parentId : null,
+            collapsed: !!notebook.collapsed,
+            createdAt: this.validDate(notebook.createdAt) || new Date().toISOString()
+        };
+    }
+
+    // An image with its file, read from a ZIP entry (blob) or base64 text (data); null if either is missing
+    normalizeImage(image) {
+        if (!image || typeof image !== 'object' || typeof image.id !== 'string' || !/^image_\w+$/.test(image.id)) return null;
+        if (typeof image.type !== 'string' || !image.type.startsWith('image/')) return null;
+
+        let blob = image.blob instanceof Blob ? image.blob : null;
+        if (!blob && typeof image.data === 'string') {
+            try {
+                blob = new Blob([Base64.decode(image.data)], { type: image.type });
+            } catch (error) {
+                return null;
+            }
+        }
+        if (!blob) return null;
+
+        return {
+            id: image.id,
+            blob,
+            type: image.type,
+            name: typeof image.name === 'string' ? image.name : '',
+            createdAt: this.validDate(image.createdAt) || new Date().toISOString()
+        };
+    }
+
+    // ISO string for a parseable date, otherwise null
+    validDate(value) {
+        const date = new Date(value);
+        return value && !isNaN(date.getTime()) ? date.toISOString() : null;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * zipArchive.js
+ * Minimal ZIP writer (stored, uncompressed) and reader for backup archives
+ */
+
+class ZipArchive {
+    constructor() {
+        this.files = [];
+        this.encoder = new TextEncoder();
+    }
+
+    // Add a file; strings are stored as UTF-8
+    addFile(name, data) {
+        const bytes = typeof data === 'string' ? this.encoder.encode(data) : new Uint8Array(data);
+        this.files.push({ name, nameBytes: this.encoder.encode(name), bytes, crc: ZipArchive.crc32(bytes) });
+    }
+
+    // Build the archive as a Blob
+    toBlob() {
+        const chunks = [];
+        const centralDirectory = [];
+        const { time, date } = ZipArchive.dosDateTime(new Date());
+        let offset = 0;
+
+        this.files.forEach(file => {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // Local file header signature
+            local.setUint16(4, 20, true); // Version needed to extract
+            local.setUint16(6, 0x0800, true); // Flags: UTF-8 file names
+            local.setUint16(8, 0, true); // Method: stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, file.crc, true);
+            local.setUint32(18, file.bytes.length, true);
+            local.setUint32(22, file.bytes.length, true);
+            local.setUint16(26, file.nameBytes.length, true);
+            local.setUint16(28, 0, true);
+            chunks.push(local.buffer, file.nameBytes, file.bytes);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true); // Version needed to extract
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, file.crc, true);
+            central.setUint32(20, file.bytes.length, true);
+            central.setUint32(24, file.bytes.length, true);
+            central.setUint16(28, file.nameBytes.length, true);
+            central.setUint32(42, offset, true); // Offset of local header
+            centralDirectory.push(central.buffer, file.nameBytes);
+
+            offset += 30 + file.nameBytes.length + file.bytes.length;
+        });
+
+        const centralSize = centralDirectory.reduce((size, chunk) => size + chunk.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...chunks, ...centralDirectory, end.buffer], { type: 'application/zip' });
+    }
+
+    // Read an archive into a Map of file name -> Uint8Array
+    static async read(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const decoder = new TextDecoder();
+
+        // The end-of-central-directory record sits at the end, before an optional comment
+        let endOffset = -1;
+        for (let i = arrayBuffer.byteLength - 22; i >= Math.max(0, arrayBuffer.byteLength - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new Error('Not a valid ZIP archive');
+        }
+
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+        const files = new Map();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(pointer, true) !== 0x02014b50) {
+                throw new Error('Corrupted ZIP central directory');
+            }
+
+            const method = view.getUint16(pointer + 10, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(new Uint8Array(arrayBuffer, pointer + 46, nameLength));
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = new Uint8Array(arrayBuffer.slice(dataStart, dataStart + compressedSize));
+
+            if (method === 0) {
+                files.set(name, data);
+            } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+                files.set(name, await ZipArchive.inflate(data));
+            } else {
+                throw new Error(`Unsupported compression in "${name}"`);
+            }
+
+            pointer += 46 + nameLength + extraLength + commentLength;
+        }
+        return files;
+    }
+
+    // Decompress raw DEFLATE data (archives re-zipped by other tools)
+    static async inflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static crc32(bytes) {
+        if (!ZipArchive.crcTable) {
+            ZipArchive.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipArchive.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipArchive.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    static dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+}
\ No newline at end of file